@@ -30,7 +30,12 @@ try {
 
 // Create Express app
 const app = express();
-app.use(bodyParser.json());
+// Keep the raw body around so webhook signatures can be verified
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Add request logging middleware
 app.use((req, res, next) => {
@@ -49,6 +54,14 @@ app.use(express.static(path.join(__dirname, 'src/public')));
 // Admin routes
 const adminRoutes = require('./src/admin/group-management');
 app.use('/api/admin', adminRoutes);
+const disputeRoutes = require('./src/admin/dispute-management');
+app.use('/api/admin', disputeRoutes);
+const listingRoutes = require('./src/admin/listing-management');
+app.use('/api/admin', listingRoutes);
+const ingestionRoutes = require('./src/admin/ingestion-management');
+app.use('/api/admin', ingestionRoutes);
+const payoutRoutes = require('./src/admin/payout-management');
+app.use('/api/admin', payoutRoutes);
 
 // Import payment routes for Fapshi webhook and payment endpoints
 const paymentRoutes = require('./src/routes/payment-routes');
@@ -188,12 +201,54 @@ const server = http.createServer(app);
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`OpenRouter integration: ${process.env.USE_OPENROUTER === 'true' ? 'enabled' : 'disabled'}`);
+  
+  // Release escrowed funds whose inspection window has passed
+  try {
+    require('./src/payment/escrow-release').startAutoRelease();
+  } catch (error) {
+    console.error('Failed to start escrow auto-release:', error.message);
+  }
+  
+  // Retry seller payouts and buyer refunds that failed
+  try {
+    require('./src/payment/payout-retry').startPayoutRetries();
+  } catch (error) {
+    console.error('Failed to start payout retries:', error.message);
+  }
+  
+  // Send batched search alert notifications and expire old alerts
+  try {
+    require('./src/services/search-alerts').startAlertDigests();
+  } catch (error) {
+    console.error('Failed to start search alert digests:', error.message);
+  }
+  
+  // Expire listings with no activity
+  try {
+    require('./src/services/listing-lifecycle').startListingExpiry();
+  } catch (error) {
+    console.error('Failed to start listing expiry:', error.message);
+  }
+  
+  // Work through queued group posts and group backfills (the group bot registers the stages)
+  try {
+    const { ingestionQueue, backfillQueue } = require('./src/services/ingestion-queue');
+    ingestionQueue.start();
+    backfillQueue.start();
+  } catch (error) {
+    console.error('Failed to start ingestion queue:', error.message);
+  }
 });
 
 // Handle shutdown
 process.on('SIGINT', async () => {
   console.log('Shutting down server...');
   
+  // List the group posts still being collected before the bot goes away
+  if (groupBot && groupBot.flushPendingPosts) {
+    await groupBot.flushPendingPosts();
+  }
+  
   // Close bots if they have cleanup methods
   if (groupBot && groupBot.client && groupBot.client.destroy) {
     await groupBot.client.destroy();
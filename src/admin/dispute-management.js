@@ -0,0 +1,137 @@
+/**
+ * Dispute Management Admin Interface
+ *
+ * This module provides endpoints for admins to review escrow disputes
+ * and resolve them as a refund, a release or a split.
+ */
+
+const express = require('express');
+const { requireAdminKey } = require('./require-admin-key');
+const {
+  DISPUTE_STATES,
+  listDisputes,
+  getDispute,
+  startDisputeReview,
+  resolveDispute
+} = require('../payment/disputes');
+require('dotenv').config();
+
+const router = express.Router();
+
+// Map dispute and escrow error codes to HTTP statuses
+const ERROR_STATUS = {
+  DISPUTE_NOT_FOUND: 404,
+  DISPUTE_INVALID: 400,
+  DISPUTE_NOT_ALLOWED: 409,
+  ESCROW_INVALID_TRANSITION: 409,
+  ESCROW_CONFLICT: 409
+};
+
+/**
+ * Send an error response with the status matching its code
+ * @param {Object} res - Express response
+ * @param {Error} err - The error
+ */
+function sendError(res, err) {
+  res.status(ERROR_STATUS[err.code] || 500).json({
+    success: false,
+    error: err.message
+  });
+}
+
+// Resolving a dispute moves money, so require the admin key
+router.use('/disputes', requireAdminKey);
+
+// List disputes, optionally filtered by status
+router.get('/disputes', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !Object.values(DISPUTE_STATES).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${Object.values(DISPUTE_STATES).join(', ')}`
+      });
+    }
+
+    const disputes = await listDisputes(status);
+
+    res.json({
+      success: true,
+      disputes
+    });
+  } catch (err) {
+    console.error('Error fetching disputes:', err);
+    sendError(res, err);
+  }
+});
+
+// Get a dispute with its evidence, transaction and escrow history
+router.get('/disputes/:id', async (req, res) => {
+  try {
+    const dispute = await getDispute(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dispute not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      dispute
+    });
+  } catch (err) {
+    console.error('Error fetching dispute:', err);
+    sendError(res, err);
+  }
+});
+
+// Start reviewing a dispute
+router.post('/disputes/:id/review', async (req, res) => {
+  try {
+    const dispute = await startDisputeReview(req.params.id, req.body.admin);
+
+    res.json({
+      success: true,
+      message: 'Dispute is under review',
+      dispute
+    });
+  } catch (err) {
+    console.error('Error reviewing dispute:', err);
+    sendError(res, err);
+  }
+});
+
+// Resolve a dispute: { resolution: 'refund' | 'release' | 'split', buyerAmount, notes, admin }
+router.post('/disputes/:id/resolve', async (req, res) => {
+  try {
+    const { resolution, buyerAmount, notes, admin } = req.body;
+
+    if (!resolution) {
+      return res.status(400).json({
+        success: false,
+        error: 'Resolution is required'
+      });
+    }
+
+    const dispute = await resolveDispute(req.params.id, {
+      resolution,
+      buyerAmount,
+      notes,
+      resolvedBy: admin || 'admin'
+    });
+
+    res.json({
+      success: true,
+      message: `Dispute resolved: ${resolution}`,
+      dispute
+    });
+  } catch (err) {
+    console.error('Error resolving dispute:', err);
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -6,17 +6,86 @@
  */
 
 const express = require('express');
-const { client, addMonitoredGroup } = require('../group-bot');
+const { requireAdminKey } = require('./require-admin-key');
+const {
+  client,
+  addMonitoredGroup,
+  updateMonitoredGroup,
+  removeMonitoredGroup,
+  isGroupAdmin,
+  startGroupBackfill,
+  getGroupBackfill
+} = require('../group-bot');
 const supabase = require('../database/supabase');
 
 const router = express.Router();
 
+// Groups hold their admins' phone numbers and changing them stops monitoring, so require the admin key
+router.use('/groups', requireAdminKey);
+
+/**
+ * Read the backfill limits an admin asked for
+ * @param {*} maxAgeDays - Oldest messages to read, in days
+ * @param {*} maxMessages - Most messages to read
+ * @returns {Object} The limits given (the group bot's defaults apply to the others)
+ */
+function backfillOptions(maxAgeDays, maxMessages) {
+  const options = {};
+  if (parseInt(maxAgeDays, 10) > 0) options.maxAgeDays = parseInt(maxAgeDays, 10);
+  if (parseInt(maxMessages, 10) > 0) options.maxMessages = parseInt(maxMessages, 10);
+  return options;
+}
+
+/**
+ * Only let a group's admins change it: the request's adminPhone (in the body
+ * or query string) must be an admin in the group's participant list. Anyone
+ * can see who a group's admins are, so this only runs after requireAdminKey.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next handler
+ */
+async function requireGroupAdmin(req, res, next) {
+  try {
+    const adminPhone = (req.body && req.body.adminPhone) || req.query.adminPhone;
+    
+    if (!adminPhone) {
+      return res.status(400).json({
+        success: false,
+        error: 'The phone number of a group admin (adminPhone) is required'
+      });
+    }
+    
+    if (!await isGroupAdmin(req.params.id, adminPhone)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the group\'s admins can change it'
+      });
+    }
+    
+    next();
+  } catch (err) {
+    if (err.code === 'CLIENT_NOT_READY') {
+      return res.status(503).json({
+        success: false,
+        error: 'WhatsApp client not ready, so group admins can\'t be checked. Please ensure the bot is authenticated.'
+      });
+    }
+    
+    console.error('Error checking group admin:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+}
+
 // Get all monitored groups
 router.get('/groups', async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('groups')
-      .select('*');
+      .select('*')
+      .is('unregistered_at', null);
     
     if (error) throw error;
     
@@ -36,7 +105,7 @@ router.get('/groups', async (req, res) => {
 // Add a new group to monitor
 router.post('/groups', async (req, res) => {
   try {
-    const { groupId, groupName, category } = req.body;
+    const { groupId, groupName, category, backfill, maxAgeDays, maxMessages } = req.body;
     
     if (!groupId || !groupName) {
       return res.status(400).json({
@@ -48,10 +117,14 @@ router.post('/groups', async (req, res) => {
     // Add group to monitored list
     const group = await addMonitoredGroup(groupId, groupName, category);
     
+    // List what was posted before, unless asked not to
+    const backfillJob = backfill === false ? null : await startGroupBackfill(groupId, backfillOptions(maxAgeDays, maxMessages));
+    
     res.json({
       success: true,
       message: `Now monitoring group: ${groupName}`,
-      group
+      group,
+      backfill: backfillJob
     });
   } catch (err) {
     console.error('Error adding group:', err);
@@ -62,18 +135,96 @@ router.post('/groups', async (req, res) => {
   }
 });
 
-// Remove a group from monitoring
-router.delete('/groups/:id', async (req, res) => {
+// Backfill a group's history again, e.g. with a longer window: { maxAgeDays, maxMessages }
+router.post('/groups/:id/backfill', async (req, res) => {
   try {
-    const { id } = req.params;
+    const { maxAgeDays, maxMessages } = req.body || {};
+    const backfillJob = await startGroupBackfill(req.params.id, backfillOptions(maxAgeDays, maxMessages));
     
-    // Remove from database
-    const { error } = await supabase
-      .from('groups')
-      .delete()
-      .eq('id', id);
+    res.json({
+      success: true,
+      message: 'Backfill started',
+      backfill: backfillJob
+    });
+  } catch (err) {
+    console.error('Error starting backfill:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+// Get the progress of a group's latest backfill
+router.get('/groups/:id/backfill', async (req, res) => {
+  try {
+    const backfillJob = await getGroupBackfill(req.params.id);
     
-    if (error) throw error;
+    if (!backfillJob) {
+      return res.status(404).json({
+        success: false,
+        error: 'This group has not been backfilled'
+      });
+    }
+    
+    res.json({
+      success: true,
+      backfill: {
+        id: backfillJob.id,
+        status: backfillJob.status,
+        progress: backfillJob.progress,
+        lastError: backfillJob.lastError,
+        createdAt: backfillJob.createdAt,
+        updatedAt: backfillJob.updatedAt
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching backfill progress:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+// Change a group's category or pause its monitoring (group admins only): { adminPhone, category, paused }
+router.patch('/groups/:id', requireGroupAdmin, async (req, res) => {
+  try {
+    const { category, paused } = req.body;
+    
+    if (category === undefined && paused === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to change (category or paused)'
+      });
+    }
+    
+    const group = await updateMonitoredGroup(req.params.id, { category, paused });
+    
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Group not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      group
+    });
+  } catch (err) {
+    console.error('Error updating group:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+// Remove a group from monitoring (group admins only): ?adminPhone=
+router.delete('/groups/:id', requireGroupAdmin, async (req, res) => {
+  try {
+    await removeMonitoredGroup(req.params.id);
     
     res.json({
       success: true,
@@ -0,0 +1,120 @@
+/**
+ * Ingestion Management Admin Interface
+ *
+ * This module provides endpoints for admins to see the group posts queued
+ * for ingestion, and to re-run the ones that were dead-lettered after failing
+ * every retry.
+ */
+
+const express = require('express');
+const { requireAdminKey } = require('./require-admin-key');
+const { JOB_STATES } = require('../services/job-queue');
+const { ingestionQueue } = require('../services/ingestion-queue');
+require('dotenv').config();
+
+const router = express.Router();
+
+// Map job queue error codes to HTTP statuses
+const ERROR_STATUS = {
+  JOB_NOT_FOUND: 404,
+  JOB_NOT_DEAD: 409,
+  JOB_QUEUE_UNAVAILABLE: 503
+};
+
+/**
+ * Send an error response with the status matching its code
+ * @param {Object} res - Express response
+ * @param {Error} err - The error
+ */
+function sendError(res, err) {
+  res.status(ERROR_STATUS[err.code] || 500).json({
+    success: false,
+    error: err.message
+  });
+}
+
+// Jobs hold group members' messages, so require the admin key
+router.use('/ingestion', requireAdminKey);
+
+// List ingestion jobs, optionally filtered by status (e.g. ?status=dead for the dead-letter list)
+router.get('/ingestion/jobs', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !Object.values(JOB_STATES).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${Object.values(JOB_STATES).join(', ')}`
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const jobs = await ingestionQueue.listJobs({ status, limit });
+
+    res.json({
+      success: true,
+      jobs
+    });
+  } catch (err) {
+    console.error('Error fetching ingestion jobs:', err);
+    sendError(res, err);
+  }
+});
+
+// Get an ingestion job with its failures
+router.get('/ingestion/jobs/:id', async (req, res) => {
+  try {
+    const job = await ingestionQueue.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+  } catch (err) {
+    console.error('Error fetching ingestion job:', err);
+    sendError(res, err);
+  }
+});
+
+// Re-run a dead-lettered job from the stage it failed in
+router.post('/ingestion/jobs/:id/retry', async (req, res) => {
+  try {
+    const job = await ingestionQueue.retryJob(req.params.id);
+
+    res.json({
+      success: true,
+      message: `Job re-queued in stage ${job.stage}`,
+      job
+    });
+  } catch (err) {
+    console.error('Error re-running ingestion job:', err);
+    sendError(res, err);
+  }
+});
+
+// Re-run every dead-lettered job
+router.post('/ingestion/dead/retry', async (req, res) => {
+  try {
+    const dead = await ingestionQueue.listJobs({ status: JOB_STATES.DEAD, limit: 500 });
+    for (const job of dead) {
+      await ingestionQueue.retryJob(job.id);
+    }
+
+    res.json({
+      success: true,
+      message: `${dead.length} job(s) re-queued`
+    });
+  } catch (err) {
+    console.error('Error re-running dead-lettered ingestion jobs:', err);
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+/**
+ * Listing Management Admin Interface
+ *
+ * This module provides endpoints for admins to see which listings were
+ * reposted or cross-posted, and the group posts each one was merged from.
+ */
+
+const express = require('express');
+const { requireAdminKey } = require('./require-admin-key');
+const supabase = require('../database/supabase');
+const { listings } = require('../database/schema');
+require('dotenv').config();
+
+const router = express.Router();
+
+// Listings show sellers' phone numbers, so require the admin key
+router.use('/listings', requireAdminKey);
+
+// List the most recently reposted listings with their sources
+router.get('/listings/reposted', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const reposted = await listings.findReposted(supabase, limit);
+
+    res.json({
+      success: true,
+      listings: reposted
+    });
+  } catch (err) {
+    console.error('Error fetching reposted listings:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+// Get a listing with every group post it was merged from
+router.get('/listings/:id/sources', async (req, res) => {
+  try {
+    const listing = await listings.findWithSources(supabase, req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Listing not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      listing
+    });
+  } catch (err) {
+    console.error('Error fetching listing sources:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+/**
+ * Payout Management Admin Interface
+ *
+ * This module provides endpoints for admins to see seller payouts and buyer
+ * refunds that failed and to send them again.
+ */
+
+const express = require('express');
+const { requireAdminKey } = require('./require-admin-key');
+const { listFailedTransfers, retryTransactionTransfers } = require('../payment/payout-retry');
+require('dotenv').config();
+
+const router = express.Router();
+
+// Map payout error codes to HTTP statuses
+const ERROR_STATUS = {
+  TRANSACTION_NOT_FOUND: 404,
+  TRANSFER_INVALID: 400,
+  TRANSFER_NOT_FAILED: 409
+};
+
+/**
+ * Send an error response with the status matching its code
+ * @param {Object} res - Express response
+ * @param {Error} err - The error
+ */
+function sendError(res, err) {
+  res.status(ERROR_STATUS[err.code] || 500).json({
+    success: false,
+    error: err.message
+  });
+}
+
+// Retrying a payout moves money, so require the admin key
+router.use('/payouts', requireAdminKey);
+
+// List transactions whose payout or refund failed or is unconfirmed
+router.get('/payouts/failed', async (req, res) => {
+  try {
+    const { payouts, refunds } = await listFailedTransfers();
+
+    res.json({
+      success: true,
+      payouts,
+      refunds
+    });
+  } catch (err) {
+    console.error('Error fetching failed payouts:', err);
+    sendError(res, err);
+  }
+});
+
+// Send a transaction's failed or unconfirmed payout or refund again: { transfer: 'payout' | 'refund' } (default: both)
+router.post('/payouts/:transactionId/retry', async (req, res) => {
+  try {
+    const transaction = await retryTransactionTransfers(req.params.transactionId, req.body.transfer);
+
+    res.json({
+      success: true,
+      message: 'Transfer retried',
+      transaction
+    });
+  } catch (err) {
+    console.error('Error retrying payout:', err);
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -23,7 +23,8 @@ async function registerGroup(groupId, groupName, category) {
           id: groupId, 
           name: groupName,
           category,
-          description: `Marketplace for ${category}`
+          description: `Marketplace for ${category}`,
+          unregistered_at: null
         }
       ], { 
         onConflict: 'id',
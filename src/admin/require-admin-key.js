@@ -0,0 +1,53 @@
+/**
+ * Admin API Key Check
+ *
+ * Express middleware guarding the admin endpoints: requests must carry the
+ * `x-admin-key` header matching ADMIN_API_KEY. It fails closed, so without a
+ * configured key every admin request is refused.
+ */
+
+const crypto = require('crypto');
+require('dotenv').config();
+
+/**
+ * Check whether a request carries the admin key
+ * @param {Object} req - Express request
+ * @param {string} adminKey - The configured admin key
+ * @returns {boolean} True if the request's x-admin-key matches
+ */
+function hasAdminKey(req, adminKey) {
+  const given = Buffer.from(String(req.get('x-admin-key') || ''));
+  const expected = Buffer.from(adminKey);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Only let requests with the admin key through
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next handler
+ */
+function requireAdminKey(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    console.error('ADMIN_API_KEY is not set; refusing admin request to', req.originalUrl);
+    return res.status(503).json({
+      success: false,
+      error: 'The admin API is disabled until ADMIN_API_KEY is configured'
+    });
+  }
+
+  if (!hasAdminKey(req, adminKey)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin key'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdminKey
+};
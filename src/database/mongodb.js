@@ -24,8 +24,27 @@ async function connectToMongoDB() {
   }
 }
 
-// Export the connection function and mongoose instance
+let connection = null;
+
+// Connect once, however many modules (session store, job queue) use the connection
+async function ensureMongoConnection() {
+  if (mongoose.connection.readyState === 1) return true;
+
+  // Someone else (e.g. the group bot's session manager) is already connecting
+  if (mongoose.connection.readyState === 2) {
+    await mongoose.connection.asPromise();
+    return true;
+  }
+
+  connection = connection || connectToMongoDB();
+  const connected = await connection;
+  if (!connected) connection = null;
+  return connected;
+}
+
+// Export the connection functions and mongoose instance
 module.exports = {
   connectToMongoDB,
+  ensureMongoConnection,
   mongoose
 };
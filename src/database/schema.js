@@ -21,6 +21,9 @@
  *   is_seller boolean default false
  * );
  * 
+ * -- Language the user chose with !lang (en, fr or pcm); unset means guess from their messages
+ * alter table public.users add column language text;
+ * 
  * -- Groups Table
  * create table public.groups (
  *   id uuid default uuid_generate_v4() primary key,
@@ -32,6 +35,21 @@
  *   category text
  * );
  * 
+ * -- Who registered a group through the search bot, and the invite link the group bot joined it with
+ * alter table public.groups add column admin_phone text;
+ * alter table public.groups add column invite_code text;
+ * create index groups_invite_code_idx on public.groups (invite_code);
+ * 
+ * -- Set when a group admin pauses monitoring (!pause); the group's new posts aren't listed until !resume
+ * alter table public.groups add column paused boolean default false;
+ * 
+ * -- Set when a group is unregistered; the row stays because its listings still reference it
+ * alter table public.groups add column unregistered_at timestamp with time zone;
+ * 
+ * -- One-off: groups registered before the bot joined them got made-up invite_<code> IDs and were never
+ * -- monitored; their admins need to register them again
+ * delete from public.groups where id like 'invite\_%';
+ * 
  * -- Listings Table
  * create table public.listings (
  *   id uuid default uuid_generate_v4() primary key,
@@ -51,13 +69,170 @@
  *   views integer default 0
  * );
  * 
- * -- Images Table
- * create table public.images (
+ * -- Listing search (used by listings.search; query terms come from search-query.js)
+ * create extension if not exists unaccent;
+ * create extension if not exists pg_trgm;
+ * 
+ * -- unaccent() isn't immutable, so it can't be used in a generated column directly
+ * create or replace function public.f_unaccent(text) returns text as $$
+ *   select public.unaccent('public.unaccent', $1)
+ * $$ language sql immutable parallel safe;
+ * 
+ * -- Title and category weigh more than the description; both French and English stems are indexed
+ * alter table public.listings add column search_vector tsvector generated always as (
+ *   setweight(to_tsvector('english', public.f_unaccent(coalesce(title, ''))), 'A') ||
+ *   setweight(to_tsvector('french', public.f_unaccent(coalesce(title, ''))), 'A') ||
+ *   setweight(to_tsvector('simple', public.f_unaccent(coalesce(category, ''))), 'B') ||
+ *   setweight(to_tsvector('english', public.f_unaccent(coalesce(description, ''))), 'C') ||
+ *   setweight(to_tsvector('french', public.f_unaccent(coalesce(description, ''))), 'C')
+ * ) stored;
+ * create index listings_search_vector_idx on public.listings using gin (search_vector);
+ * create index listings_title_trgm_idx on public.listings using gin (public.f_unaccent(lower(title)) gin_trgm_ops);
+ * 
+ * -- Listing coordinates, geocoded from the location text on ingest (see gazetteer.js)
+ * alter table public.listings add column latitude double precision;
+ * alter table public.listings add column longitude double precision;
+ * alter table public.listings add column place text; -- e.g. "Bonamoussadi, Douala"
+ * create index listings_coordinates_idx on public.listings (latitude, longitude);
+ * 
+ * -- Group message a listing was posted in (serialized WhatsApp message ID); a catalogue-style
+ * -- post becomes several listings that share it
+ * alter table public.listings add column source_message_id text;
+ * create index listings_source_message_idx on public.listings (source_message_id);
+ * 
+ * -- Listing lifecycle: active, then sold (the seller said so), withdrawn (the post was deleted or
+ * -- no longer offers the product) or expired (no activity for LISTING_TTL_DAYS); see listing-lifecycle.js
+ * alter table public.listings add column last_activity_at timestamp with time zone default now();
+ * alter table public.listings add column closed_at timestamp with time zone;
+ * create index listings_expiry_idx on public.listings (status, last_activity_at);
+ * 
+ * -- Great-circle distance in km
+ * create or replace function public.distance_km(lat1 double precision, lng1 double precision, lat2 double precision, lng2 double precision)
+ * returns double precision as $$
+ *   select 2 * 6371 * asin(sqrt(
+ *     power(sin(radians(lat2 - lat1) / 2), 2) +
+ *     cos(radians(lat1)) * cos(radians(lat2)) * power(sin(radians(lng2 - lng1) / 2), 2)
+ *   ))
+ * $$ language sql immutable parallel safe;
+ * 
+ * -- Returns matching active listing IDs ranked by relevance, freshness, seller rating and boost,
+ * -- unless an explicit sort (price_asc, price_desc, newest, distance) is requested.
+ * -- p_tsquery is built from sanitised words only; p_text is the normalised query for typo matching.
+ * -- With p_latitude/p_longitude, listings must be within p_radius_km; listings that couldn't be
+ * -- geocoded fall back to matching p_location as text.
+ * drop function if exists public.search_listings(text, text, text, text, numeric, numeric, integer, integer, text);
+ * create or replace function public.search_listings(
+ *   p_tsquery text default null,
+ *   p_text text default null,
+ *   p_category text default null,
+ *   p_location text default null,
+ *   p_min_price numeric default null,
+ *   p_max_price numeric default null,
+ *   p_limit integer default 10,
+ *   p_offset integer default 0,
+ *   p_sort text default null,
+ *   p_latitude double precision default null,
+ *   p_longitude double precision default null,
+ *   p_radius_km double precision default 10
+ * ) returns table (id uuid, score double precision, distance_km double precision) as $$
+ *   with q as (
+ *     select case when p_tsquery is null then null
+ *                 else to_tsquery('english', p_tsquery) || to_tsquery('french', p_tsquery) end as query
+ *   )
+ *   select l.id,
+ *     -- relevance: full-text rank, or trigram similarity for typos
+ *     coalesce(ts_rank_cd(l.search_vector, q.query), 0) * 2
+ *       + coalesce(word_similarity(p_text, public.f_unaccent(lower(l.title))), 0)
+ *     -- freshness: halves every 14 days since the listing was last posted (reposts bump it)
+ *       + 0.5 * power(0.5, extract(epoch from now() - coalesce(l.last_activity_at, l.created_at)) / 86400 / 14)
+ *     -- seller reputation, trusted once the seller has a few ratings
+ *       + 0.3 * (coalesce(u.rating, 0) / 5) * least(coalesce(u.total_ratings, 0), 5) / 5
+ *     -- active boosts, by package priority
+ *       + case when l.is_boosted and (l.boost_expires_at is null or l.boost_expires_at > now())
+ *              then 0.5 + 0.25 * coalesce(b.priority_level, 0) else 0 end
+ *     as score,
+ *     d.km as distance_km
+ *   from public.listings l
+ *   cross join q
+ *   cross join lateral (
+ *     select case when p_latitude is null or l.latitude is null then null
+ *                 else public.distance_km(p_latitude, p_longitude, l.latitude, l.longitude) end as km
+ *   ) d
+ *   left join public.users u on u.id = l.seller_id
+ *   left join lateral (
+ *     select max(p.priority_level) as priority_level
+ *     from public.listing_boosts lb
+ *     join public.boosting_packages p on p.id = lb.package_id
+ *     where lb.listing_id = l.id and lb.status = 'active' and lb.end_date > now()
+ *   ) b on true
+ *   where l.status = 'active'
+ *     and (q.query is null
+ *          or l.search_vector @@ q.query
+ *          or word_similarity(p_text, public.f_unaccent(lower(l.title))) > 0.4)
+ *     and (p_category is null or public.f_unaccent(lower(l.category)) = public.f_unaccent(lower(p_category)))
+ *     and (case
+ *            when p_latitude is not null and d.km is not null then d.km <= p_radius_km
+ *            when p_location is not null then position(public.f_unaccent(lower(p_location)) in public.f_unaccent(lower(coalesce(l.location, '')))) > 0
+ *            else p_latitude is null
+ *          end)
+ *     and (p_min_price is null or l.price >= p_min_price)
+ *     and (p_max_price is null or l.price <= p_max_price)
+ *   order by
+ *     case when p_sort = 'price_asc' then l.price end asc,
+ *     case when p_sort = 'price_desc' then l.price end desc,
+ *     case when p_sort = 'newest' then coalesce(l.last_activity_at, l.created_at) end desc,
+ *     case when p_sort = 'distance' then d.km end asc nulls last,
+ *     score desc,
+ *     l.created_at desc,
+ *     l.id
+ *   limit p_limit
+ *   offset p_offset
+ * $$ language sql stable;
+ * 
+ * -- Listing Media Table (photos and videos; files live in the listing-images bucket under <listing_id>/)
+ * create table public.listing_media (
  *   id uuid default uuid_generate_v4() primary key,
- *   listing_id uuid references public.listings(id) not null,
- *   image_url text not null,
+ *   listing_id uuid references public.listings(id) on delete cascade not null,
+ *   media_url text not null,
+ *   media_type text not null check (media_type in ('image', 'video')),
+ *   mime_type text,
+ *   position integer default 0,
  *   created_at timestamp with time zone default now()
  * );
+ * create index listing_media_listing_idx on public.listing_media (listing_id, position);
+ * 
+ * -- Perceptual (difference) hash of listing photos, used to spot reposts (see listing-dedupe.js)
+ * alter table public.listing_media add column phash text;
+ * 
+ * -- Listing Sources Table (every group post offering a listing: the first post and any reposts merged into it)
+ * create table public.listing_sources (
+ *   id uuid default uuid_generate_v4() primary key,
+ *   listing_id uuid references public.listings(id) on delete cascade not null,
+ *   group_id uuid references public.groups(id),
+ *   message_id text not null,
+ *   posted_at timestamp with time zone default now(),
+ *   removed_at timestamp with time zone -- set when the seller deletes the post
+ * );
+ * create index listing_sources_listing_idx on public.listing_sources (listing_id, posted_at);
+ * create index listing_sources_message_idx on public.listing_sources (message_id);
+ * alter table public.listings add column repost_count integer default 0;
+ * 
+ * -- One-off: record the posts existing listings came from
+ * insert into public.listing_sources (listing_id, group_id, message_id, posted_at)
+ *   select id, group_id, source_message_id, created_at from public.listings where source_message_id is not null;
+ * 
+ * -- Replaces the images table and listings.media_urls, where the group bot used to store
+ * -- uploaded media (file names end in the mime subtype, so videos can be told apart)
+ * insert into public.listing_media (listing_id, media_url, media_type, position, created_at)
+ *   select l.id, m.url,
+ *     case when m.url ~* '\.(mp4|3gpp|quicktime|webm|mpeg)$' then 'video' else 'image' end,
+ *     m.ord - 1, l.created_at
+ *   from public.listings l, unnest(l.media_urls) with ordinality as m(url, ord)
+ *   where l.media_urls is not null;
+ * insert into public.listing_media (listing_id, media_url, media_type, created_at)
+ *   select listing_id, image_url, 'image', created_at from public.images;
+ * drop table public.images;
+ * alter table public.listings drop column if exists media_urls;
  * 
  * -- Transactions Table
  * create table public.transactions (
@@ -73,9 +248,96 @@
  *   escrow_fee decimal(12,2),
  *   payment_provider text,
  *   payment_reference text,
- *   release_date timestamp with time zone
+ *   external_id text unique,
+ *   funded_at timestamp with time zone,
+ *   delivered_at timestamp with time zone,
+ *   auto_release_at timestamp with time zone,
+ *   release_date timestamp with time zone,
+ *   payout_reference text,
+ *   payout_status text,
+ *   refund_amount decimal(12,2),
+ *   refund_reference text,
+ *   refund_status text
  * );
  * 
+ * -- Failed payouts and refunds are retried (see payment/payout-retry.js): what the seller is owed
+ * -- (less than the amount after a split) and how many times each transfer was tried
+ * alter table public.transactions add column payout_amount decimal(12,2);
+ * alter table public.transactions add column payout_attempts integer default 0;
+ * alter table public.transactions add column refund_attempts integer default 0;
+ * 
+ * -- One-off: what split disputes left the seller, for payouts that failed before payout_amount existed
+ * update public.transactions t set payout_amount = d.seller_amount
+ *   from public.disputes d where d.transaction_id = t.id and d.resolution = 'split';
+ * 
+ * -- A retry claims its transfer (status 'retrying') until the claim lapses; a transfer whose outcome
+ * -- Fapshi didn't confirm (timeout, network error, 5xx, lapsed claim) is 'unconfirmed' and left to an admin
+ * alter table public.transactions add column payout_claimed_at timestamp with time zone;
+ * alter table public.transactions add column refund_claimed_at timestamp with time zone;
+ * 
+ * -- Escrow payments that came in short are held for an admin instead of being funded
+ * alter table public.transactions add column payment_flag text;
+ * alter table public.transactions add column amount_received decimal(12,2);
+ * 
+ * -- Transaction History Table (one row per escrow status transition)
+ * create table public.transaction_history (
+ *   id uuid default uuid_generate_v4() primary key,
+ *   transaction_id uuid references public.transactions(id) not null,
+ *   from_status text,
+ *   to_status text not null,
+ *   actor text,
+ *   note text,
+ *   created_at timestamp with time zone default now()
+ * );
+ * 
+ * -- Disputes Table
+ * create table public.disputes (
+ *   id uuid default uuid_generate_v4() primary key,
+ *   transaction_id uuid references public.transactions(id) not null,
+ *   opened_by uuid references public.users(id) not null,
+ *   reason text not null,
+ *   status text default 'open', -- open, submitted, under_review, resolved
+ *   resolution text, -- refund, release, split
+ *   buyer_amount decimal(12,2),
+ *   seller_amount decimal(12,2),
+ *   admin_notes text,
+ *   resolved_by text,
+ *   resolved_at timestamp with time zone,
+ *   created_at timestamp with time zone default now(),
+ *   updated_at timestamp with time zone default now()
+ * );
+ * 
+ * -- Dispute Evidence Table
+ * create table public.dispute_evidence (
+ *   id uuid default uuid_generate_v4() primary key,
+ *   dispute_id uuid references public.disputes(id) not null,
+ *   submitted_by uuid references public.users(id) not null,
+ *   type text not null, -- text, image
+ *   content text,
+ *   media_url text,
+ *   created_at timestamp with time zone default now()
+ * );
+ * 
+ * -- Payment Webhook Events Table (dedupes Fapshi webhook deliveries)
+ * create table public.payment_webhook_events (
+ *   id uuid default uuid_generate_v4() primary key,
+ *   trans_id text not null,
+ *   status text not null,
+ *   external_id text,
+ *   target text,
+ *   payload jsonb,
+ *   processed_at timestamp with time zone,
+ *   created_at timestamp with time zone default now(),
+ *   unique (trans_id, status)
+ * );
+ * 
+ * -- A delivery is claimed before it is processed, so concurrent redeliveries don't both apply it
+ * alter table public.payment_webhook_events add column claimed_at timestamp with time zone;
+ * 
+ * -- Subscriptions and boosts are matched to webhooks by the external ID sent to Fapshi
+ * alter table public.user_subscriptions add column external_id text unique;
+ * alter table public.listing_boosts add column external_id text unique;
+ * 
  * -- Ratings Table
  * create table public.ratings (
  *   id uuid default uuid_generate_v4() primary key,
@@ -84,9 +346,44 @@
  *   comment text,
  *   created_at timestamp with time zone default now(),
  *   from_user_id uuid references public.users(id) not null,
- *   to_user_id uuid references public.users(id) not null
+ *   to_user_id uuid references public.users(id) not null,
+ *   check (rating between 1 and 5),
+ *   unique (transaction_id, from_user_id)
  * );
  * 
+ * -- Stores a rating and recomputes the rated user's reputation in one transaction.
+ * -- Locking the user row first serialises concurrent ratings for the same seller.
+ * create or replace function public.submit_rating(
+ *   p_transaction_id uuid,
+ *   p_from_user_id uuid,
+ *   p_to_user_id uuid,
+ *   p_rating integer,
+ *   p_comment text default null
+ * ) returns public.ratings as $$
+ * declare
+ *   new_rating public.ratings;
+ * begin
+ *   perform 1 from public.users where id = p_to_user_id for update;
+ * 
+ *   insert into public.ratings (transaction_id, from_user_id, to_user_id, rating, comment)
+ *   values (p_transaction_id, p_from_user_id, p_to_user_id, p_rating, p_comment)
+ *   returning * into new_rating;
+ * 
+ *   update public.users set
+ *     rating = coalesce((select round(avg(rating), 2) from public.ratings where to_user_id = p_to_user_id), 0),
+ *     total_ratings = (select count(*) from public.ratings where to_user_id = p_to_user_id),
+ *     updated_at = now()
+ *   where id = p_to_user_id;
+ * 
+ *   return new_rating;
+ * end;
+ * $$ language plpgsql;
+ * 
+ * -- One-off: replace any hand-entered reputation with the stored ratings
+ * update public.users u set
+ *   rating = coalesce((select round(avg(r.rating), 2) from public.ratings r where r.to_user_id = u.id), 0),
+ *   total_ratings = (select count(*) from public.ratings r where r.to_user_id = u.id);
+ * 
  * -- Search Alerts Table
  * create table public.search_alerts (
  *   id uuid default uuid_generate_v4() primary key,
@@ -94,10 +391,26 @@
  *   search_query text not null,
  *   created_at timestamp with time zone default now(),
  *   expires_at timestamp with time zone,
- *   is_active boolean default true
+ *   is_active boolean default true,
+ *   category text,
+ *   location text,
+ *   min_price decimal(12,2),
+ *   max_price decimal(12,2)
+ * );
+ * 
+ * -- Search Alert Matches Table (listings waiting to be sent in the next alert digest)
+ * create table public.search_alert_matches (
+ *   id uuid default uuid_generate_v4() primary key,
+ *   alert_id uuid references public.search_alerts(id) not null,
+ *   listing_id uuid references public.listings(id) not null,
+ *   created_at timestamp with time zone default now(),
+ *   notified_at timestamp with time zone,
+ *   unique (alert_id, listing_id)
  * );
  */
 
+const { buildSearchTerms } = require('./search-query');
+
 // Database models for use in the application
 const models = {
   // User model operations
@@ -147,66 +460,152 @@ const models = {
       return data[0];
     },
     
-    search: async (supabase, query, filters = {}, limit = 10) => {
-      let queryBuilder = supabase
+    search: async (supabase, query, filters = {}, limit = 10, options = {}) => {
+      // Rank matching listings in the database; the search terms are sanitised before they get there
+      const terms = buildSearchTerms(query);
+      const { data: ranked, error: rankError } = await supabase.rpc('search_listings', {
+        p_tsquery: terms ? terms.tsquery : null,
+        p_text: terms ? terms.text : null,
+        p_category: filters.category || null,
+        p_location: filters.location || null,
+        p_min_price: filters.minPrice || null,
+        p_max_price: filters.maxPrice || null,
+        p_limit: limit,
+        p_offset: options.offset || 0,
+        p_sort: options.sortBy || null,
+        p_latitude: filters.near ? filters.near.latitude : null,
+        p_longitude: filters.near ? filters.near.longitude : null,
+        p_radius_km: filters.near ? filters.near.radiusKm : null
+      });
+      
+      if (rankError) throw rankError;
+      if (!ranked || ranked.length === 0) return [];
+      
+      const { data, error } = await supabase
         .from('listings')
         .select(`
           *,
-          seller:seller_id(name, phone_number, rating),
-          images(image_url)
+          seller:seller_id(name, phone_number, rating, total_ratings),
+          media:listing_media(media_url, media_type, mime_type, position)
         `)
-        .eq('status', 'active');
-      
-      // Apply text search if provided
-      if (query) {
-        queryBuilder = queryBuilder.or(`title.ilike.%${query}%, description.ilike.%${query}%`);
-      }
+        .in('id', ranked.map(result => result.id));
       
-      // Apply filters
-      if (filters.category) {
-        queryBuilder = queryBuilder.eq('category', filters.category);
-      }
-      
-      if (filters.location) {
-        queryBuilder = queryBuilder.eq('location', filters.location);
-      }
+      if (error) throw error;
       
-      if (filters.maxPrice) {
-        queryBuilder = queryBuilder.lte('price', filters.maxPrice);
-      }
+      // Keep the ranking order and expose the score and distance
+      const byId = new Map(data.map(listing => [listing.id, listing]));
+      return ranked
+        .filter(result => byId.has(result.id))
+        .map(result => ({ ...byId.get(result.id), score: result.score, distance_km: result.distance_km }));
+    },
+    
+    findById: async (supabase, id) => {
+      const { data, error } = await supabase
+        .from('listings')
+        .select(`
+          *,
+          seller:seller_id(name, phone_number, rating, total_ratings),
+          media:listing_media(media_url, media_type, mime_type, position)
+        `)
+        .eq('id', id)
+        .single();
       
-      if (filters.minPrice) {
-        queryBuilder = queryBuilder.gte('price', filters.minPrice);
-      }
+      if (error) throw error;
+      return data;
+    },
+    
+    incrementViews: async (supabase, id) => {
+      const { data, error } = await supabase.rpc('increment_listing_views', { listing_id: id });
       
-      // Order by boosted first, then by date
-      queryBuilder = queryBuilder.order('is_boosted', { ascending: false })
-                                .order('created_at', { ascending: false })
-                                .limit(limit);
+      if (error) throw error;
+      return data;
+    },
+    
+    findBySourceMessage: async (supabase, messageId) => {
+      const { data, error } = await supabase
+        .from('listings')
+        .select('*, media:listing_media(media_url, media_type, mime_type, position, phash)')
+        .eq('source_message_id', messageId)
+        .order('created_at', { ascending: true });
       
-      const { data, error } = await queryBuilder;
+      if (error) throw error;
+      return data;
+    },
+    
+    findActiveBySeller: async (supabase, sellerId) => {
+      const { data, error } = await supabase
+        .from('listings')
+        .select('*, media:listing_media(media_url, media_type, mime_type, position, phash)')
+        .eq('seller_id', sellerId)
+        .eq('status', 'active');
       
       if (error) throw error;
       return data;
     },
     
-    findById: async (supabase, id) => {
+    findWithSources: async (supabase, id) => {
       const { data, error } = await supabase
         .from('listings')
         .select(`
           *,
-          seller:seller_id(name, phone_number, rating),
-          images(image_url)
+          seller:seller_id(name, phone_number),
+          sources:listing_sources(group_id, message_id, posted_at, removed_at, group:group_id(name))
         `)
         .eq('id', id)
-        .single();
+        .maybeSingle();
       
       if (error) throw error;
       return data;
     },
     
-    incrementViews: async (supabase, id) => {
-      const { data, error } = await supabase.rpc('increment_listing_views', { listing_id: id });
+    findReposted: async (supabase, limit = 50) => {
+      const { data, error } = await supabase
+        .from('listings')
+        .select(`
+          *,
+          seller:seller_id(name, phone_number),
+          sources:listing_sources(group_id, message_id, posted_at, removed_at, group:group_id(name))
+        `)
+        .gt('repost_count', 0)
+        .order('last_activity_at', { ascending: false })
+        .limit(limit);
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    findActiveBySellerInGroup: async (supabase, sellerId, groupId) => {
+      const { data, error } = await supabase
+        .from('listings')
+        .select('*')
+        .eq('seller_id', sellerId)
+        .eq('group_id', groupId)
+        .eq('status', 'active')
+        .order('created_at', { ascending: false });
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    update: async (supabase, id, updates) => {
+      const { data, error } = await supabase
+        .from('listings')
+        .update({ ...updates, updated_at: new Date() })
+        .eq('id', id)
+        .select();
+      
+      if (error) throw error;
+      return data[0];
+    },
+    
+    expireInactive: async (supabase, before) => {
+      const now = new Date();
+      const { data, error } = await supabase
+        .from('listings')
+        .update({ status: 'expired', closed_at: now, updated_at: now })
+        .eq('status', 'active')
+        .lt('last_activity_at', before.toISOString())
+        .select();
       
       if (error) throw error;
       return data;
@@ -225,6 +624,59 @@ const models = {
       return data[0];
     },
     
+    findById: async (supabase, id) => {
+      const { data, error } = await supabase
+        .from('transactions')
+        .select(`
+          *,
+          listing:listing_id(id, title, price, currency),
+          buyer:buyer_id(name, phone_number),
+          seller:seller_id(name, phone_number)
+        `)
+        .eq('id', id)
+        .single();
+      
+      if (error && error.code !== 'PGRST116') throw error;
+      return data;
+    },
+    
+    findByExternalId: async (supabase, externalId) => {
+      const { data, error } = await supabase
+        .from('transactions')
+        .select('*')
+        .eq('external_id', externalId)
+        .single();
+      
+      if (error && error.code !== 'PGRST116') throw error;
+      return data;
+    },
+    
+    // Conditional update: only applies if the row is still in `fromStatus`,
+    // so two concurrent transitions cannot both succeed.
+    transition: async (supabase, id, fromStatus, updates) => {
+      const { data, error } = await supabase
+        .from('transactions')
+        .update({ ...updates, updated_at: new Date() })
+        .eq('id', id)
+        .eq('status', fromStatus)
+        .select();
+      
+      if (error) throw error;
+      return data[0] || null;
+    },
+    
+    findDueForRelease: async (supabase, statuses, now = new Date()) => {
+      const { data, error } = await supabase
+        .from('transactions')
+        .select('*')
+        .in('status', statuses)
+        .lte('auto_release_at', now.toISOString())
+        .order('auto_release_at', { ascending: true });
+      
+      if (error) throw error;
+      return data;
+    },
+    
     updateStatus: async (supabase, id, status) => {
       const { data, error } = await supabase
         .from('transactions')
@@ -236,6 +688,59 @@ const models = {
       return data[0];
     },
     
+    // Transactions whose seller payout or buyer refund failed and can still be retried
+    // (`transfer` is 'payout' or 'refund')
+    findFailedTransfers: async (supabase, transfer, maxAttempts = null, statuses = ['failed']) => {
+      let query = supabase
+        .from('transactions')
+        .select(`
+          *,
+          listing:listing_id(id, title, price, currency),
+          buyer:buyer_id(name, phone_number),
+          seller:seller_id(name, phone_number)
+        `)
+        .in(`${transfer}_status`, statuses);
+      
+      if (maxAttempts) query = query.lt(`${transfer}_attempts`, maxAttempts);
+      
+      const { data, error } = await query.order('updated_at', { ascending: true });
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // Conditional update: claims a failed payout or refund for a retry, so two
+    // workers (or an admin and the sweep) can't both send it
+    claimFailedTransfer: async (supabase, id, transfer, statuses = ['failed']) => {
+      const { data, error } = await supabase
+        .from('transactions')
+        .update({
+          [`${transfer}_status`]: 'retrying',
+          [`${transfer}_claimed_at`]: new Date(),
+          updated_at: new Date()
+        })
+        .eq('id', id)
+        .in(`${transfer}_status`, statuses)
+        .select();
+      
+      if (error) throw error;
+      return data[0] || null;
+    },
+    
+    // Retries whose claim lapsed (the worker died or never recorded an outcome) can't
+    // be told apart from sent transfers, so they're marked unconfirmed for an admin
+    releaseLapsedTransfers: async (supabase, transfer, lapsedBefore) => {
+      const { data, error } = await supabase
+        .from('transactions')
+        .update({ [`${transfer}_status`]: 'unconfirmed', updated_at: new Date() })
+        .eq(`${transfer}_status`, 'retrying')
+        .lt(`${transfer}_claimed_at`, lapsedBefore.toISOString())
+        .select();
+      
+      if (error) throw error;
+      return data;
+    },
+    
     findByUser: async (supabase, userId, role = 'buyer') => {
       const column = role === 'seller' ? 'seller_id' : 'buyer_id';
       
@@ -255,6 +760,270 @@ const models = {
     }
   },
   
+  // Transaction history (escrow audit trail) operations
+  transactionHistory: {
+    create: async (supabase, historyData) => {
+      const { data, error } = await supabase
+        .from('transaction_history')
+        .insert([historyData])
+        .select();
+      
+      if (error) throw error;
+      return data[0];
+    },
+    
+    findByTransaction: async (supabase, transactionId) => {
+      const { data, error } = await supabase
+        .from('transaction_history')
+        .select('*')
+        .eq('transaction_id', transactionId)
+        .order('created_at', { ascending: true });
+      
+      if (error) throw error;
+      return data;
+    }
+  },
+  
+  // Dispute model operations
+  disputes: {
+    create: async (supabase, disputeData) => {
+      const { data, error } = await supabase
+        .from('disputes')
+        .insert([disputeData])
+        .select();
+      
+      if (error) throw error;
+      return data[0];
+    },
+    
+    findById: async (supabase, id) => {
+      const { data, error } = await supabase
+        .from('disputes')
+        .select(`
+          *,
+          evidence:dispute_evidence(*)
+        `)
+        .eq('id', id)
+        .single();
+      
+      if (error && error.code !== 'PGRST116') throw error;
+      return data;
+    },
+    
+    findOpenByTransaction: async (supabase, transactionId) => {
+      const { data, error } = await supabase
+        .from('disputes')
+        .select('*')
+        .eq('transaction_id', transactionId)
+        .neq('status', 'resolved')
+        .limit(1);
+      
+      if (error) throw error;
+      return data[0] || null;
+    },
+    
+    list: async (supabase, status = null, limit = 50) => {
+      let queryBuilder = supabase
+        .from('disputes')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      
+      if (status) {
+        queryBuilder = queryBuilder.eq('status', status);
+      }
+      
+      const { data, error } = await queryBuilder;
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    update: async (supabase, id, updates) => {
+      const { data, error } = await supabase
+        .from('disputes')
+        .update({ ...updates, updated_at: new Date() })
+        .eq('id', id)
+        .select();
+      
+      if (error) throw error;
+      return data[0];
+    }
+  },
+  
+  // Dispute evidence operations
+  disputeEvidence: {
+    create: async (supabase, evidenceData) => {
+      const { data, error } = await supabase
+        .from('dispute_evidence')
+        .insert([evidenceData])
+        .select();
+      
+      if (error) throw error;
+      return data[0];
+    }
+  },
+  
+  // Listing media operations
+  listingMedia: {
+    create: async (supabase, mediaData) => {
+      const { data, error } = await supabase
+        .from('listing_media')
+        .insert([mediaData])
+        .select();
+      
+      if (error) throw error;
+      return data[0];
+    }
+  },
+  
+  // Listing source operations (the group posts a listing was merged from)
+  listingSources: {
+    create: async (supabase, sourceData) => {
+      const { data, error } = await supabase
+        .from('listing_sources')
+        .insert([sourceData])
+        .select();
+      
+      if (error) throw error;
+      return data[0];
+    },
+    
+    findByMessage: async (supabase, messageId) => {
+      const { data, error } = await supabase
+        .from('listing_sources')
+        .select('*, listing:listing_id(*, media:listing_media(media_url, media_type, mime_type, position, phash))')
+        .eq('message_id', messageId);
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    findByListing: async (supabase, listingId) => {
+      const { data, error } = await supabase
+        .from('listing_sources')
+        .select('*')
+        .eq('listing_id', listingId)
+        .order('posted_at', { ascending: true });
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    markRemoved: async (supabase, listingId, messageId) => {
+      const { data, error } = await supabase
+        .from('listing_sources')
+        .update({ removed_at: new Date() })
+        .eq('listing_id', listingId)
+        .eq('message_id', messageId)
+        .select();
+      
+      if (error) throw error;
+      return data;
+    }
+  },
+  
+  // Search alert operations
+  searchAlerts: {
+    create: async (supabase, alertData) => {
+      const { data, error } = await supabase
+        .from('search_alerts')
+        .insert([alertData])
+        .select();
+      
+      if (error) throw error;
+      return data[0];
+    },
+    
+    findActiveByUser: async (supabase, userId) => {
+      const { data, error } = await supabase
+        .from('search_alerts')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('is_active', true)
+        .gt('expires_at', new Date().toISOString())
+        .order('created_at', { ascending: true });
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    findActive: async (supabase) => {
+      const { data, error } = await supabase
+        .from('search_alerts')
+        .select('*')
+        .eq('is_active', true)
+        .gt('expires_at', new Date().toISOString());
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // Deactivate alerts whose expiry has passed, returning them with their owner
+    expire: async (supabase, now = new Date()) => {
+      const { data, error } = await supabase
+        .from('search_alerts')
+        .update({ is_active: false })
+        .eq('is_active', true)
+        .lte('expires_at', now.toISOString())
+        .select('*, user:user_id(phone_number)');
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    deactivate: async (supabase, ids) => {
+      const { data, error } = await supabase
+        .from('search_alerts')
+        .update({ is_active: false })
+        .in('id', ids)
+        .select();
+      
+      if (error) throw error;
+      return data;
+    }
+  },
+  
+  // Search alert match operations
+  searchAlertMatches: {
+    // Returns null if the listing was already matched to this alert
+    create: async (supabase, matchData) => {
+      const { data, error } = await supabase
+        .from('search_alert_matches')
+        .insert([matchData])
+        .select();
+      
+      if (error && error.code === '23505') return null;
+      if (error) throw error;
+      return data[0];
+    },
+    
+    findPending: async (supabase, limit = 500) => {
+      const { data, error } = await supabase
+        .from('search_alert_matches')
+        .select(`
+          *,
+          alert:alert_id(id, search_query, is_active, user:user_id(phone_number)),
+          listing:listing_id(id, title, price, currency, location, status)
+        `)
+        .is('notified_at', null)
+        .order('created_at', { ascending: true })
+        .limit(limit);
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    markNotified: async (supabase, ids) => {
+      const { error } = await supabase
+        .from('search_alert_matches')
+        .update({ notified_at: new Date() })
+        .in('id', ids);
+      
+      if (error) throw error;
+    }
+  },
+  
   // Rating model operations
   ratings: {
     create: async (supabase, ratingData) => {
@@ -267,15 +1036,45 @@ const models = {
       return data[0];
     },
     
-    findByTransaction: async (supabase, transactionId) => {
-      const { data, error } = await supabase
+    findByTransaction: async (supabase, transactionId, fromUserId = null) => {
+      let queryBuilder = supabase
         .from('ratings')
         .select('*')
-        .eq('transaction_id', transactionId)
-        .single();
+        .eq('transaction_id', transactionId);
       
-      if (error && error.code !== 'PGRST116') throw error;
+      if (fromUserId) {
+        queryBuilder = queryBuilder.eq('from_user_id', fromUserId);
+      }
+      
+      const { data, error } = await queryBuilder.limit(1);
+      
+      if (error) throw error;
+      return data[0] || null;
+    },
+    
+    // Insert a rating and update the rated user's aggregate atomically (see submit_rating above)
+    submit: async (supabase, ratingData) => {
+      const { data, error } = await supabase.rpc('submit_rating', {
+        p_transaction_id: ratingData.transaction_id,
+        p_from_user_id: ratingData.from_user_id,
+        p_to_user_id: ratingData.to_user_id,
+        p_rating: ratingData.rating,
+        p_comment: ratingData.comment || null
+      });
+      
+      if (error) throw error;
       return data;
+    },
+    
+    update: async (supabase, id, updates) => {
+      const { data, error } = await supabase
+        .from('ratings')
+        .update(updates)
+        .eq('id', id)
+        .select();
+      
+      if (error) throw error;
+      return data[0];
     }
   }
 };
@@ -0,0 +1,111 @@
+/**
+ * Listing Search Query Builder
+ *
+ * This module turns free text typed by users into a safe Postgres full-text
+ * query for the `search_listings` function (see schema.js). Input is reduced
+ * to plain accent-free words, so nothing the user types can change the
+ * structure of the query, and each word is expanded with its French and
+ * English synonyms.
+ */
+
+// Groups of interchangeable words, in French and English (accents removed)
+const SYNONYM_GROUPS = [
+  ['phone', 'telephone', 'smartphone', 'mobile', 'portable', 'cellphone'],
+  ['laptop', 'ordinateur', 'computer', 'pc', 'notebook', 'macbook'],
+  ['tv', 'television', 'televiseur'],
+  ['fridge', 'refrigerator', 'frigo', 'refrigerateur', 'freezer', 'congelateur'],
+  ['car', 'voiture', 'vehicle', 'vehicule'],
+  ['motorbike', 'motorcycle', 'moto', 'bike'],
+  ['shoe', 'shoes', 'chaussure', 'chaussures', 'sneakers', 'baskets'],
+  ['dress', 'robe'],
+  ['shirt', 'chemise', 'tshirt'],
+  ['trousers', 'pants', 'pantalon', 'jeans'],
+  ['bag', 'sac', 'handbag'],
+  ['watch', 'montre'],
+  ['house', 'maison', 'home', 'villa'],
+  ['apartment', 'appartement', 'flat', 'studio'],
+  ['land', 'terrain', 'plot'],
+  ['room', 'chambre'],
+  ['bed', 'lit', 'mattress', 'matelas'],
+  ['chair', 'chaise', 'seat'],
+  ['table', 'desk', 'bureau'],
+  ['sofa', 'couch', 'canape', 'fauteuil'],
+  ['generator', 'generateur', 'electrogene'],
+  ['charger', 'chargeur'],
+  ['headphones', 'earphones', 'ecouteurs', 'casque', 'airpods'],
+  ['speaker', 'enceinte', 'hautparleur'],
+  ['cooker', 'gaziniere', 'stove', 'cuisiniere'],
+  ['fan', 'ventilateur'],
+  ['used', 'occasion', 'secondhand'],
+  ['new', 'neuf', 'neuve']
+];
+
+// Words that carry no meaning for search, in French and English
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'for', 'in', 'on', 'at', 'to', 'with', 'my', 'me', 'i',
+  'some', 'any', 'good', 'cheap', 'please',
+  'le', 'la', 'les', 'un', 'une', 'des', 'de', 'du', 'et', 'ou', 'en', 'pour', 'avec', 'au', 'aux'
+]);
+
+// Longest query we turn into search terms
+const MAX_TERMS = 8;
+
+const synonymIndex = new Map();
+for (const group of SYNONYM_GROUPS) {
+  for (const word of group) {
+    synonymIndex.set(word, group);
+  }
+}
+
+/**
+ * Lowercase text and strip accents ("Téléphone" -> "telephone")
+ * @param {string} text - Text to normalise
+ * @returns {string} Normalised text
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Split a search query into safe, meaningful words
+ * @param {string} query - The user's search text
+ * @returns {Array<string>} Words made only of letters and digits
+ */
+function tokenize(query) {
+  return normalizeText(query)
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .slice(0, MAX_TERMS);
+}
+
+/**
+ * Build the search terms for a query
+ * @param {string} query - The user's search text
+ * @returns {Object|null} { tsquery, text } for search_listings, or null if nothing is searchable.
+ *   `tsquery` ANDs each word (OR'd with its synonyms, as prefixes); `text` is the
+ *   normalised query used for typo-tolerant similarity matching.
+ */
+function buildSearchTerms(query) {
+  const words = tokenize(query);
+  if (words.length === 0) return null;
+
+  const clauses = words.map(word => {
+    const alternatives = synonymIndex.get(word) || [word];
+    const unique = [...new Set([word, ...alternatives])];
+    return `(${unique.map(alternative => `${alternative}:*`).join(' | ')})`;
+  });
+
+  return {
+    tsquery: clauses.join(' & '),
+    text: words.join(' ')
+  };
+}
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  buildSearchTerms
+};
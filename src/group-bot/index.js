@@ -2,8 +2,31 @@ const { Client, RemoteAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
 const express = require('express');
 const supabase = require('../database/supabase');
-const { users, listings } = require('../database/schema');
+const { users, listings, listingSources } = require('../database/schema');
 const listingParser = require('./listing-parser');
+const { matchListingToAlerts } = require('../services/search-alerts');
+const { storeListingMedia, shareListingMedia } = require('../services/media-storage');
+const { geocodeListingLocation } = require('../services/gazetteer');
+const {
+  isSoldMessage,
+  applyListingEdit,
+  withdrawListingsForMessage,
+  markListingsSoldFromFollowUp
+} = require('../services/listing-lifecycle');
+const {
+  computeImageHash,
+  findDuplicateListing,
+  recordListingSource,
+  mergeRepost
+} = require('../services/listing-dedupe');
+const { createPostBuffer, groupMessagesIntoPosts } = require('./post-buffer');
+const {
+  INGESTION_STAGES,
+  INGESTION_CONCURRENCY,
+  ingestionQueue,
+  backfillQueue
+} = require('../services/ingestion-queue');
+const { JOB_STATES } = require('../services/job-queue');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
@@ -38,6 +61,21 @@ const USE_OPENROUTER = process.env.USE_OPENROUTER === 'true' && openRouterAgent;
 // Configuration for message filtering
 const ONLY_PROCESS_OWN_MESSAGES = process.env.ONLY_PROCESS_OWN_MESSAGES === 'true';
 
+// How far back to read a newly registered group's history (default: 14 days, at most 500 messages)
+const BACKFILL_MAX_AGE_DAYS = parseInt(process.env.BACKFILL_MAX_AGE_DAYS || '14', 10);
+const BACKFILL_MAX_MESSAGES = parseInt(process.env.BACKFILL_MAX_MESSAGES || '500', 10);
+
+// Messages fetched per page of history, and the pause between pages and between queued posts
+const BACKFILL_PAGE_SIZE = 50;
+const BACKFILL_DELAY_MS = parseInt(process.env.BACKFILL_DELAY_MS || '1000', 10);
+
+const BACKFILL_STAGE = 'history';
+
+// How long an edit, deletion or "sold" follow-up waits for its post to be ingested, between checks
+// (default 30 seconds, up to 60 times), before it is applied regardless
+const FOLLOW_UP_WAIT_MS = parseInt(process.env.FOLLOW_UP_WAIT_MS || '30000', 10);
+const FOLLOW_UP_MAX_WAITS = 60;
+
 // Store the latest pairing code and authentication status
 let latestPairingCode = null;
 let isAuthenticated = false;
@@ -111,11 +149,46 @@ function setupEventHandlers() {
     console.log('Message created by bot account:', message.body);
     onMessage(message);
   });
+  
+  // Keep listings in step with edited and deleted posts
+  client.on('message_edit', onMessageEdit);
+  client.on('message_revoke_everyone', onMessageRevoke);
 }
 
 // Track groups we're monitoring
 const monitoredGroups = new Set();
 
+// Monitored groups whose admins paused monitoring (their new posts aren't listed)
+const pausedGroups = new Set();
+
+// Collect each member's messages into complete posts before creating listings
+const postBuffer = createPostBuffer({ onPost: enqueueGroupPost });
+
+// Message objects of queued posts, by serialized ID
+const liveMessages = new Map();
+const MAX_LIVE_MESSAGES = 500;
+
+// The post (its text's message ID) each message of a queued post belongs to, and each
+// member's latest queued post in a group (`<group ID>:<sender ID>` => message ID), which
+// follow-ups about a photo of the post, or that don't reply to a post, wait for
+const queuedPosts = new Map();
+const latestPosts = new Map();
+
+// Ingest queued posts in two stages, each with its own worker pool; sellers'
+// edits, deletions and "sold" follow-ups go through a third once their post is in
+ingestionQueue.process(INGESTION_STAGES.EXTRACT, extractPostListings, {
+  concurrency: INGESTION_CONCURRENCY[INGESTION_STAGES.EXTRACT]
+});
+ingestionQueue.process(INGESTION_STAGES.STORE, storePostListings, {
+  concurrency: INGESTION_CONCURRENCY[INGESTION_STAGES.STORE]
+});
+ingestionQueue.process(INGESTION_STAGES.FOLLOW_UP, applyPostFollowUp, {
+  concurrency: INGESTION_CONCURRENCY[INGESTION_STAGES.FOLLOW_UP]
+});
+
+// Page through newly registered groups' history, one group at a time
+backfillQueue.process(BACKFILL_STAGE, backfillGroupHistory);
+
 /**
  * Load monitored groups from the database
  */
@@ -124,7 +197,8 @@ async function loadMonitoredGroups() {
     console.log('Loading monitored groups from database...');
     const { data, error } = await supabase
       .from('groups')
-      .select('id, name, category');
+      .select('id, name, category, paused')
+      .is('unregistered_at', null);
     
     if (error) {
       console.error('Error loading monitored groups:', error);
@@ -135,6 +209,7 @@ async function loadMonitoredGroups() {
     if (data && data.length > 0) {
       data.forEach(group => {
         monitoredGroups.add(group.id);
+        if (group.paused) pausedGroups.add(group.id);
         console.log(`Loaded group: ${group.name} (${group.id})`);
       });
       console.log(`Loaded ${data.length} monitored groups`);
@@ -151,17 +226,20 @@ async function loadMonitoredGroups() {
  * @param {string} groupId - The WhatsApp group ID
  * @param {string} groupName - The name of the group
  * @param {string} category - Optional category for the group
+ * @param {Object} details - Other columns to save with the group (e.g. admin_phone, invite_code)
  */
-async function addMonitoredGroup(groupId, groupName, category = null) {
+async function addMonitoredGroup(groupId, groupName, category = null, details = {}) {
   try {
     // Add to database if not exists
     const { data, error } = await supabase
       .from('groups')
       .upsert([
         { 
+          ...details,
           id: groupId, 
           name: groupName,
-          category
+          category,
+          unregistered_at: null
         }
       ], { 
         onConflict: 'id',
@@ -182,8 +260,246 @@ async function addMonitoredGroup(groupId, groupName, category = null) {
   }
 }
 
+/**
+ * Make sure the WhatsApp client is linked and ready
+ * @throws {Error} CLIENT_NOT_READY if it isn't
+ */
+function assertClientReady() {
+  if (!client || !client.info) {
+    const error = new Error('WhatsApp client is not ready');
+    error.code = 'CLIENT_NOT_READY';
+    throw error;
+  }
+}
+
+/**
+ * Make an error for a group invite the bot can't use
+ * @param {string} code - Error code (INVITE_REVOKED)
+ * @param {string} inviteCode - WhatsApp group invite code
+ * @param {Error} cause - The error WhatsApp gave, if any
+ * @returns {Error} The error
+ */
+function inviteError(code, inviteCode, cause) {
+  const error = new Error(`Invite ${inviteCode} was revoked or doesn't exist${cause ? `: ${cause.message}` : ''}`);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Look up the group a WhatsApp invite leads to
+ * @param {string} inviteCode - WhatsApp group invite code
+ * @returns {Promise<Object>} { groupId, name, size } of the group
+ * @throws {Error} CLIENT_NOT_READY if no WhatsApp session is linked, INVITE_REVOKED if the invite can't be used
+ */
+async function getGroupInvite(inviteCode) {
+  assertClientReady();
+  
+  let info;
+  try {
+    info = await client.getInviteInfo(inviteCode);
+  } catch (error) {
+    throw inviteError('INVITE_REVOKED', inviteCode, error);
+  }
+  if (!info || !info.id) throw inviteError('INVITE_REVOKED', inviteCode);
+  
+  return { groupId: info.id._serialized, name: info.subject, size: info.size };
+}
+
+/**
+ * Join a group through its invite link, so its posts can be monitored
+ * @param {string} inviteCode - WhatsApp group invite code
+ * @returns {Promise<Object>} { groupId, name, size, joined } of the group (`joined` is false if the bot was already in it)
+ * @throws {Error} CLIENT_NOT_READY if no WhatsApp session is linked, INVITE_REVOKED if the invite can't be used
+ */
+async function joinGroupByInvite(inviteCode) {
+  const group = await getGroupInvite(inviteCode);
+  
+  try {
+    const joinedId = await client.acceptInvite(inviteCode);
+    if (joinedId) group.groupId = joinedId;
+    group.joined = true;
+  } catch (error) {
+    // WhatsApp turns down an invite to a group the bot is already in
+    const chat = await client.getChatById(group.groupId).catch(() => null);
+    if (!chat || !chat.isGroup) throw inviteError('INVITE_REVOKED', inviteCode, error);
+    group.joined = false;
+  }
+  
+  console.log(`Joined group ${group.name} (${group.groupId}) through invite ${inviteCode}`);
+  return group;
+}
+
+/**
+ * Tell a group it's now monitored as a marketplace
+ * @param {string} groupId - The WhatsApp group ID
+ * @param {string} category - The group's marketplace category
+ * @returns {Promise<void>}
+ */
+async function announceGroupRegistration(groupId, category) {
+  await client.sendMessage(groupId, `✅ This group has been registered as a marketplace for category: *${category}*\n\nThe bot will now monitor messages for product listings.`);
+}
+
+/**
+ * Leave a group (e.g. one the bot joined for someone who turned out not to be its admin)
+ * @param {string} groupId - The WhatsApp group ID
+ * @returns {Promise<void>}
+ */
+async function leaveGroup(groupId) {
+  assertClientReady();
+  const chat = await client.getChatById(groupId);
+  if (chat && chat.isGroup) await chat.leave();
+}
+
+/**
+ * Get the phone number in a WhatsApp ID
+ * @param {string} id - Serialized WhatsApp ID (e.g. 2376XXXXXXXX@c.us) or a phone number
+ * @returns {string} The phone number's digits
+ */
+function toPhoneNumber(id) {
+  return String(id || '').split('@')[0].replace(/\D/g, '');
+}
+
+/**
+ * Check, from a group's participant list, whether a phone number is one of its admins
+ * @param {Object} chat - The WhatsApp group chat
+ * @param {string} phone - Phone number (or WhatsApp ID)
+ * @returns {boolean} True for the group's admins and its creator
+ */
+function isChatAdmin(chat, phone) {
+  const number = toPhoneNumber(phone);
+  if (!number) return false;
+  
+  return (chat.participants || []).some(participant =>
+    toPhoneNumber(participant.id._serialized) === number && (participant.isAdmin || participant.isSuperAdmin)
+  );
+}
+
+/**
+ * Check whether a phone number is an admin of a group the bot is in
+ * @param {string} groupId - The WhatsApp group ID
+ * @param {string} phone - Phone number (or WhatsApp ID)
+ * @returns {Promise<boolean>} True if they're an admin of the group
+ * @throws {Error} CLIENT_NOT_READY if no WhatsApp session is linked
+ */
+async function isGroupAdmin(groupId, phone) {
+  assertClientReady();
+  const chat = await client.getChatById(groupId);
+  return !!chat && chat.isGroup && isChatAdmin(chat, phone);
+}
+
+/**
+ * Change a monitored group's category or pause (or resume) its monitoring
+ * @param {string} groupId - The WhatsApp group ID
+ * @param {Object} changes - What to change
+ * @param {string} changes.category - The group's new category
+ * @param {boolean} changes.paused - Whether its new posts should be ignored
+ * @returns {Promise<Object|null>} The updated group, or null if it isn't registered
+ */
+async function updateMonitoredGroup(groupId, { category, paused }) {
+  const updates = { updated_at: new Date().toISOString() };
+  if (category !== undefined) updates.category = category;
+  if (paused !== undefined) updates.paused = !!paused;
+  
+  const { data, error } = await supabase
+    .from('groups')
+    .update(updates)
+    .eq('id', groupId)
+    .is('unregistered_at', null)
+    .select();
+  
+  if (error) throw error;
+  if (!data || data.length === 0) return null;
+  
+  if (paused !== undefined) {
+    if (paused) pausedGroups.add(groupId);
+    else pausedGroups.delete(groupId);
+  }
+  console.log(`Updated group ${groupId}:`, updates);
+  return data[0];
+}
+
+/**
+ * Check whether a group is monitored
+ * @param {string} groupId - The WhatsApp group ID
+ * @returns {boolean} True if the group is registered (paused or not)
+ */
+function isMonitoredGroup(groupId) {
+  return monitoredGroups.has(groupId);
+}
+
+/**
+ * Stop monitoring a group. The row is kept, flagged as unregistered, since
+ * the group's listings still reference it; registering it again clears the flag.
+ * @param {string} groupId - The WhatsApp group ID
+ * @returns {Promise<void>}
+ */
+async function removeMonitoredGroup(groupId) {
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('groups')
+    .update({ unregistered_at: now, updated_at: now })
+    .eq('id', groupId);
+  
+  if (error) throw error;
+  
+  monitoredGroups.delete(groupId);
+  pausedGroups.delete(groupId);
+  console.log(`Stopped monitoring group ${groupId}`);
+}
+
+/**
+ * Remember a message object while its post is queued, so the workers can use
+ * it without asking WhatsApp for it again
+ * @param {Object} message - The WhatsApp message object
+ */
+function rememberMessage(message) {
+  liveMessages.set(message.id._serialized, message);
+  if (liveMessages.size > MAX_LIVE_MESSAGES) {
+    liveMessages.delete(liveMessages.keys().next().value);
+  }
+}
+
+/**
+ * Get a message of a queued post, from memory or (after a restart) from WhatsApp
+ * @param {string} messageId - Serialized WhatsApp message ID
+ * @returns {Promise<Object>} The WhatsApp message object
+ */
+async function getPostMessage(messageId) {
+  const message = liveMessages.get(messageId) || (client ? await client.getMessageById(messageId) : null);
+  if (!message) {
+    const error = new Error(`Message ${messageId} is not available`);
+    error.code = 'MESSAGE_UNAVAILABLE';
+    throw error;
+  }
+  return message;
+}
+
+/**
+ * Download the photos and videos of a group post
+ * @param {Array<Object>} mediaMessages - The post's photo and video messages
+ * @returns {Promise<Array<Object>>} { buffer, mimeType, hash } per file, in the order they were posted
+ */
+async function downloadPostMedia(mediaMessages) {
+  const downloaded = [];
+  
+  // Keep the photos and videos in the order they were posted
+  const ordered = [...mediaMessages].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  for (const msg of ordered) {
+    // Media WhatsApp no longer has is skipped; a failed download throws so the post is retried
+    const media = await msg.downloadMedia();
+    if (!media) continue;
+    const buffer = Buffer.from(media.data, 'base64');
+    downloaded.push({ buffer, mimeType: media.mimetype, hash: computeImageHash(buffer, media.mimetype) });
+  }
+  
+  return downloaded;
+}
+
 /**
  * Process a message from a monitored group
+ *
+ * Sold follow-ups are queued to close their post's listings; anything else is
+ * buffered with the sender's other messages until their post is complete (see post-buffer.js).
  * @param {Object} message - The WhatsApp message object
  */
 async function processGroupMessage(message) {
@@ -193,146 +509,487 @@ async function processGroupMessage(message) {
       return;
     }
     
-    // Get the chat to access group info
-    const chat = await message.getChat();
+    // Paused groups' new posts aren't listed (edits and deletions still update their listings)
+    if (pausedGroups.has(message.from)) {
+      return;
+    }
     
-    // Process message to check if it contains a product listing
-    const listing = await processMessage(message);
-    if (!listing) return;
+    // A seller's "sold" follow-up closes their listings rather than being a listing itself
+    if (isSoldFollowUp(message)) {
+      await enqueueSoldFollowUp(message);
+      return;
+    }
     
-    console.log(`Potential listing detected in ${chat.name}`);
+    postBuffer.add(message);
+  } catch (err) {
+    console.error('Error processing group message:', err);
+  }
+}
+
+/**
+ * Queue a complete group post (its text or caption and every photo and video
+ * sent with it) for ingestion
+ * @param {Object} post - The post, as collected by the post buffer
+ * @returns {Promise<void>}
+ */
+async function enqueueGroupPost(post) {
+  // Photos without any caption or text don't say what's for sale or at what price
+  if (!post.textMessage) {
+    console.log(`Skipping post of ${post.mediaMessages.length} photo(s) without a caption in ${post.groupId}`);
+    return;
+  }
+  
+  post.messages.forEach(rememberMessage);
+  
+  const messageId = post.textMessage.id._serialized;
+  rememberQueuedPost(post, messageId);
+  const added = await ingestionQueue.enqueue(INGESTION_STAGES.EXTRACT, {
+    groupId: post.groupId,
+    authorId: post.authorId,
+    messageId,
+    mediaMessageIds: post.mediaMessages.map(message => message.id._serialized)
+  }, { id: messageId });
+  
+  if (added) {
+    console.log(`Queued post ${messageId} from ${post.groupId} (${post.mediaMessages.length} media file(s))`);
+  }
+}
+
+/**
+ * Check whether a group post was already ingested (or is queued)
+ * @param {string} messageId - Serialized WhatsApp message ID of the post's text
+ * @returns {Promise<boolean>} True if it has a job or became (or was merged into) a listing
+ */
+async function isPostIngested(messageId) {
+  if (await ingestionQueue.getJob(messageId)) return true;
+  const sources = await listingSources.findByMessage(supabase, messageId);
+  return Boolean(sources && sources.length > 0);
+}
+
+/**
+ * Wait before the next step of a backfill, so it doesn't flood WhatsApp or the ingestion queue
+ * @returns {Promise<void>}
+ */
+function backfillPause() {
+  return new Promise(resolve => setTimeout(resolve, BACKFILL_DELAY_MS));
+}
+
+/**
+ * Backfill job: page through a group's history and queue its past posts for ingestion
+ *
+ * Commands in the history aren't replayed, and sold follow-ups are replayed
+ * after the posts they answer; posts already ingested (e.g. seen live, or by
+ * an earlier backfill) are skipped.
+ * @param {Object} job - The backfill job ({ groupId, maxAgeDays, maxMessages })
+ * @param {Object} context - Job context
+ * @param {Function} context.reportProgress - Save the backfill's progress
+ * @returns {Promise<void>}
+ */
+async function backfillGroupHistory(job, { reportProgress }) {
+  const { groupId, maxAgeDays, maxMessages } = job.payload;
+  assertClientReady();
+  
+  const chat = await client.getChatById(groupId);
+  const cutoff = Math.floor(Date.now() / 1000) - maxAgeDays * 24 * 60 * 60;
+  const progress = { fetched: 0, posts: 0, queued: 0, skipped: 0, soldFollowUps: 0, oldestAt: null, finished: false };
+  
+  // Each page asks for more of the history; stop at the age or count limit, or when there's no more
+  let history = [];
+  for (let limit = BACKFILL_PAGE_SIZE; ; limit += BACKFILL_PAGE_SIZE) {
+    const page = await chat.fetchMessages({ limit: Math.min(limit, maxMessages) });
+    const reachedStart = page.length < Math.min(limit, maxMessages);
+    history = page.filter(message => message.timestamp >= cutoff);
     
-    // Get contact info of sender
-    const contact = await message.getContact();
-    const phoneNumber = contact.number;
-    const name = contact.name || contact.pushname || phoneNumber;
+    progress.fetched = history.length;
+    progress.oldestAt = history.length > 0 ? new Date(Math.min(...history.map(message => message.timestamp)) * 1000) : null;
+    await reportProgress(progress);
     
-    // Create or get user
-    let user = await users.getByPhone(supabase, phoneNumber);
-    if (!user) {
-      user = await users.create(supabase, {
-        phone: phoneNumber,
-        name: name
-      });
+    if (reachedStart || limit >= maxMessages || history.length < page.length) break;
+    await backfillPause();
+  }
+  
+  // Commands aren't replayed; sold follow-ups are told apart from posts the way they are live
+  const messages = history.filter(message => !String(message.body || '').startsWith('!'));
+  const soldFollowUps = messages.filter(isSoldFollowUp);
+  const posts = groupMessagesIntoPosts(messages.filter(message => !soldFollowUps.includes(message)))
+    .filter(post => post.textMessage);
+  progress.posts = posts.length;
+  progress.soldFollowUps = soldFollowUps.length;
+  
+  for (const post of posts) {
+    if (await isPostIngested(post.textMessage.id._serialized)) {
+      progress.skipped++;
+    } else {
+      await enqueueGroupPost(post);
+      progress.queued++;
+      await backfillPause();
+    }
+    await reportProgress(progress);
+  }
+  
+  // Replay the sold follow-ups once the posts they answer are ingested; one
+  // that doesn't reply to a post waits for its sender's last post before it
+  for (const followUp of soldFollowUps) {
+    const authorId = followUp.author || followUp.from;
+    const answered = posts.filter(post => post.authorId === authorId && post.textMessage.timestamp <= followUp.timestamp).pop();
+    await enqueueSoldFollowUp(followUp, answered ? answered.textMessage.id._serialized : null);
+  }
+  
+  progress.finished = true;
+  await reportProgress(progress);
+  console.log(`Backfilled ${chat.name}: ${progress.queued} past post(s) queued, ${progress.skipped} already ingested`);
+}
+
+/**
+ * Get the latest backfill of a group
+ * @param {string} groupId - The WhatsApp group ID
+ * @returns {Promise<Object|null>} The backfill job (its `progress` says how far it got), or null if there was none
+ */
+async function getGroupBackfill(groupId) {
+  const jobs = await backfillQueue.listJobs({ limit: 200 });
+  return jobs.find(job => job.payload.groupId === groupId) || null;
+}
+
+/**
+ * Start backfilling a group's history (unless a backfill of it is already under way)
+ * @param {string} groupId - The WhatsApp group ID
+ * @param {Object} options - Backfill limits
+ * @param {number} options.maxAgeDays - Oldest messages read, in days (default: BACKFILL_MAX_AGE_DAYS)
+ * @param {number} options.maxMessages - Most messages read (default: BACKFILL_MAX_MESSAGES)
+ * @returns {Promise<Object>} The backfill job
+ */
+async function startGroupBackfill(groupId, { maxAgeDays = BACKFILL_MAX_AGE_DAYS, maxMessages = BACKFILL_MAX_MESSAGES } = {}) {
+  const latest = await getGroupBackfill(groupId);
+  if (latest && [JOB_STATES.QUEUED, JOB_STATES.RUNNING].includes(latest.status)) {
+    return latest;
+  }
+  
+  const id = `${groupId}:${Date.now()}`;
+  await backfillQueue.enqueue(BACKFILL_STAGE, { groupId, maxAgeDays, maxMessages }, { id });
+  console.log(`Backfill of ${groupId} queued (last ${maxAgeDays} days, up to ${maxMessages} messages)`);
+  return backfillQueue.getJob(id);
+}
+
+/**
+ * Ingestion stage 1: extract the listings from a queued post's text
+ * @param {Object} job - The ingestion job
+ * @returns {Promise<Object|undefined>} The store stage with the extracted listings, or nothing if the post isn't a listing
+ */
+async function extractPostListings(job) {
+  const message = await getPostMessage(job.payload.messageId);
+  
+  // Process message to check if it contains product listings (one per product in catalogue-style posts)
+  const items = await processMessage(message);
+  if (!items) return;
+  
+  console.log(`${items.length} potential listing(s) detected in ${items[0].groupName}`);
+  return { stage: INGESTION_STAGES.STORE, data: { items } };
+}
+
+/**
+ * Ingestion stage 2: create (or merge) a queued post's listings and store its media
+ *
+ * A retry picks up where the failed attempt stopped: listings already created
+ * from the post, reposts already merged and media already stored are reused.
+ * @param {Object} job - The ingestion job
+ * @returns {Promise<void>}
+ */
+async function storePostListings(job) {
+  const { groupId, messageId, mediaMessageIds } = job.payload;
+  const { items } = job.data;
+  const [{ sellerPhone: phoneNumber, sellerName: name }] = items;
+  
+  // Create or get user
+  let user = await users.findByPhone(supabase, phoneNumber);
+  if (!user) {
+    user = await users.create(supabase, {
+      phone_number: phoneNumber,
+      name: name
+    });
+  }
+  
+  // Download the post's photos and videos first; their hashes help recognise reposts
+  const mediaMessages = await Promise.all(mediaMessageIds.map(getPostMessage));
+  const postMedia = await downloadPostMedia(mediaMessages);
+  const imageHashes = postMedia.map(media => media.hash).filter(Boolean);
+  const source = { groupId, messageId };
+  
+  // What an earlier attempt already did
+  const existing = await listings.findBySourceMessage(supabase, messageId) || [];
+  const merged = (await listingSources.findByMessage(supabase, messageId) || []).map(row => row.listing_id);
+  
+  // Create one listing per product; each links back to the message it came from.
+  // Products the seller already has listed (cross-posted or reposted) are merged into that listing instead.
+  const createdListings = [];
+  for (const listing of items) {
+    const earlier = existing.findIndex(candidate => candidate.title === listing.title);
+    if (earlier !== -1) {
+      createdListings.push(...existing.splice(earlier, 1));
+      continue;
+    }
+    
+    const duplicate = await findDuplicateListing(user.id, listing, {
+      messageId,
+      imageHashes,
+      itemCount: items.length
+    });
+    if (duplicate) {
+      if (!merged.includes(duplicate.id)) await mergeRepost(duplicate, listing, source);
+      continue;
     }
     
-    // Create the listing
     const listingData = await listings.create(supabase, {
       title: listing.title,
       description: listing.description,
       price: listing.price,
       currency: listing.currency || 'FCFA',
       location: listing.location,
+      ...geocodeListingLocation(listing.location),
       category: listing.category,
       seller_id: user.id,
-      group_id: chat.id._serialized,
+      group_id: groupId,
+      source_message_id: messageId,
       status: 'active'
     });
+    await recordListingSource(listingData, source);
+    createdListings.push(listingData);
     
-    console.log(`Created new listing: ${listing.title} (${listing.id})`);
-    
-    // Handle media if present (multiple images/videos)
-    let mediaUrls = [];
-    if (message.hasMedia) {
-      try {
-        // Collect all media messages from the same sender in the group within a short time window (5 seconds)
-        const messages = await chat.fetchMessages({ limit: 20 });
-        const now = Date.now();
-        const senderId = contact.id._serialized;
-        // Filter messages: from same sender, has media, within 5 seconds of the current message
-        const relatedMediaMessages = messages.filter(m =>
-          m.hasMedia &&
-          m.author === senderId &&
-          Math.abs(m.timestamp * 1000 - message.timestamp * 1000) < 5000
-        );
-        // Always include the current message
-        if (!relatedMediaMessages.find(m => m.id._serialized === message.id._serialized)) {
-          relatedMediaMessages.push(message);
-        }
-        for (const msg of relatedMediaMessages) {
-          const media = await msg.downloadMedia();
-          const fileName = `listing_${listingData.id}_${Date.now()}.${media.mimetype.split('/')[1]}`;
-          // Upload to Supabase storage directly from memory
-          const { data, error } = await supabase.storage
-            .from('listing-images')
-            .upload(`${listingData.id}/${fileName}`, Buffer.from(media.data, 'base64'), {
-              contentType: media.mimetype
-            });
-          if (error) {
-            console.error('Error uploading image to Supabase:', error);
-          } else {
-            const imageUrl = `${process.env.SUPABASE_URL}/storage/v1/object/public/listing-images/${data.path}`;
-            mediaUrls.push(imageUrl);
-          }
-        }
-        // Update listing with all media URLs
-        if (mediaUrls.length > 0) {
-          await listings.update(supabase, listingData.id, { media_urls: mediaUrls });
-        }
-      } catch (mediaError) {
-        console.error('Error handling media:', mediaError);
-      }
+    console.log(`Created new listing: ${listing.title} (${listingData.id})`);
+  }
+  
+  // Store the media once and show it with every new product of the post
+  if (createdListings.length > 0 && postMedia.length > 0) {
+    const [listingData, ...otherListings] = createdListings;
+    const storedMedia = [...(listingData.media || [])];
+    for (const [position, media] of postMedia.entries()) {
+      if (storedMedia.some(item => item.position === position)) continue;
+      
+      // Stickers, documents and voice notes aren't listing media and are skipped
+      const stored = await storeListingMedia(listingData.id, media.buffer, media.mimeType, position, media.hash);
+      if (stored) storedMedia.push(stored);
     }
+    console.log(`Stored ${storedMedia.length} media file(s) for listing ${listingData.id}`);
     
-    return listing;
-  } catch (err) {
-    console.error('Error processing group message:', err);
+    for (const other of otherListings) {
+      if (other.media && other.media.length > 0) continue;
+      await shareListingMedia(other.id, storedMedia);
+    }
+  }
+  
+  // Queue the new listings for any search alerts they match (merged reposts were matched when first listed)
+  for (const created of createdListings) {
+    await matchListingToAlerts(created);
   }
+  
+  [messageId, ...mediaMessageIds].forEach(id => liveMessages.delete(id));
 }
 
 /**
- * Process a message to check if it contains a product listing
+ * Remember which post a queued post's messages belong to, and that it is its
+ * sender's latest in the group
+ * @param {Object} post - The post, as collected by the post buffer
+ * @param {string} messageId - Serialized WhatsApp message ID of the post's text
+ */
+function rememberQueuedPost(post, messageId) {
+  const remember = (map, key, value) => {
+    map.delete(key);
+    map.set(key, value);
+    if (map.size > MAX_LIVE_MESSAGES) map.delete(map.keys().next().value);
+  };
+  
+  post.messages.forEach(message => remember(queuedPosts, message.id._serialized, messageId));
+  remember(latestPosts, `${post.groupId}:${post.authorId}`, messageId);
+}
+
+/**
+ * Check whether a group message is a seller's "sold" / "vendu" follow-up
  * @param {Object} message - The WhatsApp message object
- * @returns {Promise<Object|null>} The extracted listing or null if not a listing
+ * @returns {boolean} True for a reply saying something sold, or a short "sold" message that isn't a new post
  */
-async function processMessage(message) {
-  try {
-    const chat = await message.getChat();
-    
-    // Only process messages from groups
-    if (!chat.isGroup) return null;
-    
-    let listing = null;
-    
-    // Try to use OpenRouter for advanced extraction if available
-    if (USE_OPENROUTER && openRouterAgent) {
-      try {
-        listing = await openRouterAgent.extractProductListing(message.body);
-        console.log('Used OpenRouter for listing extraction');
-      } catch (aiError) {
-        console.error('Error using AI for listing extraction:', aiError);
-        // Fallback to built-in parser
-        listing = await listingParser.extractListingDetails(message.body);
-      }
-    } else {
-      // Check if it's a listing first
-      const isListing = await listingParser.isProductListing(message.body);
-      if (!isListing) return null;
-      
-      // Use built-in parser
-      listing = await listingParser.extractListingDetails(message.body);
+function isSoldFollowUp(message) {
+  if (!isSoldMessage(message.body)) return false;
+  
+  // "Brand new, sold with its charger" in a new post isn't a follow-up
+  return message.hasQuotedMsg || !listingParser.isProductListing(message.body);
+}
+
+/**
+ * Queue a seller's "sold" follow-up, to be applied once the post it answers is ingested
+ * @param {Object} message - The WhatsApp message object
+ * @param {string} afterMessageId - The post it answers, when it doesn't reply to one
+ *   (default: the sender's latest queued post in the group)
+ * @returns {Promise<void>}
+ */
+async function enqueueSoldFollowUp(message, afterMessageId = undefined) {
+  const messageId = message.id._serialized;
+  const authorId = message.author || message.from;
+  rememberMessage(message);
+  
+  await ingestionQueue.enqueue(INGESTION_STAGES.FOLLOW_UP, {
+    type: 'sold',
+    groupId: message.from,
+    authorId,
+    messageId,
+    afterMessageId: afterMessageId !== undefined ? afterMessageId : latestPosts.get(`${message.from}:${authorId}`) || null
+  }, { id: `sold:${messageId}` });
+}
+
+/**
+ * Check whether a post is still on its way to becoming listings
+ * @param {string} messageId - Serialized WhatsApp message ID of the post
+ * @returns {Promise<boolean>} True while it's being collected or its ingestion job is queued or running
+ */
+async function isPostPending(messageId) {
+  if (!messageId) return false;
+  if (postBuffer.has(messageId)) return true;
+  
+  const job = await ingestionQueue.getJob(queuedPosts.get(messageId) || messageId);
+  return Boolean(job) && [JOB_STATES.QUEUED, JOB_STATES.RUNNING].includes(job.status);
+}
+
+/**
+ * Mark listings sold when their seller follows up with "sold" / "vendu"
+ * @param {Object} message - The follow-up's WhatsApp message object
+ * @param {Object} payload - The follow-up job's payload
+ * @returns {Promise<Array<Object>>} The listings marked sold
+ */
+async function applySoldFollowUp(message, { groupId }) {
+  const contact = await message.getContact();
+  const seller = await users.findByPhone(supabase, contact.number);
+  if (!seller) return [];
+  
+  const quoted = message.hasQuotedMsg ? await message.getQuotedMessage() : null;
+  const sold = await markListingsSoldFromFollowUp({
+    text: message.body,
+    sellerId: seller.id,
+    groupId,
+    quotedMessageId: quoted ? queuedPosts.get(quoted.id._serialized) || quoted.id._serialized : null
+  });
+  
+  if (sold.length > 0) {
+    console.log(`Marked ${sold.length} listing(s) sold after a follow-up in ${groupId}`);
+  }
+  return sold;
+}
+
+/**
+ * Ingestion follow-up stage: apply a seller's edit, deletion or "sold" follow-up
+ *
+ * It waits (without failing) until the post it's about has been through the
+ * other stages, so a change made while the post was still being collected or
+ * queued isn't lost; a failure is retried like any other stage.
+ * @param {Object} job - The follow-up job ({ type: 'edit' | 'revoke' | 'sold', groupId, messageId, ... })
+ * @returns {Promise<Object|undefined>} This stage again after FOLLOW_UP_WAIT_MS while the post is pending
+ */
+async function applyPostFollowUp(job) {
+  const { type, groupId, messageId, text } = job.payload;
+  const message = type === 'sold' ? await getPostMessage(messageId) : null;
+  
+  // An edit or deletion is about its own message; a "sold" follow-up about the post it replies to
+  let postMessageId = messageId;
+  if (type === 'sold') {
+    const quoted = message.hasQuotedMsg ? await message.getQuotedMessage() : null;
+    postMessageId = quoted ? quoted.id._serialized : job.payload.afterMessageId;
+  }
+  
+  const waits = job.data.waits || 0;
+  if (await isPostPending(postMessageId)) {
+    if (waits < FOLLOW_UP_MAX_WAITS) {
+      return { stage: INGESTION_STAGES.FOLLOW_UP, data: { waits: waits + 1 }, delayMs: FOLLOW_UP_WAIT_MS };
     }
+    console.warn(`Post ${postMessageId} still isn't ingested; applying ${type} ${job.id} anyway`);
+  }
+  
+  if (type === 'edit') {
+    const items = await extractListings(text);
+    await applyListingEdit(messageId, items, text, groupId);
+  } else if (type === 'revoke') {
+    const withdrawn = await withdrawListingsForMessage(messageId);
+    if (withdrawn.length > 0) {
+      console.log(`Withdrew ${withdrawn.length} listing(s) after their post was deleted`);
+    }
+  } else if (type === 'sold') {
+    await applySoldFollowUp(message, job.payload);
+    liveMessages.delete(messageId);
+  }
+}
+
+/**
+ * Extract the product listings in a message's text
+ * @param {string} text - The message text
+ * @returns {Promise<Array<Object>>} The listings (one per product), empty if it isn't a listing
+ */
+async function extractListings(text) {
+  let items = [];
+  
+  // Try to use OpenRouter for advanced extraction if available
+  if (USE_OPENROUTER && openRouterAgent) {
+    try {
+      items = await openRouterAgent.extractProductListing(text);
+      console.log('Used OpenRouter for listing extraction');
+    } catch (aiError) {
+      console.error('Error using AI for listing extraction:', aiError);
+      // Fallback to built-in parser
+      items = listingParser.extractListingItems(text);
+    }
+  } else {
+    // Check if it's a listing first
+    const isListing = await listingParser.isProductListing(text);
+    if (!isListing) return [];
     
-    // If not a listing or extraction failed, return null
-    if (!listing) return null;
-    
-    // Get contact info of the sender
-    const contact = await message.getContact();
-    const phoneNumber = contact.number;
-    const name = contact.name || contact.pushname || phoneNumber;
-    
-    // Add sender info to the listing
-    listing.sellerPhone = phoneNumber;
-    listing.sellerName = name;
-    listing.groupId = chat.id._serialized;
-    listing.groupName = chat.name;
-    listing.messageId = message.id._serialized;
-    
-    return listing;
-  } catch (error) {
-    console.error('Error processing message:', error);
-    return null;
+    // Use built-in parser
+    items = listingParser.extractListingItems(text);
   }
+  
+  // Products without a title or price can't be listed
+  return (items || []).filter(item => item && item.title && item.price);
+}
+
+/**
+ * Process a message to check if it contains product listings
+ * @param {Object} message - The WhatsApp message object
+ * @returns {Promise<Array<Object>|null>} The extracted listings (one per product) or null if not a listing
+ */
+async function processMessage(message) {
+  const chat = await message.getChat();
+  
+  // Only process messages from groups
+  if (!chat.isGroup) return null;
+  
+  const items = await extractListings(message.body);
+  
+  // If not a listing, return null
+  if (!items.length) return null;
+  
+  // Get contact info of the sender
+  const contact = await message.getContact();
+  const phoneNumber = contact.number;
+  const name = contact.name || contact.pushname || phoneNumber;
+  
+  // Add sender info to each listing, with the message they came from
+  return items.map(listing => ({
+    ...listing,
+    sellerPhone: phoneNumber,
+    sellerName: name,
+    groupId: chat.id._serialized,
+    groupName: chat.name,
+    messageId: message.id._serialized
+  }));
+}
+
+/**
+ * Get the phone number of a command's sender if they're an admin of the group,
+ * telling them otherwise
+ * @param {Object} message - The command message
+ * @param {Object} chat - The group chat
+ * @returns {Promise<string|null>} The admin's phone number, or null if they aren't an admin
+ */
+async function getCommandAdmin(message, chat) {
+  const contact = await message.getContact();
+  if (isChatAdmin(chat, contact.number)) return contact.number;
+  
+  await message.reply('❌ Only group admins can do this.');
+  return null;
 }
 
 // Command handler for group registration
@@ -365,7 +1022,16 @@ async function handleCommands(message) {
       const category = args.join(' ') || 'general';
       console.log(`Registering group with category: ${category}`);
       
+      if (monitoredGroups.has(chat.id._serialized)) {
+        await chat.sendMessage('✅ This group is already registered. Group admins can use !category [category] to change its category.');
+        return true;
+      }
+      
       try {
+        // Only the group's admins can register it; the one who did is recorded as its owner
+        const adminPhone = await getCommandAdmin(message, chat);
+        if (!adminPhone) return true;
+        
         console.log('Group details:', { 
           id: chat.id._serialized, 
           name: chat.name, 
@@ -374,12 +1040,19 @@ async function handleCommands(message) {
         
         // Add the group to monitored groups
         console.log('Calling addMonitoredGroup...');
-        await addMonitoredGroup(chat.id._serialized, chat.name, category);
+        await addMonitoredGroup(chat.id._serialized, chat.name, category, { admin_phone: adminPhone });
         console.log('addMonitoredGroup completed successfully');
         
+        // List what was posted before the bot started monitoring (registration doesn't depend on it)
+        try {
+          await startGroupBackfill(chat.id._serialized);
+        } catch (backfillError) {
+          console.error('Error starting group backfill:', backfillError);
+        }
+        
         // Send confirmation message
         console.log('Sending confirmation message to chat...');
-        await chat.sendMessage(`✅ This group has been registered as a marketplace for category: *${category}*\n\nThe bot will now monitor messages for product listings.`);
+        await announceGroupRegistration(chat.id._serialized, category);
         console.log('Confirmation message sent');
         
         console.log(`Group registered: ${chat.name} (${chat.id._serialized}) - Category: ${category}`);
@@ -401,7 +1074,9 @@ async function handleCommands(message) {
     if (command === '!status') {
       const isMonitored = monitoredGroups.has(chat.id._serialized);
       
-      if (isMonitored) {
+      if (isMonitored && pausedGroups.has(chat.id._serialized)) {
+        await chat.sendMessage('⏸️ Monitoring of this group is paused. A group admin can use !resume to start it again.');
+      } else if (isMonitored) {
         await chat.sendMessage('✅ This group is currently being monitored for marketplace listings.');
       } else {
         await chat.sendMessage('❌ This group is not registered. Use !register [category] to start monitoring.');
@@ -410,9 +1085,45 @@ async function handleCommands(message) {
       return true;
     }
     
+    // Handle the commands only the admins of a registered group can use
+    if (['!category', '!pause', '!resume', '!unregister'].includes(command)) {
+      const groupId = chat.id._serialized;
+      if (!monitoredGroups.has(groupId)) {
+        await chat.sendMessage('❌ This group is not registered. Use !register [category] to start monitoring.');
+        return true;
+      }
+      
+      try {
+        if (!await getCommandAdmin(message, chat)) return true;
+        
+        if (command === '!category') {
+          const category = args.join(' ').trim();
+          if (!category) {
+            await chat.sendMessage('❌ Please give the new category. Example: !category electronics');
+            return true;
+          }
+          await updateMonitoredGroup(groupId, { category });
+          await chat.sendMessage(`✅ This group's marketplace category is now: *${category}*`);
+        } else if (command === '!pause') {
+          await updateMonitoredGroup(groupId, { paused: true });
+          await chat.sendMessage('⏸️ Monitoring paused. New posts in this group won\'t be listed until a group admin uses !resume.');
+        } else if (command === '!resume') {
+          await updateMonitoredGroup(groupId, { paused: false });
+          await chat.sendMessage('▶️ Monitoring resumed. The bot will list new posts in this group again.');
+        } else {
+          await removeMonitoredGroup(groupId);
+          await chat.sendMessage('👋 This group has been unregistered and is no longer monitored for marketplace listings.');
+        }
+      } catch (error) {
+        console.error(`Error handling ${command}:`, error);
+        await chat.sendMessage('❌ Sorry, something went wrong. Please try again later.');
+      }
+      return true;
+    }
+    
     // Handle !help command
     if (command === '!help') {
-      await chat.sendMessage(`*WhatsApp Marketplace Bot Commands*\n\n!register [category] - Register this group for marketplace listings\n!status - Check if this group is being monitored\n!addstatus [message] - Add the message to your WhatsApp status\n!help - Show this help message`);
+      await chat.sendMessage(`*WhatsApp Marketplace Bot Commands*\n\n!register [category] - Register this group for marketplace listings\n!status - Check if this group is being monitored\n!addstatus [message] - Add the message to your WhatsApp status\n!help - Show this help message\n\n*For group admins*\n!category [category] - Change this group's category\n!pause - Stop listing new posts for now\n!resume - Start listing new posts again\n!unregister - Stop monitoring this group`);
       return true;
     }
     
@@ -493,6 +1204,53 @@ async function onMessage(message) {
   }
 }
 
+/**
+ * Queue an update of the listings of a post its seller edited
+ * @param {Object} message - The edited WhatsApp message
+ * @param {string} newBody - The edited text
+ * @param {string} prevBody - The text before the edit
+ */
+async function onMessageEdit(message, newBody, prevBody) {
+  try {
+    if (!message.from.endsWith('@g.us') || !monitoredGroups.has(message.from)) return;
+    
+    const messageId = message.id._serialized;
+    const text = typeof newBody === 'string' ? newBody : message.body;
+    console.log(`Message ${messageId} edited from "${prevBody}" to "${text}"`);
+    
+    // Each edit is its own job, applied in order once the post is ingested
+    await ingestionQueue.enqueue(INGESTION_STAGES.FOLLOW_UP, {
+      type: 'edit',
+      groupId: message.from,
+      messageId,
+      text
+    }, { id: `edit:${messageId}:${Date.now()}` });
+  } catch (error) {
+    console.error('Error handling message edit:', error);
+  }
+}
+
+/**
+ * Queue the withdrawal of the listings of a post deleted for everyone
+ * @param {Object} revokedMessage - The message after it was deleted
+ * @param {Object|null} originalMessage - The message before it was deleted, if still cached
+ */
+async function onMessageRevoke(revokedMessage, originalMessage) {
+  try {
+    const message = originalMessage || revokedMessage;
+    if (!message.from.endsWith('@g.us')) return;
+    
+    const messageId = message.id._serialized;
+    await ingestionQueue.enqueue(INGESTION_STAGES.FOLLOW_UP, {
+      type: 'revoke',
+      groupId: message.from,
+      messageId
+    }, { id: `revoke:${messageId}` });
+  } catch (error) {
+    console.error('Error handling deleted message:', error);
+  }
+}
+
 // These event handlers are now set up in the setupEventHandlers function
 
 // Initialize and export the client
@@ -542,6 +1300,14 @@ async function requestPairingCode(phoneNumber) {
   }
 }
 
+/**
+ * Queue the posts still being collected, without waiting for their window to end
+ * @returns {Promise<void>}
+ */
+async function flushPendingPosts() {
+  await postBuffer.flushAll();
+}
+
 /**
  * Get the authentication status
  * @returns {Object} Object containing authentication status
@@ -601,8 +1367,19 @@ module.exports = {
   initialize,
   client,
   addMonitoredGroup,
+  getGroupInvite,
+  joinGroupByInvite,
+  leaveGroup,
+  isGroupAdmin,
+  isMonitoredGroup,
+  updateMonitoredGroup,
+  removeMonitoredGroup,
+  announceGroupRegistration,
   requestPairingCode,
   getAuthStatus,
+  flushPendingPosts,
+  startGroupBackfill,
+  getGroupBackfill,
   router,
   sessionManager
 };
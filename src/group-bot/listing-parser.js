@@ -22,9 +22,9 @@ const PRICE_PATTERNS = [
 
 // Common location patterns
 const LOCATION_PATTERNS = [
-  /(?:location|lieu|address|adresse)(?:\s*):(?:\s*)([A-Za-z\s]+)/i,
-  /(?:available|disponible)(?:\s*)(?:in|à|at|en)(?:\s*)([A-Za-z\s]+)/i,
-  /(?:based|situé)(?:\s*)(?:in|à|at|en)(?:\s*)([A-Za-z\s]+)/i
+  /(?:location|lieu|address|adresse)(?:\s*):(?:[ \t]*)([A-Za-zÀ-ÿ' ,-]+)/i,
+  /(?:available|disponible)(?:\s*)(?:in|à|at|en)(?:[ \t]*)([A-Za-zÀ-ÿ' ,-]+)/i,
+  /(?:based|situé)(?:\s*)(?:in|à|at|en)(?:[ \t]*)([A-Za-zÀ-ÿ' ,-]+)/i
 ];
 
 // Common category patterns
@@ -32,6 +32,100 @@ const CATEGORY_PATTERNS = [
   /(?:category|catégorie|type)(?:\s*):(?:\s*)([A-Za-z\s]+)/i
 ];
 
+// One item of a catalogue-style post, e.g. "iPhone 11 – 150k" or "• AirPods @ 35,000 FCFA (negotiable)"
+const ITEM_PATTERN = /^(?:[-*•▪►👉✅🔥]+\s*|\d{1,2}[.)]\s+)?(.*?[A-Za-zÀ-ÿ].*?)\s*(?:[-–—:=@]|\bat\b|\bà\b)?\s*(\d{1,3}(?:[.,\s]\d{3})+|\d+(?:[.,]\d+)?)\s*(?:(k|m|mil|million)\b)?\s*(FCFA|XAF|CFA|frs?|F|€|EUR|USD|\$)?(?![A-Za-zÀ-ÿ0-9])\s*(?:\(?[A-Za-zÀ-ÿ ]{0,20}\)?)?$/i;
+
+// Lines that carry a price but aren't products of their own (delivery fees, totals, contact numbers)
+const NON_ITEM_WORDS = /^(?:delivery|livraison|shipping|transport|price|prix|cost|coût|total|contact|call|appeler|tel|whatsapp|location|lieu|address|adresse|condition|état)\b|\b(?:price|prix|cost|coût)$/i;
+
+// Prices below this are more likely sizes or model numbers than prices
+const MIN_ITEM_PRICE = 100;
+
+/**
+ * Normalise a currency as written in a post
+ * @param {string} currency - e.g. "F", "CFA", "€" or "$"
+ * @returns {string} FCFA, EUR or USD (FCFA if not given)
+ */
+function normalizeCurrency(currency) {
+  const code = String(currency || '').toUpperCase();
+  if (!code || ['F', 'FR', 'FRS', 'CFA', 'XAF', 'FCFA'].includes(code)) return 'FCFA';
+  if (['€', 'EUR'].includes(code)) return 'EUR';
+  if (['$', 'USD'].includes(code)) return 'USD';
+  return code;
+}
+
+/**
+ * Parse an item price as written in a post
+ * @param {string} amount - e.g. "150", "150,000" or "1.5"
+ * @param {string} multiplier - "k" for thousands, "m"/"mil"/"million" for millions
+ * @returns {number} The price
+ */
+function parseItemPrice(amount, multiplier) {
+  const factor = !multiplier ? 1 : multiplier.toLowerCase() === 'k' ? 1000 : 1000000;
+  // "150,000" and "150 000" are thousands; "1.5k" is a decimal
+  const value = /^\d{1,3}(?:[.,\s]\d{3})+$/.test(amount) && !multiplier
+    ? parseFloat(amount.replace(/[.,\s]/g, ''))
+    : parseFloat(amount.replace(',', '.'));
+  return Math.round(value * factor);
+}
+
+/**
+ * Find the location a post gives
+ * @param {string} messageText - The text content of the message
+ * @returns {string|null} The location, or null if none is given
+ */
+function extractLocation(messageText) {
+  for (const pattern of LOCATION_PATTERNS) {
+    const match = messageText.match(pattern);
+    if (match && match[1]) {
+      return match[1].replace(/[\s,]+$/, '').trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the category a post gives
+ * @param {string} messageText - The text content of the message
+ * @returns {string|null} The category, or null if none is given
+ */
+function extractCategory(messageText) {
+  for (const pattern of CATEGORY_PATTERNS) {
+    const match = messageText.match(pattern);
+    if (match && match[1]) {
+      return match[1].trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Split a catalogue-style post into its priced items
+ * @param {string} messageText - The text content of the message
+ * @returns {Array<Object>} Items with the text they came from, title, price and currency
+ */
+function parseItems(messageText) {
+  // Items come one per line, or several on a line separated by commas, semicolons or bars
+  // (a comma followed by a digit is a thousands separator, not a new item)
+  const segments = messageText
+    .split('\n')
+    .flatMap(line => line.split(/\s*[;|]\s*|,\s+(?=\D)/))
+    .map(segment => segment.trim())
+    .filter(Boolean);
+  
+  return segments.reduce((items, segment) => {
+    const match = segment.match(ITEM_PATTERN);
+    if (!match) return items;
+    
+    const title = match[1].replace(/[\s\-–—:=@]+$/, '').trim();
+    const price = parseItemPrice(match[2], match[3]);
+    if (title.length < 2 || NON_ITEM_WORDS.test(title) || price < MIN_ITEM_PRICE) return items;
+    
+    items.push({ text: segment, title, price, currency: normalizeCurrency(match[4]) });
+    return items;
+  }, []);
+}
+
 /**
  * Determines if a message is likely a product listing
  * @param {string} messageText - The text content of the message
@@ -47,6 +141,11 @@ function isProductListing(messageText) {
     return false;
   }
   
+  // Catalogue-style posts list several products with their prices
+  if (parseItems(messageText).length >= 2) {
+    return true;
+  }
+  
   // Check for price patterns
   for (const pattern of PRICE_PATTERNS) {
     if (pattern.test(messageText)) {
@@ -105,37 +204,15 @@ function extractListingDetails(messageText) {
       
       // Set currency if found
       if (match[2]) {
-        listingData.currency = match[2].toUpperCase();
-        // Normalize currency codes
-        if (['F', 'CFA', 'XAF'].includes(listingData.currency)) {
-          listingData.currency = 'FCFA';
-        } else if (['€', 'EUR'].includes(listingData.currency)) {
-          listingData.currency = 'EUR';
-        } else if (['$', 'USD'].includes(listingData.currency)) {
-          listingData.currency = 'USD';
-        }
+        listingData.currency = normalizeCurrency(match[2]);
       }
       break;
     }
   }
   
-  // Extract location
-  for (const pattern of LOCATION_PATTERNS) {
-    const match = messageText.match(pattern);
-    if (match && match[1]) {
-      listingData.location = match[1].trim();
-      break;
-    }
-  }
-  
-  // Extract category
-  for (const pattern of CATEGORY_PATTERNS) {
-    const match = messageText.match(pattern);
-    if (match && match[1]) {
-      listingData.category = match[1].trim();
-      break;
-    }
-  }
+  // Extract location and category
+  listingData.location = extractLocation(messageText);
+  listingData.category = extractCategory(messageText);
   
   // If we couldn't extract a title or price, this might not be a valid listing
   if (!listingData.title || !listingData.price) {
@@ -145,7 +222,48 @@ function extractListingDetails(messageText) {
   return listingData;
 }
 
+/**
+ * Extracts one listing per product from a message
+ * 
+ * Catalogue-style posts ("iPhone 11 – 150k, iPhone 12 – 200k, AirPods – 35k")
+ * become one listing per item, each with its own price and the location and
+ * category the post gives for all of them. Other posts become a single listing.
+ * @param {string} messageText - The text content of the message
+ * @returns {Array<Object>} Extracted listings (empty if the message isn't a listing)
+ */
+function extractListingItems(messageText) {
+  if (!messageText || typeof messageText !== 'string') {
+    return [];
+  }
+  
+  const items = parseItems(messageText);
+  if (items.length < 2) {
+    const listing = extractListingDetails(messageText);
+    return listing ? [listing] : [];
+  }
+  
+  // Lines that aren't items (a heading, the seller's area, delivery terms) apply to every item
+  const itemTexts = new Set(items.map(item => item.text));
+  const sharedText = messageText
+    .split('\n')
+    .filter(line => !line.split(/\s*[;|]\s*|,\s+(?=\D)/).some(segment => itemTexts.has(segment.trim())))
+    .join('\n')
+    .trim();
+  const location = extractLocation(messageText);
+  const category = extractCategory(messageText);
+  
+  return items.map(item => ({
+    title: item.title,
+    description: sharedText ? `${item.text}\n\n${sharedText}` : item.text,
+    price: item.price,
+    currency: item.currency,
+    location,
+    category
+  }));
+}
+
 module.exports = {
   isProductListing,
-  extractListingDetails
+  extractListingDetails,
+  extractListingItems
 };
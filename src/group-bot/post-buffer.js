@@ -0,0 +1,261 @@
+/**
+ * Group Post Buffer
+ *
+ * A seller's post often arrives as several WhatsApp messages: an album of
+ * photos, with the caption on one of them or sent as a text before or after.
+ * This module collects the messages each member sends in a group into one post
+ * and hands it on once they've gone quiet for a short window, so the listing is
+ * parsed and its media uploaded once, with every photo.
+ *
+ * It only needs the messages' `id`, `from`, `author`, `body`, `hasMedia` and
+ * `type`, so it can be driven with plain objects.
+ */
+
+require('dotenv').config();
+
+// How long to wait for more of a post after its latest message (default 5 seconds)
+const POST_WINDOW_MS = parseInt(process.env.POST_BUFFER_WINDOW_MS || '5000', 10);
+
+// Longest a post is held, however many messages keep arriving (default 30 seconds)
+const POST_MAX_WAIT_MS = parseInt(process.env.POST_BUFFER_MAX_WAIT_MS || '30000', 10);
+
+// Most photos and videos kept in one post (WhatsApp albums hold up to 30)
+const MAX_POST_MEDIA = 30;
+
+// How many recent message IDs are remembered to drop repeats
+const MAX_SEEN_MESSAGES = 1000;
+
+// Message types that carry a photo or video worth listing
+const MEDIA_TYPES = ['image', 'video'];
+
+/**
+ * Get the text a message adds to a post
+ * @param {Object} message - WhatsApp message
+ * @returns {string} The text or caption, trimmed (empty for photos without a caption)
+ */
+function getMessageText(message) {
+  return typeof message.body === 'string' ? message.body.trim() : '';
+}
+
+/**
+ * Check whether a message is a photo or video
+ * @param {Object} message - WhatsApp message
+ * @returns {boolean} True for photos and videos (stickers, voice notes and documents don't count)
+ */
+function isPostMedia(message) {
+  if (!message.hasMedia) return false;
+  return !message.type || MEDIA_TYPES.includes(message.type);
+}
+
+/**
+ * Work out what a message adds to a post
+ * @param {Object} message - WhatsApp message
+ * @returns {Object|null} { key, groupId, authorId, text, hasMedia }, or null if it adds nothing
+ */
+function describeMessage(message) {
+  const text = getMessageText(message);
+  const hasMedia = isPostMedia(message);
+  // An album arrives as a header message followed by its photos; the header keeps the post open
+  const isAlbum = message.type === 'album';
+  if (!text && !hasMedia && !isAlbum) return null;
+
+  const groupId = message.from;
+  const authorId = message.author || message.from;
+  return { key: `${groupId}:${authorId}`, groupId, authorId, text, hasMedia };
+}
+
+/**
+ * Add a message to a post
+ * @param {Object} post - The post
+ * @param {Object} message - WhatsApp message
+ * @param {Object} described - What the message adds (see describeMessage)
+ */
+function addToPost(post, message, { text, hasMedia }) {
+  post.messages.push(message);
+  if (text) post.textMessage = message;
+  if (hasMedia && post.mediaMessages.length < MAX_POST_MEDIA) post.mediaMessages.push(message);
+}
+
+/**
+ * Get the post handed on for a collected one
+ * @param {Object} post - The collected post
+ * @returns {Object} { groupId, authorId, text, textMessage, mediaMessages, messages }
+ */
+function toPost(post) {
+  return {
+    groupId: post.groupId,
+    authorId: post.authorId,
+    text: post.textMessage ? getMessageText(post.textMessage) : '',
+    textMessage: post.textMessage,
+    mediaMessages: post.mediaMessages,
+    messages: post.messages
+  };
+}
+
+/**
+ * Group messages that have already arrived (e.g. a group's history) into
+ * posts, the way the buffer groups them as they arrive
+ * @param {Array<Object>} messages - WhatsApp messages, in any order
+ * @param {number} windowMs - Longest gap between two messages of one post (default: POST_WINDOW_MS)
+ * @returns {Array<Object>} The posts, oldest first
+ */
+function groupMessagesIntoPosts(messages, windowMs = POST_WINDOW_MS) {
+  const posts = [];
+  const open = new Map();
+  const seen = new Set();
+
+  for (const message of [...messages].sort((a, b) => a.timestamp - b.timestamp)) {
+    const messageId = message.id._serialized;
+    const described = describeMessage(message);
+    if (seen.has(messageId) || !described) continue;
+    seen.add(messageId);
+
+    // A quiet gap or a second caption or text starts a new post
+    let post = open.get(described.key);
+    if (post && ((message.timestamp - post.lastAt) * 1000 > windowMs || (described.text && post.textMessage))) {
+      post = null;
+    }
+    if (!post) {
+      post = { groupId: described.groupId, authorId: described.authorId, textMessage: null, mediaMessages: [], messages: [] };
+      open.set(described.key, post);
+      posts.push(post);
+    }
+
+    post.lastAt = message.timestamp;
+    addToPost(post, message, described);
+  }
+
+  return posts.map(toPost);
+}
+
+/**
+ * Create a buffer collecting group messages into posts
+ * @param {Object} options - Buffer options
+ * @param {Function} options.onPost - Called with each complete post:
+ *   { groupId, authorId, text, textMessage, mediaMessages, messages }
+ * @param {number} options.windowMs - Quiet time that ends a post (default: POST_WINDOW_MS)
+ * @param {number} options.maxWaitMs - Longest a post is held (default: POST_MAX_WAIT_MS)
+ * @returns {Object} The buffer ({ add, has, flush, flushAll, size })
+ */
+function createPostBuffer({ onPost, windowMs = POST_WINDOW_MS, maxWaitMs = POST_MAX_WAIT_MS }) {
+  // Posts being collected, by group and sender
+  const pending = new Map();
+
+  // IDs of messages already buffered; the same message can arrive through several events
+  const seen = new Set();
+
+  /**
+   * Remember a message, forgetting the oldest once MAX_SEEN_MESSAGES are remembered
+   * @param {string} messageId - Serialized WhatsApp message ID
+   */
+  function remember(messageId) {
+    seen.add(messageId);
+    if (seen.size > MAX_SEEN_MESSAGES) seen.delete(seen.values().next().value);
+  }
+
+  /**
+   * Hand a post on and forget it
+   * @param {string} key - The post's group and sender (`<group ID>:<sender ID>`)
+   * @returns {Promise<void>}
+   */
+  async function flush(key) {
+    const post = pending.get(key);
+    if (!post) return;
+
+    pending.delete(key);
+    clearTimeout(post.timer);
+
+    try {
+      await onPost(toPost(post));
+    } catch (error) {
+      console.error('Error processing buffered post:', error);
+    }
+  }
+
+  /**
+   * (Re)start the quiet window of a post
+   * @param {string} key - The post's group and sender
+   * @param {Object} post - The post
+   */
+  function schedule(key, post) {
+    clearTimeout(post.timer);
+    const wait = Math.max(0, Math.min(windowMs, post.startedAt + maxWaitMs - Date.now()));
+    post.timer = setTimeout(() => flush(key), wait);
+    post.timer.unref();
+  }
+
+  /**
+   * Add a message to its sender's post in the group
+   * @param {Object} message - WhatsApp message
+   * @returns {boolean} False if the message was already buffered or adds nothing to a post
+   */
+  function add(message) {
+    const messageId = message.id._serialized;
+    if (seen.has(messageId)) return false;
+    remember(messageId);
+
+    const described = describeMessage(message);
+    if (!described) return false;
+    const { key } = described;
+
+    // A second caption or text starts a new post. The finished one is detached
+    // before flush() awaits anything, so it isn't awaited here: while it's being
+    // handed on, more messages may arrive and must go into the new post.
+    let post = pending.get(key);
+    if (post && described.text && post.textMessage) {
+      flush(key);
+      post = null;
+    }
+
+    if (!post) {
+      post = {
+        groupId: described.groupId,
+        authorId: described.authorId,
+        textMessage: null,
+        mediaMessages: [],
+        messages: [],
+        startedAt: Date.now(),
+        timer: null
+      };
+      pending.set(key, post);
+    }
+
+    addToPost(post, message, described);
+    schedule(key, post);
+    return true;
+  }
+
+  /**
+   * Hand on every post being collected (e.g. before shutting down)
+   * @returns {Promise<void>}
+   */
+  async function flushAll() {
+    for (const key of [...pending.keys()]) {
+      await flush(key);
+    }
+  }
+
+  /**
+   * Check whether a message is part of a post still being collected
+   * @param {string} messageId - Serialized WhatsApp message ID
+   * @returns {boolean} True until the message's post is handed on
+   */
+  function has(messageId) {
+    return [...pending.values()].some(post => post.messages.some(message => message.id._serialized === messageId));
+  }
+
+  return {
+    add,
+    has,
+    flush,
+    flushAll,
+    size: () => pending.size
+  };
+}
+
+module.exports = {
+  POST_WINDOW_MS,
+  POST_MAX_WAIT_MS,
+  createPostBuffer,
+  groupMessagesIntoPosts
+};
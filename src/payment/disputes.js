@@ -0,0 +1,362 @@
+/**
+ * Escrow Disputes
+ *
+ * This module lets buyers dispute an escrow transaction and lets admins
+ * resolve it. Opening a dispute freezes the escrow (a disputed transaction
+ * is never auto-released); resolving it refunds the buyer, releases the
+ * funds to the seller, or splits them between the two.
+ */
+
+const supabase = require('../database/supabase');
+const { disputes, disputeEvidence } = require('../database/schema');
+const { ESCROW_STATES, transitionEscrow, getEscrowTransaction, getEscrowHistory } = require('./escrow');
+const {
+  initiatePayout,
+  toFapshiPhone,
+  releaseEscrowFunds,
+  payoutSeller,
+  getTransferFailureStatus,
+  notifyUnconfirmedTransfer
+} = require('./fapshi');
+const { notifyUser } = require('../services/notifications');
+const { t, formatPrice } = require('../services/i18n');
+
+// Dispute states
+const DISPUTE_STATES = {
+  OPEN: 'open',
+  SUBMITTED: 'submitted',
+  UNDER_REVIEW: 'under_review',
+  RESOLVED: 'resolved'
+};
+
+// Ways an admin can settle a dispute
+const DISPUTE_RESOLUTIONS = ['refund', 'release', 'split'];
+
+// Escrow states a buyer may still dispute
+const DISPUTABLE_STATES = [
+  ESCROW_STATES.FUNDED,
+  ESCROW_STATES.SHIPPED,
+  ESCROW_STATES.DELIVERED
+];
+
+/**
+ * Create an error with a code the API layer can map to a status
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} The error
+ */
+function disputeError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Send the same update to the buyer and the seller of a transaction
+ * @param {Object} transaction - The transaction (with buyer and seller)
+ * @param {string|Function} buyerText - Message for the buyer, or a function building it from their language
+ * @param {string|Function} sellerText - Message for the seller, or a function building it from their language
+ */
+async function notifyParties(transaction, buyerText, sellerText) {
+  await notifyUser(transaction.buyer?.phone_number, buyerText);
+  await notifyUser(transaction.seller?.phone_number, sellerText);
+}
+
+/**
+ * Open a dispute on a transaction and freeze its escrow
+ * @param {Object} disputeData - Dispute details
+ * @param {string} disputeData.transactionId - ID of the disputed transaction
+ * @param {string} disputeData.buyerId - ID of the buyer opening the dispute
+ * @param {string} disputeData.reason - What went wrong, in the buyer's words
+ * @returns {Promise<Object>} The new dispute
+ */
+async function openDispute(disputeData) {
+  const { transactionId, buyerId, reason } = disputeData;
+  const transaction = await getEscrowTransaction(transactionId);
+
+  if (!transaction || transaction.buyer_id !== buyerId) {
+    throw disputeError(`No order ${transactionId} found for this buyer`, 'DISPUTE_NOT_FOUND');
+  }
+
+  if (!DISPUTABLE_STATES.includes(transaction.status)) {
+    throw disputeError(`Order ${transactionId} is ${transaction.status} and can't be disputed`, 'DISPUTE_NOT_ALLOWED');
+  }
+
+  if (await disputes.findOpenByTransaction(supabase, transactionId)) {
+    throw disputeError(`Order ${transactionId} already has an open dispute`, 'DISPUTE_NOT_ALLOWED');
+  }
+
+  await transitionEscrow(transactionId, ESCROW_STATES.DISPUTED, {
+    actor: buyerId,
+    note: `Dispute opened: ${reason}`
+  });
+
+  const dispute = await disputes.create(supabase, {
+    transaction_id: transactionId,
+    opened_by: buyerId,
+    reason,
+    status: DISPUTE_STATES.OPEN
+  });
+
+  await notifyUser(transaction.seller?.phone_number, locale => t(locale, 'dispute.seller_opened', {
+    title: transaction.listing?.title || t(locale, 'payment.your_order'),
+    reason,
+    reference: transactionId
+  }));
+
+  return dispute;
+}
+
+/**
+ * Attach a piece of evidence (text or photo) to an open dispute
+ * @param {string} disputeId - ID of the dispute
+ * @param {Object} evidence - Evidence details
+ * @param {string} evidence.submittedBy - ID of the user submitting it
+ * @param {string} evidence.type - 'text' or 'image'
+ * @param {string} evidence.content - Text, or the photo caption
+ * @param {string} evidence.mediaUrl - URL of the stored photo
+ * @returns {Promise<Object>} The stored evidence
+ */
+async function addDisputeEvidence(disputeId, evidence) {
+  const dispute = await disputes.findById(supabase, disputeId);
+
+  if (!dispute) {
+    throw disputeError(`Dispute not found: ${disputeId}`, 'DISPUTE_NOT_FOUND');
+  }
+
+  if (dispute.status === DISPUTE_STATES.RESOLVED) {
+    throw disputeError(`Dispute ${disputeId} is already resolved`, 'DISPUTE_NOT_ALLOWED');
+  }
+
+  return disputeEvidence.create(supabase, {
+    dispute_id: disputeId,
+    submitted_by: evidence.submittedBy,
+    type: evidence.type,
+    content: evidence.content || null,
+    media_url: evidence.mediaUrl || null
+  });
+}
+
+/**
+ * Mark a dispute's evidence as complete and hand it over for review
+ * @param {string} disputeId - ID of the dispute
+ * @returns {Promise<Object>} The updated dispute
+ */
+async function submitDispute(disputeId) {
+  const dispute = await disputes.findById(supabase, disputeId);
+
+  if (!dispute) {
+    throw disputeError(`Dispute not found: ${disputeId}`, 'DISPUTE_NOT_FOUND');
+  }
+
+  if (dispute.status !== DISPUTE_STATES.OPEN) {
+    return dispute;
+  }
+
+  const updated = await disputes.update(supabase, disputeId, { status: DISPUTE_STATES.SUBMITTED });
+  const transaction = await getEscrowTransaction(dispute.transaction_id);
+  const evidenceCount = (dispute.evidence || []).length;
+
+  await notifyUser(transaction.seller?.phone_number, locale => t(locale, 'dispute.seller_evidence', {
+    count: evidenceCount,
+    reference: transaction.id
+  }));
+
+  return { ...updated, evidence: dispute.evidence };
+}
+
+/**
+ * Mark a dispute as being reviewed by an admin
+ * @param {string} disputeId - ID of the dispute
+ * @param {string} adminId - Who is reviewing it
+ * @returns {Promise<Object>} The updated dispute
+ */
+async function startDisputeReview(disputeId, adminId) {
+  const dispute = await disputes.findById(supabase, disputeId);
+
+  if (!dispute) {
+    throw disputeError(`Dispute not found: ${disputeId}`, 'DISPUTE_NOT_FOUND');
+  }
+
+  if (dispute.status === DISPUTE_STATES.RESOLVED) {
+    throw disputeError(`Dispute ${disputeId} is already resolved`, 'DISPUTE_NOT_ALLOWED');
+  }
+
+  const updated = await disputes.update(supabase, disputeId, {
+    status: DISPUTE_STATES.UNDER_REVIEW,
+    resolved_by: adminId || 'admin'
+  });
+  const transaction = await getEscrowTransaction(dispute.transaction_id);
+
+  const text = locale => t(locale, 'dispute.under_review', { reference: transaction.id });
+  await notifyParties(transaction, text, text);
+
+  return updated;
+}
+
+/**
+ * Send a refund to the buyer of a transaction. A refund Fapshi turned down is
+ * recorded as failed and retried by payout-retry.js; one whose outcome is
+ * unknown is recorded as unconfirmed for an admin.
+ * @param {Object} transaction - The transaction (with buyer details)
+ * @param {number} amount - Amount to refund
+ * @returns {Promise<Object>} Refund columns recorded on the transaction
+ */
+async function refundBuyer(transaction, amount) {
+  const buyer = transaction.buyer || {};
+  const attempt = {
+    refund_amount: amount,
+    refund_attempts: (transaction.refund_attempts || 0) + 1
+  };
+  let refundColumns;
+
+  try {
+    const payout = await initiatePayout({
+      amount,
+      phone: toFapshiPhone(buyer.phone_number),
+      name: buyer.name || undefined,
+      userId: transaction.buyer_id,
+      externalId: `refund-${transaction.id}`,
+      message: `Refund for order ${transaction.id}`
+    });
+    refundColumns = { ...attempt, refund_reference: payout.transId, refund_status: 'sent' };
+  } catch (error) {
+    console.error(`Refund failed for transaction ${transaction.id}:`, error.message);
+    refundColumns = { ...attempt, refund_status: getTransferFailureStatus(error) };
+  }
+
+  const { error } = await supabase
+    .from('transactions')
+    .update({ ...refundColumns, updated_at: new Date() })
+    .eq('id', transaction.id);
+
+  if (error) {
+    console.error('Error recording refund:', error);
+  }
+
+  if (refundColumns.refund_status === 'unconfirmed') {
+    await notifyUnconfirmedTransfer('refund', transaction.id);
+  }
+
+  return refundColumns;
+}
+
+/**
+ * Resolve a dispute by refunding the buyer, releasing to the seller, or splitting the funds
+ * @param {string} disputeId - ID of the dispute
+ * @param {Object} resolutionData - Resolution details
+ * @param {string} resolutionData.resolution - 'refund', 'release' or 'split'
+ * @param {number} resolutionData.buyerAmount - Amount refunded to the buyer (split only)
+ * @param {string} resolutionData.notes - Admin notes shared with both parties
+ * @param {string} resolutionData.resolvedBy - Who resolved the dispute
+ * @returns {Promise<Object>} The resolved dispute
+ */
+async function resolveDispute(disputeId, resolutionData) {
+  const { resolution, notes = null, resolvedBy = 'admin' } = resolutionData;
+
+  if (!DISPUTE_RESOLUTIONS.includes(resolution)) {
+    throw disputeError(`Resolution must be one of: ${DISPUTE_RESOLUTIONS.join(', ')}`, 'DISPUTE_INVALID');
+  }
+
+  const dispute = await disputes.findById(supabase, disputeId);
+  if (!dispute) {
+    throw disputeError(`Dispute not found: ${disputeId}`, 'DISPUTE_NOT_FOUND');
+  }
+
+  if (dispute.status === DISPUTE_STATES.RESOLVED) {
+    throw disputeError(`Dispute ${disputeId} is already resolved`, 'DISPUTE_NOT_ALLOWED');
+  }
+
+  const transaction = await getEscrowTransaction(dispute.transaction_id);
+  const amount = Number(transaction.amount);
+  const escrowFee = Number(transaction.escrow_fee || 0);
+  const note = `Dispute ${resolution}${notes ? `: ${notes}` : ''}`;
+  let buyerAmount = 0;
+  let sellerAmount = 0;
+
+  if (resolution === 'refund') {
+    // A full refund returns everything the buyer paid, escrow fee included
+    buyerAmount = amount + escrowFee;
+    await transitionEscrow(transaction.id, ESCROW_STATES.REFUNDED, { actor: resolvedBy, note });
+    await refundBuyer(transaction, buyerAmount);
+  } else if (resolution === 'release') {
+    sellerAmount = amount;
+    await releaseEscrowFunds(transaction.id, { actor: resolvedBy, note });
+  } else {
+    buyerAmount = Number(resolutionData.buyerAmount);
+    if (!Number.isFinite(buyerAmount) || buyerAmount <= 0 || buyerAmount >= amount) {
+      throw disputeError(`Split buyerAmount must be between 0 and ${amount}`, 'DISPUTE_INVALID');
+    }
+    sellerAmount = amount - buyerAmount;
+
+    const split = await transitionEscrow(transaction.id, ESCROW_STATES.SPLIT, {
+      actor: resolvedBy,
+      note,
+      updates: { payout_status: 'pending' }
+    });
+    await refundBuyer(transaction, buyerAmount);
+    await payoutSeller({ ...split, amount: sellerAmount });
+  }
+
+  const resolved = await disputes.update(supabase, disputeId, {
+    status: DISPUTE_STATES.RESOLVED,
+    resolution,
+    buyer_amount: buyerAmount,
+    seller_amount: sellerAmount,
+    admin_notes: notes,
+    resolved_by: resolvedBy,
+    resolved_at: new Date()
+  });
+
+  // Each party is told their side of the outcome, e.g. dispute.outcomes.split.buyer
+  const resolvedText = party => locale => t(locale, 'dispute.resolved', {
+    reference: transaction.id,
+    outcome: t(locale, `dispute.outcomes.${resolution}.${party}`, {
+      buyerAmount: formatPrice(buyerAmount, transaction.currency, locale),
+      sellerAmount: formatPrice(sellerAmount, transaction.currency, locale)
+    }),
+    notes: notes ? t(locale, 'dispute.resolved_notes', { notes }) : ''
+  });
+
+  await notifyParties(transaction, resolvedText('buyer'), resolvedText('seller'));
+
+  return resolved;
+}
+
+/**
+ * Get a dispute with its evidence, transaction and escrow history
+ * @param {string} disputeId - ID of the dispute
+ * @returns {Promise<Object|null>} The dispute, or null if not found
+ */
+async function getDispute(disputeId) {
+  const dispute = await disputes.findById(supabase, disputeId);
+  if (!dispute) return null;
+
+  const transaction = await getEscrowTransaction(dispute.transaction_id);
+  const history = await getEscrowHistory(dispute.transaction_id);
+
+  return { ...dispute, transaction, history };
+}
+
+/**
+ * List disputes, newest first
+ * @param {string} status - Optional status filter
+ * @returns {Promise<Array>} Disputes
+ */
+async function listDisputes(status = null) {
+  return disputes.list(supabase, status);
+}
+
+module.exports = {
+  DISPUTE_STATES,
+  DISPUTE_RESOLUTIONS,
+  DISPUTABLE_STATES,
+  openDispute,
+  addDisputeEvidence,
+  submitDispute,
+  startDisputeReview,
+  resolveDispute,
+  refundBuyer,
+  getDispute,
+  listDisputes
+};
@@ -0,0 +1,170 @@
+/**
+ * Escrow Release
+ *
+ * This module releases escrowed funds to sellers, either when the buyer
+ * confirms receipt in chat or automatically once the inspection window
+ * has passed without a dispute.
+ */
+
+const supabase = require('../database/supabase');
+const { transactions } = require('../database/schema');
+const { ESCROW_STATES, transitionEscrow, getEscrowTransaction } = require('./escrow');
+const { releaseEscrowFunds } = require('./fapshi');
+const { notifyUser } = require('../services/notifications');
+const { t, formatPrice } = require('../services/i18n');
+require('dotenv').config();
+
+// How often to look for transactions whose inspection window has passed (default 15 minutes)
+const AUTO_RELEASE_INTERVAL_MS = parseInt(process.env.ESCROW_AUTO_RELEASE_INTERVAL_MS || '900000', 10);
+
+// States in which the buyer still holds the funds and can confirm receipt
+const AWAITING_DELIVERY_STATES = [
+  ESCROW_STATES.FUNDED,
+  ESCROW_STATES.SHIPPED,
+  ESCROW_STATES.DELIVERED
+];
+
+// Star rating buttons offered once an order is complete
+const RATING_ACTIONS = [
+  { type: 'button', text: '⭐', payload: 'rate:1' },
+  { type: 'button', text: '⭐⭐', payload: 'rate:2' },
+  { type: 'button', text: '⭐⭐⭐', payload: 'rate:3' },
+  { type: 'button', text: '⭐⭐⭐⭐', payload: 'rate:4' },
+  { type: 'button', text: '⭐⭐⭐⭐⭐', payload: 'rate:5' }
+];
+
+let autoReleaseTimer = null;
+
+/**
+ * Move a transaction to delivered (if needed) and release it to the seller
+ * @param {Object} transaction - The escrow transaction
+ * @param {string} actor - Who triggered the release
+ * @param {string} note - Note stored in the transaction history
+ * @returns {Promise<Object>} The released transaction
+ */
+async function deliverAndRelease(transaction, actor, note) {
+  if (transaction.status !== ESCROW_STATES.DELIVERED) {
+    await transitionEscrow(transaction.id, ESCROW_STATES.DELIVERED, { actor, note });
+  }
+
+  return releaseEscrowFunds(transaction.id, { actor, note });
+}
+
+/**
+ * Tell the seller their money has been released
+ * @param {Object} released - The released transaction (with listing and seller)
+ * @param {string} reason - Why the funds were released: 'buyer_confirmed' or 'window_ended'
+ */
+async function notifySellerOfRelease(released, reason) {
+  await notifyUser(released.seller?.phone_number, locale => {
+    const amount = formatPrice(released.amount, released.currency, locale);
+    return t(locale, 'release.seller', {
+      reason: t(locale, `release.reasons.${reason}`),
+      title: released.listing?.title || t(locale, 'release.your_item'),
+      payout: t(locale, released.payout_status === 'sent' ? 'release.payout_sent' : 'release.payout_processing', { amount }),
+      reference: released.id
+    });
+  });
+}
+
+/**
+ * Confirm that the buyer received their order and release the funds
+ * @param {string} transactionId - ID of the transaction in our system
+ * @param {string} buyerId - ID of the buyer confirming receipt
+ * @returns {Promise<Object>} The released transaction
+ */
+async function confirmDelivery(transactionId, buyerId) {
+  const transaction = await getEscrowTransaction(transactionId);
+
+  if (!transaction || transaction.buyer_id !== buyerId) {
+    const error = new Error(`No order ${transactionId} found for this buyer`);
+    error.code = 'ESCROW_NOT_FOUND';
+    throw error;
+  }
+
+  if (!AWAITING_DELIVERY_STATES.includes(transaction.status)) {
+    const error = new Error(`Order ${transactionId} is ${transaction.status} and can't be confirmed`);
+    error.code = 'ESCROW_INVALID_TRANSITION';
+    throw error;
+  }
+
+  const released = await deliverAndRelease(transaction, buyerId, 'Buyer confirmed receipt');
+  await notifySellerOfRelease(released, 'buyer_confirmed');
+
+  return released;
+}
+
+/**
+ * Release every transaction whose inspection window has passed.
+ * Disputed transactions are never picked up, so a dispute freezes the funds.
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Promise<Array>} The released transactions
+ */
+async function autoReleaseDueEscrows(now = new Date()) {
+  const due = await transactions.findDueForRelease(supabase, AWAITING_DELIVERY_STATES, now);
+  const released = [];
+
+  for (const candidate of due) {
+    try {
+      const transaction = await getEscrowTransaction(candidate.id);
+      const result = await deliverAndRelease(transaction, 'system', 'Inspection window elapsed');
+      released.push(result);
+
+      await notifySellerOfRelease(result, 'window_ended');
+      await notifyUser(result.buyer?.phone_number, locale => ({
+        text: t(locale, 'release.buyer_window_ended', {
+          title: result.listing?.title || t(locale, 'payment.your_order')
+        }),
+        actions: RATING_ACTIONS
+      }));
+
+      // Let the buyer rate the seller in their next message
+      const { startRating } = require('../services/agent');
+      await startRating(result.buyer?.phone_number, result);
+    } catch (error) {
+      // Another worker or the buyer got there first; skip and keep going
+      console.error(`Error auto-releasing escrow ${candidate.id}:`, error.message);
+    }
+  }
+
+  if (released.length > 0) {
+    console.log(`Auto-released ${released.length} escrow transaction(s)`);
+  }
+
+  return released;
+}
+
+/**
+ * Start checking for transactions to auto-release on an interval
+ * @param {number} intervalMs - Interval between checks (default: ESCROW_AUTO_RELEASE_INTERVAL_MS)
+ */
+function startAutoRelease(intervalMs = AUTO_RELEASE_INTERVAL_MS) {
+  if (autoReleaseTimer) return;
+
+  autoReleaseTimer = setInterval(() => {
+    autoReleaseDueEscrows().catch(error => console.error('Error running escrow auto-release:', error));
+  }, intervalMs);
+
+  // Don't keep the process alive just for this timer
+  autoReleaseTimer.unref();
+  console.log(`Escrow auto-release running every ${Math.round(intervalMs / 1000)}s`);
+}
+
+/**
+ * Stop the auto-release interval
+ */
+function stopAutoRelease() {
+  if (autoReleaseTimer) {
+    clearInterval(autoReleaseTimer);
+    autoReleaseTimer = null;
+  }
+}
+
+module.exports = {
+  AWAITING_DELIVERY_STATES,
+  RATING_ACTIONS,
+  confirmDelivery,
+  autoReleaseDueEscrows,
+  startAutoRelease,
+  stopAutoRelease
+};
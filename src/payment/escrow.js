@@ -0,0 +1,195 @@
+/**
+ * Escrow Ledger
+ *
+ * This module is the single place where escrow transactions change state.
+ * It persists transactions in the `transactions` table, enforces the escrow
+ * state machine and writes a `transaction_history` row for every transition.
+ */
+
+const supabase = require('../database/supabase');
+const { transactions, transactionHistory } = require('../database/schema');
+require('dotenv').config();
+
+// Escrow fee charged to the buyer on top of the listing price (default 5%)
+const ESCROW_FEE_RATE = parseFloat(process.env.ESCROW_FEE_RATE || '0.05');
+
+// How long the buyer has to inspect an order before funds auto-release (default 72 hours)
+const ESCROW_INSPECTION_HOURS = parseFloat(process.env.ESCROW_INSPECTION_HOURS || '72');
+
+// Escrow transaction states
+const ESCROW_STATES = {
+  PENDING: 'pending',
+  FUNDED: 'funded',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  RELEASED: 'released',
+  REFUNDED: 'refunded',
+  DISPUTED: 'disputed',
+  SPLIT: 'split',
+  CANCELLED: 'cancelled'
+};
+
+// Allowed transitions: current state -> states it may move to
+const ESCROW_TRANSITIONS = {
+  [ESCROW_STATES.PENDING]: [ESCROW_STATES.FUNDED, ESCROW_STATES.CANCELLED],
+  [ESCROW_STATES.FUNDED]: [ESCROW_STATES.SHIPPED, ESCROW_STATES.DELIVERED, ESCROW_STATES.DISPUTED, ESCROW_STATES.REFUNDED],
+  [ESCROW_STATES.SHIPPED]: [ESCROW_STATES.DELIVERED, ESCROW_STATES.DISPUTED],
+  [ESCROW_STATES.DELIVERED]: [ESCROW_STATES.RELEASED, ESCROW_STATES.DISPUTED],
+  [ESCROW_STATES.DISPUTED]: [ESCROW_STATES.RELEASED, ESCROW_STATES.REFUNDED, ESCROW_STATES.SPLIT],
+  [ESCROW_STATES.RELEASED]: [],
+  [ESCROW_STATES.REFUNDED]: [],
+  [ESCROW_STATES.SPLIT]: [],
+  [ESCROW_STATES.CANCELLED]: []
+};
+
+/**
+ * Calculate the escrow fee for an amount
+ * @param {number} amount - Listing price (in FCFA)
+ * @returns {number} Escrow fee, rounded to the nearest franc
+ */
+function calculateEscrowFee(amount) {
+  return Math.round(Number(amount) * ESCROW_FEE_RATE);
+}
+
+/**
+ * Check whether an escrow transaction may move between two states
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(fromStatus, toStatus) {
+  const allowed = ESCROW_TRANSITIONS[fromStatus];
+  return !!allowed && allowed.includes(toStatus);
+}
+
+/**
+ * Open a new escrow transaction in the pending state
+ * @param {Object} escrowData - Escrow details
+ * @param {string} escrowData.listingId - ID of the listing being purchased
+ * @param {string} escrowData.buyerId - ID of the buyer in our system
+ * @param {string} escrowData.sellerId - ID of the seller in our system
+ * @param {number} escrowData.amount - Listing price (in FCFA)
+ * @param {string} escrowData.currency - Currency (default: FCFA)
+ * @param {string} escrowData.paymentProvider - Payment provider (default: fapshi)
+ * @returns {Promise<Object>} The stored transaction
+ */
+async function openEscrow(escrowData) {
+  const transaction = await transactions.create(supabase, {
+    listing_id: escrowData.listingId,
+    buyer_id: escrowData.buyerId,
+    seller_id: escrowData.sellerId,
+    amount: escrowData.amount,
+    currency: escrowData.currency || 'FCFA',
+    escrow_fee: calculateEscrowFee(escrowData.amount),
+    payment_provider: escrowData.paymentProvider || 'fapshi',
+    status: ESCROW_STATES.PENDING
+  });
+
+  // The external ID is what we hand to the payment provider, so webhooks
+  // can be matched back to this transaction
+  const externalId = `escrow-${transaction.id}`;
+  const { data, error } = await supabase
+    .from('transactions')
+    .update({ external_id: externalId })
+    .eq('id', transaction.id)
+    .select();
+
+  if (error) throw error;
+
+  await transactionHistory.create(supabase, {
+    transaction_id: transaction.id,
+    from_status: null,
+    to_status: ESCROW_STATES.PENDING,
+    actor: escrowData.buyerId,
+    note: 'Escrow opened'
+  });
+
+  return data[0];
+}
+
+/**
+ * Move an escrow transaction to a new state
+ * @param {string} transactionId - ID of the transaction in our system
+ * @param {string} toStatus - The state to move to
+ * @param {Object} options - Transition options
+ * @param {string} options.actor - Who triggered the transition (user ID, 'system', 'admin', 'fapshi')
+ * @param {string} options.note - Optional note stored in the history row
+ * @param {Object} options.updates - Extra columns to update with the status
+ * @returns {Promise<Object>} The updated transaction
+ */
+async function transitionEscrow(transactionId, toStatus, options = {}) {
+  const { actor = 'system', note = null, updates = {} } = options;
+
+  const transaction = await transactions.findById(supabase, transactionId);
+  if (!transaction) {
+    const error = new Error(`Escrow transaction not found: ${transactionId}`);
+    error.code = 'ESCROW_NOT_FOUND';
+    throw error;
+  }
+
+  const fromStatus = transaction.status;
+  if (!canTransition(fromStatus, toStatus)) {
+    const error = new Error(`Invalid escrow transition: ${fromStatus} -> ${toStatus}`);
+    error.code = 'ESCROW_INVALID_TRANSITION';
+    throw error;
+  }
+
+  const columns = { ...updates, status: toStatus };
+  if (toStatus === ESCROW_STATES.FUNDED) {
+    columns.funded_at = new Date();
+    columns.auto_release_at = new Date(Date.now() + ESCROW_INSPECTION_HOURS * 60 * 60 * 1000);
+  } else if (toStatus === ESCROW_STATES.DELIVERED) {
+    columns.delivered_at = new Date();
+  } else if (toStatus === ESCROW_STATES.RELEASED) {
+    columns.release_date = new Date();
+  }
+
+  const updated = await transactions.transition(supabase, transactionId, fromStatus, columns);
+  if (!updated) {
+    // Someone else moved the transaction between our read and our write
+    const error = new Error(`Escrow transaction ${transactionId} changed state concurrently`);
+    error.code = 'ESCROW_CONFLICT';
+    throw error;
+  }
+
+  await transactionHistory.create(supabase, {
+    transaction_id: transactionId,
+    from_status: fromStatus,
+    to_status: toStatus,
+    actor,
+    note
+  });
+
+  console.log(`Escrow ${transactionId}: ${fromStatus} -> ${toStatus} (by ${actor})`);
+  return { ...transaction, ...updated };
+}
+
+/**
+ * Get an escrow transaction with its listing, buyer and seller
+ * @param {string} transactionId - ID of the transaction in our system
+ * @returns {Promise<Object|null>} The transaction or null if not found
+ */
+async function getEscrowTransaction(transactionId) {
+  return transactions.findById(supabase, transactionId);
+}
+
+/**
+ * Get the full transition history of an escrow transaction
+ * @param {string} transactionId - ID of the transaction in our system
+ * @returns {Promise<Array>} History rows, oldest first
+ */
+async function getEscrowHistory(transactionId) {
+  return transactionHistory.findByTransaction(supabase, transactionId);
+}
+
+module.exports = {
+  ESCROW_STATES,
+  ESCROW_INSPECTION_HOURS,
+  ESCROW_TRANSITIONS,
+  calculateEscrowFee,
+  canTransition,
+  openEscrow,
+  transitionEscrow,
+  getEscrowTransaction,
+  getEscrowHistory
+};
@@ -7,12 +7,26 @@
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
+const supabase = require('../database/supabase');
+const { ESCROW_STATES, openEscrow, transitionEscrow, getEscrowTransaction } = require('./escrow');
+const {
+  activateSubscription,
+  activateBoost,
+  failPendingPayment
+} = require('../services/fapshi/payment');
+const { notifyUser, notifyAdmins } = require('../services/notifications');
+const { t, formatPrice, formatDate } = require('../services/i18n');
 require('dotenv').config();
 
 // Fapshi API configuration
 const FAPSHI_API_KEY = process.env.FAPSHI_API_KEY;
 const FAPSHI_SECRET_KEY = process.env.FAPSHI_SECRET_KEY;
 const FAPSHI_BASE_URL = 'https://api.fapshi.com';
+const FAPSHI_WEBHOOK_SECRET = process.env.FAPSHI_WEBHOOK_SECRET;
+
+// How long a webhook delivery stays claimed before a redelivery may take it over
+const WEBHOOK_CLAIM_MS = 5 * 60 * 1000;
 
 if (!FAPSHI_API_KEY || !FAPSHI_SECRET_KEY) {
   console.error('Missing Fapshi API credentials. Please check your .env file.');
@@ -153,6 +167,73 @@ async function initiateDirectPayment(paymentData) {
   }
 }
 
+/**
+ * Send money from our Fapshi balance to a user's mobile money account
+ * @param {Object} payoutData - Payout details
+ * @param {number} payoutData.amount - Amount to send (in FCFA)
+ * @param {string} payoutData.phone - Phone number to send the money to
+ * @param {string} payoutData.name - Name of the recipient
+ * @param {string} payoutData.userId - ID of the recipient in our system
+ * @param {string} payoutData.externalId - ID of the payout in our system
+ * @param {string} payoutData.message - Description of the payout
+ * @returns {Promise<Object>} Transaction ID of the payout
+ */
+async function initiatePayout(payoutData) {
+  try {
+    const response = await axios.post(
+      `${FAPSHI_BASE_URL}/payout`,
+      payoutData,
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': FAPSHI_API_KEY
+        }
+      }
+    );
+    
+    return response.data;
+  } catch (error) {
+    console.error('Error initiating payout:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Convert a WhatsApp phone number (e.g. 237670000000) to the local
+ * 9-digit format Fapshi expects for mobile money (e.g. 670000000)
+ * @param {string} phone - Phone number in any common format
+ * @returns {string} Local phone number
+ */
+function toFapshiPhone(phone) {
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.length === 12 && digits.startsWith('237') ? digits.slice(3) : digits;
+}
+
+/**
+ * Decide what a failed payout request means for the transfer. A 4xx means
+ * Fapshi turned it down, so it can be sent again; after a timeout, a network
+ * error or a 5xx Fapshi may still have accepted it, so resending could pay twice.
+ * @param {Error} error - The error thrown by initiatePayout
+ * @returns {string} 'failed' (safe to retry) or 'unconfirmed' (left to an admin)
+ */
+function getTransferFailureStatus(error) {
+  const status = error.response?.status;
+  return status >= 400 && status < 500 ? 'failed' : 'unconfirmed';
+}
+
+/**
+ * Ask the admins to check a payout or refund whose outcome Fapshi didn't confirm
+ * @param {string} transfer - 'payout' or 'refund'
+ * @param {string} transactionId - ID of the transaction in our system
+ */
+async function notifyUnconfirmedTransfer(transfer, transactionId) {
+  await notifyAdmins(
+    `We couldn't confirm whether the ${transfer} for order *${transactionId}* went through, so it won't be retried ` +
+    `automatically. Look for external ID ${transfer}-${transactionId} in the Fapshi dashboard; only if it wasn't sent, ` +
+    `re-run it with POST /api/admin/payouts/${transactionId}/retry.`
+  );
+}
+
 /**
  * Create an escrow payment for a marketplace transaction
  * @param {Object} escrowData - Escrow payment details
@@ -165,19 +246,23 @@ async function initiateDirectPayment(paymentData) {
  * @returns {Promise<Object>} Escrow transaction details
  */
 async function createEscrowPayment(escrowData) {
+  // Record the transaction first so the external ID we give Fapshi points at a real row
+  const transaction = await openEscrow({
+    listingId: escrowData.listingId,
+    buyerId: escrowData.buyerId,
+    sellerId: escrowData.sellerId,
+    amount: escrowData.amount
+  });
+  
   try {
-    // Calculate escrow fee (5% of transaction amount)
-    const escrowFee = Math.round(escrowData.amount * 0.05);
-    const totalAmount = escrowData.amount + escrowFee;
-    
-    // Generate a unique external ID for this transaction
-    const externalId = `escrow-${escrowData.listingId}-${Date.now()}`;
+    const escrowFee = Number(transaction.escrow_fee);
+    const totalAmount = Number(escrowData.amount) + escrowFee;
     
     // Create payment data for Fapshi
     const paymentData = {
       amount: totalAmount,
       userId: escrowData.buyerId,
-      externalId,
+      externalId: transaction.external_id,
       message: `Escrow payment for listing #${escrowData.listingId}`,
     };
     
@@ -186,127 +271,600 @@ async function createEscrowPayment(escrowData) {
       paymentData.email = escrowData.buyerEmail;
     }
     
-    // If we have the buyer's phone number, use direct payment
+    // If we have the buyer's phone number, use direct payment, otherwise generate a payment link
+    let paymentResult;
     if (escrowData.buyerPhone) {
-      paymentData.phone = escrowData.buyerPhone;
-      
-      // Initiate direct payment
-      const directPaymentResult = await initiateDirectPayment(paymentData);
-      
-      // Store transaction in our database
-      const transaction = await storeEscrowTransaction({
-        listing_id: escrowData.listingId,
-        buyer_id: escrowData.buyerId,
-        seller_id: escrowData.sellerId,
-        amount: escrowData.amount,
-        escrow_fee: escrowFee,
-        payment_provider: 'fapshi',
-        payment_reference: directPaymentResult.transId,
-        status: 'pending'
-      });
-      
-      return {
-        transactionId: transaction.id,
-        fapshiTransId: directPaymentResult.transId,
-        amount: totalAmount,
-        escrowFee,
-        status: 'pending'
-      };
+      paymentData.phone = toFapshiPhone(escrowData.buyerPhone);
+      paymentResult = await initiateDirectPayment(paymentData);
     } else {
-      // Generate payment link
-      const paymentLinkResult = await generatePaymentLink(paymentData);
-      
-      // Store transaction in our database
-      const transaction = await storeEscrowTransaction({
-        listing_id: escrowData.listingId,
-        buyer_id: escrowData.buyerId,
-        seller_id: escrowData.sellerId,
-        amount: escrowData.amount,
-        escrow_fee: escrowFee,
-        payment_provider: 'fapshi',
-        payment_reference: paymentLinkResult.transId,
-        status: 'pending'
-      });
-      
-      return {
-        transactionId: transaction.id,
-        fapshiTransId: paymentLinkResult.transId,
-        paymentLink: paymentLinkResult.link,
-        amount: totalAmount,
-        escrowFee,
-        status: 'pending'
-      };
+      paymentResult = await generatePaymentLink(paymentData);
     }
+    
+    // Link the Fapshi transaction to our ledger entry
+    await supabase
+      .from('transactions')
+      .update({ payment_reference: paymentResult.transId, updated_at: new Date() })
+      .eq('id', transaction.id);
+    
+    return {
+      transactionId: transaction.id,
+      fapshiTransId: paymentResult.transId,
+      paymentLink: paymentResult.link,
+      amount: totalAmount,
+      escrowFee,
+      status: transaction.status
+    };
   } catch (error) {
     console.error('Error creating escrow payment:', error);
+    
+    // The buyer was never asked to pay, so the escrow can't be funded
+    await transitionEscrow(transaction.id, ESCROW_STATES.CANCELLED, {
+      note: `Payment initiation failed: ${error.message}`
+    }).catch(cancelError => console.error('Error cancelling escrow transaction:', cancelError));
+    
+    throw error;
+  }
+}
+
+/**
+ * Release funds from escrow to the seller and pay them out through Fapshi.
+ * The escrow fee is kept; the seller receives the listing price.
+ * @param {string} transactionId - ID of the transaction in our system
+ * @param {Object} options - Release options
+ * @param {string} options.actor - Who released the funds (default: 'system')
+ * @param {string} options.note - Optional note stored in the transaction history
+ * @returns {Promise<Object>} Updated transaction details
+ */
+async function releaseEscrowFunds(transactionId, options = {}) {
+  try {
+    console.log('Releasing escrow funds for transaction:', transactionId);
+    
+    // Only a delivered (or disputed) transaction may be released; the ledger enforces this.
+    // Releasing first means a retried release can never pay the seller twice.
+    const released = await transitionEscrow(transactionId, ESCROW_STATES.RELEASED, {
+      actor: options.actor || 'system',
+      note: options.note || 'Funds released to seller',
+      updates: { payout_status: 'pending' }
+    });
+    
+    return await payoutSeller(released);
+  } catch (error) {
+    console.error('Error releasing escrow funds:', error);
     throw error;
   }
 }
 
 /**
- * Store an escrow transaction in our database
- * @param {Object} transactionData - Transaction data
- * @returns {Promise<Object>} Stored transaction
+ * Pay the seller of a released transaction. A payout Fapshi turned down is
+ * recorded as failed and retried by payout-retry.js, rather than undoing the
+ * release; one whose outcome is unknown is recorded as unconfirmed for an admin.
+ * @param {Object} transaction - The released transaction (with seller details; `amount` is what the seller is owed)
+ * @returns {Promise<Object>} The transaction with its payout details
  */
-async function storeEscrowTransaction(transactionData) {
-  // This is a placeholder for the actual database storage
-  // In a real implementation, this would use the database models
-  console.log('Storing escrow transaction:', transactionData);
+async function payoutSeller(transaction) {
+  const seller = transaction.seller || {};
+  const attempt = {
+    payout_amount: Number(transaction.amount),
+    payout_attempts: (transaction.payout_attempts || 0) + 1
+  };
+  let payoutColumns;
   
-  // Simulate database storage
-  return {
-    id: `trans-${Date.now()}`,
-    ...transactionData,
-    created_at: new Date(),
+  try {
+    const payout = await initiatePayout({
+      amount: Number(transaction.amount),
+      phone: toFapshiPhone(seller.phone_number),
+      name: seller.name || undefined,
+      userId: transaction.seller_id,
+      externalId: `payout-${transaction.id}`,
+      message: `Payout for order ${transaction.id}`
+    });
+    payoutColumns = { ...attempt, payout_reference: payout.transId, payout_status: 'sent' };
+  } catch (error) {
+    console.error(`Payout failed for transaction ${transaction.id}:`, error.message);
+    payoutColumns = { ...attempt, payout_status: getTransferFailureStatus(error) };
+  }
+  
+  const { error } = await supabase
+    .from('transactions')
+    .update({ ...payoutColumns, updated_at: new Date() })
+    .eq('id', transaction.id);
+  
+  if (error) {
+    console.error('Error recording payout:', error);
+  }
+  
+  if (payoutColumns.payout_status === 'unconfirmed') {
+    await notifyUnconfirmedTransfer('payout', transaction.id);
+  }
+  
+  return { ...transaction, ...payoutColumns };
+}
+
+/**
+ * Verify the HMAC signature of a webhook request body (only possible with FAPSHI_WEBHOOK_SECRET set)
+ * @param {Buffer|string} rawBody - The raw request body
+ * @param {string} signature - Hex-encoded HMAC-SHA256 sent with the request
+ * @returns {boolean} True if the signature matches
+ */
+function verifyWebhookSignature(rawBody, signature) {
+  if (!FAPSHI_WEBHOOK_SECRET || !rawBody || !signature) {
+    return false;
+  }
+  
+  const expected = crypto
+    .createHmac('sha256', FAPSHI_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest('hex');
+  
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const signatureBuffer = Buffer.from(String(signature).replace(/^sha256=/, ''), 'hex');
+  
+  return expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+/**
+ * Claim a webhook delivery for processing. The claim is a conditional write,
+ * so of two concurrent deliveries of the same event only one goes ahead.
+ * @param {string} transId - Fapshi transaction ID
+ * @param {string} status - Payment status of this delivery
+ * @param {Object} payload - The webhook payload
+ * @returns {Promise<boolean>} True if this delivery still needs processing
+ */
+async function claimWebhookEvent(transId, status, payload) {
+  const now = new Date();
+  const { error } = await supabase
+    .from('payment_webhook_events')
+    .insert([{
+      trans_id: transId,
+      status,
+      external_id: payload.externalId || null,
+      payload,
+      claimed_at: now
+    }]);
+  
+  if (!error) {
+    return true;
+  }
+  
+  // Unique violation on (trans_id, status): we've seen this delivery before.
+  // Take it over only if it isn't processed and its last claim was released
+  // (a failed attempt) or has lapsed (a crashed one)
+  if (error.code === '23505') {
+    const lapsedBefore = new Date(now.getTime() - WEBHOOK_CLAIM_MS).toISOString();
+    const { data, error: claimError } = await supabase
+      .from('payment_webhook_events')
+      .update({ claimed_at: now })
+      .eq('trans_id', transId)
+      .eq('status', status)
+      .is('processed_at', null)
+      .or(`claimed_at.is.null,claimed_at.lt.${lapsedBefore}`)
+      .select('id');
+    
+    if (claimError) throw claimError;
+    return data.length > 0;
+  }
+  
+  throw error;
+}
+
+/**
+ * Release the claim on a webhook delivery that failed, so its redelivery is processed
+ * @param {string} transId - Fapshi transaction ID
+ * @param {string} status - Payment status of this delivery
+ */
+async function releaseWebhookEvent(transId, status) {
+  const { error } = await supabase
+    .from('payment_webhook_events')
+    .update({ claimed_at: null })
+    .eq('trans_id', transId)
+    .eq('status', status)
+    .is('processed_at', null);
+  
+  if (error) {
+    console.error('Error releasing webhook event:', error);
+  }
+}
+
+/**
+ * Mark a webhook delivery as fully processed
+ * @param {string} transId - Fapshi transaction ID
+ * @param {string} status - Payment status of this delivery
+ * @param {string} target - What the payment was for (escrow, subscription, boost, checkout)
+ */
+async function completeWebhookEvent(transId, status, target) {
+  const { error } = await supabase
+    .from('payment_webhook_events')
+    .update({ processed_at: new Date(), target })
+    .eq('trans_id', transId)
+    .eq('status', status);
+  
+  if (error) {
+    console.error('Error marking webhook event as processed:', error);
+  }
+}
+
+/**
+ * Hold an escrow transaction that was paid less than its total. The funds
+ * aren't escrowed; the transaction is flagged for an admin to refund or
+ * settle, and the buyer and admins are told.
+ * @param {Object} transaction - The escrow transaction (with buyer and listing details)
+ * @param {Object} payment - Verified Fapshi payment details
+ * @param {number} total - Amount the buyer should have paid
+ * @returns {Promise<Object>} The flagged transaction
+ */
+async function flagUnderpaidEscrow(transaction, payment, total) {
+  console.warn(`Escrow ${transaction.id} underpaid: received ${payment.amount}, expected ${total}`);
+  const flags = {
+    payment_flag: 'underpaid',
+    amount_received: Number(payment.amount),
+    payment_reference: payment.transId,
     updated_at: new Date()
   };
+  
+  const { error } = await supabase
+    .from('transactions')
+    .update(flags)
+    .eq('id', transaction.id);
+  
+  if (error) throw error;
+  
+  await notifyUser(transaction.buyer?.phone_number, locale => t(locale, 'payment.underpaid', {
+    received: formatPrice(payment.amount, transaction.currency, locale),
+    total: formatPrice(total, transaction.currency, locale),
+    title: transaction.listing?.title || t(locale, 'payment.your_order'),
+    reference: transaction.id
+  }));
+  await notifyAdmins(
+    `Order *${transaction.id}* was underpaid: Fapshi payment ${payment.transId} brought ${payment.amount} ` +
+    `of ${total} ${transaction.currency}. It is on hold (payment_flag 'underpaid') until it is refunded or settled.`
+  );
+  
+  return { ...transaction, ...flags };
 }
 
 /**
- * Release funds from escrow to the seller
+ * Apply a verified payment status to an escrow transaction
  * @param {string} transactionId - ID of the transaction in our system
- * @returns {Promise<Object>} Updated transaction details
+ * @param {Object} payment - Verified Fapshi payment details
+ * @param {Object} options - Handling options
+ * @param {boolean} options.notifyBuyer - Send the buyer a WhatsApp update (default: true)
+ * @returns {Promise<Object|null>} The updated transaction, or null if nothing changed
  */
-async function releaseEscrowFunds(transactionId) {
-  try {
-    // This is a placeholder for the actual escrow release logic
-    // In a real implementation, this would update the transaction status
-    // and initiate a payout to the seller
-    console.log('Releasing escrow funds for transaction:', transactionId);
+async function handleEscrowPayment(transactionId, payment, options = {}) {
+  const { notifyBuyer = true } = options;
+
+  const transaction = await getEscrowTransaction(transactionId);
+  if (!transaction) {
+    throw new Error(`Escrow transaction not found: ${transactionId}`);
+  }
+  
+  // Only a pending transaction can be funded or cancelled by a payment update
+  if (transaction.status !== ESCROW_STATES.PENDING) {
+    console.log(`Escrow ${transactionId} already ${transaction.status}, ignoring ${payment.status} webhook`);
+    return null;
+  }
+  
+  // An underpaid transaction waits for an admin, whatever Fapshi reports next
+  if (transaction.payment_flag) {
+    console.log(`Escrow ${transactionId} flagged ${transaction.payment_flag}, ignoring ${payment.status} webhook`);
+    return null;
+  }
+  
+  const buyerPhone = transaction.buyer?.phone_number;
+  const sellerPhone = transaction.seller?.phone_number;
+  const title = locale => transaction.listing?.title || t(locale, 'payment.your_order');
+  const total = Number(transaction.amount) + Number(transaction.escrow_fee || 0);
+  
+  if (payment.status === 'SUCCESSFUL') {
+    if (Number(payment.amount) < total) {
+      return flagUnderpaidEscrow(transaction, payment, total);
+    }
     
-    // Simulate database update
-    return {
-      id: transactionId,
-      status: 'completed',
-      release_date: new Date(),
-      updated_at: new Date()
-    };
+    const funded = await transitionEscrow(transactionId, ESCROW_STATES.FUNDED, {
+      actor: 'fapshi',
+      note: `Payment ${payment.transId} confirmed`,
+      updates: { payment_reference: payment.transId }
+    });
+    
+    await notifyUser(notifyBuyer && buyerPhone, locale => t(locale, 'payment.received', {
+      total: formatPrice(total, transaction.currency, locale),
+      title: title(locale),
+      reference: transactionId
+    }));
+    await notifyUser(sellerPhone, locale => t(locale, 'payment.new_order', {
+      price: formatPrice(transaction.amount, transaction.currency, locale),
+      title: title(locale),
+      buyer: transaction.buyer?.name || buyerPhone,
+      reference: transactionId
+    }));
+    
+    return funded;
+  }
+  
+  if (payment.status === 'FAILED' || payment.status === 'EXPIRED') {
+    const cancelled = await transitionEscrow(transactionId, ESCROW_STATES.CANCELLED, {
+      actor: 'fapshi',
+      note: `Payment ${payment.transId} ${payment.status.toLowerCase()}`
+    });
+    
+    await notifyUser(notifyBuyer && buyerPhone, locale =>
+      t(locale, payment.status === 'EXPIRED' ? 'payment.expired_notice' : 'payment.failed_notice', { title: title(locale) })
+    );
+    
+    return cancelled;
+  }
+  
+  return null;
+}
+
+/**
+ * Check an escrow transaction's payment with Fapshi and apply the result.
+ * Used when the buyer tells us they've paid, in case the webhook hasn't arrived yet.
+ * @param {string} transactionId - ID of the transaction in our system
+ * @returns {Promise<Object>} The transaction and the payment status reported by Fapshi
+ */
+async function syncEscrowPayment(transactionId) {
+  const transaction = await getEscrowTransaction(transactionId);
+  if (!transaction) {
+    throw new Error(`Escrow transaction not found: ${transactionId}`);
+  }
+  
+  if (transaction.status !== ESCROW_STATES.PENDING || !transaction.payment_reference) {
+    return { transaction, paymentStatus: null };
+  }
+  
+  const verified = await checkPaymentStatus(transaction.payment_reference);
+  const paymentStatus = String(verified.status || '').toUpperCase();
+  
+  try {
+    await handleEscrowPayment(transactionId, {
+      transId: transaction.payment_reference,
+      status: paymentStatus,
+      amount: verified.amount,
+      externalId: transaction.external_id
+    }, { notifyBuyer: false });
   } catch (error) {
-    console.error('Error releasing escrow funds:', error);
+    // The webhook may have applied the same update in the meantime
+    if (error.code !== 'ESCROW_CONFLICT' && error.code !== 'ESCROW_INVALID_TRANSITION') {
+      throw error;
+    }
+  }
+  
+  return {
+    transaction: await getEscrowTransaction(transactionId),
+    paymentStatus
+  };
+}
+
+/**
+ * Cancel an unpaid escrow transaction and expire its Fapshi payment
+ * @param {string} transactionId - ID of the transaction in our system
+ * @param {Object} options - Cancellation options
+ * @param {string} options.actor - Who cancelled the transaction
+ * @param {string} options.note - Optional note stored in the transaction history
+ * @returns {Promise<Object>} The cancelled transaction
+ */
+async function cancelEscrowPayment(transactionId, options = {}) {
+  const transaction = await getEscrowTransaction(transactionId);
+  if (!transaction) {
+    throw new Error(`Escrow transaction not found: ${transactionId}`);
+  }
+  
+  // The buyer has paid part of it: an admin settles it, not a cancellation
+  if (transaction.payment_flag) {
+    const error = new Error(`Escrow transaction ${transactionId} is flagged ${transaction.payment_flag}`);
+    error.code = 'ESCROW_PAYMENT_FLAGGED';
     throw error;
   }
+  
+  // Stop the buyer from paying for a transaction we're about to cancel
+  if (transaction.payment_reference) {
+    try {
+      await expirePayment(transaction.payment_reference);
+    } catch (error) {
+      // Already paid or already expired: let the ledger decide below
+      console.error('Error expiring Fapshi payment:', error.message);
+    }
+  }
+  
+  return transitionEscrow(transactionId, ESCROW_STATES.CANCELLED, {
+    actor: options.actor || 'system',
+    note: options.note || 'Checkout cancelled'
+  });
+}
+
+/**
+ * Apply a verified payment status to a subscription
+ * @param {Object} payment - Verified Fapshi payment details
+ * @returns {Promise<Object|null>} The subscription, or null if nothing changed
+ */
+async function handleSubscriptionPayment(payment) {
+  // externalId format: sub_<phone>_<planId>_<timestamp>
+  const [, userPhone] = payment.externalId.split('_');
+  const match = { externalId: payment.externalId };
+  
+  if (payment.status === 'SUCCESSFUL') {
+    const subscription = await activateSubscription(match);
+    if (subscription && subscription.activated) {
+      await notifyUser(subscription.user_phone || userPhone, locale => t(locale, 'subscription.activated', {
+        plan: subscription.subscription_plans?.name || 'Premium',
+        expires: formatDate(subscription.end_date, locale)
+      }));
+    }
+    return subscription;
+  }
+  
+  if (payment.status === 'FAILED' || payment.status === 'EXPIRED') {
+    const subscription = await failPendingPayment('user_subscriptions', match);
+    if (subscription) {
+      await notifyUser(subscription.user_phone || userPhone, locale => t(locale, 'subscription.payment_failed'));
+    }
+    return subscription;
+  }
+  
+  return null;
+}
+
+/**
+ * Apply a verified payment status to a listing boost
+ * @param {Object} payment - Verified Fapshi payment details
+ * @returns {Promise<Object|null>} The boost, or null if nothing changed
+ */
+async function handleBoostPayment(payment) {
+  // externalId format: boost_<phone>_<listingId>_<timestamp>
+  const [, userPhone] = payment.externalId.split('_');
+  const match = { externalId: payment.externalId };
+  
+  if (payment.status === 'SUCCESSFUL') {
+    const boost = await activateBoost(match);
+    if (boost && boost.activated) {
+      const endDate = new Date(boost.end_date);
+      await notifyUser(userPhone, locale => t(locale, 'boost.activated', {
+        name: boost.boosting_packages?.name || 'Boost',
+        expires: `${formatDate(endDate, locale)} ${endDate.toLocaleTimeString()}`
+      }));
+    }
+    return boost;
+  }
+  
+  if (payment.status === 'FAILED' || payment.status === 'EXPIRED') {
+    const boost = await failPendingPayment('listing_boosts', match);
+    if (boost) {
+      await notifyUser(userPhone, locale => t(locale, 'boost.payment_failed'));
+    }
+    return boost;
+  }
+  
+  return null;
+}
+
+/**
+ * Apply a verified payment status to a generic checkout payment session
+ * @param {Object} payment - Verified Fapshi payment details
+ * @returns {Promise<Object|null>} The payment session, or null if not found
+ */
+async function handleCheckoutPayment(payment) {
+  // externalId format: checkout|<phone>|<cartId>
+  const [, userPhone, cartId] = payment.externalId.split('|');
+  
+  const { data, error } = await supabase
+    .from('payment_sessions')
+    .update({ status: payment.status.toLowerCase() })
+    .eq('payment_reference', payment.transId)
+    .select();
+  
+  if (error) throw error;
+  
+  if (payment.status === 'SUCCESSFUL') {
+    await notifyUser(userPhone, locale => t(locale, 'fapshi.payment_received', { reference: cartId }));
+  } else if (payment.status === 'FAILED' || payment.status === 'EXPIRED') {
+    await notifyUser(userPhone, locale => t(locale, 'fapshi.payment_failed', { reference: cartId }));
+  }
+  
+  return data && data.length ? data[0] : null;
 }
 
 /**
- * Process a webhook notification from Fapshi
+ * Process a webhook notification from Fapshi.
+ *
+ * Fapshi doesn't sign its webhooks, so the payload itself is never trusted:
+ * only its transId is used, to re-fetch the payment's status, amount and
+ * externalId from Fapshi. A signature is still checked when the request
+ * carries one and FAPSHI_WEBHOOK_SECRET is set (e.g. behind a signing proxy).
+ * Deliveries are deduplicated by transId and status, so replays are
+ * acknowledged without side effects.
  * @param {Object} webhookData - Webhook payload from Fapshi
- * @returns {Promise<Object>} Updated transaction details
+ * @param {Object} options - Request details
+ * @param {Buffer|string} options.rawBody - Raw request body, for signature verification
+ * @param {string} options.signature - Signature header sent with the request, if any
+ * @returns {Promise<Object>} Processing result
  */
-async function processWebhook(webhookData) {
+async function processWebhook(webhookData, options = {}) {
   try {
-    // Extract transaction details from webhook
-    const { transId, status, externalId } = webhookData;
+    const { transId } = webhookData || {};
     
-    console.log('Processing Fapshi webhook:', { transId, status, externalId });
+    if (!transId) {
+      const error = new Error('Missing transId in webhook payload');
+      error.code = 'WEBHOOK_INVALID_PAYLOAD';
+      throw error;
+    }
     
-    // Update transaction status in our database
-    // This is a placeholder for the actual database update
+    if (FAPSHI_WEBHOOK_SECRET && options.signature &&
+        !verifyWebhookSignature(options.rawBody, options.signature)) {
+      const error = new Error('Invalid webhook signature');
+      error.code = 'WEBHOOK_INVALID_SIGNATURE';
+      throw error;
+    }
     
-    return {
+    // Never trust the payload: ask Fapshi what actually happened
+    let verified;
+    try {
+      verified = await checkPaymentStatus(transId);
+    } catch (error) {
+      // Fapshi doesn't know the transaction, so the delivery didn't come from it
+      if (error.response?.status === 400 || error.response?.status === 404) {
+        const invalid = new Error(`Unknown Fapshi transaction: ${transId}`);
+        invalid.code = 'WEBHOOK_INVALID_PAYLOAD';
+        throw invalid;
+      }
+      throw error;
+    }
+    
+    const payment = {
       transId,
-      status,
-      externalId,
-      processed: true
+      status: String(verified.status || '').toUpperCase(),
+      amount: verified.amount,
+      externalId: verified.externalId || ''
+    };
+    
+    if (webhookData.externalId && webhookData.externalId !== payment.externalId) {
+      const error = new Error(`Webhook externalId does not match Fapshi record for ${transId}`);
+      error.code = 'WEBHOOK_INVALID_PAYLOAD';
+      throw error;
+    }
+    
+    console.log('Processing Fapshi webhook:', payment);
+    
+    const shouldProcess = await claimWebhookEvent(transId, payment.status, webhookData);
+    if (!shouldProcess) {
+      console.log(`Duplicate Fapshi webhook ignored: ${transId} (${payment.status})`);
+      return { ...payment, processed: false, duplicate: true };
+    }
+    
+    let target;
+    let result;
+    
+    try {
+      if (payment.externalId.startsWith('escrow-')) {
+        target = 'escrow';
+        result = await handleEscrowPayment(payment.externalId.slice('escrow-'.length), payment);
+      } else if (payment.externalId.startsWith('sub_')) {
+        target = 'subscription';
+        result = await handleSubscriptionPayment(payment);
+      } else if (payment.externalId.startsWith('boost_')) {
+        target = 'boost';
+        result = await handleBoostPayment(payment);
+      } else if (payment.externalId.startsWith('checkout|')) {
+        target = 'checkout';
+        result = await handleCheckoutPayment(payment);
+      } else {
+        target = 'unknown';
+        console.warn(`Fapshi webhook with unrecognised externalId: ${payment.externalId}`);
+      }
+    } catch (error) {
+      await releaseWebhookEvent(transId, payment.status);
+      throw error;
+    }
+    
+    await completeWebhookEvent(transId, payment.status, target);
+    
+    return {
+      ...payment,
+      target,
+      processed: true,
+      duplicate: false,
+      result
     };
   } catch (error) {
     console.error('Error processing webhook:', error);
@@ -320,7 +878,15 @@ module.exports = {
   expirePayment,
   getUserTransactions,
   initiateDirectPayment,
+  initiatePayout,
+  toFapshiPhone,
   createEscrowPayment,
   releaseEscrowFunds,
+  payoutSeller,
+  getTransferFailureStatus,
+  notifyUnconfirmedTransfer,
+  syncEscrowPayment,
+  cancelEscrowPayment,
+  verifyWebhookSignature,
   processWebhook
 };
@@ -0,0 +1,199 @@
+/**
+ * Payout Retries
+ *
+ * Seller payouts and buyer refunds that Fapshi turned down are recorded as
+ * `failed` on their transaction. This module sends them again on an interval,
+ * up to PAYOUT_MAX_ATTEMPTS times, tells the admins about the ones that keep
+ * failing, and lets an admin re-run a transaction's transfers by hand.
+ *
+ * Transfers Fapshi may have accepted (`unconfirmed`) are never resent
+ * automatically, since that could pay twice; only an admin re-runs them.
+ * A retry claims its transfer for PAYOUT_RETRY_CLAIM_MS, and a claim that
+ * lapses without an outcome turns the transfer `unconfirmed` too.
+ */
+
+const supabase = require('../database/supabase');
+const { transactions } = require('../database/schema');
+const { payoutSeller, notifyUnconfirmedTransfer } = require('./fapshi');
+const { refundBuyer } = require('./disputes');
+const { notifyAdmins } = require('../services/notifications');
+require('dotenv').config();
+
+// How often to retry failed payouts and refunds (default 30 minutes)
+const PAYOUT_RETRY_INTERVAL_MS = parseInt(process.env.PAYOUT_RETRY_INTERVAL_MS || '1800000', 10);
+
+// Attempts (the first one included) before a transfer is left to the admins
+const PAYOUT_MAX_ATTEMPTS = parseInt(process.env.PAYOUT_MAX_ATTEMPTS || '5', 10);
+
+// How long a retry holds its claim on a transfer (default 15 minutes)
+const PAYOUT_RETRY_CLAIM_MS = parseInt(process.env.PAYOUT_RETRY_CLAIM_MS || '900000', 10);
+
+// Transfer states an admin can re-run: turned down, or not known to have gone out
+const RERUNNABLE_STATES = ['failed', 'unconfirmed'];
+
+// Money leaving escrow: to the seller, or back to the buyer
+const TRANSFERS = ['payout', 'refund'];
+
+let retryTimer = null;
+
+/**
+ * Create an error with a code the admin routes can map to a status
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} The error
+ */
+function transferError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Send a claimed payout or refund again
+ * @param {Object} transaction - The transaction (with buyer and seller details)
+ * @param {string} transfer - 'payout' or 'refund'
+ * @returns {Promise<Object>} { status, attempts } of the transfer afterwards
+ */
+async function sendTransfer(transaction, transfer) {
+  if (transfer === 'payout') {
+    const paid = await payoutSeller({ ...transaction, amount: transaction.payout_amount ?? transaction.amount });
+    return { status: paid.payout_status, attempts: paid.payout_attempts };
+  }
+
+  const refunded = await refundBuyer(transaction, Number(transaction.refund_amount));
+  return { status: refunded.refund_status, attempts: refunded.refund_attempts };
+}
+
+/**
+ * Claim a failed transfer and send it again
+ * @param {Object} transaction - The transaction (with buyer and seller details)
+ * @param {string} transfer - 'payout' or 'refund'
+ * @param {Array<string>} statuses - States the transfer may be claimed from (default: failed only)
+ * @returns {Promise<Object|null>} { status, attempts } of the transfer, or null if someone else is retrying it
+ */
+async function retryTransfer(transaction, transfer, statuses = ['failed']) {
+  // If the send throws, the claim is left to lapse and the transfer ends up unconfirmed
+  const claimed = await transactions.claimFailedTransfer(supabase, transaction.id, transfer, statuses);
+  if (!claimed) return null;
+
+  const result = await sendTransfer({ ...transaction, ...claimed }, transfer);
+  console.log(`Retried ${transfer} for transaction ${transaction.id}: ${result.status} (attempt ${result.attempts})`);
+  return result;
+}
+
+/**
+ * Retry every failed payout and refund that has attempts left
+ * @returns {Promise<Array>} { transactionId, transfer, status, attempts } of each retry
+ */
+async function retryFailedTransfers() {
+  const retried = [];
+
+  for (const transfer of TRANSFERS) {
+    const lapsed = await transactions.releaseLapsedTransfers(supabase, transfer, new Date(Date.now() - PAYOUT_RETRY_CLAIM_MS));
+    for (const transaction of lapsed) {
+      console.warn(`Retry of ${transfer} for transaction ${transaction.id} never finished; marked unconfirmed`);
+      await notifyUnconfirmedTransfer(transfer, transaction.id);
+    }
+
+    const failed = await transactions.findFailedTransfers(supabase, transfer, PAYOUT_MAX_ATTEMPTS);
+
+    for (const transaction of failed) {
+      try {
+        const result = await retryTransfer(transaction, transfer);
+        if (!result) continue;
+        retried.push({ transactionId: transaction.id, transfer, ...result });
+
+        if (result.status === 'failed' && result.attempts >= PAYOUT_MAX_ATTEMPTS) {
+          await notifyAdmins(
+            `The ${transfer} for order *${transaction.id}* failed ${result.attempts} times and won't be retried ` +
+            `automatically. Check the ${transfer === 'payout' ? 'seller' : 'buyer'}'s mobile money number, then re-run it ` +
+            `with POST /api/admin/payouts/${transaction.id}/retry.`
+          );
+        }
+      } catch (error) {
+        console.error(`Error retrying ${transfer} for transaction ${transaction.id}:`, error.message);
+      }
+    }
+  }
+
+  return retried;
+}
+
+/**
+ * Re-run a transaction's failed or unconfirmed payout or refund (or both), whatever
+ * its attempts so far. The admin checks with Fapshi first that an unconfirmed one wasn't sent.
+ * @param {string} transactionId - ID of the transaction in our system
+ * @param {string} transfer - 'payout' or 'refund' (default: every failed one)
+ * @returns {Promise<Object>} The transaction afterwards
+ */
+async function retryTransactionTransfers(transactionId, transfer = null) {
+  if (transfer && !TRANSFERS.includes(transfer)) {
+    throw transferError(`Transfer must be one of: ${TRANSFERS.join(', ')}`, 'TRANSFER_INVALID');
+  }
+
+  const transaction = await transactions.findById(supabase, transactionId);
+  if (!transaction) {
+    throw transferError(`Transaction not found: ${transactionId}`, 'TRANSACTION_NOT_FOUND');
+  }
+
+  const failed = (transfer ? [transfer] : TRANSFERS)
+    .filter(name => RERUNNABLE_STATES.includes(transaction[`${name}_status`]));
+  if (failed.length === 0) {
+    throw transferError(
+      `Transaction ${transactionId} has no failed or unconfirmed ${transfer || 'payout or refund'}`,
+      'TRANSFER_NOT_FAILED'
+    );
+  }
+
+  for (const name of failed) {
+    await retryTransfer(transaction, name, RERUNNABLE_STATES);
+  }
+
+  return transactions.findById(supabase, transactionId);
+}
+
+/**
+ * List the transactions whose payout or refund failed or is unconfirmed
+ * @returns {Promise<Object>} { payouts, refunds }
+ */
+async function listFailedTransfers() {
+  const [payouts, refunds] = await Promise.all(TRANSFERS.map(transfer =>
+    transactions.findFailedTransfers(supabase, transfer, null, RERUNNABLE_STATES)
+  ));
+  return { payouts, refunds };
+}
+
+/**
+ * Start retrying failed payouts and refunds on an interval
+ * @param {number} intervalMs - Interval between sweeps (default: PAYOUT_RETRY_INTERVAL_MS)
+ */
+function startPayoutRetries(intervalMs = PAYOUT_RETRY_INTERVAL_MS) {
+  if (retryTimer) return;
+
+  retryTimer = setInterval(() => {
+    retryFailedTransfers().catch(error => console.error('Error retrying failed payouts:', error));
+  }, intervalMs);
+
+  // Don't keep the process alive just for this timer
+  retryTimer.unref();
+  console.log(`Payout retries running every ${Math.round(intervalMs / 1000)}s`);
+}
+
+/**
+ * Stop the payout retry interval
+ */
+function stopPayoutRetries() {
+  if (retryTimer) {
+    clearInterval(retryTimer);
+    retryTimer = null;
+  }
+}
+
+module.exports = {
+  PAYOUT_MAX_ATTEMPTS,
+  retryFailedTransfers,
+  retryTransactionTransfers,
+  listFailedTransfers,
+  startPayoutRetries,
+  stopPayoutRetries
+};
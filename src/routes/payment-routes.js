@@ -13,6 +13,8 @@ const {
   checkUserSubscription,
   checkListingBoost
 } = require('../services/fapshi/payment');
+const { processWebhook } = require('../payment/fapshi');
+const supabase = require('../database/supabase');
 
 // Create subscription payment
 router.post('/subscription', async (req, res) => {
@@ -171,7 +173,7 @@ router.get('/boost/check/:listingId', async (req, res) => {
 // Get all subscription plans
 router.get('/subscription/plans', async (req, res) => {
   try {
-    const { data, error } = await require('../database/supabase').supabase
+    const { data, error } = await supabase
       .from('subscription_plans')
       .select('*')
       .eq('is_active', true)
@@ -197,7 +199,7 @@ router.get('/subscription/plans', async (req, res) => {
 // Get all boosting packages
 router.get('/boost/packages', async (req, res) => {
   try {
-    const { data, error } = await require('../database/supabase').supabase
+    const { data, error } = await supabase
       .from('boosting_packages')
       .select('*')
       .eq('is_active', true)
@@ -223,35 +225,24 @@ router.get('/boost/packages', async (req, res) => {
 // Fapshi payment status webhook
 router.post('/fapshi/webhook', async (req, res) => {
   try {
-    // Fapshi sends payment status updates here
-    const { reference, status } = req.body; // Adjust if Fapshi uses different keys
-    if (!reference || !status) {
-      return res.status(400).json({ success: false, message: 'Missing reference or status' });
-    }
-
-    // Find the payment session by reference
-    const { data: session, error } = await require('../database/supabase').supabase
-      .from('payment_sessions')
-      .select('*')
-      .eq('payment_reference', reference)
-      .single();
-
-    if (error || !session) {
-      console.error('Payment session not found for reference:', reference);
-      return res.status(404).json({ success: false, message: 'Session not found' });
-    }
-
-    // Update session status
-    await require('../database/supabase').supabase
-      .from('payment_sessions')
-      .update({ status })
-      .eq('id', session.id);
-
-    // TODO: Optionally notify the user via WhatsApp here
-    // Example: sendWhatsAppMessage(session.user_phone, `Your payment is now: ${status}`);
+    const result = await processWebhook(req.body, {
+      rawBody: req.rawBody,
+      signature: req.get('x-fapshi-signature')
+    });
 
-    res.json({ success: true });
+    res.json({
+      success: true,
+      duplicate: result.duplicate,
+      target: result.target
+    });
   } catch (err) {
+    if (err.code === 'WEBHOOK_INVALID_SIGNATURE') {
+      return res.status(401).json({ success: false, message: err.message });
+    }
+    if (err.code === 'WEBHOOK_INVALID_PAYLOAD') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    // Any other failure is answered with 500 so Fapshi retries the delivery
     console.error('Error in Fapshi webhook:', err);
     res.status(500).json({ success: false, message: err.message || 'Webhook error' });
   }
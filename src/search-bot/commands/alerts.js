@@ -0,0 +1,36 @@
+/**
+ * Search alert commands for the WhatsApp search bot
+ */
+
+const { generateResponse } = require('../../services/agent/response-generator');
+const { t } = require('../../services/i18n');
+
+/**
+ * Handle search alert commands
+ * @param {Object} client - WhatsApp client
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ */
+async function handleAlertCommands(client, message, args) {
+  const subCommand = (args[0] || 'list').toLowerCase();
+
+  switch (subCommand) {
+    case 'list':
+    case 'stop': {
+      const response = await generateResponse('search_alerts_manage', {
+        phoneNumber: message.from,
+        locale: message.locale,
+        stop: subCommand === 'stop',
+        which: args[1] ? args[1].toLowerCase() : null
+      });
+      await client.sendMessage(message.from, response.text);
+      break;
+    }
+    default:
+      await client.sendMessage(message.from, t(message.locale, 'alerts.unknown_command'));
+  }
+}
+
+module.exports = {
+  handleAlertCommands
+};
@@ -2,8 +2,9 @@
  * Boosting commands for the WhatsApp search bot
  */
 
-const { supabase } = require('../../database/supabase');
+const supabase = require('../../database/supabase');
 const { createBoostPayment, checkListingBoost } = require('../../services/fapshi/payment');
+const { t, formatPrice, formatDate } = require('../../services/i18n');
 
 /**
  * Handle boosting commands
@@ -36,13 +37,7 @@ async function handleBoostCommands(client, message, args) {
       await showUserListings(client, message);
       break;
     default:
-      await client.sendMessage(senderPhone, 
-        '❌ Unknown boost command. Available commands:\n\n' +
-        '!boost packages - View available boost packages\n' +
-        '!boost boost [listing_id] [package_number] - Boost a listing\n' +
-        '!boost status [listing_id] - Check boost status for a listing\n' +
-        '!boost listings - View your listings'
-      );
+      await client.sendMessage(senderPhone, t(message.locale, 'boost.unknown_command'));
   }
 }
 
@@ -52,15 +47,7 @@ async function handleBoostCommands(client, message, args) {
  * @param {Object} message - Message object
  */
 async function showBoostingInfo(client, message) {
-  await client.sendMessage(message.from, 
-    '*Boost Your Listings*\n\n' +
-    'Make your listings stand out and get more visibility with our boosting packages!\n\n' +
-    'Available commands:\n' +
-    '!boost packages - View available boost packages\n' +
-    '!boost boost [listing_id] [package_number] - Boost a listing\n' +
-    '!boost status [listing_id] - Check boost status for a listing\n' +
-    '!boost listings - View your listings'
-  );
+  await client.sendMessage(message.from, t(message.locale, 'boost.info'));
 }
 
 /**
@@ -69,6 +56,7 @@ async function showBoostingInfo(client, message) {
  * @param {Object} message - Message object
  */
 async function showBoostPackages(client, message) {
+  const { locale } = message;
   try {
     const { data: packages, error } = await supabase
       .from('boosting_packages')
@@ -81,30 +69,31 @@ async function showBoostPackages(client, message) {
     }
     
     if (!packages || !packages.length) {
-      await client.sendMessage(message.from, '❌ No boost packages are currently available.');
+      await client.sendMessage(message.from, t(locale, 'boost.no_packages'));
       return;
     }
     
-    let packagesMessage = '*Available Boost Packages*\n\n';
+    let packagesMessage = `${t(locale, 'boost.packages_title')}\n\n`;
     
     packages.forEach((pkg, index) => {
       const durationDays = pkg.duration_hours / 24;
       
-      packagesMessage += `*${index + 1}. ${pkg.name}*\n` +
-        `Price: ${pkg.price} ${pkg.currency}\n` +
-        `Duration: ${durationDays} day${durationDays !== 1 ? 's' : ''}\n` +
-        `Priority Level: ${pkg.priority_level}\n` +
-        `${pkg.description}\n\n`;
+      packagesMessage += t(locale, 'boost.package', {
+        number: index + 1,
+        name: pkg.name,
+        price: formatPrice(pkg.price, pkg.currency, locale),
+        duration: t(locale, 'boost.days', { count: durationDays }),
+        priority: pkg.priority_level,
+        description: pkg.description
+      }) + '\n\n';
     });
     
-    packagesMessage += 'To boost a listing, send:\n!boost boost [listing_id] [package_number]\n' +
-      'For example: !boost boost abc123 1\n\n' +
-      'To see your listings, send: !boost listings';
+    packagesMessage += t(locale, 'boost.packages_footer');
     
     await client.sendMessage(message.from, packagesMessage);
   } catch (error) {
     console.error('Error showing boost packages:', error);
-    await client.sendMessage(message.from, '❌ Failed to fetch boost packages. Please try again later.');
+    await client.sendMessage(message.from, t(locale, 'boost.packages_error'));
   }
 }
 
@@ -115,14 +104,10 @@ async function showBoostPackages(client, message) {
  * @param {Array} args - Command arguments
  */
 async function handleBoost(client, message, args) {
+  const { locale } = message;
   try {
     if (args.length < 2) {
-      await client.sendMessage(message.from, 
-        '❌ Please specify both listing ID and package number.\n' +
-        'For example: !boost boost abc123 1\n\n' +
-        'To see your listings, send: !boost listings\n' +
-        'To see available packages, send: !boost packages'
-      );
+      await client.sendMessage(message.from, t(locale, 'boost.missing_args'));
       return;
     }
     
@@ -130,7 +115,7 @@ async function handleBoost(client, message, args) {
     const packageNumber = parseInt(args[1]);
     
     if (isNaN(packageNumber) || packageNumber < 1) {
-      await client.sendMessage(message.from, '❌ Invalid package number. Please enter a valid number.');
+      await client.sendMessage(message.from, t(locale, 'boost.invalid_package'));
       return;
     }
     
@@ -143,10 +128,7 @@ async function handleBoost(client, message, args) {
       .single();
     
     if (listingError || !listing) {
-      await client.sendMessage(message.from, 
-        '❌ Listing not found or you do not have permission to boost it.\n\n' +
-        'To see your listings, send: !boost listings'
-      );
+      await client.sendMessage(message.from, t(locale, 'boost.not_yours'));
       return;
     }
     
@@ -154,11 +136,10 @@ async function handleBoost(client, message, args) {
     const existingBoost = await checkListingBoost(listingId);
     if (existingBoost) {
       const endDate = new Date(existingBoost.end_date);
-      await client.sendMessage(message.from, 
-        '❌ This listing is already boosted.\n\n' +
-        `Current boost: ${existingBoost.boosting_packages.name}\n` +
-        `Expires: ${endDate.toLocaleDateString()} ${endDate.toLocaleTimeString()}`
-      );
+      await client.sendMessage(message.from, t(locale, 'boost.already_boosted', {
+        name: existingBoost.boosting_packages.name,
+        expires: `${formatDate(endDate, locale)} ${endDate.toLocaleTimeString()}`
+      }));
       return;
     }
     
@@ -174,12 +155,12 @@ async function handleBoost(client, message, args) {
     }
     
     if (!packages || !packages.length) {
-      await client.sendMessage(message.from, '❌ No boost packages are currently available.');
+      await client.sendMessage(message.from, t(locale, 'boost.no_packages'));
       return;
     }
     
     if (packageNumber > packages.length) {
-      await client.sendMessage(message.from, `❌ Invalid package number. Available packages are 1-${packages.length}.`);
+      await client.sendMessage(message.from, t(locale, 'boost.package_out_of_range', { count: packages.length }));
       return;
     }
     
@@ -189,18 +170,16 @@ async function handleBoost(client, message, args) {
     const payment = await createBoostPayment(message.from, listingId, selectedPackage.id);
     
     // Send payment link
-    await client.sendMessage(message.from, 
-      `*Boost Your Listing*\n\n` +
-      `Listing: ${listing.title}\n` +
-      `Package: ${selectedPackage.name}\n` +
-      `Price: ${selectedPackage.price} ${selectedPackage.currency}\n` +
-      `Duration: ${selectedPackage.duration_hours / 24} day(s)\n\n` +
-      `To complete your boost, please make a payment using this link:\n${payment.paymentUrl}\n\n` +
-      `Your listing will be boosted immediately after payment.`
-    );
+    await client.sendMessage(message.from, t(locale, 'boost.payment', {
+      title: listing.title,
+      name: selectedPackage.name,
+      price: formatPrice(selectedPackage.price, selectedPackage.currency, locale),
+      duration: t(locale, 'boost.days', { count: selectedPackage.duration_hours / 24 }),
+      link: payment.paymentUrl
+    }));
   } catch (error) {
     console.error('Error handling boost:', error);
-    await client.sendMessage(message.from, '❌ Failed to process boost request. Please try again later.');
+    await client.sendMessage(message.from, t(locale, 'boost.boost_error'));
   }
 }
 
@@ -211,13 +190,10 @@ async function handleBoost(client, message, args) {
  * @param {Array} args - Command arguments
  */
 async function showBoostStatus(client, message, args) {
+  const { locale } = message;
   try {
     if (!args.length) {
-      await client.sendMessage(message.from, 
-        '❌ Please specify a listing ID.\n' +
-        'For example: !boost status abc123\n\n' +
-        'To see your listings, send: !boost listings'
-      );
+      await client.sendMessage(message.from, t(locale, 'boost.missing_listing'));
       return;
     }
     
@@ -232,10 +208,7 @@ async function showBoostStatus(client, message, args) {
       .single();
     
     if (listingError || !listing) {
-      await client.sendMessage(message.from, 
-        '❌ Listing not found or you do not have permission to view its boost status.\n\n' +
-        'To see your listings, send: !boost listings'
-      );
+      await client.sendMessage(message.from, t(locale, 'boost.not_yours_status'));
       return;
     }
     
@@ -243,31 +216,22 @@ async function showBoostStatus(client, message, args) {
     const boost = await checkListingBoost(listingId);
     
     if (!boost) {
-      await client.sendMessage(message.from, 
-        '*Boost Status*\n\n' +
-        `Listing: ${listing.title}\n` +
-        'Status: Not boosted\n\n' +
-        'To boost this listing, send: !boost boost ' + listingId + ' [package_number]\n' +
-        'To see available packages, send: !boost packages'
-      );
+      await client.sendMessage(message.from, t(locale, 'boost.not_boosted', { title: listing.title, id: listingId }));
       return;
     }
     
     const endDate = new Date(boost.end_date);
     const hoursRemaining = Math.ceil((endDate - new Date()) / (1000 * 60 * 60));
     
-    await client.sendMessage(message.from, 
-      '*Boost Status*\n\n' +
-      `Listing: ${listing.title}\n` +
-      `Package: ${boost.boosting_packages.name}\n` +
-      `Status: Active\n` +
-      `Expires: ${endDate.toLocaleDateString()} ${endDate.toLocaleTimeString()}\n` +
-      `Hours remaining: ${hoursRemaining}\n\n` +
-      'Your listing is currently boosted and receiving increased visibility!'
-    );
+    await client.sendMessage(message.from, t(locale, 'boost.status', {
+      title: listing.title,
+      name: boost.boosting_packages.name,
+      expires: `${formatDate(endDate, locale)} ${endDate.toLocaleTimeString()}`,
+      hours: hoursRemaining
+    }));
   } catch (error) {
     console.error('Error showing boost status:', error);
-    await client.sendMessage(message.from, '❌ Failed to fetch boost status. Please try again later.');
+    await client.sendMessage(message.from, t(locale, 'boost.status_error'));
   }
 }
 
@@ -277,6 +241,7 @@ async function showBoostStatus(client, message, args) {
  * @param {Object} message - Message object
  */
 async function showUserListings(client, message) {
+  const { locale } = message;
   try {
     const { data: listings, error } = await supabase
       .from('listings')
@@ -290,33 +255,32 @@ async function showUserListings(client, message) {
     }
     
     if (!listings || !listings.length) {
-      await client.sendMessage(message.from, 
-        '❌ You do not have any listings.\n\n' +
-        'To create a listing, post it in a registered marketplace group.'
-      );
+      await client.sendMessage(message.from, t(locale, 'boost.no_listings'));
       return;
     }
     
-    let listingsMessage = '*Your Listings*\n\n';
+    let listingsMessage = `${t(locale, 'boost.listings_title')}\n\n`;
     
     listings.forEach((listing, index) => {
-      listingsMessage += `*${index + 1}. ${listing.title}*\n` +
-        `ID: ${listing.id}\n` +
-        `Price: ${listing.price} ${listing.currency}\n` +
-        `Status: ${listing.is_boosted ? '🚀 Boosted' : 'Regular'}\n\n`;
+      listingsMessage += t(locale, 'boost.listing', {
+        number: index + 1,
+        title: listing.title,
+        id: listing.id,
+        price: formatPrice(listing.price, listing.currency, locale),
+        status: t(locale, listing.is_boosted ? 'boost.boosted' : 'boost.regular')
+      }) + '\n\n';
     });
     
-    listingsMessage += 'To boost a listing, send:\n!boost boost [listing_id] [package_number]\n' +
-      'For example: !boost boost ' + listings[0].id + ' 1\n\n' +
-      'To see available packages, send: !boost packages';
+    listingsMessage += t(locale, 'boost.listings_footer', { id: listings[0].id });
     
     await client.sendMessage(message.from, listingsMessage);
   } catch (error) {
     console.error('Error showing user listings:', error);
-    await client.sendMessage(message.from, '❌ Failed to fetch your listings. Please try again later.');
+    await client.sendMessage(message.from, t(locale, 'boost.listings_error'));
   }
 }
 
 module.exports = {
-  handleBoostCommands
+  handleBoostCommands,
+  handleBoost
 };
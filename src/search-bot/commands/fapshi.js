@@ -1,4 +1,5 @@
 const { initiatePay, directPay } = require('../../services/fapshi/payment');
+const { t } = require('../../services/i18n');
 
 /**
  * Handle Fapshi payment-related commands for the search bot
@@ -9,38 +10,39 @@ const { initiatePay, directPay } = require('../../services/fapshi/payment');
 async function handleFapshiCommands(client, message, args) {
   const [subcommand, ...rest] = args;
   const reply = async (text) => client.sendMessage(message.from, text);
+  const { locale } = message;
 
   try {
     switch (subcommand) {
       case 'checkout': {
         // Usage: !fapshi checkout <amount> <phone> <cartId>
-        if (rest.length < 3) return reply('Usage: !fapshi checkout <amount> <phone> <cartId>');
+        if (rest.length < 3) return reply(t(locale, 'fapshi.checkout_usage'));
         const [amount, phone, cartId] = rest;
         // Include metadata in externalId
         const externalId = `checkout|${phone}|${cartId}`;
         const result = await initiatePay({ amount: Number(amount), phone, externalId });
         if (result && result.paymentUrl) {
-          return reply(`Pay here: ${result.paymentUrl}\n\nAfter payment, you will be notified automatically here on WhatsApp.\n\n*Note: Payment status is only available via webhook notification, not on-demand.*`);
+          return reply(t(locale, 'fapshi.checkout_link', { link: result.paymentUrl }));
         } else {
-          return reply('Failed to generate checkout link.');
+          return reply(t(locale, 'fapshi.checkout_failed'));
         }
       }
       case 'directpay': {
-        if (rest.length < 4) return reply('Usage: !fapshi directpay <amount> <phone> <name> <email>');
+        if (rest.length < 4) return reply(t(locale, 'fapshi.directpay_usage'));
         const [amount, phone, name, email] = rest;
         const result = await directPay({ amount: Number(amount), phone, name, email });
         if (result && result.status === 'success') {
-          return reply(`Direct payment initiated! Transaction ID: ${result.transId || result.transaction_id}\n\nYou will be notified automatically here on WhatsApp when payment is confirmed.`);
+          return reply(t(locale, 'fapshi.directpay_started', { reference: result.transId || result.transaction_id }));
         } else {
-          return reply('Failed to initiate direct payment.');
+          return reply(t(locale, 'fapshi.directpay_failed'));
         }
       }
       default:
         // Remove status command, only allow checkout and directpay
-        return reply('Usage: !fapshi <checkout|directpay> ...');
+        return reply(t(locale, 'fapshi.usage'));
     }
   } catch (e) {
-    return reply('Fapshi error: ' + (e.message || e));
+    return reply(t(locale, 'fapshi.error', { message: e.message || e }));
   }
 }
 
@@ -0,0 +1,38 @@
+/**
+ * Language commands for the WhatsApp search bot
+ */
+
+const { t, resolveLocale, setPreferredLocale } = require('../../services/i18n');
+
+/**
+ * Handle language commands
+ * @param {Object} client - WhatsApp client
+ * @param {Object} message - Message object
+ * @param {Array} args - Command arguments
+ */
+async function handleLanguageCommands(client, message, args) {
+  if (!args.length) {
+    await client.sendMessage(message.from, t(message.locale, 'language.current'));
+    return;
+  }
+
+  const locale = resolveLocale(args.join(' '));
+  if (!locale) {
+    await client.sendMessage(message.from, t(message.locale, 'language.unknown'));
+    return;
+  }
+
+  try {
+    await setPreferredLocale(message.from, locale);
+    // Let the caller switch the rest of the conversation over too
+    message.locale = locale;
+    await client.sendMessage(message.from, t(locale, 'language.changed'));
+  } catch (error) {
+    console.error('Error setting language:', error);
+    await client.sendMessage(message.from, t(message.locale, 'language.error'));
+  }
+}
+
+module.exports = {
+  handleLanguageCommands
+};
@@ -4,6 +4,7 @@
 
 const { supabase } = require('../../database/supabase');
 const { createSubscriptionPayment, checkUserSubscription } = require('../../services/fapshi/payment');
+const { t, formatPrice, formatDate } = require('../../services/i18n');
 
 /**
  * Handle subscription commands
@@ -33,12 +34,7 @@ async function handleSubscriptionCommands(client, message, args) {
       await showSubscriptionStatus(client, message);
       break;
     default:
-      await client.sendMessage(senderPhone, 
-        '❌ Unknown subscription command. Available commands:\n\n' +
-        '!subscription plans - View available subscription plans\n' +
-        '!subscription subscribe [plan_number] - Subscribe to a plan\n' +
-        '!subscription status - Check your current subscription status'
-      );
+      await client.sendMessage(senderPhone, t(message.locale, 'subscription.unknown_command'));
   }
 }
 
@@ -48,6 +44,7 @@ async function handleSubscriptionCommands(client, message, args) {
  * @param {Object} message - Message object
  */
 async function showSubscriptionPlans(client, message) {
+  const { locale } = message;
   try {
     const { data: plans, error } = await supabase
       .from('subscription_plans')
@@ -60,30 +57,32 @@ async function showSubscriptionPlans(client, message) {
     }
     
     if (!plans || !plans.length) {
-      await client.sendMessage(message.from, '❌ No subscription plans are currently available.');
+      await client.sendMessage(message.from, t(locale, 'subscription.no_plans'));
       return;
     }
     
-    let plansMessage = '*Available Subscription Plans*\n\n';
+    let plansMessage = `${t(locale, 'subscription.plans_title')}\n\n`;
     
     plans.forEach((plan, index) => {
       const features = plan.features ? Object.entries(plan.features)
         .map(([key, value]) => `- ${key.replace(/_/g, ' ')}: ${value}`)
-        .join('\n') : 'No features listed';
+        .join('\n') : t(locale, 'subscription.no_features');
       
-      plansMessage += `*${index + 1}. ${plan.name}*\n` +
-        `Price: ${plan.price} ${plan.currency}\n` +
-        `Duration: ${plan.duration_days} days\n` +
-        `Features:\n${features}\n\n`;
+      plansMessage += t(locale, 'subscription.plan', {
+        number: index + 1,
+        name: plan.name,
+        price: formatPrice(plan.price, plan.currency, locale),
+        days: plan.duration_days,
+        features
+      }) + '\n\n';
     });
     
-    plansMessage += 'To subscribe, send:\n!subscription subscribe [plan_number]\n' +
-      'For example: !subscription subscribe 1';
+    plansMessage += t(locale, 'subscription.plans_footer');
     
     await client.sendMessage(message.from, plansMessage);
   } catch (error) {
     console.error('Error showing subscription plans:', error);
-    await client.sendMessage(message.from, '❌ Failed to fetch subscription plans. Please try again later.');
+    await client.sendMessage(message.from, t(locale, 'subscription.plans_error'));
   }
 }
 
@@ -94,18 +93,16 @@ async function showSubscriptionPlans(client, message) {
  * @param {Array} args - Command arguments
  */
 async function handleSubscribe(client, message, args) {
+  const { locale } = message;
   try {
     if (!args.length) {
-      await client.sendMessage(message.from, 
-        '❌ Please specify a plan number. For example: !subscription subscribe 1\n\n' +
-        'To see available plans, send: !subscription plans'
-      );
+      await client.sendMessage(message.from, t(locale, 'subscription.missing_plan'));
       return;
     }
     
     const planNumber = parseInt(args[0]);
     if (isNaN(planNumber) || planNumber < 1) {
-      await client.sendMessage(message.from, '❌ Invalid plan number. Please enter a valid number.');
+      await client.sendMessage(message.from, t(locale, 'subscription.invalid_plan'));
       return;
     }
     
@@ -121,12 +118,12 @@ async function handleSubscribe(client, message, args) {
     }
     
     if (!plans || !plans.length) {
-      await client.sendMessage(message.from, '❌ No subscription plans are currently available.');
+      await client.sendMessage(message.from, t(locale, 'subscription.no_plans'));
       return;
     }
     
     if (planNumber > plans.length) {
-      await client.sendMessage(message.from, `❌ Invalid plan number. Available plans are 1-${plans.length}.`);
+      await client.sendMessage(message.from, t(locale, 'subscription.plan_out_of_range', { count: plans.length }));
       return;
     }
     
@@ -136,16 +133,15 @@ async function handleSubscribe(client, message, args) {
     const payment = await createSubscriptionPayment(message.from, selectedPlan.id);
     
     // Send payment link
-    await client.sendMessage(message.from, 
-      `*${selectedPlan.name} Subscription*\n\n` +
-      `Price: ${selectedPlan.price} ${selectedPlan.currency}\n` +
-      `Duration: ${selectedPlan.duration_days} days\n\n` +
-      `To complete your subscription, please make a payment using this link:\n${payment.paymentUrl}\n\n` +
-      `Your subscription will be activated immediately after payment.`
-    );
+    await client.sendMessage(message.from, t(locale, 'subscription.payment', {
+      name: selectedPlan.name,
+      price: formatPrice(selectedPlan.price, selectedPlan.currency, locale),
+      days: selectedPlan.duration_days,
+      link: payment.paymentUrl
+    }));
   } catch (error) {
     console.error('Error handling subscription:', error);
-    await client.sendMessage(message.from, '❌ Failed to process subscription request. Please try again later.');
+    await client.sendMessage(message.from, t(locale, 'subscription.subscribe_error'));
   }
 }
 
@@ -155,32 +151,26 @@ async function handleSubscribe(client, message, args) {
  * @param {Object} message - Message object
  */
 async function showSubscriptionStatus(client, message) {
+  const { locale } = message;
   try {
     const subscription = await checkUserSubscription(message.from);
     
     if (!subscription) {
-      await client.sendMessage(message.from, 
-        '*Subscription Status*\n\n' +
-        'You do not have an active subscription.\n\n' +
-        'To view available subscription plans, send: !subscription plans'
-      );
+      await client.sendMessage(message.from, t(locale, 'subscription.none'));
       return;
     }
     
     const endDate = new Date(subscription.end_date);
     const daysRemaining = Math.ceil((endDate - new Date()) / (1000 * 60 * 60 * 24));
     
-    await client.sendMessage(message.from, 
-      '*Subscription Status*\n\n' +
-      `Plan: ${subscription.subscription_plans.name}\n` +
-      `Status: Active\n` +
-      `Expires: ${endDate.toLocaleDateString()}\n` +
-      `Days remaining: ${daysRemaining}\n\n` +
-      'To renew your subscription, send: !subscription plans'
-    );
+    await client.sendMessage(message.from, t(locale, 'subscription.status', {
+      plan: subscription.subscription_plans.name,
+      expires: formatDate(endDate, locale),
+      days: daysRemaining
+    }));
   } catch (error) {
     console.error('Error showing subscription status:', error);
-    await client.sendMessage(message.from, '❌ Failed to fetch subscription status. Please try again later.');
+    await client.sendMessage(message.from, t(locale, 'subscription.status_error'));
   }
 }
 
@@ -10,6 +10,10 @@ const axios = require('axios');
 const bodyParser = require('body-parser');
 const { processMessage } = require('../services/agent');
 const { processGroupCommand, isGroupCommand } = require('../services/agent/group-commands');
+const { MAX_PAYLOAD_LENGTH } = require('../services/agent/payloads');
+const { downloadWhatsAppMedia } = require('./media');
+const { isSpeechToTextEnabled, transcribeAudio } = require('../services/speech-to-text');
+const { DEFAULT_LOCALE, t, canonicalLabel, detectLanguage, getPreferredLocale } = require('../services/i18n');
 require('dotenv').config();
 
 // Initialize Express router instead of a full app
@@ -81,7 +85,7 @@ router.post('/webhook', async (req, res) => {
               const messageText = message.text.body;
               console.log(`Received text message from ${phoneNumber}: ${messageText}`);
               try {
-                if (isGroupCommand(messageText, phoneNumber)) {
+                if (await isGroupCommand(messageText, phoneNumber)) {
                   const response = await processGroupCommand(phoneNumber, messageText);
                   console.log('Group command response:', JSON.stringify(response, null, 2));
                   if (response) {
@@ -98,46 +102,75 @@ router.post('/webhook', async (req, res) => {
                 }
               } catch (error) {
                 console.error('Error processing message:', error);
-                await sendWhatsAppMessage(phoneNumber, {
-                  text: "Sorry, I'm having trouble processing your request right now. Please try again later.",
-                  actions: [
-                    { type: 'button', text: '🔍 Search Products' },
-                    { type: 'button', text: '❓ Help' }
-                  ]
-                });
+                await sendWhatsAppMessage(phoneNumber, getErrorResponse(await getReplyLocale(phoneNumber)));
               }
             } 
-            // Handle button responses
+            // Handle button and list replies
             else if (message.type === 'interactive' && 
-                     message.interactive.type === 'button_reply') {
-              const buttonId = message.interactive.button_reply.id;
-              const buttonText = message.interactive.button_reply.title;
+                     ['button_reply', 'list_reply'].includes(message.interactive.type)) {
+              const reply = message.interactive[message.interactive.type];
+              const buttonId = reply.id;
+              // Translated labels are mapped back to English so the same handlers recognise them
+              const buttonText = canonicalLabel(reply.title);
               console.log(`Received button click from ${phoneNumber}: ${buttonText} (${buttonId})`);
               try {
-                const response = await processMessage(phoneNumber, buttonText);
+                // Replies to the group registration pickers belong to the registration flow
+                const groupResponse = await isGroupCommand(buttonText, phoneNumber)
+                  ? await processGroupCommand(phoneNumber, buttonText, { payload: buttonId })
+                  : null;
+                const response = groupResponse || await processMessage(phoneNumber, buttonText, { payload: buttonId });
                 console.log('Button response:', JSON.stringify(response, null, 2));
                 await sendWhatsAppMessage(phoneNumber, response);
               } catch (error) {
                 console.error('Error processing button click:', error);
-                await sendWhatsAppMessage(phoneNumber, {
-                  text: "Sorry, I'm having trouble processing your request right now. Please try again later.",
-                  actions: [
-                    { type: 'button', text: '🔍 Search Products' },
-                    { type: 'button', text: '❓ Help' }
-                  ]
+                await sendWhatsAppMessage(phoneNumber, getErrorResponse(await getReplyLocale(phoneNumber)));
+              }
+            }
+            // Handle photos (e.g. evidence for a dispute); the agent decides whether it can use them
+            else if (message.type === 'image') {
+              const media = { id: message.image.id, mimeType: message.image.mime_type };
+              console.log(`Received image from ${phoneNumber} (${media.id})`);
+              try {
+                const response = await processMessage(phoneNumber, message.image.caption || '', { media });
+                console.log('Image response:', JSON.stringify(response, null, 2));
+                await sendWhatsAppMessage(phoneNumber, response);
+              } catch (error) {
+                console.error('Error processing image:', error);
+                await sendWhatsAppMessage(phoneNumber, getErrorResponse(await getReplyLocale(phoneNumber)));
+              }
+            }
+            // Handle voice notes: transcribed, then processed like a text message
+            else if (message.type === 'audio') {
+              console.log(`Received voice note from ${phoneNumber} (${message.audio.id})`);
+              try {
+                const response = await processVoiceNote(phoneNumber, message.audio);
+                console.log('Voice note response:', JSON.stringify(response, null, 2));
+                await sendWhatsAppMessage(phoneNumber, response);
+              } catch (error) {
+                console.error('Error processing voice note:', error);
+                await sendWhatsAppMessage(phoneNumber, getErrorResponse(await getReplyLocale(phoneNumber)));
+              }
+            }
+            // Handle shared locations: searches then look around the pin
+            else if (message.type === 'location') {
+              console.log(`Received location from ${phoneNumber}`);
+              try {
+                const response = await processMessage(phoneNumber, '', {
+                  location: getSharedLocation(message.location)
                 });
+                await sendWhatsAppMessage(phoneNumber, response);
+              } catch (error) {
+                console.error('Error processing location:', error);
+                await sendWhatsAppMessage(phoneNumber, getErrorResponse(await getReplyLocale(phoneNumber)));
               }
             }
-            // Handle other message types (media, location, etc.)
+            // Handle other message types (video, stickers, etc.)
             else {
               console.log(`Received unsupported message type from ${phoneNumber}: ${message.type}`);
+              const locale = await getReplyLocale(phoneNumber);
               await sendWhatsAppMessage(phoneNumber, {
-                text: "Sorry, I can only process text messages right now. Please send your query as text.",
-                actions: [
-                  { type: 'button', text: '🔍 Search Products' },
-                  { type: 'button', text: '📋 Register Group' },
-                  { type: 'button', text: '❓ Help' }
-                ]
+                text: t(locale, 'general.text_only'),
+                actions: replyButtons(locale, ['search_products', 'register_group', 'help'])
               });
             }
           }
@@ -148,74 +181,283 @@ router.post('/webhook', async (req, res) => {
 });
 
 /**
- * Send a message to a WhatsApp user
- * @param {string} to - The recipient's phone number
- * @param {Object} responseObj - The response object from the agent
+ * Get the language for the bot's own replies to a user (errors, fallbacks),
+ * which are sent without going through the agent
+ * @param {string} phoneNumber - User's phone number
+ * @returns {Promise<string>} The language they chose, or the default
  */
-async function sendWhatsAppMessage(to, responseObj) {
-  try {
-    // Support both 'text' and 'reply' fields for agent responses
-    const text = responseObj?.text || responseObj?.reply;
-    const actions = responseObj?.actions;
+async function getReplyLocale(phoneNumber) {
+  return await getPreferredLocale(phoneNumber) || DEFAULT_LOCALE;
+}
 
-    // Prepare the message payload
-    let messageData;
+/**
+ * Build reply buttons from their catalogue keys
+ * @param {string} locale - Locale code
+ * @param {Array<string>} keys - Keys under `buttons`, e.g. "search_products"
+ * @returns {Array<Object>} The actions
+ */
+function replyButtons(locale, keys) {
+  return keys.map(key => ({ type: 'button', text: t(locale, `buttons.${key}`) }));
+}
 
-    // If we have actions, create an interactive message
-    if (actions && actions.length > 0) {
-      // WhatsApp only supports up to 3 buttons
-      const buttons = actions.slice(0, 3).map((action, index) => ({
-        type: 'reply',
-        reply: {
-          id: `btn_${index}`,
-          title: action.text
-        }
-      }));
+/**
+ * Reply sent when a message couldn't be processed
+ * @param {string} locale - Locale code
+ * @returns {Object} The response
+ */
+function getErrorResponse(locale) {
+  return {
+    text: t(locale, 'general.error'),
+    actions: replyButtons(locale, ['search_products', 'help'])
+  };
+}
+
+// Cloud API limits for interactive messages
+const MAX_REPLY_BUTTONS = 3;
+const MAX_LIST_ROWS = 10;
+const MAX_BODY_LENGTH = 1024;
+const MAX_BUTTON_TITLE_LENGTH = 20;
+const MAX_ROW_TITLE_LENGTH = 24;
+const MAX_ROW_DESCRIPTION_LENGTH = 72;
+const MAX_SECTION_TITLE_LENGTH = 24;
+const MAX_CAPTION_LENGTH = 1024;
+
+/**
+ * Shorten text to fit a WhatsApp field
+ * @param {string} text - The text
+ * @param {number} maxLength - Maximum length allowed by the API
+ * @returns {string} The text, cut with an ellipsis if it was too long
+ */
+function truncate(text, maxLength) {
+  const value = String(text || '');
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+}
+
+/**
+ * Get the reply ID for an action: its payload, so taps can be routed by it,
+ * or a positional ID for actions that are only routed by their label
+ * @param {Object} action - The action
+ * @param {string} prefix - Prefix for positional IDs ("btn" or "row")
+ * @param {number} index - Position of the action
+ * @returns {string} The reply ID
+ */
+function getActionId(action, prefix, index) {
+  if (action.payload && action.payload.length <= MAX_PAYLOAD_LENGTH) return action.payload;
+  return `${prefix}_${index}`;
+}
 
-      messageData = {
-        messaging_product: 'whatsapp',
-        recipient_type: 'individual',
-        to,
-        type: 'interactive',
-        interactive: {
-          type: 'button',
-          body: {
-            text: text || "Sorry, I couldn't generate a response."
-          },
-          action: {
-            buttons
+/**
+ * Build the interactive part of a message from the agent's actions.
+ * Up to 3 actions are sent as reply buttons; more are sent as a list message,
+ * with rows grouped by each action's `section`.
+ * @param {string} body - The message body
+ * @param {Array} actions - The agent's actions ({ text, description, section, payload })
+ * @param {Object} responseObj - The response object (optional `listButton` and `listTitle`)
+ * @param {string} locale - Language of the default list labels
+ * @returns {Object} The `interactive` object for the Cloud API
+ */
+function buildInteractive(body, actions, responseObj, locale = DEFAULT_LOCALE) {
+  if (actions.length <= MAX_REPLY_BUTTONS) {
+    return {
+      type: 'button',
+      body: { text: body },
+      action: {
+        buttons: actions.map((action, index) => ({
+          type: 'reply',
+          reply: {
+            id: getActionId(action, 'btn', index),
+            title: truncate(action.text, MAX_BUTTON_TITLE_LENGTH)
           }
-        }
-      };
-    } else {
-      // Simple text message
-      messageData = {
-        messaging_product: 'whatsapp',
-        recipient_type: 'individual',
-        to,
-        type: 'text',
-        text: {
-          body: text || "Sorry, I couldn't generate a response."
-        }
-      };
+        }))
+      }
+    };
+  }
+  
+  if (actions.length > MAX_LIST_ROWS) {
+    console.warn(`Only the first ${MAX_LIST_ROWS} of ${actions.length} actions fit in a list message`);
+  }
+  
+  // Group rows into sections, keeping the order in which sections first appear
+  const sections = [];
+  actions.slice(0, MAX_LIST_ROWS).forEach((action, index) => {
+    const title = truncate(action.section || responseObj.listTitle || t(locale, 'lists.options'), MAX_SECTION_TITLE_LENGTH);
+    let section = sections.find(candidate => candidate.title === title);
+    if (!section) {
+      section = { title, rows: [] };
+      sections.push(section);
+    }
+    
+    const row = {
+      id: getActionId(action, 'row', index),
+      title: truncate(action.text, MAX_ROW_TITLE_LENGTH)
+    };
+    if (action.description) {
+      row.description = truncate(action.description, MAX_ROW_DESCRIPTION_LENGTH);
     }
+    section.rows.push(row);
+  });
+  
+  return {
+    type: 'list',
+    body: { text: body },
+    action: {
+      button: truncate(responseObj.listButton || t(locale, 'lists.choose_option'), MAX_BUTTON_TITLE_LENGTH),
+      sections
+    }
+  };
+}
 
-    // Send the message
-    const apiResponse = await axios.post(
-      `https://graph.facebook.com/v17.0/${WHATSAPP_PHONE_NUMBER_ID}/messages`,
-      messageData,
-      {
-        headers: {
-          'Authorization': `Bearer ${WHATSAPP_API_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
+/**
+ * Post a message payload to the WhatsApp Cloud API
+ * @param {Object} messageData - The message payload
+ * @returns {Promise<Object>} The API response data
+ */
+async function postWhatsAppMessage(messageData) {
+  const apiResponse = await axios.post(
+    `https://graph.facebook.com/v17.0/${WHATSAPP_PHONE_NUMBER_ID}/messages`,
+    messageData,
+    {
+      headers: {
+        'Authorization': `Bearer ${WHATSAPP_API_TOKEN}`,
+        'Content-Type': 'application/json'
       }
-    );
+    }
+  );
+  
+  return apiResponse.data;
+}
 
-    console.log(`Message sent to ${to}:`, apiResponse.data);
+/**
+ * Send a photo or video as a Cloud API media message
+ * @param {Object} baseMessage - Recipient fields shared by every message
+ * @param {Object} item - The media ({ type: 'image' | 'video', url, caption })
+ * @returns {Promise<boolean>} True if the media was sent
+ */
+async function sendMediaMessage(baseMessage, item) {
+  try {
+    const media = { link: item.url };
+    if (item.caption) media.caption = truncate(item.caption, MAX_CAPTION_LENGTH);
+    
+    await postWhatsAppMessage({ ...baseMessage, type: item.type, [item.type]: media });
+    return true;
+  } catch (error) {
+    // A file WhatsApp can't fetch shouldn't stop the rest of the response
+    console.error(`Error sending WhatsApp ${item.type}:`, error.response?.data || error.message);
+    return false;
+  }
+}
+
+/**
+ * Send a message to a WhatsApp user
+ * @param {string} to - The recipient's phone number
+ * @param {Object} responseObj - The response object from the agent (text, actions and optional media)
+ * @returns {Promise<boolean>} True if WhatsApp accepted the message (errors are logged, not thrown)
+ */
+async function sendWhatsAppMessage(to, responseObj) {
+  try {
+    // Support both 'text' and 'reply' fields for agent responses
+    const text = responseObj?.text || responseObj?.reply || t(await getReplyLocale(to), 'general.no_response');
+    const actions = responseObj?.actions;
+    
+    const baseMessage = {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to
+    };
+    
+    // Photos and videos go out first, so the text and buttons end up below them
+    for (const item of responseObj?.media || []) {
+      await sendMediaMessage(baseMessage, item);
+    }
+    
+    // Simple text message
+    if (!actions || actions.length === 0) {
+      const data = await postWhatsAppMessage({ ...baseMessage, type: 'text', text: { body: text } });
+      console.log(`Message sent to ${to}:`, data);
+      return true;
+    }
+    
+    // Our own labels are only needed for long texts and list messages, so only then look up the language
+    const locale = text.length > MAX_BODY_LENGTH || actions.length > MAX_REPLY_BUTTONS
+      ? await getReplyLocale(to)
+      : DEFAULT_LOCALE;
+    
+    // Interactive bodies are limited to 1024 characters, so long texts go out on their own first
+    let body = text;
+    if (text.length > MAX_BODY_LENGTH) {
+      await postWhatsAppMessage({ ...baseMessage, type: 'text', text: { body: text } });
+      body = t(locale, 'lists.choose_below');
+    }
+    
+    const data = await postWhatsAppMessage({
+      ...baseMessage,
+      type: 'interactive',
+      interactive: buildInteractive(body, actions, responseObj, locale)
+    });
+    console.log(`Message sent to ${to}:`, data);
+    return true;
   } catch (error) {
     console.error('Error sending WhatsApp message:', error.response?.data || error.message);
+    return false;
+  }
+}
+
+/**
+ * Read a location message shared with the search bot
+ * @param {Object} location - The location object from the WhatsApp message ({ latitude, longitude, name, address })
+ * @returns {Object} The location for the agent ({ latitude, longitude, name, address })
+ */
+function getSharedLocation(location) {
+  return {
+    latitude: Number(location.latitude),
+    longitude: Number(location.longitude),
+    name: location.name || null,
+    address: location.address || null
+  };
+}
+
+/**
+ * Transcribe a voice note and process it like a text message. The reply starts
+ * with what was understood, so the user can type it again if it's wrong.
+ * @param {string} phoneNumber - The sender's phone number
+ * @param {Object} audio - The audio object from the WhatsApp message ({ id, mime_type })
+ * @returns {Promise<Object>} The response to send
+ */
+async function processVoiceNote(phoneNumber, audio) {
+  const preferredLocale = await getPreferredLocale(phoneNumber);
+  
+  if (!isSpeechToTextEnabled()) {
+    const locale = preferredLocale || DEFAULT_LOCALE;
+    return {
+      text: t(locale, 'voice.unavailable'),
+      actions: replyButtons(locale, ['search_products', 'help'])
+    };
   }
+  
+  const { buffer, mimeType } = await downloadWhatsAppMedia(audio.id);
+  const transcript = await transcribeAudio({ buffer, mimeType: mimeType || audio.mime_type });
+  console.log(`Voice note from ${phoneNumber} transcribed as: ${transcript}`);
+  
+  if (!transcript) {
+    const locale = preferredLocale || DEFAULT_LOCALE;
+    return {
+      text: t(locale, 'voice.not_understood'),
+      actions: replyButtons(locale, ['search_products', 'help'])
+    };
+  }
+  
+  // The transcript goes through the same steps as a typed message
+  const groupResponse = await isGroupCommand(transcript, phoneNumber)
+    ? await processGroupCommand(phoneNumber, transcript)
+    : null;
+  const response = groupResponse || await processMessage(phoneNumber, transcript);
+  
+  // Without a chosen language the agent answers in the transcript's, so the preamble follows it too
+  const locale = preferredLocale || detectLanguage(transcript) || DEFAULT_LOCALE;
+  return {
+    ...response,
+    text: `${t(locale, 'voice.heard', { transcript })}\n\n${response.text || response.reply || ''}`
+  };
 }
 
 /**
@@ -238,7 +480,7 @@ async function processWebhookMessage(phoneNumber, message) {
       console.log(`Processing message from ${phoneNumber}: ${messageText}`);
       
       // Check if this is a group registration command
-      if (isGroupCommand(messageText, phoneNumber)) {
+      if (await isGroupCommand(messageText, phoneNumber)) {
         // Process group registration command
         const response = await processGroupCommand(phoneNumber, messageText);
         
@@ -255,12 +497,48 @@ async function processWebhookMessage(phoneNumber, message) {
       // Send the response back to the user
       await sendWhatsAppMessage(phoneNumber, response);
     } 
-    else if (message.type === 'interactive' && message.interactive.type === 'button_reply') {
-      const buttonText = message.interactive.button_reply.title;
-      console.log(`Processing button click from ${phoneNumber}: ${buttonText}`);
+    else if (message.type === 'interactive' && ['button_reply', 'list_reply'].includes(message.interactive.type)) {
+      const { id: buttonId, title } = message.interactive[message.interactive.type];
+      const buttonText = canonicalLabel(title);
+      console.log(`Processing button click from ${phoneNumber}: ${buttonText} (${buttonId})`);
+      
+      // Replies to the group registration pickers belong to the registration flow
+      const groupResponse = await isGroupCommand(buttonText, phoneNumber)
+        ? await processGroupCommand(phoneNumber, buttonText, { payload: buttonId })
+        : null;
+      
+      // Otherwise the button's payload (or its label) is processed as a message
+      const response = groupResponse || await processMessage(phoneNumber, buttonText, { payload: buttonId });
       
-      // Process the button click as a message
-      const response = await processMessage(phoneNumber, buttonText);
+      // Send the response back to the user
+      await sendWhatsAppMessage(phoneNumber, response);
+    }
+    else if (message.type === 'image') {
+      const media = { id: message.image.id, mimeType: message.image.mime_type };
+      console.log(`Processing image from ${phoneNumber} (${media.id})`);
+      
+      // Let the agent decide whether it can use the photo
+      const response = await processMessage(phoneNumber, message.image.caption || '', { media });
+      
+      // Send the response back to the user
+      await sendWhatsAppMessage(phoneNumber, response);
+    }
+    else if (message.type === 'audio') {
+      console.log(`Processing voice note from ${phoneNumber} (${message.audio.id})`);
+      
+      // Transcribe the voice note and process it like a text message
+      const response = await processVoiceNote(phoneNumber, message.audio);
+      
+      // Send the response back to the user
+      await sendWhatsAppMessage(phoneNumber, response);
+    }
+    else if (message.type === 'location') {
+      console.log(`Processing location from ${phoneNumber}`);
+      
+      // Searches from now on look around the shared location
+      const response = await processMessage(phoneNumber, '', {
+        location: getSharedLocation(message.location)
+      });
       
       // Send the response back to the user
       await sendWhatsAppMessage(phoneNumber, response);
@@ -269,13 +547,10 @@ async function processWebhookMessage(phoneNumber, message) {
       console.log(`Received unsupported message type from ${phoneNumber}: ${message.type}`);
       
       // Send a fallback message
+      const locale = await getReplyLocale(phoneNumber);
       await sendWhatsAppMessage(phoneNumber, {
-        text: "Sorry, I can only process text messages right now. Please send your query as text.",
-        actions: [
-          { type: 'button', text: '🔍 Search Products' },
-          { type: 'button', text: '📋 Register Group' },
-          { type: 'button', text: '❓ Help' }
-        ]
+        text: t(locale, 'general.text_only'),
+        actions: replyButtons(locale, ['search_products', 'register_group', 'help'])
       });
     }
   } catch (error) {
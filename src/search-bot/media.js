@@ -0,0 +1,57 @@
+/**
+ * WhatsApp Cloud API Media
+ *
+ * This module downloads media (photos, voice notes, ...) that users send to
+ * the search bot and stores it in Supabase storage (see media-storage.js).
+ */
+
+const axios = require('axios');
+const { uploadMedia } = require('../services/media-storage');
+require('dotenv').config();
+
+const WHATSAPP_API_TOKEN = process.env.WHATSAPP_API_TOKEN;
+
+/**
+ * Download a media file sent to the search bot
+ * @param {string} mediaId - Media ID from the incoming message
+ * @returns {Promise<Object>} The file contents and MIME type ({ buffer, mimeType })
+ */
+async function downloadWhatsAppMedia(mediaId) {
+  try {
+    // The media ID resolves to a short-lived URL, which also needs the bearer token
+    const { data: media } = await axios.get(
+      `https://graph.facebook.com/v17.0/${mediaId}`,
+      { headers: { 'Authorization': `Bearer ${WHATSAPP_API_TOKEN}` } }
+    );
+
+    const file = await axios.get(media.url, {
+      headers: { 'Authorization': `Bearer ${WHATSAPP_API_TOKEN}` },
+      responseType: 'arraybuffer'
+    });
+
+    return {
+      buffer: Buffer.from(file.data),
+      mimeType: media.mime_type
+    };
+  } catch (error) {
+    console.error('Error downloading WhatsApp media:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Download a media file sent to the search bot and upload it to Supabase storage
+ * @param {string} mediaId - Media ID from the incoming message
+ * @param {string} bucket - Storage bucket to upload to
+ * @param {string} folder - Folder inside the bucket
+ * @returns {Promise<string>} Public URL of the stored file
+ */
+async function storeWhatsAppMedia(mediaId, bucket, folder) {
+  const { buffer, mimeType } = await downloadWhatsAppMedia(mediaId);
+  return uploadMedia(bucket, folder, mediaId, buffer, mimeType);
+}
+
+module.exports = {
+  downloadWhatsAppMedia,
+  storeWhatsAppMedia
+};
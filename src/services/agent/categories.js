@@ -0,0 +1,82 @@
+/**
+ * Listing Categories
+ *
+ * The categories offered in the buyer's "Browse Categories" picker and the
+ * group registration category picker.
+ */
+
+const { encodePayload } = require('./payloads');
+const { t, SUPPORTED_LOCALES } = require('../i18n');
+
+const LISTING_CATEGORIES = [
+  { id: 'electronics', name: 'Electronics', emoji: '📱', description: 'Phones, laptops, TVs and accessories' },
+  { id: 'fashion', name: 'Fashion', emoji: '👕', description: 'Clothes, shoes, bags and watches' },
+  { id: 'real_estate', name: 'Real Estate', emoji: '🏠', description: 'Houses, apartments, land and rooms' },
+  { id: 'vehicles', name: 'Vehicles', emoji: '🚗', description: 'Cars, motorbikes and spare parts' },
+  { id: 'general', name: 'General', emoji: '📦', description: 'Everything else' }
+];
+
+/**
+ * Get a category's name and description in a user's language
+ * @param {Object} category - The category
+ * @param {string} locale - Locale code
+ * @returns {Object} { name, description }
+ */
+function translateCategory(category, locale) {
+  return {
+    name: t(locale, `categories.${category.id}.name`),
+    description: t(locale, `categories.${category.id}.description`)
+  };
+}
+
+/**
+ * Build picker actions (rendered as a list when there are more than 3) for the categories
+ * @param {string} payloadAction - Payload action the category ID is passed to when tapped
+ * @param {string} locale - Language of the labels
+ * @returns {Array<Object>} One action per category
+ */
+function getCategoryActions(payloadAction = 'browse_category', locale) {
+  return LISTING_CATEGORIES.map(category => {
+    const { name, description } = translateCategory(category, locale);
+    return {
+      type: 'button',
+      text: `${category.emoji} ${name}`,
+      description,
+      payload: encodePayload(payloadAction, category.id)
+    };
+  });
+}
+
+/**
+ * Find a category by its ID
+ * @param {string} id - Category ID, e.g. "real_estate"
+ * @returns {Object|null} The category, or null if there's none with that ID
+ */
+function findCategoryById(id) {
+  return LISTING_CATEGORIES.find(category => category.id === id) || null;
+}
+
+/**
+ * Find the category a picker reply refers to
+ * @param {string} text - The reply, e.g. "📱 Electronics", "real estate" or "véhicules"
+ * @returns {Object|null} The category, or null if the text isn't a category choice
+ */
+function findCategoryChoice(text) {
+  const choice = String(text || '')
+    .replace(/^[^\p{L}]+/u, '')
+    .trim()
+    .toLowerCase();
+
+  return LISTING_CATEGORIES.find(category =>
+    category.id === choice.replace(/\s+/g, '_') ||
+    SUPPORTED_LOCALES.some(locale => translateCategory(category, locale).name.toLowerCase() === choice)
+  ) || null;
+}
+
+module.exports = {
+  LISTING_CATEGORIES,
+  translateCategory,
+  getCategoryActions,
+  findCategoryById,
+  findCategoryChoice
+};
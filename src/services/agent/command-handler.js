@@ -8,6 +8,8 @@
 const { handleSubscriptionCommands } = require('../../search-bot/commands/subscription');
 const { handleBoostCommands } = require('../../search-bot/commands/boost');
 const { handleFapshiCommands } = require('../../search-bot/commands/fapshi');
+const { handleAlertCommands } = require('../../search-bot/commands/alerts');
+const { handleLanguageCommands } = require('../../search-bot/commands/language');
 
 /**
  * Process a command message
@@ -42,6 +44,17 @@ async function processCommand(client, message, text) {
       await handleFapshiCommands(client, message, args);
       return true;
       
+    case 'alerts':
+    case 'alert':
+      await handleAlertCommands(client, message, args);
+      return true;
+      
+    case 'lang':
+    case 'language':
+    case 'langue':
+      await handleLanguageCommands(client, message, args);
+      return true;
+      
     // Add more command handlers here
       
     default:
@@ -6,31 +6,85 @@
  */
 
 // Common patterns for entity extraction
-const PRICE_PATTERN = /(\d+(?:[.,]\d+)?)\s*(FCFA|XAF|CFA|F|€|EUR|USD|\$)/i;
-const LOCATION_PATTERN = /(?:in|at|near|around)\s+([A-Za-zÀ-ÿ\s]+?)(?:$|[,.?!]|\s+and\s+|\s+or\s+)/i;
-const CATEGORY_PATTERN = /(?:looking for|need|want|searching for|find)\s+([A-Za-zÀ-ÿ\s]+?)(?:$|[,.?!]|\s+in\s+|\s+at\s+|\s+under\s+|\s+over\s+)/i;
+// "k" is shorthand for thousands of FCFA ("200k")
+const PRICE_PATTERN = /(\d+(?:[.,]\d+)*)\s*(k|FCFA|XAF|CFA|F|€|EUR|USD|\$)(?![a-z])/i;
+// French ("à Douala", "je cherche", "moins de") and Pidgin ("I di find") forms are matched too
+const LOCATION_PATTERN = /(?:\bin|\bat|\bnear|\baround|(?:^|\s)à|\bau|\bdans|\bvers|\bprès de)\s+([A-Za-zÀ-ÿ\s]+?)(?:$|[,.?!]|\s+and\s+|\s+or\s+|\s+et\s+|\s+ou\s+)/i;
+const CATEGORY_PATTERN = /(?:looking for|need|want|searching for|find|(?:cherche|veux|voudrais)(?:\s+(?:un|une|des|du|le|la|les))?)\s+([A-Za-zÀ-ÿ\s]+?)(?:$|[,.?!]|\s+in\s+|\s+at\s+|\s+under\s+|\s+over\s+|\s+à\s+|\s+dans\s+|\s+moins\s+|\s+plus\s+)/i;
+
+// Sort orders users can ask for, checked in order
+const SORT_PATTERNS = [
+  ['price_asc', /cheapest|lowest price|price:? low to high|moins cher/i],
+  ['price_desc', /most expensive|highest price|price:? high to low|plus cher/i],
+  ['newest', /newest|latest|most recent|plus r[ée]cents?/i],
+  ['relevance', /most relevant|best match|pertinence/i],
+  ['distance', /nearest|closest|le plus proche|les plus proches/i]
+];
+
+// Search radius: "within 10 km", "10km from Bastos", "dans un rayon de 5 km"
+const RADIUS_PATTERN = /(?:within|dans un rayon de|à moins de|less than)?\s*(\d+(?:[.,]\d+)?)\s*km\b(?:\s+(?:of|from|de|around|autour de)\s+([A-Za-zÀ-ÿ'\s-]+?)(?=$|[,.?!]|\s+(?:and|or|under|over|below|above)\b))?/i;
+
+// "It hasn't arrived yet", "has my order arrived?": about a delivery, but not confirming it
+const NOT_A_RECEIPT_CONFIRMATION = /\?|^\s*(?:has|have|did|does|is|was|will|when|where|why|how|quand|est-ce)\b|\b(?:not|never|yet|if|whether|pas|jamais|encore)\b|n'?t\b/i;
 
 // Intent patterns
 const INTENT_PATTERNS = {
+  open_dispute: [
+    /\b(?:dispute|complain|complaint|not received|never (?:received|arrived|came)|didn'?t (?:receive|arrive|get)|wrong item|damaged|broken|fake|scam|refund|litige|remboursement)\b/i
+  ],
+  manage_alerts: [
+    /\b(?:(?:stop|cancel|delete|remove|unsubscribe|turn off|disable)\b.*\balerts?|my alerts|list (?:my )?alerts)\b/i
+  ],
+  create_alert: [
+    /\b(?:alert me|notify me|let me know|tell me when|keep me posted|(?:set|create|add) (?:an? |a search )?alert|préviens[- ]moi|alerte[- ]moi)\b/i
+  ],
+  more_results: [
+    /^\s*(?:➡️\s*)?(?:more(?: results)?|next(?: page)?|show more|see more|plus de r[ée]sultats|suivant)\s*[.!]?\s*$/i
+  ],
+  sort_results: [
+    /^\s*(?:(?:💲|🆕|↕️|📍)\s*)?(?:sort(?: by)?:?\s*)?(?:cheapest|lowest price|price:? low to high|most expensive|highest price|price:? high to low|newest|latest|most recent|most relevant|best match|nearest|closest|moins cher|plus cher|plus r[ée]cents?|pertinence|les? plus proches?)(?: first| d'abord)?\s*$/i
+  ],
+  back_to_search: [
+    /back to (?:search|results)|retour aux r[ée]sultats/i
+  ],
+  browse_categories: [
+    /^\s*(?:📂\s*)?(?:browse (?:the )?categories|categories|show (?:me )?(?:the )?categories|cat[ée]gories)\s*[.!?]?\s*$/i
+  ],
+  submit_dispute: [
+    /^\s*(?:✅\s*)?(?:done|submit|that'?s all|terminé|fini)\b/i
+  ],
   search: [
-    /find|search|looking for|show|get|need|want|browse|discover|any/i,
+    /find|search|looking for|show|get|need|want|browse|discover|any|cherche|trouve|veux|voudrais/i,
     /products?|items?|listings?|goods|services|sellers?/i
   ],
   help: [
-    /help|support|guide|how to|how do I|assist|assistance/i
+    /help|support|guide|how to|how do I|assist|assistance|aide|helep/i
+  ],
+  track_order: [
+    /\btrack(?:ing)?\s+(?:my\s+|an?\s+|the\s+)?orders?\b|^\s*(?:📦\s*|🛍️\s*)?(?:my\s+)?orders?(?:\s+status)?\s*[.!?]?\s*$|\b(?:show|view|see|check|list)\s+(?:me\s+)?my\s+orders?\b|\bmes\s+commandes\b|\bsuivre\s+(?:ma\s+|mes\s+)?commandes?\b/i
   ],
   select_product: [
     /select|choose|pick|view|show|details|more info|about|tell me about|product #?(\d+)/i
   ],
+  retry_payment: [
+    /retry|try again|resend|new payment link/i
+  ],
+  confirm_receipt: [
+    /\b(?:received|got (?:it|the item|my order)|reçu|delivered|arrived)\b/i
+  ],
+  confirm_payment: [
+    /confirm|verified|completed|done|finished|paid|sent|payé|envoyé/i,
+    /payment|transaction|money|transfer|paiement/i
+  ],
   buy: [
-    /buy|purchase|order|get|acquire|checkout|payment|pay/i
+    /buy|purchase|order|get|acquire|checkout|payment|pay|acheter|achète|commander|payer/i
   ],
   contact_seller: [
-    /contact|message|chat|talk|speak|call|connect|reach/i,
-    /seller|vendor|owner|merchant|provider/i
+    /contact|message|chat|talk|speak|call|connect|reach|écrire|parler|appeler|tok/i,
+    /seller|vendor|owner|merchant|provider|vendeur/i
   ],
   cancel: [
-    /cancel|stop|quit|exit|back|return|nevermind|forget it/i
+    /cancel|stop|quit|exit|back|return|nevermind|forget it|annuler|arrêter|retour/i
   ],
   refine_search: [
     /refine|filter|sort|narrow|cheaper|more expensive|better|newer|different|other/i
@@ -38,12 +92,31 @@ const INTENT_PATTERNS = {
   submit_rating: [
     /rate|rating|review|feedback|stars?|score/i
   ],
-  confirm_payment: [
-    /confirm|verified|completed|done|finished|paid|sent/i,
-    /payment|transaction|money|transfer/i
+  skip: [
+    /^\s*(?:⏭️\s*)?(?:skip|no thanks|no comment|passer)\b/i
   ]
 };
 
+/**
+ * Parse a price matched by PRICE_PATTERN
+ * @param {string} match - The matched text, e.g. "200k", "150,000 FCFA" or "12.5 EUR"
+ * @returns {Object} The amount and currency
+ */
+function parsePrice(match) {
+  const [_, amount, unit] = match.match(PRICE_PATTERN);
+  
+  // "150,000" and "150.000" are thousands separators; "12,5" is a decimal comma
+  const value = /^\d{1,3}(?:[.,]\d{3})+$/.test(amount)
+    ? parseFloat(amount.replace(/[.,]/g, ''))
+    : parseFloat(amount.replace(',', '.'));
+  
+  if (unit.toLowerCase() === 'k') {
+    return { amount: value * 1000, currency: 'FCFA' };
+  }
+  
+  return { amount: value, currency: unit };
+}
+
 /**
  * Extract entities and intent from a message
  * @param {string} message - The message text
@@ -64,25 +137,18 @@ async function extractEntities(message, language = 'en') {
   if (priceMatches && priceMatches.length > 0) {
     // If we have two prices, assume it's a range
     if (priceMatches.length >= 2) {
-      const prices = priceMatches.map(match => {
-        const [_, amount, currency] = match.match(PRICE_PATTERN);
-        return {
-          amount: parseFloat(amount.replace(',', '.')),
-          currency
-        };
-      }).sort((a, b) => a.amount - b.amount);
+      const prices = priceMatches.map(parsePrice).sort((a, b) => a.amount - b.amount);
       
       result.entities.minPrice = prices[0].amount;
       result.entities.maxPrice = prices[prices.length - 1].amount;
       result.entities.currency = prices[0].currency;
     } else {
       // Single price - check context for "under" or "over"
-      const [_, amount, currency] = priceMatches[0].match(PRICE_PATTERN);
-      const parsedAmount = parseFloat(amount.replace(',', '.'));
+      const { amount: parsedAmount, currency } = parsePrice(priceMatches[0]);
       
-      if (/under|less than|cheaper than|below|not more than/i.test(message)) {
+      if (/under|less than|cheaper than|below|not more than|moins de|en dessous de|max/i.test(message)) {
         result.entities.maxPrice = parsedAmount;
-      } else if (/over|more than|above|at least|minimum/i.test(message)) {
+      } else if (/over|more than|above|at least|minimum|plus de|au moins|au-dessus de/i.test(message)) {
         result.entities.minPrice = parsedAmount;
       } else {
         // Exact price match
@@ -93,9 +159,16 @@ async function extractEntities(message, language = 'en') {
     }
   }
   
+  // Extract search radius, and the place it's measured from if given ("within 10 km of Bastos")
+  const radiusMatch = message.match(RADIUS_PATTERN);
+  if (radiusMatch) {
+    result.entities.radiusKm = parseFloat(radiusMatch[1].replace(',', '.'));
+    if (radiusMatch[2]) result.entities.location = radiusMatch[2].trim();
+  }
+  
   // Extract location
   const locationMatch = message.match(LOCATION_PATTERN);
-  if (locationMatch && locationMatch[1]) {
+  if (!result.entities.location && locationMatch && locationMatch[1]) {
     result.entities.location = locationMatch[1].trim();
   }
   
@@ -115,13 +188,16 @@ async function extractEntities(message, language = 'en') {
     // Remove price patterns
     query = query.replace(new RegExp(PRICE_PATTERN.source, 'gi'), '');
     
+    // Remove the search radius
+    query = query.replace(RADIUS_PATTERN, '');
+    
     // Remove location patterns
     if (result.entities.location) {
-      query = query.replace(new RegExp(`(?:in|at|near|around)\\s+${result.entities.location}`, 'i'), '');
+      query = query.replace(new RegExp(`(?:in|at|near|around|à|au|dans|vers|près de)\\s+${result.entities.location}`, 'i'), '');
     }
     
     // Remove common filler words
-    query = query.replace(/(?:can you|please|I want to|I need to|I'm looking for|show me|find me|get me|I want|I need)\s+/gi, '');
+    query = query.replace(/(?:can you|please|I want to|I need to|I'm looking for|show me|find me|get me|I want|I need|je cherche|je veux|je voudrais|abeg|I di find|I wan buy)\s+/gi, '');
     
     // Clean up and set as query if not empty
     query = query.trim();
@@ -131,12 +207,25 @@ async function extractEntities(message, language = 'en') {
   }
   
   // Extract product ID if present
-  const productIdMatch = message.match(/product #?(\d+)|item #?(\d+)|listing #?(\d+)|#(\d+)/i);
+  // A bare number ("2") or a result button ("2. iPhone 13...") also picks a product
+  const productIdMatch = message.match(/product #?(\d+)|item #?(\d+)|listing #?(\d+)|#(\d+)|^\s*(\d{1,3})(?:[.)]\s|\s*$)/i);
   if (productIdMatch) {
-    const id = productIdMatch[1] || productIdMatch[2] || productIdMatch[3] || productIdMatch[4];
+    const id = productIdMatch[1] || productIdMatch[2] || productIdMatch[3] || productIdMatch[4] || productIdMatch[5];
     result.entities.productId = id;
   }
   
+  // Extract requested sort order
+  const sort = SORT_PATTERNS.find(([, pattern]) => pattern.test(message));
+  if (sort) {
+    result.entities.sortBy = sort[0];
+  }
+  
+  // Extract order (escrow transaction) reference if present
+  const transactionIdMatch = message.match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i);
+  if (transactionIdMatch) {
+    result.entities.transactionId = transactionIdMatch[0].toLowerCase();
+  }
+  
   // Extract rating if present
   const ratingMatch = message.match(/(\d+)\s*stars?|rate\s*(\d+)|rating\s*:\s*(\d+)|(\d+)\s*out of\s*5/i);
   if (ratingMatch) {
@@ -177,6 +266,11 @@ function determineIntent(message, entities) {
       return 'submit_rating';
     }
     
+    // Only a plain statement confirms receipt; a question or a negation never releases a payment
+    if (intent === 'confirm_receipt' && NOT_A_RECEIPT_CONFIRMATION.test(message)) {
+      continue;
+    }
+    
     // For other intents, check if all patterns match
     const matchesAllPatterns = patterns.every(pattern => pattern.test(message));
     if (matchesAllPatterns) {
@@ -195,5 +289,6 @@ function determineIntent(message, entities) {
 }
 
 module.exports = {
+  PRICE_PATTERN,
   extractEntities
 };
@@ -5,7 +5,12 @@
  * It processes commands like "register group" and guides users through the registration process.
  */
 
-const { registerGroup, isGroupRegistered } = require('../group-registration');
+const { resolveGroupInvite, registerGroup, isGroupRegistered } = require('../group-registration');
+const { getCategoryActions, findCategoryById, findCategoryChoice, translateCategory } = require('./categories');
+const { decodePayload } = require('./payloads');
+const { createSessionStore } = require('../session-store');
+const { t } = require('../i18n');
+const { getUserLocale } = require('./index');
 
 // User registration states
 const registrationStates = {
@@ -15,37 +20,41 @@ const registrationStates = {
   AWAITING_CATEGORY: 'awaiting_category'
 };
 
-// In-memory storage for registration sessions
-const registrationSessions = new Map();
+// Registration sessions, shared by every instance; an unfinished registration is dropped after an hour
+const registrationSessions = createSessionStore('registration', { ttlMs: 60 * 60 * 1000 });
 
 /**
  * Get or create a registration session for a user
  * @param {string} userId - The user's WhatsApp ID
- * @returns {Object} The registration session
+ * @returns {Promise<Object>} The registration session
  */
-function getRegistrationSession(userId) {
-  if (!registrationSessions.has(userId)) {
-    registrationSessions.set(userId, {
-      state: registrationStates.IDLE,
-      groupName: null,
-      inviteCode: null,
-      category: null
-    });
-  }
-  return registrationSessions.get(userId);
+async function getRegistrationSession(userId) {
+  return await registrationSessions.get(userId) || {
+    state: registrationStates.IDLE,
+    groupName: null,
+    inviteCode: null,
+    groupId: null,
+    category: null
+  };
+}
+
+/**
+ * Save a user's registration session after a step
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Object} session - The registration session
+ * @returns {Promise<void>}
+ */
+async function saveRegistrationSession(userId, session) {
+  await registrationSessions.set(userId, session);
 }
 
 /**
  * Reset a user's registration session
  * @param {string} userId - The user's WhatsApp ID
+ * @returns {Promise<void>}
  */
-function resetRegistrationSession(userId) {
-  registrationSessions.set(userId, {
-    state: registrationStates.IDLE,
-    groupName: null,
-    inviteCode: null,
-    category: null
-  });
+async function resetRegistrationSession(userId) {
+  await registrationSessions.delete(userId);
 }
 
 /**
@@ -72,25 +81,101 @@ function extractInviteCode(link) {
   return null;
 }
 
+/**
+ * Get the reply for a registration the group bot couldn't complete, resetting the
+ * registration unless the user can send another link
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Object} session - The registration session
+ * @param {Object} result - The failed lookup or registration (see group-registration.js)
+ * @param {string} locale - The user's language
+ * @returns {Promise<Object>} The response to send back to the user
+ */
+async function registrationFailureResponse(userId, session, result, locale) {
+  if (result.code === 'INVITE_REVOKED') {
+    session.inviteCode = null;
+    session.groupId = null;
+    session.state = registrationStates.AWAITING_INVITE_LINK;
+    await saveRegistrationSession(userId, session);
+    return {
+      text: t(locale, 'registration.invite_revoked'),
+      actions: [
+        { type: 'button', text: t(locale, 'buttons.cancel_registration') }
+      ]
+    };
+  }
+  
+  const messageKeys = {
+    NOT_GROUP_ADMIN: 'registration.not_admin',
+    CLIENT_NOT_READY: 'registration.bot_unavailable'
+  };
+  
+  await resetRegistrationSession(userId);
+  return {
+    text: t(locale, messageKeys[result.code] || 'registration.error'),
+    actions: [
+      { type: 'button', text: t(locale, 'buttons.search_products') },
+      { type: 'button', text: t(locale, 'buttons.register_group') },
+      { type: 'button', text: t(locale, 'buttons.help') }
+    ]
+  };
+}
+
+/**
+ * Have the group bot join the group and register it
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Object} session - The registration session (with its invite code and category)
+ * @param {string} locale - The user's language
+ * @returns {Promise<Object>} The response to send back to the user
+ */
+async function completeRegistration(userId, session, locale) {
+  const result = await registerGroup(
+    session.inviteCode,
+    session.groupName,
+    session.category,
+    userId
+  );
+  
+  if (!result.success) {
+    return registrationFailureResponse(userId, session, result, locale);
+  }
+  
+  await resetRegistrationSession(userId);
+  
+  const knownCategory = findCategoryById(session.category);
+  return {
+    text: t(locale, 'registration.success', {
+      group: result.data.name,
+      category: knownCategory ? translateCategory(knownCategory, locale).name : session.category
+    }),
+    actions: [
+      { type: 'button', text: t(locale, 'buttons.search_products') },
+      { type: 'button', text: t(locale, 'buttons.help') }
+    ]
+  };
+}
+
 /**
  * Process a group registration command
  * @param {string} userId - The user's WhatsApp ID
  * @param {string} message - The user's message
+ * @param {Object} options - Message options
+ * @param {string} options.payload - ID of the button or list row the user tapped, if any
  * @returns {Promise<Object>} The response to send back to the user
  */
-async function processGroupCommand(userId, message) {
-  const session = getRegistrationSession(userId);
+async function processGroupCommand(userId, message, options = {}) {
+  const session = await getRegistrationSession(userId);
   const lowerMessage = message.toLowerCase().trim();
+  const locale = await getUserLocale(userId, message);
   
   // Check for cancel command at any stage
   if (lowerMessage === 'cancel' && session.state !== registrationStates.IDLE) {
-    resetRegistrationSession(userId);
+    await resetRegistrationSession(userId);
     return {
-      text: "Group registration canceled. How else can I help you today?",
+      text: t(locale, 'registration.cancelled'),
       actions: [
-        { type: 'button', text: '🔍 Search Products' },
-        { type: 'button', text: '📋 Register Group' },
-        { type: 'button', text: '❓ Help' }
+        { type: 'button', text: t(locale, 'buttons.search_products') },
+        { type: 'button', text: t(locale, 'buttons.register_group') },
+        { type: 'button', text: t(locale, 'buttons.help') }
       ]
     };
   }
@@ -98,12 +183,11 @@ async function processGroupCommand(userId, message) {
   // Check for register command to start the process
   if (lowerMessage.includes('register group') || lowerMessage === 'register' || lowerMessage === '📋 register group') {
     session.state = registrationStates.AWAITING_GROUP_NAME;
+    await saveRegistrationSession(userId, session);
     return {
-      text: "Let's register your WhatsApp group for marketplace monitoring! 📋\n\n" +
-            "What's the name of your group?\n\n" +
-            "Type 'cancel' at any time to stop the registration process.",
+      text: t(locale, 'registration.start'),
       actions: [
-        { type: 'button', text: 'Cancel' }
+        { type: 'button', text: t(locale, 'buttons.cancel_registration') }
       ]
     };
   }
@@ -113,15 +197,11 @@ async function processGroupCommand(userId, message) {
     case registrationStates.AWAITING_GROUP_NAME:
       session.groupName = message.trim();
       session.state = registrationStates.AWAITING_INVITE_LINK;
+      await saveRegistrationSession(userId, session);
       return {
-        text: `Great! Now please send me the invite link for your group "${session.groupName}".\n\n` +
-              "You can get this by:\n" +
-              "1. Opening your WhatsApp group\n" +
-              "2. Tapping the group name at the top\n" +
-              "3. Scrolling down to 'Invite to Group via Link'\n" +
-              "4. Copying and sending the link here",
+        text: t(locale, 'registration.ask_link', { group: session.groupName }),
         actions: [
-          { type: 'button', text: 'Cancel' }
+          { type: 'button', text: t(locale, 'buttons.cancel_registration') }
         ]
       };
       
@@ -129,87 +209,76 @@ async function processGroupCommand(userId, message) {
       const inviteCode = extractInviteCode(message.trim());
       if (!inviteCode) {
         return {
-          text: "That doesn't look like a valid WhatsApp group invite link. Please send a link in the format 'https://chat.whatsapp.com/ABCDEF123456'.",
+          text: t(locale, 'registration.invalid_link'),
           actions: [
-            { type: 'button', text: 'Cancel' }
+            { type: 'button', text: t(locale, 'buttons.cancel_registration') }
           ]
         };
       }
       
+      // Find the group the invite leads to, so a revoked link is caught now
+      const invite = await resolveGroupInvite(inviteCode);
+      if (!invite.success) {
+        return registrationFailureResponse(userId, session, invite, locale);
+      }
+      
       // Check if group is already registered
-      const isRegistered = await isGroupRegistered(inviteCode);
+      const isRegistered = await isGroupRegistered(inviteCode, invite.data.groupId);
       if (isRegistered) {
-        resetRegistrationSession(userId);
+        await resetRegistrationSession(userId);
         return {
-          text: "This group is already registered for marketplace monitoring! No need to register it again.",
+          text: t(locale, 'registration.already_registered'),
           actions: [
-            { type: 'button', text: '🔍 Search Products' },
-            { type: 'button', text: '❓ Help' }
+            { type: 'button', text: t(locale, 'buttons.search_products') },
+            { type: 'button', text: t(locale, 'buttons.help') }
           ]
         };
       }
       
       session.inviteCode = inviteCode;
+      session.groupId = invite.data.groupId;
+      
+      // A new link sent after the first one stopped working; the category was already chosen
+      if (session.category) {
+        return completeRegistration(userId, session, locale);
+      }
+      
       session.state = registrationStates.AWAITING_CATEGORY;
+      await saveRegistrationSession(userId, session);
       return {
-        text: "Perfect! Now please select a category for your marketplace group:",
+        text: t(locale, 'registration.ask_category'),
+        listButton: t(locale, 'lists.choose_category'),
+        listTitle: t(locale, 'lists.categories'),
         actions: [
-          { type: 'button', text: '📱 Electronics' },
-          { type: 'button', text: '👕 Fashion' },
-          { type: 'button', text: '🏠 Real Estate' },
-          { type: 'button', text: '🚗 Vehicles' },
-          { type: 'button', text: '📦 General' },
-          { type: 'button', text: 'Cancel' }
+          ...getCategoryActions('group_category', locale),
+          {
+            type: 'button',
+            text: t(locale, 'buttons.cancel_registration'),
+            description: t(locale, 'categories.stop_registering')
+          }
         ]
       };
       
     case registrationStates.AWAITING_CATEGORY:
-      // Process category selection
+      // Process category selection, from the tapped picker row if there is one
+      const payload = decodePayload(options.payload);
+      const pickedCategory = payload && payload.action === 'group_category'
+        ? findCategoryById(payload.args[0])
+        : findCategoryChoice(message);
       let category = 'general';
       
-      if (lowerMessage.includes('electronics')) category = 'electronics';
+      if (pickedCategory) category = pickedCategory.id;
+      else if (lowerMessage.includes('electronics')) category = 'electronics';
       else if (lowerMessage.includes('fashion')) category = 'fashion';
       else if (lowerMessage.includes('real estate')) category = 'real_estate';
       else if (lowerMessage.includes('vehicles')) category = 'vehicles';
       else if (lowerMessage.includes('general')) category = 'general';
       else category = lowerMessage.replace(/[^\w]/g, '_').toLowerCase();
       
-      // Register the group
-      const result = await registerGroup(
-        session.inviteCode,
-        session.groupName,
-        category,
-        userId
-      );
+      session.category = category;
       
-      resetRegistrationSession(userId);
-      
-      if (result.success) {
-        // Get the website URL from environment or use a default
-        const websiteUrl = process.env.WEBSITE_URL || 'http://localhost:3000';
-        const setupUrl = `${websiteUrl}/setup-guide.html`;
-        
-        return {
-          text: `✅ Success! Your group "${session.groupName}" has been registered as a ${category} marketplace.\n\n` +
-                "IMPORTANT NEXT STEP:\n" +
-                "To complete the setup, you need to link the bot to your group for monitoring.\n\n" +
-                `Please visit ${setupUrl} and scan the QR code to link your WhatsApp account.\n\n` +
-                "This step is necessary for the bot to monitor messages in your group.",
-          actions: [
-            { type: 'button', text: '🔍 Search Products' },
-            { type: 'button', text: '❓ Help' }
-          ]
-        };
-      } else {
-        return {
-          text: "❌ Sorry, there was an error registering your group. Please try again later.",
-          actions: [
-            { type: 'button', text: '🔍 Search Products' },
-            { type: 'button', text: '📋 Register Group' },
-            { type: 'button', text: '❓ Help' }
-          ]
-        };
-      }
+      // Join and register the group
+      return completeRegistration(userId, session, locale);
       
     default:
       return null; // Not a registration command or not in registration flow
@@ -219,11 +288,11 @@ async function processGroupCommand(userId, message) {
 /**
  * Check if a message is a group command
  * @param {string} message - The user's message
- * @param {Object} session - The user's registration session
- * @returns {boolean} True if the message is a group command
+ * @param {string} userId - The user's WhatsApp ID
+ * @returns {Promise<boolean>} True if the message is a group command
  */
-function isGroupCommand(message, userId) {
-  const session = getRegistrationSession(userId);
+async function isGroupCommand(message, userId) {
+  const session = await getRegistrationSession(userId);
   const lowerMessage = message.toLowerCase().trim();
   
   // If user is in the middle of registration, treat all messages as commands
@@ -10,8 +10,16 @@
 
 const axios = require('axios');
 const { extractEntities } = require('./entity-extractor');
-const { generateResponse } = require('./response-generator');
+const { generateResponse, button } = require('./response-generator');
 const { searchWeb } = require('./web-search');
+const { findCategoryChoice, findCategoryById } = require('./categories');
+const { decodePayload } = require('./payloads');
+const { RATING_ACTIONS } = require('../../payment/escrow-release');
+const { downloadWhatsAppMedia } = require('../../search-bot/media');
+const { handleBoost } = require('../../search-bot/commands/boost');
+const { findNearestPlace } = require('../gazetteer');
+const { createSessionStore } = require('../session-store');
+const { DEFAULT_LOCALE, t, detectLanguage, getPreferredLocale } = require('../i18n');
 
 // Import OpenRouter agent
 let openRouterAgent;
@@ -31,95 +39,266 @@ const AGENT_STATES = {
   VIEWING_PRODUCT: 'viewing_product',
   CHECKOUT: 'checkout',
   RATING: 'rating',
+  RATING_COMMENT: 'rating_comment',
+  CONFIRM_RECEIPT: 'confirm_receipt',
+  DISPUTE: 'dispute',
   HELP: 'help'
 };
 
-// User session store (in-memory for now, should be moved to database for production)
-const userSessions = new Map();
+// Intents handled the same way whatever state the conversation is in
+const GLOBAL_INTENT_HANDLERS = {
+  confirm_receipt: (session, entities) => handleDeliveryConfirmationIntent(session, entities.transactionId),
+  open_dispute: (session, entities) => handleOpenDisputeIntent(session, entities),
+  create_alert: (session, entities) => handleCreateAlertIntent(session, entities),
+  manage_alerts: (session) => handleManageAlertsIntent(session),
+  browse_categories: (session) => handleBrowseCategoriesIntent(session),
+  track_order: (session) => handleTrackOrdersIntent(session)
+};
+
+// Handlers for the payloads carried by button and list reply IDs (see ./payloads).
+// A tap does what its button says whatever state the conversation is in.
+const PAYLOAD_HANDLERS = {
+  view_listing: (session, listingId) => {
+    session.state = AGENT_STATES.VIEWING_PRODUCT;
+    session.context.currentProductId = listingId;
+    return handleProductViewIntent(session);
+  },
+  more_results: (session) => {
+    session.state = AGENT_STATES.SEARCHING;
+    return handleMoreResultsIntent(session);
+  },
+  sort: (session, sortBy) => {
+    session.state = AGENT_STATES.SEARCHING;
+    return handleSortResultsIntent(session, sortBy);
+  },
+  back_to_search: (session) => {
+    session.state = AGENT_STATES.SEARCHING;
+    return session.context.searchCursor
+      ? showSearchPage(session)
+      : handleSearchIntent(session, session.context);
+  },
+  browse_categories: (session) => handleBrowseCategoriesIntent(session),
+  browse_category: (session, categoryId) => {
+    const category = findCategoryById(categoryId);
+    if (!category) return handleBrowseCategoriesIntent(session);
+    session.state = AGENT_STATES.SEARCHING;
+    return handleCategoryChoiceIntent(session, category);
+  },
+  buy: (session, listingId) => {
+    // A pending payment in the session is only reused if it's for this listing
+    session.state = AGENT_STATES.CHECKOUT;
+    session.context.currentProductId = listingId;
+    return handleCheckoutIntent(session);
+  },
+  contact_seller: (session, listingId) => {
+    session.state = AGENT_STATES.VIEWING_PRODUCT;
+    session.context.currentProductId = listingId;
+    return handleContactSellerIntent(session);
+  },
+  rate: (session, rating) => handleRatingStep(session, parseInt(rating, 10)),
+  my_orders: (session) => handleTrackOrdersIntent(session),
+  confirm_receipt: (session, transactionId) => handleDeliveryConfirmationIntent(session, transactionId),
+  release_escrow: (session, transactionId) => handleDeliveryReleaseIntent(session, transactionId),
+  keep_escrow: (session) => handleKeepEscrowIntent(session),
+  boost: (session, listingId, packageNumber) => runCommand(session, `!boost boost ${listingId} ${packageNumber}`,
+    (client, message) => handleBoost(client, message, [listingId, packageNumber]))
+};
+
+// States in which every message is free text for the current step
+const FREE_TEXT_STATES = [AGENT_STATES.DISPUTE, AGENT_STATES.RATING_COMMENT];
+
+// Words in a photo caption that point at the photo or set a budget rather than describe the product
+const PHOTO_CAPTION_FILLER = /\b(?:do you have|have you got|something|anything|like|similar(?: to)?|this|that|these|those|ones?|it|under|below|over|above|less than|more than|max|budget)\b/gi;
+
+// Answers to the "did you receive it?" prompt; anything else leaves the funds in escrow
+const YES_ANSWER = /^\s*(?:✅\s*)?(?:yes|yeah|yep|oui|wi)\b(?!.*\b(?:not|pas)\b)/i;
+const NO_ANSWER = /^\s*(?:❌\s*)?(?:no|nope|non|not yet|pas encore)\b/i;
+
+// Messages kept in a session's history
+const MAX_SESSION_HISTORY = 50;
+
+// User sessions, shared by every instance and kept across restarts (see ../session-store)
+const userSessions = createSessionStore('agent');
 
 /**
  * Get or create a user session
  * @param {string} userId - The user's identifier (phone number)
- * @returns {Object} The user session object
- */
-function getUserSession(userId) {
-  if (!userSessions.has(userId)) {
-    userSessions.set(userId, {
-      state: AGENT_STATES.INITIAL,
-      context: {},
-      history: [],
-      lastInteraction: Date.now()
-    });
-  }
+ * @returns {Promise<Object>} The user session object
+ */
+async function getUserSession(userId) {
+  const session = await userSessions.get(userId) || {
+    userId,
+    state: AGENT_STATES.INITIAL,
+    context: {},
+    history: [],
+    lastInteraction: Date.now()
+  };
   
-  const session = userSessions.get(userId);
   session.lastInteraction = Date.now();
   return session;
 }
 
+/**
+ * Save a user session after it was changed
+ * @param {Object} session - The user session object
+ * @returns {Promise<void>}
+ */
+async function saveUserSession(session) {
+  session.history = session.history.slice(-MAX_SESSION_HISTORY);
+  await userSessions.set(session.userId, session);
+}
+
+/**
+ * Work out which language to talk to a user in, the first time a session needs it:
+ * the one they chose with !lang, or else the one their message is written in
+ * @param {Object} session - User session
+ * @param {string} message - The user's message
+ * @returns {Promise<string>} The session's locale
+ */
+async function resolveSessionLocale(session, message) {
+  if (!session.locale) {
+    session.locale = await getPreferredLocale(session.userId) || detectLanguage(message) || DEFAULT_LOCALE;
+  }
+  return session.locale;
+}
+
+/**
+ * Get the language to talk to a user in, e.g. for flows handled outside the agent
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} message - The user's message, used to guess their language if it isn't known yet
+ * @returns {Promise<string>} Locale code
+ */
+async function getUserLocale(userId, message = '') {
+  return userSessions.withLock(userId, async () => {
+    const session = await getUserSession(userId);
+    if (session.locale) return session.locale;
+    
+    await resolveSessionLocale(session, message);
+    await saveUserSession(session);
+    return session.locale;
+  });
+}
+
+/**
+ * Run a bot command handler for the agent, replying with whatever it sends
+ * @param {Object} session - User session
+ * @param {string} text - The command text
+ * @param {Function} run - Calls the handler with (client, message); resolves false if it didn't handle the command
+ * @returns {Promise<Object|null>} The agent's response, or null if the command wasn't handled
+ */
+async function runCommand(session, text, run) {
+  // Create a mock client that collects what the command handler sends
+  const sentMessages = [];
+  const mockClient = {
+    sendMessage: async (to, reply) => {
+      sentMessages.push(reply);
+      return {
+        text: reply,
+        actions: []
+      };
+    }
+  };
+  
+  // Create a mock message object; the command replies in (and may change) the user's language
+  const mockMessage = {
+    from: session.userId,
+    body: text,
+    locale: session.locale
+  };
+  
+  const handled = await run(mockClient, mockMessage);
+  if (handled === false) {
+    return null;
+  }
+  
+  session.locale = mockMessage.locale;
+  return {
+    text: sentMessages.join('\n\n'),
+    actions: []
+  };
+}
+
 /**
  * Process a user message with the agent
  * @param {string} userId - The user's WhatsApp ID
+ * @param {string} message - The user's message (or the caption of a media message)
+ * @param {Object} options - Message options
+ * @param {Object} options.media - Media attached to the message ({ id, mimeType })
+ * @param {string} options.payload - ID of the button or list row the user tapped, if any
+ * @param {Object} options.location - Location the user shared ({ latitude, longitude, name, address })
+ * @returns {Promise<Object>} The agent's response
+ */
+async function processMessage(userId, message, options = {}) {
+  // A user's messages are handled one at a time, so one doesn't overwrite the session changes of another
+  return userSessions.withLock(userId, () => handleMessage(userId, message, options));
+}
+
+/**
+ * Handle a user message, holding the user's session lock
+ * @param {string} userId - The user's WhatsApp ID
  * @param {string} message - The user's message
+ * @param {Object} options - Message options (see processMessage)
  * @returns {Promise<Object>} The agent's response
  */
-async function processMessage(userId, message) {
+async function handleMessage(userId, message, options) {
+  // Get or create user session, and save it once the message is handled
+  const session = await getUserSession(userId);
+  await resolveSessionLocale(session, message);
+  
+  // Taps on buttons that carry a payload go straight to their handler, without intent detection
+  const payload = decodePayload(options.payload);
+  if (payload && PAYLOAD_HANDLERS[payload.action]) {
+    return handlePayload(session, message, payload);
+  }
+  
+
   // Check if this is a command (starts with !)
   if (message.startsWith('!')) {
     try {
-      // Import command handler
       const { processCommand } = require('./command-handler');
+      const response = await runCommand(session, message, (client, commandMessage) => processCommand(client, commandMessage, message));
       
-      // Create a mock client object that implements the sendMessage method
-      const mockClient = {
-        sendMessage: async (to, text) => {
-          return {
-            text,
-            actions: []
-          };
-        }
-      };
-      
-      // Create a mock message object
-      const mockMessage = {
-        from: userId,
-        body: message
-      };
-      
-      // Process the command
-      const handled = await processCommand(mockClient, mockMessage, message);
-      
-      // If command was handled, return a dummy response (the actual response was sent by the command handler)
-      if (handled) {
-        return {
-          text: '',
-          actions: []
-        };
+      if (response) {
+        await saveUserSession(session);
+        return response;
       }
     } catch (error) {
       console.error('Error processing command:', error);
     }
   }
   
-  // If OpenRouter is enabled, use the OpenRouter agent for message processing
-  if (USE_OPENROUTER) {
+  // If OpenRouter is enabled, use the OpenRouter agent for message processing (it only handles text)
+  if (USE_OPENROUTER && !options.media && !options.location) {
     try {
-      return await openRouterAgent.processMessage(userId, message);
+      const response = await openRouterAgent.processMessage(userId, message, { locale: session.locale });
+      await saveUserSession(session);
+      return response;
     } catch (err) {
       console.error('Error processing message with OpenRouter agent:', err);
       // Fallback to built-in logic below
     }
   }
   
-  // Get or create user session
-  const session = getUserSession(userId);
+  const response = await respondToMessage(session, message, options);
+  await saveUserSession(session);
+  return response;
+}
+
+/**
+ * Work out the agent's response to a message and update the session along the way
+ * @param {Object} session - User session
+ * @param {string} message - The user's message (or the caption of a media message)
+ * @param {Object} options - Message options (see processMessage)
+ * @returns {Promise<Object>} The agent's response
+ */
+async function respondToMessage(session, message, options) {
   session.lastMessage = message;
   
   // Extract entities and intent from the message
-  const extracted = extractEntities(message);
+  const extracted = await extractEntities(message);
   const { intent, entities } = extracted;
   
-  console.log(`Processing message from ${userId}: "${message}"`);
+  console.log(`Processing message from ${session.userId}: "${message}"`);
   
   // Update session context with extracted information
   session.context = {
@@ -129,6 +308,62 @@ async function processMessage(userId, message) {
   
   let response;
   
+  // A shared location is where the user wants to search around
+  if (options.location) {
+    response = await handleLocationShareIntent(session, options.location);
+    session.history.push({
+      role: 'assistant',
+      content: response.text,
+      timestamp: Date.now()
+    });
+    return response;
+  }
+  
+  // Photos are evidence during a dispute; anywhere else they start a "find me something like this" search
+  if (options.media && session.state !== AGENT_STATES.DISPUTE) {
+    response = await handleImageSearchIntent(session, message, options.media);
+    session.history.push({
+      role: 'assistant',
+      content: response.text,
+      timestamp: Date.now()
+    });
+    return response;
+  }
+  
+  // The release prompt only takes a clear yes or no; anything else leaves the funds in escrow
+  if (session.state === AGENT_STATES.CONFIRM_RECEIPT) {
+    if (YES_ANSWER.test(message)) {
+      response = await handleDeliveryReleaseIntent(session, session.context.receiptTransactionId);
+    } else if (NO_ANSWER.test(message)) {
+      response = handleKeepEscrowIntent(session);
+    }
+    
+    if (response) {
+      session.history.push({
+        role: 'assistant',
+        content: response.text,
+        timestamp: Date.now()
+      });
+      return response;
+    }
+    
+    session.state = AGENT_STATES.INITIAL;
+    delete session.context.receiptTransactionId;
+  }
+  
+  // These intents don't depend on the conversation so far, so they're accepted in any state
+  // except the ones where the user is typing free text (dispute evidence, a rating comment)
+  const globalHandler = GLOBAL_INTENT_HANDLERS[intent];
+  if (globalHandler && !FREE_TEXT_STATES.includes(session.state)) {
+    response = await globalHandler(session, entities);
+    session.history.push({
+      role: 'assistant',
+      content: response.text,
+      timestamp: Date.now()
+    });
+    return response;
+  }
+  
   // Handle based on current state and intent
   switch (session.state) {
     case AGENT_STATES.INITIAL:
@@ -141,33 +376,40 @@ async function processMessage(userId, message) {
       } else {
         // Default welcome message with options
         response = {
-          text: `👋 Welcome to WhatsApp Marketplace!\n\nYou can:\n• Search for products\n• View your orders\n• Rate sellers\n• Get help\n• Subscribe to premium features\n• Boost your listings\n\nWhat would you like to do?`,
+          text: t(session.locale, 'general.welcome'),
           actions: [
-            { type: 'button', text: '🔍 Search Products' },
-            { type: 'button', text: '🛍️ My Orders' },
-            { type: 'button', text: '⭐ Premium' }
+            button(session.locale, 'search_products'),
+            button(session.locale, 'my_orders'),
+            button(session.locale, 'premium')
           ]
         };
       }
       break;
       
     case AGENT_STATES.SEARCHING:
-      // Handle search refinement or product selection
-      if (intent === 'select_product' && entities.productId) {
+      // Handle search refinement, product selection or a pick from the category picker
+      const categoryChoice = session.context.browsingCategories ? findCategoryChoice(message) : null;
+      if (categoryChoice) {
+        response = await handleCategoryChoiceIntent(session, categoryChoice);
+      } else if (intent === 'select_product' && entities.productId) {
         session.state = AGENT_STATES.VIEWING_PRODUCT;
-        session.context.currentProductId = entities.productId;
+        session.context.currentProductId = resolveProductId(session, entities.productId);
         response = await handleProductViewIntent(session);
+      } else if (intent === 'more_results') {
+        response = await handleMoreResultsIntent(session);
+      } else if (intent === 'sort_results' && entities.sortBy) {
+        response = await handleSortResultsIntent(session, entities.sortBy);
       } else if (intent === 'refine_search') {
         response = await handleSearchIntent(session, entities);
       } else if (intent === 'cancel') {
         session.state = AGENT_STATES.INITIAL;
         session.context = {};
         response = {
-          text: 'Search cancelled. What would you like to do now?',
+          text: t(session.locale, 'general.search_cancelled'),
           actions: [
-            { type: 'button', text: '🔍 Search Again' },
-            { type: 'button', text: '🛍️ My Orders' },
-            { type: 'button', text: '❓ Help' }
+            button(session.locale, 'search_again'),
+            button(session.locale, 'my_orders'),
+            button(session.locale, 'help')
           ]
         };
       } else {
@@ -185,7 +427,9 @@ async function processMessage(userId, message) {
         response = await handleContactSellerIntent(session);
       } else if (intent === 'back_to_search') {
         session.state = AGENT_STATES.SEARCHING;
-        response = await handleSearchIntent(session, session.context);
+        response = session.context.searchCursor
+          ? await showSearchPage(session)
+          : await handleSearchIntent(session, session.context);
       } else {
         // Default product view actions
         response = await handleProductViewIntent(session);
@@ -196,9 +440,18 @@ async function processMessage(userId, message) {
       // Handle checkout flow
       if (intent === 'confirm_payment') {
         response = await handlePaymentConfirmationIntent(session);
+        if (response.paid) {
+          // Payment is in escrow; the order is tracked by its transaction from here on
+          session.state = AGENT_STATES.INITIAL;
+        }
+      } else if (intent === 'retry_payment') {
+        response = await handleCheckoutIntent(session, { retry: true });
       } else if (intent === 'cancel') {
-        session.state = AGENT_STATES.VIEWING_PRODUCT;
-        response = await handleProductViewIntent(session);
+        response = await handleCheckoutCancelIntent(session);
+        if (response.cancelled) {
+          session.state = AGENT_STATES.VIEWING_PRODUCT;
+          delete session.context.transactionId;
+        }
       } else {
         response = await handleCheckoutIntent(session);
       }
@@ -206,20 +459,27 @@ async function processMessage(userId, message) {
       
     case AGENT_STATES.RATING:
       // Handle rating submission
-      if (intent === 'submit_rating' && entities.rating) {
-        response = await handleRatingSubmissionIntent(session, entities.rating);
-        session.state = AGENT_STATES.INITIAL;
+      response = await handleRatingStep(session, intent === 'submit_rating' ? entities.rating : null);
+      break;
+      
+    case AGENT_STATES.RATING_COMMENT:
+      // Anything but "Skip" is the buyer's comment on the rating they just gave
+      response = await handleRatingCommentIntent(session, intent === 'skip' || intent === 'cancel' ? null : message);
+      session.state = AGENT_STATES.INITIAL;
+      delete session.context.ratingId;
+      break;
+      
+    case AGENT_STATES.DISPUTE:
+      // Everything the buyer sends is evidence until they submit the dispute
+      if (intent === 'submit_dispute') {
+        response = await handleDisputeSubmitIntent(session);
+        if (response.submitted) {
+          session.state = AGENT_STATES.INITIAL;
+          delete session.context.disputeId;
+          delete response.submitted;
+        }
       } else {
-        response = {
-          text: 'Please rate your experience with the seller from 1 to 5 stars.',
-          actions: [
-            { type: 'button', text: '⭐' },
-            { type: 'button', text: '⭐⭐' },
-            { type: 'button', text: '⭐⭐⭐' },
-            { type: 'button', text: '⭐⭐⭐⭐' },
-            { type: 'button', text: '⭐⭐⭐⭐⭐' }
-          ]
-        };
+        response = await handleDisputeEvidenceIntent(session, message, options.media);
       }
       break;
       
@@ -227,11 +487,11 @@ async function processMessage(userId, message) {
       // Reset to initial state if unknown
       session.state = AGENT_STATES.INITIAL;
       response = {
-        text: "I'm not sure what you're looking for. How can I help you today?",
+        text: t(session.locale, 'general.not_sure'),
         actions: [
-          { type: 'button', text: '🔍 Search Products' },
-          { type: 'button', text: '🛍️ My Orders' },
-          { type: 'button', text: '❓ Help' }
+          button(session.locale, 'search_products'),
+          button(session.locale, 'my_orders'),
+          button(session.locale, 'help')
         ]
       };
   }
@@ -246,6 +506,30 @@ async function processMessage(userId, message) {
   return response;
 }
 
+/**
+ * Handle a tap on a button that carries a payload
+ * @param {Object} session - User session
+ * @param {string} message - The label of the button that was tapped
+ * @param {Object} payload - The decoded payload ({ action, args })
+ * @returns {Promise<Object>} The agent's response
+ */
+async function handlePayload(session, message, payload) {
+  session.lastMessage = message;
+  
+  console.log(`Processing ${payload.action} tap from ${session.userId}: "${message}"`);
+  
+  const response = await PAYLOAD_HANDLERS[payload.action](session, ...payload.args);
+  
+  session.history.push({
+    role: 'assistant',
+    content: response.text,
+    timestamp: Date.now()
+  });
+  
+  await saveUserSession(session);
+  return response;
+}
+
 /**
  * Process search query from a message
  * @param {string} message - The message containing search query
@@ -258,7 +542,7 @@ async function processSearchQuery(message) {
   }
   
   // Otherwise, use the built-in entity extractor
-  const extracted = extractEntities(message);
+  const extracted = await extractEntities(message);
   
   // Format as search parameters
   const searchParams = {
@@ -290,6 +574,7 @@ async function handleSearchIntent(session, entities) {
     const location = searchParams.location || entities.location;
     const minPrice = searchParams.minPrice || entities.minPrice;
     const maxPrice = searchParams.maxPrice || entities.maxPrice;
+    const radiusKm = searchParams.radiusKm || entities.radiusKm;
     
     // Update session context
     session.context = {
@@ -298,7 +583,8 @@ async function handleSearchIntent(session, entities) {
       category,
       location,
       minPrice,
-      maxPrice
+      maxPrice,
+      radiusKm
     };
     
     // If we don't have enough information, try web search for enrichment
@@ -315,20 +601,302 @@ async function handleSearchIntent(session, entities) {
       }
     }
     
-    // Generate search response using the response generator
-    return await generateResponse('search_results', session.context);
+    // A new search starts again from the first page
+    delete session.context.browsingCategories;
+    session.context.searchCursor = {
+      offset: 0,
+      sortBy: searchParams.sortBy || entities.sortBy || null
+    };
+    session.context.searchResultIds = [];
+    
+    return await showSearchPage(session);
   } catch (error) {
     console.error('Error handling search intent:', error);
     return {
-      text: "I'm having trouble searching for products right now. Please try again later or refine your search.",
+      text: t(session.locale, 'search.error_refine'),
+      actions: [
+        button(session.locale, 'try_again'),
+        button(session.locale, 'help')
+      ]
+    };
+  }
+}
+
+/**
+ * Describe a buyer's photo with the vision model, if one is configured
+ * @param {Object} media - The photo ({ id, mimeType })
+ * @param {string} caption - The buyer's caption
+ * @returns {Promise<Object|null>} { query, category, description }, or null if it couldn't be described
+ */
+async function describeSearchPhoto(media, caption) {
+  if (!openRouterAgent || !openRouterAgent.isVisionConfigured()) return null;
+  
+  try {
+    const image = await downloadWhatsAppMedia(media.id);
+    return await openRouterAgent.describeSearchImage(image, caption);
+  } catch (error) {
+    console.error('Error describing search photo:', error);
+    return null;
+  }
+}
+
+/**
+ * Handle a photo sent to find similar listings. The photo is described by the
+ * vision model; without one (or if it fails) the caption is searched instead.
+ * @param {Object} session - User session
+ * @param {string} caption - The photo's caption (may be empty)
+ * @param {Object} media - The photo ({ id, mimeType })
+ * @returns {Promise<Object>} Response object
+ */
+async function handleImageSearchIntent(session, caption, media) {
+  try {
+    const described = await describeSearchPhoto(media, caption);
+    
+    // The caption still supplies filters such as a location or a budget
+    const { entities } = caption ? await extractEntities(caption) : { entities: {} };
+    const captionQuery = (entities.query || '')
+      .replace(PHOTO_CAPTION_FILLER, ' ')
+      .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    const query = described?.query || (captionQuery.length > 2 ? captionQuery : null);
+    
+    if (!query) {
+      return {
+        text: t(session.locale, 'photo.not_understood'),
+        actions: [
+          button(session.locale, 'search_products'),
+          button(session.locale, 'browse_categories', { payload: 'browse_categories' }),
+          button(session.locale, 'help')
+        ]
+      };
+    }
+    
+    session.state = AGENT_STATES.SEARCHING;
+    session.context = {
+      ...session.context,
+      query,
+      category: null,
+      location: entities.location || null,
+      minPrice: entities.minPrice || null,
+      maxPrice: entities.maxPrice || null,
+      radiusKm: entities.radiusKm || null,
+      searchCursor: { offset: 0, sortBy: entities.sortBy || null },
+      searchResultIds: []
+    };
+    delete session.context.browsingCategories;
+    
+    const response = await showSearchPage(session);
+    const intro = described
+      ? `📷 ${described.description || t(session.locale, 'photo.looks_like', { query })}\n\n`
+      : `${t(session.locale, 'photo.from_caption', { query })}\n\n`;
+    
+    return { ...response, text: intro + response.text };
+  } catch (error) {
+    console.error('Error handling image search:', error);
+    return {
+      text: t(session.locale, 'photo.error'),
+      actions: [
+        button(session.locale, 'search_products'),
+        button(session.locale, 'help')
+      ]
+    };
+  }
+}
+
+/**
+ * Handle a location the user shared. Searches from then on look around it
+ * (unless they name a place), and the current search is re-run nearest first.
+ * @param {Object} session - User session
+ * @param {Object} location - The shared location ({ latitude, longitude, name, address })
+ * @returns {Promise<Object>} Response object
+ */
+async function handleLocationShareIntent(session, location) {
+  try {
+    const nearest = findNearestPlace(location.latitude, location.longitude);
+    const label = location.name || (nearest ? nearest.label : null);
+    
+    session.context.origin = {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      label
+    };
+    
+    // A place named earlier would take precedence over the pin
+    session.context.location = null;
+    
+    const where = label ? t(session.locale, 'location.near', { place: label }) : t(session.locale, 'location.near_you');
+    
+    if (!session.context.searchCursor) {
+      session.state = AGENT_STATES.SEARCHING;
+      return {
+        text: t(session.locale, 'location.ask_query', { where }),
+        actions: [
+          button(session.locale, 'browse_categories', { payload: 'browse_categories' }),
+          button(session.locale, 'help')
+        ]
+      };
+    }
+    
+    session.state = AGENT_STATES.SEARCHING;
+    session.context.searchCursor = { offset: 0, sortBy: 'distance' };
+    session.context.searchResultIds = [];
+    
+    const response = await showSearchPage(session);
+    return { ...response, text: `${t(session.locale, 'location.showing', { where })}\n\n${response.text}` };
+  } catch (error) {
+    console.error('Error handling shared location:', error);
+    return {
+      text: t(session.locale, 'location.error'),
       actions: [
-        { type: 'button', text: '🔍 Try Again' },
-        { type: 'button', text: '❓ Help' }
+        button(session.locale, 'search_products'),
+        button(session.locale, 'help')
       ]
     };
   }
 }
 
+/**
+ * Handle a request to browse listings by category
+ * @param {Object} session - User session
+ * @returns {Promise<Object>} Response object
+ */
+async function handleBrowseCategoriesIntent(session) {
+  session.state = AGENT_STATES.SEARCHING;
+  session.context.browsingCategories = true;
+  
+  return generateResponse('category_picker', { locale: session.locale });
+}
+
+/**
+ * Handle a category picked from the category picker
+ * @param {Object} session - User session
+ * @param {Object} category - The chosen category
+ * @returns {Promise<Object>} Response object
+ */
+async function handleCategoryChoiceIntent(session, category) {
+  try {
+    // The category name is matched against listing categories (and titles) by the ranked search
+    session.context = {
+      ...session.context,
+      query: category.name,
+      category: null,
+      location: null,
+      minPrice: null,
+      maxPrice: null,
+      searchCursor: { offset: 0, sortBy: 'newest' },
+      searchResultIds: []
+    };
+    delete session.context.browsingCategories;
+    
+    return await showSearchPage(session);
+  } catch (error) {
+    console.error('Error browsing category:', error);
+    return {
+      text: t(session.locale, 'categories.error'),
+      actions: [
+        button(session.locale, 'browse_categories'),
+        button(session.locale, 'help')
+      ]
+    };
+  }
+}
+
+/**
+ * Show the search results page the session's cursor points at
+ * @param {Object} session - User session
+ * @returns {Promise<Object>} Response object
+ */
+async function showSearchPage(session) {
+  const cursor = session.context.searchCursor;
+  const response = await generateResponse('search_results', {
+    ...session.context,
+    offset: cursor.offset,
+    sortBy: cursor.sortBy,
+    locale: session.locale
+  });
+  
+  if (response.resultIds) {
+    // Remember which listing each result number refers to
+    response.resultIds.forEach((id, index) => {
+      session.context.searchResultIds[cursor.offset + index] = id;
+    });
+    cursor.pageLength = response.resultIds.length;
+    cursor.hasMore = response.hasMore;
+    delete response.resultIds;
+    delete response.hasMore;
+  }
+  
+  return response;
+}
+
+/**
+ * Handle a request for the next page of search results
+ * @param {Object} session - User session
+ * @returns {Promise<Object>} Response object
+ */
+async function handleMoreResultsIntent(session) {
+  try {
+    const cursor = session.context.searchCursor;
+    if (!cursor) {
+      return await handleSearchIntent(session, session.context);
+    }
+    
+    cursor.offset += cursor.pageLength || 0;
+    return await showSearchPage(session);
+  } catch (error) {
+    console.error('Error handling more results intent:', error);
+    return {
+      text: t(session.locale, 'search.more_error'),
+      actions: [
+        button(session.locale, 'try_again'),
+        button(session.locale, 'help')
+      ]
+    };
+  }
+}
+
+/**
+ * Handle a request to sort the current search results
+ * @param {Object} session - User session
+ * @param {string} sortBy - price_asc, price_desc, newest, distance or relevance
+ * @returns {Promise<Object>} Response object
+ */
+async function handleSortResultsIntent(session, sortBy) {
+  try {
+    if (!session.context.searchCursor) {
+      return await handleSearchIntent(session, session.context);
+    }
+    
+    // Re-sorting starts again from the first page
+    session.context.searchCursor = { offset: 0, sortBy };
+    session.context.searchResultIds = [];
+    return await showSearchPage(session);
+  } catch (error) {
+    console.error('Error handling sort results intent:', error);
+    return {
+      text: t(session.locale, 'search.sort_error'),
+      actions: [
+        button(session.locale, 'try_again'),
+        button(session.locale, 'help')
+      ]
+    };
+  }
+}
+
+/**
+ * Map a result number ("2") to the listing shown under that number
+ * @param {Object} session - User session
+ * @param {string} productId - Result number or listing ID
+ * @returns {string} The listing ID
+ */
+function resolveProductId(session, productId) {
+  const resultIds = session.context.searchResultIds || [];
+  const number = /^\d+$/.test(String(productId)) ? parseInt(productId, 10) : null;
+  
+  return number && resultIds[number - 1] ? resultIds[number - 1] : productId;
+}
+
 /**
  * Extract entities from web search results
  * @param {Array} webResults - Results from web search
@@ -361,11 +929,11 @@ function extractEntitiesFromWebResults(webResults) {
  */
 async function handleHelpIntent(session) {
   return {
-    text: `📚 **WhatsApp Marketplace Help**\n\nHere's how to use our service:\n\n• **Search**: Just type what you're looking for, e.g., "TVs under 100k in Douala"\n\n• **View Orders**: Type "my orders" to see your purchases\n\n• **Rate Sellers**: After a purchase, you can rate the seller\n\n• **Contact Support**: Type "support" to get help from our team\n\nWhat would you like to do?`,
+    text: t(session.locale, 'general.help'),
     actions: [
-      { type: 'button', text: '🔍 Search Example' },
-      { type: 'button', text: '🛍️ My Orders' },
-      { type: 'button', text: '👨‍💼 Contact Support' }
+      button(session.locale, 'search_example'),
+      button(session.locale, 'my_orders'),
+      button(session.locale, 'contact_support')
     ]
   };
 }
@@ -379,15 +947,16 @@ async function handleProductViewIntent(session) {
   try {
     // Generate product view response using the response generator
     return await generateResponse('product_view', {
-      productId: session.context.currentProductId
+      productId: session.context.currentProductId,
+      locale: session.locale
     });
   } catch (error) {
     console.error('Error handling product view intent:', error);
     return {
-      text: "I'm having trouble retrieving this product. Please try searching again.",
+      text: t(session.locale, 'product.error'),
       actions: [
-        { type: 'button', text: '🔍 Back to Search' },
-        { type: 'button', text: '❓ Help' }
+        button(session.locale, 'back_to_search'),
+        button(session.locale, 'help')
       ]
     };
   }
@@ -396,21 +965,57 @@ async function handleProductViewIntent(session) {
 /**
  * Handle checkout intent
  * @param {Object} session - User session
+ * @param {Object} options - Checkout options
+ * @param {boolean} options.retry - Replace the pending payment with a new one
  * @returns {Promise<Object>} Response object
  */
-async function handleCheckoutIntent(session) {
+async function handleCheckoutIntent(session, options = {}) {
   try {
     // Generate checkout response using the response generator
-    return await generateResponse('checkout', {
-      productId: session.context.currentProductId
+    const response = await generateResponse('checkout', {
+      productId: session.context.currentProductId,
+      buyerPhone: session.userId,
+      transactionId: session.context.transactionId,
+      retry: !!options.retry,
+      locale: session.locale
     });
+    
+    // Remember the escrow transaction so "Payment Sent" can verify it
+    if (response.transactionId) {
+      session.context.transactionId = response.transactionId;
+    }
+    
+    return response;
   } catch (error) {
     console.error('Error handling checkout intent:', error);
     return {
-      text: "I'm having trouble processing your checkout. Please try again later.",
+      text: t(session.locale, 'checkout.error'),
       actions: [
-        { type: 'button', text: '🔙 Back to Product' },
-        { type: 'button', text: '❓ Help' }
+        button(session.locale, 'back_to_product'),
+        button(session.locale, 'help')
+      ]
+    };
+  }
+}
+
+/**
+ * Handle checkout cancellation intent
+ * @param {Object} session - User session
+ * @returns {Promise<Object>} Response object
+ */
+async function handleCheckoutCancelIntent(session) {
+  try {
+    return await generateResponse('checkout_cancel', {
+      transactionId: session.context.transactionId,
+      locale: session.locale
+    });
+  } catch (error) {
+    console.error('Error handling checkout cancel intent:', error);
+    return {
+      text: t(session.locale, 'checkout.cancel_error'),
+      actions: [
+        button(session.locale, 'cancel'),
+        button(session.locale, 'help')
       ]
     };
   }
@@ -425,15 +1030,16 @@ async function handleContactSellerIntent(session) {
   try {
     // Generate contact seller response using the response generator
     return await generateResponse('contact_seller', {
-      productId: session.context.currentProductId
+      productId: session.context.currentProductId,
+      locale: session.locale
     });
   } catch (error) {
     console.error('Error handling contact seller intent:', error);
     return {
-      text: "I'm having trouble connecting you with the seller. Please try again later.",
+      text: t(session.locale, 'contact.error'),
       actions: [
-        { type: 'button', text: '🔙 Back to Product' },
-        { type: 'button', text: '❓ Help' }
+        button(session.locale, 'back_to_product'),
+        button(session.locale, 'help')
       ]
     };
   }
@@ -448,20 +1054,234 @@ async function handlePaymentConfirmationIntent(session) {
   try {
     // Generate payment confirmation response using the response generator
     return await generateResponse('payment_confirmation', {
-      productId: session.context.currentProductId
+      transactionId: session.context.transactionId,
+      locale: session.locale
     });
   } catch (error) {
     console.error('Error handling payment confirmation intent:', error);
     return {
-      text: "I'm having trouble confirming your payment. Please try again later or contact support.",
+      text: t(session.locale, 'payment.error'),
+      actions: [
+        button(session.locale, 'try_again'),
+        button(session.locale, 'contact_support')
+      ]
+    };
+  }
+}
+
+/**
+ * Handle a request to see the buyer's open orders
+ * @param {Object} session - User session
+ * @returns {Promise<Object>} Response object
+ */
+async function handleTrackOrdersIntent(session) {
+  return generateResponse('order_status', {
+    buyerPhone: session.userId,
+    locale: session.locale
+  });
+}
+
+/**
+ * Handle delivery confirmation intent: find the order the buyer received and
+ * ask them to confirm before the payment is released
+ * @param {Object} session - User session
+ * @param {string} transactionId - The order the buyer named or tapped, if any
+ * @returns {Promise<Object>} Response object
+ */
+async function handleDeliveryConfirmationIntent(session, transactionId) {
+  try {
+    const response = await generateResponse('delivery_confirmation', {
+      buyerPhone: session.userId,
+      transactionId,
+      locale: session.locale
+    });
+    
+    // Wait for the buyer's yes or no to the release prompt
+    if (response.awaitingReceipt) {
+      session.state = AGENT_STATES.CONFIRM_RECEIPT;
+      session.context.receiptTransactionId = response.awaitingReceipt;
+      delete response.awaitingReceipt;
+    }
+    
+    return response;
+  } catch (error) {
+    console.error('Error handling delivery confirmation intent:', error);
+    return {
+      text: t(session.locale, 'delivery.error'),
+      actions: [
+        button(session.locale, 'contact_support'),
+        button(session.locale, 'help')
+      ]
+    };
+  }
+}
+
+/**
+ * Handle the buyer confirming they received an order: release its payment to the seller
+ * @param {Object} session - User session
+ * @param {string} transactionId - The order the buyer confirmed
+ * @returns {Promise<Object>} Response object
+ */
+async function handleDeliveryReleaseIntent(session, transactionId) {
+  if (session.state === AGENT_STATES.CONFIRM_RECEIPT) session.state = AGENT_STATES.INITIAL;
+  delete session.context.receiptTransactionId;
+  
+  try {
+    const response = await generateResponse('delivery_release', {
+      buyerPhone: session.userId,
+      transactionId,
+      locale: session.locale
+    });
+    
+    // Funds are released: ask the buyer to rate the seller
+    if (response.releasedTransaction) {
+      enterRatingState(session, response.releasedTransaction);
+      delete response.releasedTransaction;
+    }
+    
+    return response;
+  } catch (error) {
+    console.error('Error handling delivery release intent:', error);
+    return {
+      text: t(session.locale, 'delivery.error'),
+      actions: [
+        button(session.locale, 'contact_support'),
+        button(session.locale, 'help')
+      ]
+    };
+  }
+}
+
+/**
+ * Handle the buyer answering no to the release prompt: the payment stays in escrow
+ * @param {Object} session - User session
+ * @returns {Object} Response object
+ */
+function handleKeepEscrowIntent(session) {
+  if (session.state === AGENT_STATES.CONFIRM_RECEIPT) session.state = AGENT_STATES.INITIAL;
+  delete session.context.receiptTransactionId;
+  
+  return {
+    text: t(session.locale, 'delivery.kept'),
+    actions: [
+      button(session.locale, 'my_orders'),
+      button(session.locale, 'contact_support')
+    ]
+  };
+}
+
+/**
+ * Handle open dispute intent
+ * @param {Object} session - User session
+ * @param {Object} entities - Extracted entities
+ * @returns {Promise<Object>} Response object
+ */
+async function handleOpenDisputeIntent(session, entities) {
+  try {
+    const response = await generateResponse('dispute_open', {
+      buyerPhone: session.userId,
+      transactionId: entities.transactionId || session.context.transactionId,
+      reason: session.lastMessage,
+      locale: session.locale
+    });
+    
+    // Collect evidence for the dispute from the buyer's next messages
+    if (response.disputeId) {
+      session.state = AGENT_STATES.DISPUTE;
+      session.context.disputeId = response.disputeId;
+      delete response.disputeId;
+    }
+    
+    return response;
+  } catch (error) {
+    console.error('Error handling open dispute intent:', error);
+    return {
+      text: t(session.locale, 'dispute.open_error'),
+      actions: [
+        button(session.locale, 'contact_support'),
+        button(session.locale, 'help')
+      ]
+    };
+  }
+}
+
+/**
+ * Handle dispute evidence (a text message or a photo)
+ * @param {Object} session - User session
+ * @param {string} text - The message text or photo caption
+ * @param {Object} media - Attached photo, if any
+ * @returns {Promise<Object>} Response object
+ */
+async function handleDisputeEvidenceIntent(session, text, media) {
+  try {
+    return await generateResponse('dispute_evidence', {
+      disputeId: session.context.disputeId,
+      buyerPhone: session.userId,
+      text: text || null,
+      media,
+      locale: session.locale
+    });
+  } catch (error) {
+    console.error('Error handling dispute evidence intent:', error);
+    return {
+      text: t(session.locale, 'dispute.evidence_error'),
       actions: [
-        { type: 'button', text: '🔄 Try Again' },
-        { type: 'button', text: '👨‍💼 Contact Support' }
+        button(session.locale, 'done')
       ]
     };
   }
 }
 
+/**
+ * Handle dispute submission intent
+ * @param {Object} session - User session
+ * @returns {Promise<Object>} Response object
+ */
+async function handleDisputeSubmitIntent(session) {
+  try {
+    return await generateResponse('dispute_submit', {
+      disputeId: session.context.disputeId,
+      locale: session.locale
+    });
+  } catch (error) {
+    console.error('Error handling dispute submit intent:', error);
+    return {
+      text: t(session.locale, 'dispute.submit_error'),
+      actions: [
+        button(session.locale, 'done')
+      ]
+    };
+  }
+}
+
+/**
+ * Move a buyer into the rating state for a completed transaction
+ * @param {string} userId - The buyer's WhatsApp ID
+ * @param {Object} transaction - The released escrow transaction
+ * @returns {Promise<void>}
+ */
+async function startRating(userId, transaction) {
+  if (!userId || !transaction) return;
+  
+  await userSessions.withLock(userId, async () => {
+    const session = await getUserSession(userId);
+    enterRatingState(session, transaction);
+    await saveUserSession(session);
+  });
+}
+
+/**
+ * Put a session in the rating state for a completed transaction
+ * @param {Object} session - The buyer's session
+ * @param {Object} transaction - The released escrow transaction
+ */
+function enterRatingState(session, transaction) {
+  session.state = AGENT_STATES.RATING;
+  session.context.ratingTransactionId = transaction.id;
+  session.context.currentProductId = transaction.listing_id;
+  delete session.context.transactionId;
+}
+
 /**
  * Handle rating submission intent
  * @param {Object} session - User session
@@ -472,16 +1292,138 @@ async function handleRatingSubmissionIntent(session, rating) {
   try {
     // Generate rating submission response using the response generator
     return await generateResponse('rating_submission', {
-      productId: session.context.currentProductId,
-      rating
+      transactionId: session.context.ratingTransactionId,
+      buyerPhone: session.userId,
+      rating,
+      locale: session.locale
     });
   } catch (error) {
     console.error('Error handling rating submission intent:', error);
     return {
-      text: "I'm having trouble submitting your rating. Please try again later.",
+      text: t(session.locale, 'rating.error'),
+      actions: [
+        button(session.locale, 'try_again'),
+        button(session.locale, 'help')
+      ]
+    };
+  }
+}
+
+/**
+ * Handle a message while waiting for the buyer's star rating
+ * @param {Object} session - User session (in the RATING state)
+ * @param {number} rating - The rating given, or null if the message wasn't a rating
+ * @returns {Promise<Object>} Response object
+ */
+async function handleRatingStep(session, rating) {
+  if (session.state !== AGENT_STATES.RATING || !session.context.ratingTransactionId) {
+    return {
+      text: t(session.locale, 'rating.nothing_to_rate'),
+      actions: [
+        button(session.locale, 'my_orders'),
+        button(session.locale, 'help')
+      ]
+    };
+  }
+  
+  if (!rating) {
+    return {
+      text: t(session.locale, 'rating.ask'),
+      actions: RATING_ACTIONS
+    };
+  }
+  
+  const response = await handleRatingSubmissionIntent(session, rating);
+  if (response.ratingId) {
+    // Offer to collect a written comment with the rating
+    delete session.context.ratingTransactionId;
+    session.state = AGENT_STATES.RATING_COMMENT;
+    session.context.ratingId = response.ratingId;
+    delete response.ratingId;
+  } else if (response.ratingClosed) {
+    delete session.context.ratingTransactionId;
+    session.state = AGENT_STATES.INITIAL;
+    delete response.ratingClosed;
+  }
+  // Otherwise the rating couldn't be saved; the buyer stays in the rating step to try again
+  
+  return response;
+}
+
+/**
+ * Handle create search alert intent
+ * @param {Object} session - User session
+ * @param {Object} entities - Extracted entities
+ * @returns {Promise<Object>} Response object
+ */
+async function handleCreateAlertIntent(session, entities) {
+  try {
+    return await generateResponse('search_alert_create', {
+      phoneNumber: session.userId,
+      message: session.lastMessage,
+      entities,
+      locale: session.locale
+    });
+  } catch (error) {
+    console.error('Error handling create alert intent:', error);
+    return {
+      text: t(session.locale, 'alerts.save_error'),
+      actions: [
+        button(session.locale, 'search_products'),
+        button(session.locale, 'help')
+      ]
+    };
+  }
+}
+
+/**
+ * Handle listing or stopping search alerts
+ * @param {Object} session - User session
+ * @returns {Promise<Object>} Response object
+ */
+async function handleManageAlertsIntent(session) {
+  try {
+    const message = session.lastMessage;
+    const number = message.match(/\b(\d+)\b/);
+    
+    return await generateResponse('search_alerts_manage', {
+      phoneNumber: session.userId,
+      stop: /\b(?:stop|cancel|delete|remove|unsubscribe|turn off|disable)\b/i.test(message),
+      which: /\ball\b/i.test(message) ? 'all' : number?.[1],
+      locale: session.locale
+    });
+  } catch (error) {
+    console.error('Error handling manage alerts intent:', error);
+    return {
+      text: t(session.locale, 'alerts.error'),
+      actions: [
+        button(session.locale, 'search_products'),
+        button(session.locale, 'help')
+      ]
+    };
+  }
+}
+
+/**
+ * Handle the optional comment left after a rating
+ * @param {Object} session - User session
+ * @param {string} comment - The comment, or null if the buyer skipped it
+ * @returns {Promise<Object>} Response object
+ */
+async function handleRatingCommentIntent(session, comment) {
+  try {
+    return await generateResponse('rating_comment', {
+      ratingId: session.context.ratingId,
+      comment,
+      locale: session.locale
+    });
+  } catch (error) {
+    console.error('Error handling rating comment intent:', error);
+    return {
+      text: t(session.locale, 'rating.comment_error'),
       actions: [
-        { type: 'button', text: '🔄 Try Again' },
-        { type: 'button', text: '❓ Help' }
+        button(session.locale, 'shop_more'),
+        button(session.locale, 'help')
       ]
     };
   }
@@ -490,5 +1432,7 @@ async function handleRatingSubmissionIntent(session, rating) {
 module.exports = {
   processMessage,
   getUserSession,
+  getUserLocale,
+  startRating,
   AGENT_STATES
 };
@@ -0,0 +1,42 @@
+/**
+ * Button Payloads
+ *
+ * Actions can carry a payload naming exactly what a tap should do, such as
+ * `view_listing:<uuid>` or `boost:<listingId>:<package>`. The search bot sends
+ * it as the button (or list row) ID and WhatsApp hands it back with the
+ * reply, so taps are routed by the payload rather than by re-reading the
+ * (possibly truncated) label.
+ */
+
+const PAYLOAD_SEPARATOR = ':';
+
+// Longest ID WhatsApp accepts for a list row (reply buttons allow 256)
+const MAX_PAYLOAD_LENGTH = 200;
+
+/**
+ * Build a payload from an action name and its arguments
+ * @param {string} action - What the tap should do, e.g. "view_listing"
+ * @param {...(string|number)} args - Arguments for the action, e.g. a listing ID
+ * @returns {string} The payload, e.g. "view_listing:0b7c…"
+ */
+function encodePayload(action, ...args) {
+  return [action, ...args.map(arg => String(arg).split(PAYLOAD_SEPARATOR).join(''))].join(PAYLOAD_SEPARATOR);
+}
+
+/**
+ * Split a button or list reply ID back into its action and arguments
+ * @param {string} id - The reply ID
+ * @returns {Object|null} { action, args }, or null if there's no ID
+ */
+function decodePayload(id) {
+  if (!id) return null;
+
+  const [action, ...args] = String(id).split(PAYLOAD_SEPARATOR);
+  return { action, args };
+}
+
+module.exports = {
+  MAX_PAYLOAD_LENGTH,
+  encodePayload,
+  decodePayload
+};
@@ -6,12 +6,84 @@
  */
 
 const supabase = require('../../database/supabase');
-const { listings } = require('../../database/schema');
+const { users, listings, transactions } = require('../../database/schema');
+const { ESCROW_STATES, getEscrowTransaction } = require('../../payment/escrow');
+const { createEscrowPayment, syncEscrowPayment, cancelEscrowPayment } = require('../../payment/fapshi');
+const { AWAITING_DELIVERY_STATES, RATING_ACTIONS, confirmDelivery } = require('../../payment/escrow-release');
+const { DISPUTABLE_STATES, openDispute, addDisputeEvidence, submitDispute } = require('../../payment/disputes');
+const { storeWhatsAppMedia } = require('../../search-bot/media');
+const { submitRating, addRatingComment, formatReputation } = require('../ratings');
+const { extractAlertQuery, createSearchAlert, listSearchAlerts, stopSearchAlerts, describeAlert } = require('../search-alerts');
+const { LISTING_CATEGORIES, translateCategory, getCategoryActions } = require('./categories');
+const { encodePayload } = require('./payloads');
+const { getListingMedia } = require('../media-storage');
+const { DEFAULT_RADIUS_KM, geocodeLocation } = require('../gazetteer');
+const { t, formatNumber, formatPrice, formatDate } = require('../i18n');
+
+// Payloads of buttons that always do the same thing, wherever they're offered
+const BUTTON_PAYLOADS = {
+  track_order: encodePayload('my_orders'),
+  my_orders: encodePayload('my_orders')
+};
+
+// Orders a buyer is still waiting on, shown by "My Orders"
+const OPEN_ORDER_STATES = [
+  ESCROW_STATES.PENDING,
+  ESCROW_STATES.FUNDED,
+  ESCROW_STATES.SHIPPED,
+  ESCROW_STATES.DELIVERED,
+  ESCROW_STATES.DISPUTED
+];
+
+/**
+ * Build a reply button labelled from the message catalogue
+ * @param {string} locale - Locale code
+ * @param {string} key - Key under `buttons`, e.g. "search_products"
+ * @param {Object} extra - Other action fields (payload, section)
+ * @returns {Object} The action
+ */
+function button(locale, key, extra = {}) {
+  const payload = BUTTON_PAYLOADS[key];
+  return { type: 'button', text: t(locale, `buttons.${key}`), ...(payload && { payload }), ...extra };
+}
+
+/**
+ * Actions offered while a checkout payment is pending
+ * @param {string} locale - Locale code
+ * @returns {Array<Object>} The actions
+ */
+function checkoutActions(locale) {
+  return [
+    button(locale, 'payment_sent'),
+    button(locale, 'retry_payment'),
+    button(locale, 'cancel')
+  ];
+}
+
+// Search results shown per page
+const SEARCH_PAGE_SIZE = 5;
+
+// Photos/videos sent with a product view, and results highlighted with their first photo on a search page
+const PRODUCT_MEDIA_LIMIT = 3;
+const SEARCH_HIGHLIGHT_LIMIT = 3;
+
+// Explicit sort orders that are described to the user (see search.sort_labels in the catalogues)
+const SORT_LABELS = ['price_asc', 'price_desc', 'newest', 'distance'];
+
+/**
+ * Actions offered while a buyer is adding evidence to a dispute
+ * @param {string} locale - Locale code
+ * @returns {Array<Object>} The actions
+ */
+function disputeActions(locale) {
+  return [button(locale, 'done')];
+}
 
 /**
  * Generate a response based on the response type and context
  * @param {string} responseType - The type of response to generate
  * @param {Object} context - The context for the response
+ * @param {string} context.locale - Language to respond in (default: English)
  * @returns {Promise<Object>} Response object with text and actions
  */
 async function generateResponse(responseType, context) {
@@ -22,32 +94,77 @@ async function generateResponse(responseType, context) {
       return await generateProductViewResponse(context);
     case 'checkout':
       return await generateCheckoutResponse(context);
+    case 'checkout_cancel':
+      return await generateCheckoutCancelResponse(context);
     case 'contact_seller':
       return await generateContactSellerResponse(context);
     case 'payment_confirmation':
       return await generatePaymentConfirmationResponse(context);
+    case 'order_status':
+      return await generateOrderStatusResponse(context);
+    case 'delivery_confirmation':
+      return await generateDeliveryConfirmationResponse(context);
+    case 'delivery_release':
+      return await generateDeliveryReleaseResponse(context);
+    case 'dispute_open':
+      return await generateDisputeOpenResponse(context);
+    case 'dispute_evidence':
+      return await generateDisputeEvidenceResponse(context);
+    case 'dispute_submit':
+      return await generateDisputeSubmitResponse(context);
     case 'rating_submission':
       return await generateRatingSubmissionResponse(context);
+    case 'rating_comment':
+      return await generateRatingCommentResponse(context);
+    case 'search_alert_create':
+      return await generateSearchAlertCreateResponse(context);
+    case 'search_alerts_manage':
+      return await generateSearchAlertsManageResponse(context);
+    case 'category_picker':
+      return await generateCategoryPickerResponse(context);
     default:
       return {
-        text: "I'm not sure how to respond to that. How can I help you today?",
+        text: t(context.locale, 'general.unknown_response'),
         actions: [
-          { type: 'button', text: '🔍 Search Products' },
-          { type: 'button', text: '❓ Help' }
+          button(context.locale, 'search_products'),
+          button(context.locale, 'help')
         ]
       };
   }
 }
 
+/**
+ * Describe how far a search result is from where the buyer is looking
+ * @param {Object} result - Search result with `distance_km`
+ * @param {string} locale - Locale code
+ * @returns {string|null} e.g. "2.3 km away", or null if the distance isn't known
+ */
+function formatDistance(result, locale) {
+  if (result.distance_km === null || result.distance_km === undefined) return null;
+  if (result.distance_km < 1) return t(locale, 'search.distance_close');
+  
+  const distance = formatNumber(result.distance_km, locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  return t(locale, 'search.distance_away', { distance });
+}
+
 /**
  * Generate a search results response
  * @param {Object} context - The search context
- * @returns {Promise<Object>} Response object
+ * @param {number} context.offset - Number of results already shown (default 0)
+ * @param {string} context.sortBy - Explicit sort: price_asc, price_desc, newest, distance or relevance
+ * @param {Object} context.origin - Location the buyer shared ({ latitude, longitude, label }), used when no place is named
+ * @param {number} context.radiusKm - How far from the place or shared location to look
+ * @param {string} context.locale - Language to respond in
+ * @returns {Promise<Object>} Response object, with the IDs of the listings shown and whether there are more
  */
 async function generateSearchResultsResponse(context) {
   try {
     // Extract search parameters
-    const { query, category, location, minPrice, maxPrice, currency = 'FCFA' } = context;
+    const { query, category, location, minPrice, maxPrice, currency = 'FCFA', offset = 0, sortBy = null, origin = null, radiusKm = null, locale } = context;
+    
+    // Search around a named place if we know where it is, otherwise around the location the buyer shared
+    const place = location ? geocodeLocation(location) : null;
+    const center = place || (!location ? origin : null);
     
     // Build search filters
     const filters = {};
@@ -55,53 +172,126 @@ async function generateSearchResultsResponse(context) {
     if (location) filters.location = location;
     if (minPrice) filters.minPrice = minPrice;
     if (maxPrice) filters.maxPrice = maxPrice;
+    if (center) {
+      filters.near = {
+        latitude: center.latitude,
+        longitude: center.longitude,
+        radiusKm: radiusKm || (place ? place.radiusKm : DEFAULT_RADIUS_KM.pin)
+      };
+    }
     
-    // Search for listings
-    const searchResults = await listings.search(supabase, query, filters, 5);
+    // Fetch one extra result to know whether there's another page
+    const searchResults = await listings.search(supabase, query, filters, SEARCH_PAGE_SIZE + 1, {
+      offset,
+      sortBy: sortBy === 'relevance' ? null : sortBy
+    });
+    const hasMore = searchResults.length > SEARCH_PAGE_SIZE;
+    const page = searchResults.slice(0, SEARCH_PAGE_SIZE);
+    const describe = queryKey => [
+      query ? t(locale, queryKey, { query }) : '',
+      category ? t(locale, 'search.in_category', { category }) : '',
+      center ? t(locale, 'search.within', { radius: filters.near.radiusKm, place: center.label || t(locale, 'search.your_location') })
+        : location ? t(locale, 'search.in_location', { location }) : '',
+      minPrice ? t(locale, 'search.above', { price: formatPrice(minPrice, currency, locale) }) : '',
+      maxPrice ? t(locale, 'search.below', { price: formatPrice(maxPrice, currency, locale) }) : ''
+    ].join('');
+    const description = describe('search.matching');
+    
+    if (page.length === 0 && offset > 0) {
+      return {
+        text: t(locale, 'search.no_more', { description }),
+        actions: [
+          button(locale, 'new_search'),
+          button(locale, 'help')
+        ],
+        resultIds: [],
+        hasMore: false
+      };
+    }
     
-    if (!searchResults || searchResults.length === 0) {
+    if (page.length === 0) {
       // No results found
       return {
-        text: `Sorry, I couldn't find any products matching your search${query ? ` for "${query}"` : ''}${category ? ` in category "${category}"` : ''}${location ? ` in ${location}` : ''}${minPrice ? ` above ${minPrice} ${currency}` : ''}${maxPrice ? ` below ${maxPrice} ${currency}` : ''}.\n\nTry a different search or browse our categories.`,
+        text: t(locale, 'search.no_results', { description: describe('search.for') }),
         actions: [
-          { type: 'button', text: '🔍 New Search' },
-          { type: 'button', text: '📂 Browse Categories' }
-        ]
+          button(locale, 'new_search'),
+          button(locale, 'browse_categories')
+        ],
+        resultIds: [],
+        hasMore: false
       };
     }
     
-    // Format search results
-    let responseText = `Here are the products${query ? ` matching "${query}"` : ''}${category ? ` in category "${category}"` : ''}${location ? ` in ${location}` : ''}${minPrice ? ` above ${minPrice} ${currency}` : ''}${maxPrice ? ` below ${maxPrice} ${currency}` : ''}:\n\n`;
+    // Format search results, numbered across pages
+    let responseText = offset > 0
+      ? `${t(locale, 'search.more_header', { description, from: offset + 1, to: offset + page.length })}\n\n`
+      : SORT_LABELS.includes(sortBy)
+        ? `${t(locale, 'search.header_sorted', { description, sort: t(locale, `search.sort_labels.${sortBy}`) })}\n\n`
+        : `${t(locale, 'search.header', { description })}\n\n`;
     
-    searchResults.forEach((result, index) => {
-      responseText += `*${index + 1}. ${result.title}*\n`;
-      responseText += `💰 ${result.price} ${result.currency}\n`;
-      if (result.location) responseText += `📍 ${result.location}\n`;
-      responseText += `Reply with "${index + 1}" or "Product #${index + 1}" to view details.\n\n`;
+    page.forEach((result, index) => {
+      const number = offset + index + 1;
+      const distance = formatDistance(result, locale);
+      responseText += `*${number}. ${result.title}*\n`;
+      responseText += `💰 ${formatPrice(result.price, result.currency, locale)}\n`;
+      if (result.location) responseText += `📍 ${result.location}${distance ? ` (${distance})` : ''}\n`;
+      else if (distance) responseText += `📍 ${distance}\n`;
+      responseText += `⭐ ${formatReputation(result.seller, locale)}\n`;
+      responseText += `${t(locale, 'search.reply_to_view', { number })}\n\n`;
     });
     
-    responseText += `To refine your search, you can specify:\n• Location (e.g., "in Douala")\n• Price range (e.g., "under 50,000 FCFA")\n• Category (e.g., "electronics")`;
+    if (hasMore) {
+      responseText += `${t(locale, 'search.reply_more')}\n`;
+    }
+    responseText += `${t(locale, center ? 'search.sort_hint_nearby' : 'search.sort_hint')}\n\n`;
+    responseText += t(locale, 'search.refine_hint');
     
-    // Create actions for the first 3 products
-    const actions = searchResults.slice(0, 3).map((result, index) => ({
-      type: 'button',
-      text: `${index + 1}. ${result.title.substring(0, 15)}${result.title.length > 15 ? '...' : ''}`
-    }));
+    // More results first, then the products on this page (list rows show price and location)
+    const actions = [];
+    const resultsSection = t(locale, 'lists.results');
+    const optionsSection = t(locale, 'lists.options');
+    if (hasMore) actions.push(button(locale, 'more_results', { payload: 'more_results', section: resultsSection }));
+    page.forEach((result, index) => {
+      const distance = formatDistance(result, locale);
+      actions.push({
+        type: 'button',
+        text: `${offset + index + 1}. ${result.title}`,
+        description: `💰 ${formatPrice(result.price, result.currency, locale)}${distance ? ` · 📍 ${distance}` : result.location ? ` · 📍 ${result.location}` : ''}`,
+        payload: encodePayload('view_listing', result.id),
+        section: resultsSection
+      });
+    });
+    actions.push(button(locale, 'cheapest_first', { payload: encodePayload('sort', 'price_asc'), section: optionsSection }));
+    actions.push(button(locale, 'newest_first', { payload: encodePayload('sort', 'newest'), section: optionsSection }));
+    if (center) actions.push(button(locale, 'nearest_first', { payload: encodePayload('sort', 'distance'), section: optionsSection }));
+    actions.push(button(locale, 'refine_search', { section: optionsSection }));
     
-    // Add refine search action
-    actions.push({ type: 'button', text: '🔍 Refine Search' });
+    // Highlight the first few results that have a photo or video
+    const media = page
+      .map((result, index) => ({ result, number: offset + index + 1, item: getListingMedia(result)[0] }))
+      .filter(highlight => highlight.item)
+      .slice(0, SEARCH_HIGHLIGHT_LIMIT)
+      .map(({ result, number, item }) => ({
+        type: item.media_type,
+        url: item.media_url,
+        caption: formatMediaCaption(result, locale, number)
+      }));
     
     return {
       text: responseText,
-      actions
+      media,
+      listButton: t(locale, 'lists.view_results'),
+      actions,
+      resultIds: page.map(result => result.id),
+      hasMore
     };
   } catch (error) {
     console.error('Error generating search results response:', error);
     return {
-      text: "I'm having trouble searching for products right now. Please try again later.",
+      text: t(context.locale, 'search.error'),
       actions: [
-        { type: 'button', text: '🔍 Try Again' },
-        { type: 'button', text: '❓ Help' }
+        button(context.locale, 'try_again'),
+        button(context.locale, 'help')
       ]
     };
   }
@@ -113,17 +303,18 @@ async function generateSearchResultsResponse(context) {
  * @returns {Promise<Object>} Response object
  */
 async function generateProductViewResponse(context) {
+  const { productId, locale } = context;
+  
   try {
     // Get product details
-    const { productId } = context;
     const product = await listings.findById(supabase, productId);
     
     if (!product) {
       return {
-        text: "Sorry, I couldn't find that product. It may have been sold or removed.",
+        text: t(locale, 'product.not_found'),
         actions: [
-          { type: 'button', text: '🔍 Back to Search' },
-          { type: 'button', text: '❓ Help' }
+          button(locale, 'back_to_search'),
+          button(locale, 'help')
         ]
       };
     }
@@ -133,238 +324,916 @@ async function generateProductViewResponse(context) {
     
     // Format product details
     let responseText = `*${product.title}*\n\n`;
-    responseText += `💰 *Price:* ${product.price} ${product.currency}\n`;
-    if (product.location) responseText += `📍 *Location:* ${product.location}\n`;
-    if (product.category) responseText += `📂 *Category:* ${product.category}\n`;
-    responseText += `👤 *Seller:* ${product.seller.name}\n`;
-    if (product.seller.rating) responseText += `⭐ *Rating:* ${product.seller.rating}/5\n`;
+    responseText += `${t(locale, 'product.price', { price: formatPrice(product.price, product.currency, locale) })}\n`;
+    if (product.location) responseText += `${t(locale, 'product.location', { location: product.location })}\n`;
+    if (product.category) responseText += `${t(locale, 'product.category', { category: product.category })}\n`;
+    responseText += `${t(locale, 'product.seller', { name: product.seller.name })}\n`;
+    responseText += `${t(locale, 'product.seller_rating', { rating: formatReputation(product.seller, locale) })}\n`;
     responseText += `\n${product.description}\n\n`;
     
     // Add call-to-action
-    responseText += `What would you like to do with this product?`;
+    responseText += t(locale, 'product.what_next');
+    
+    // Photos and videos go out before the details; the first one carries the price and seller
+    const media = getListingMedia(product).slice(0, PRODUCT_MEDIA_LIMIT).map((item, index) => ({
+      type: item.media_type,
+      url: item.media_url,
+      caption: index === 0 ? formatMediaCaption(product, locale) : undefined
+    }));
     
     return {
       text: responseText,
+      media,
       actions: [
-        { type: 'button', text: '💳 Buy Now' },
-        { type: 'button', text: '💬 Contact Seller' },
-        { type: 'button', text: '🔙 Back to Search' }
+        button(locale, 'buy_now', { payload: encodePayload('buy', product.id) }),
+        button(locale, 'contact_seller', { payload: encodePayload('contact_seller', product.id) }),
+        button(locale, 'back_to_search', { payload: 'back_to_search' })
       ]
     };
   } catch (error) {
     console.error('Error generating product view response:', error);
     return {
-      text: "I'm having trouble retrieving product details right now. Please try again later.",
+      text: t(locale, 'product.error'),
       actions: [
-        { type: 'button', text: '🔍 Back to Search' },
-        { type: 'button', text: '❓ Help' }
+        button(locale, 'back_to_search'),
+        button(locale, 'help')
       ]
     };
   }
 }
 
 /**
- * Generate a checkout response
+ * Format the caption sent with a listing's photo or video
+ * @param {Object} product - The listing, with its seller
+ * @param {string} locale - Locale code
+ * @param {number} number - Result number, when the media highlights a search result
+ * @returns {string} Caption with the title, price and seller
+ */
+function formatMediaCaption(product, locale, number = null) {
+  let caption = `*${number ? `${number}. ` : ''}${product.title}*\n`;
+  caption += `💰 ${formatPrice(product.price, product.currency, locale)}\n`;
+  caption += `👤 ${product.seller?.name || t(locale, 'product.seller_fallback')} · ⭐ ${formatReputation(product.seller, locale)}`;
+  return caption;
+}
+
+/**
+ * Get the buyer's user record, creating it on their first purchase
+ * @param {string} phoneNumber - The buyer's WhatsApp number
+ * @returns {Promise<Object>} The buyer's user record
+ */
+async function getOrCreateBuyer(phoneNumber) {
+  const buyer = await users.findByPhone(supabase, phoneNumber);
+  if (buyer) return buyer;
+  
+  return users.create(supabase, { phone_number: phoneNumber });
+}
+
+/**
+ * Format the payment instructions for a pending escrow payment
+ * @param {Object} product - The listing being purchased
+ * @param {Object} payment - Payment details (escrowFee, amount, paymentLink)
+ * @param {string} transactionId - ID of the escrow transaction
+ * @param {string} locale - Locale code
+ * @returns {string} Instructions text
+ */
+function formatPaymentInstructions(product, payment, transactionId, locale) {
+  const total = formatPrice(payment.amount, product.currency, locale);
+  let responseText = `${t(locale, 'checkout.summary')}\n\n`;
+  responseText += `*${product.title}*\n`;
+  responseText += `${t(locale, 'checkout.price', { price: formatPrice(product.price, product.currency, locale) })}\n`;
+  responseText += `${t(locale, 'checkout.escrow_fee', { fee: formatPrice(payment.escrowFee, product.currency, locale) })}\n`;
+  responseText += `${t(locale, 'checkout.total', { total })}\n\n`;
+  
+  if (payment.paymentLink) {
+    responseText += `${t(locale, 'checkout.pay_link', { link: payment.paymentLink })}\n\n`;
+  } else {
+    responseText += `${t(locale, 'checkout.pay_prompt', { total })}\n\n`;
+  }
+  
+  responseText += `${t(locale, 'checkout.after_paying')}\n\n`;
+  responseText += `${t(locale, 'checkout.reference', { reference: transactionId })}\n`;
+  responseText += t(locale, 'checkout.escrow_note');
+  
+  return responseText;
+}
+
+/**
+ * Generate a checkout response.
+ * Opens an escrow transaction for the listing and asks Fapshi to collect the
+ * payment, either as a push prompt on the buyer's phone or as a payment link.
  * @param {Object} context - The checkout context
+ * @param {string} context.productId - ID of the listing being purchased
+ * @param {string} context.buyerPhone - The buyer's WhatsApp number
+ * @param {string} context.transactionId - Pending transaction from an earlier attempt, if any
+ * @param {boolean} context.retry - Cancel the pending attempt and start a new one
+ * @param {string} context.locale - Language to respond in
  * @returns {Promise<Object>} Response object
  */
 async function generateCheckoutResponse(context) {
+  const { productId, buyerPhone, transactionId, retry, locale } = context;
+  
   try {
     // Get product details
-    const { productId } = context;
     const product = await listings.findById(supabase, productId);
     
-    if (!product) {
+    if (!product || product.status !== 'active') {
+      return {
+        text: t(locale, 'product.not_found'),
+        actions: [
+          button(locale, 'back_to_search'),
+          button(locale, 'help')
+        ]
+      };
+    }
+    
+    // Reuse or replace a payment that is still waiting for the buyer
+    if (transactionId) {
+      const existing = await getEscrowTransaction(transactionId);
+      
+      if (existing && existing.status === ESCROW_STATES.PENDING && !existing.payment_flag && existing.listing_id === product.id) {
+        if (!retry) {
+          return {
+            text: formatPaymentInstructions(product, {
+              escrowFee: Number(existing.escrow_fee),
+              amount: Number(existing.amount) + Number(existing.escrow_fee)
+            }, existing.id, locale),
+            actions: checkoutActions(locale),
+            transactionId: existing.id
+          };
+        }
+        
+        await cancelEscrowPayment(existing.id, { actor: existing.buyer_id, note: 'Buyer retried payment' });
+      }
+    }
+    
+    const buyer = await getOrCreateBuyer(buyerPhone);
+    
+    if (buyer.id === product.seller_id) {
       return {
-        text: "Sorry, I couldn't find that product. It may have been sold or removed.",
+        text: t(locale, 'checkout.own_listing'),
         actions: [
-          { type: 'button', text: '🔍 Back to Search' },
-          { type: 'button', text: '❓ Help' }
+          button(locale, 'back_to_product', { payload: encodePayload('view_listing', product.id) }),
+          button(locale, 'search_products')
         ]
       };
     }
     
-    // Calculate fees
-    const escrowFee = Math.round(product.price * 0.05); // 5% escrow fee
-    const total = product.price + escrowFee;
-    
-    // Format checkout details
-    let responseText = `*Checkout Summary*\n\n`;
-    responseText += `*${product.title}*\n`;
-    responseText += `💰 *Price:* ${product.price} ${product.currency}\n`;
-    responseText += `🔒 *Escrow Fee:* ${escrowFee} ${product.currency}\n`;
-    responseText += `💵 *Total:* ${total} ${product.currency}\n\n`;
-    responseText += `To complete your purchase, please send ${total} ${product.currency} to our payment number using Fapshi.\n\n`;
-    responseText += `*Payment Instructions:*\n`;
-    responseText += `1. Open your Fapshi app\n`;
-    responseText += `2. Send payment to: +237XXXXXXXX\n`;
-    responseText += `3. Use reference: MP-${productId}\n`;
-    responseText += `4. Reply with "Payment sent" when complete\n\n`;
-    responseText += `Your payment will be held in escrow until you confirm receipt of the product.`;
+    const escrowData = {
+      listingId: product.id,
+      buyerId: buyer.id,
+      sellerId: product.seller_id,
+      amount: Number(product.price)
+    };
+    
+    // Push a payment prompt to the buyer's phone; fall back to a payment link
+    // (e.g. when the number isn't registered for mobile money)
+    let payment;
+    try {
+      payment = await createEscrowPayment({ ...escrowData, buyerPhone });
+    } catch (directPayError) {
+      console.error('Direct payment failed, falling back to payment link:', directPayError.message);
+      payment = await createEscrowPayment(escrowData);
+    }
     
     return {
-      text: responseText,
-      actions: [
-        { type: 'button', text: '✅ Payment Sent' },
-        { type: 'button', text: '❌ Cancel' }
-      ]
+      text: formatPaymentInstructions(product, payment, payment.transactionId, locale),
+      actions: checkoutActions(locale),
+      transactionId: payment.transactionId
     };
   } catch (error) {
     console.error('Error generating checkout response:', error);
     return {
-      text: "I'm having trouble processing your checkout right now. Please try again later.",
+      text: t(locale, 'checkout.error'),
       actions: [
-        { type: 'button', text: '🔙 Back to Product' },
-        { type: 'button', text: '❓ Help' }
+        button(locale, 'back_to_product'),
+        button(locale, 'help')
       ]
     };
   }
 }
 
+/**
+ * Generate a checkout cancellation response
+ * @param {Object} context - The checkout context
+ * @param {string} context.transactionId - ID of the escrow transaction to cancel
+ * @param {string} context.locale - Language to respond in
+ * @returns {Promise<Object>} Response object
+ */
+async function generateCheckoutCancelResponse(context) {
+  const { transactionId, locale } = context;
+  
+  try {
+    if (transactionId) {
+      const transaction = await getEscrowTransaction(transactionId);
+      
+      // Money already in escrow (or held after an underpayment) can't be cancelled from checkout
+      const paid = transaction && (transaction.payment_flag ||
+        (transaction.status !== ESCROW_STATES.PENDING && transaction.status !== ESCROW_STATES.CANCELLED));
+      if (paid) {
+        return {
+          text: t(locale, 'checkout.already_paid', { reference: transactionId }),
+          actions: [
+            button(locale, 'track_order'),
+            button(locale, 'contact_support')
+          ],
+          cancelled: false
+        };
+      }
+      
+      if (transaction && transaction.status === ESCROW_STATES.PENDING) {
+        await cancelEscrowPayment(transactionId, { actor: transaction.buyer_id, note: 'Cancelled by buyer' });
+      }
+    }
+    
+    return {
+      text: t(locale, 'checkout.cancelled'),
+      actions: [
+        button(locale, 'buy_now'),
+        button(locale, 'back_to_search')
+      ],
+      cancelled: true
+    };
+  } catch (error) {
+    console.error('Error generating checkout cancel response:', error);
+    return {
+      text: t(locale, 'checkout.cancel_error'),
+      actions: [
+        button(locale, 'cancel'),
+        button(locale, 'contact_support')
+      ],
+      cancelled: false
+    };
+  }
+}
+
 /**
  * Generate a contact seller response
  * @param {Object} context - The contact context
  * @returns {Promise<Object>} Response object
  */
 async function generateContactSellerResponse(context) {
+  const { productId, locale } = context;
+  
   try {
     // Get product details
-    const { productId } = context;
     const product = await listings.findById(supabase, productId);
     
     if (!product) {
       return {
-        text: "Sorry, I couldn't find that product. It may have been sold or removed.",
+        text: t(locale, 'product.not_found'),
         actions: [
-          { type: 'button', text: '🔍 Back to Search' },
-          { type: 'button', text: '❓ Help' }
+          button(locale, 'back_to_search'),
+          button(locale, 'help')
         ]
       };
     }
     
     // Format contact details
-    let responseText = `*Contact Seller*\n\n`;
-    responseText += `You can contact the seller of *${product.title}* directly:\n\n`;
-    responseText += `👤 *Name:* ${product.seller.name}\n`;
-    responseText += `📱 *WhatsApp:* ${product.seller.phone_number}\n\n`;
-    responseText += `Simply click the button below to start a chat with the seller. Remember to mention the product you're interested in!`;
+    let responseText = `${t(locale, 'contact.title')}\n\n`;
+    responseText += `${t(locale, 'contact.intro', { title: product.title })}\n\n`;
+    responseText += `${t(locale, 'contact.name', { name: product.seller.name })}\n`;
+    responseText += `${t(locale, 'contact.whatsapp', { phone: product.seller.phone_number })}\n\n`;
+    responseText += t(locale, 'contact.outro');
     
     return {
       text: responseText,
       actions: [
-        { type: 'button', text: '💬 Chat with Seller' },
-        { type: 'button', text: '🔙 Back to Product' }
+        button(locale, 'chat_with_seller'),
+        button(locale, 'back_to_product', { payload: encodePayload('view_listing', product.id) })
       ]
     };
   } catch (error) {
     console.error('Error generating contact seller response:', error);
     return {
-      text: "I'm having trouble retrieving the seller's contact information right now. Please try again later.",
+      text: t(locale, 'contact.error'),
       actions: [
-        { type: 'button', text: '🔙 Back to Product' },
-        { type: 'button', text: '❓ Help' }
+        button(locale, 'back_to_product'),
+        button(locale, 'help')
       ]
     };
   }
 }
 
 /**
- * Generate a payment confirmation response
+ * Generate a payment confirmation response.
+ * The payment is checked with Fapshi; the buyer only gets a confirmation once
+ * the escrow transaction is actually funded.
  * @param {Object} context - The payment context
+ * @param {string} context.transactionId - ID of the escrow transaction
+ * @param {string} context.locale - Language to respond in
  * @returns {Promise<Object>} Response object
  */
 async function generatePaymentConfirmationResponse(context) {
+  const { transactionId, locale } = context;
+  
   try {
-    // Get product details
-    const { productId } = context;
-    const product = await listings.findById(supabase, productId);
-    
-    if (!product) {
+    if (!transactionId) {
       return {
-        text: "Sorry, I couldn't find that product. It may have been sold or removed.",
+        text: t(locale, 'payment.no_checkout'),
         actions: [
-          { type: 'button', text: '🔍 Back to Search' },
-          { type: 'button', text: '❓ Help' }
+          button(locale, 'search_products'),
+          button(locale, 'help')
         ]
       };
     }
     
+    const { transaction, paymentStatus } = await syncEscrowPayment(transactionId);
+    const total = formatPrice(Number(transaction.amount) + Number(transaction.escrow_fee || 0), transaction.currency, locale);
+    
+    if (transaction.status === ESCROW_STATES.PENDING) {
+      return {
+        text: t(locale, 'payment.pending', {
+          total,
+          status: paymentStatus ? t(locale, 'payment.pending_status', { status: paymentStatus.toLowerCase() }) : ''
+        }),
+        actions: checkoutActions(locale),
+        paid: false
+      };
+    }
+    
+    if (transaction.status === ESCROW_STATES.CANCELLED) {
+      return {
+        text: t(locale, 'payment.failed', { reference: transactionId }),
+        actions: [
+          button(locale, 'retry_payment'),
+          button(locale, 'cancel')
+        ],
+        paid: false
+      };
+    }
+    
     // Format confirmation details
-    let responseText = `*Payment Confirmation*\n\n`;
-    responseText += `Thank you for your payment for *${product.title}*!\n\n`;
-    responseText += `Your payment of ${product.price + Math.round(product.price * 0.05)} ${product.currency} is being processed and will be held in escrow.\n\n`;
-    responseText += `*Next Steps:*\n`;
-    responseText += `1. We've notified the seller about your purchase\n`;
-    responseText += `2. The seller will contact you to arrange delivery\n`;
-    responseText += `3. Once you receive the product, reply with "Received" to release payment\n\n`;
-    responseText += `Your order reference is: *MP-${productId}*\n`;
-    responseText += `Please keep this reference for tracking your order.`;
+    const title = transaction.listing?.title || t(locale, 'payment.your_order');
+    let responseText = `${t(locale, 'payment.confirmed_title')}\n\n`;
+    responseText += `${t(locale, 'payment.confirmed_thanks', { title })}\n\n`;
+    responseText += `${t(locale, 'payment.confirmed_held', { total })}\n\n`;
+    responseText += `${t(locale, 'payment.next_steps')}\n\n`;
+    responseText += t(locale, 'payment.reference', { reference: transactionId });
     
     return {
       text: responseText,
       actions: [
-        { type: 'button', text: '📦 Track Order' },
-        { type: 'button', text: '🔍 Shop More' }
-      ]
+        button(locale, 'track_order'),
+        button(locale, 'shop_more')
+      ],
+      paid: true
     };
   } catch (error) {
     console.error('Error generating payment confirmation response:', error);
     return {
-      text: "I'm having trouble confirming your payment right now. Please try again later or contact support.",
+      text: t(locale, 'payment.error'),
+      actions: [
+        button(locale, 'contact_support'),
+        button(locale, 'back_to_search')
+      ]
+    };
+  }
+}
+
+/**
+ * Generate the list of a buyer's open orders and where each one stands
+ * @param {Object} context - The order context
+ * @param {string} context.buyerPhone - The buyer's WhatsApp number
+ * @param {string} context.locale - Language to respond in
+ * @returns {Promise<Object>} Response object
+ */
+async function generateOrderStatusResponse(context) {
+  const { buyerPhone, locale } = context;
+  
+  try {
+    const buyer = await users.findByPhone(supabase, buyerPhone);
+    const orders = buyer ? await transactions.findByUser(supabase, buyer.id, 'buyer') : [];
+    const open = (orders || []).filter(order => OPEN_ORDER_STATES.includes(order.status));
+    
+    if (open.length === 0) {
+      return {
+        text: t(locale, 'orders.none'),
+        actions: [
+          button(locale, 'search_products'),
+          button(locale, 'help')
+        ]
+      };
+    }
+    
+    let responseText = `${t(locale, 'orders.title', { count: open.length })}\n\n`;
+    open.forEach((order, index) => {
+      // An underpaid order stays pending until an admin settles it
+      const state = order.payment_flag || order.status;
+      responseText += `*${index + 1}. ${order.listing?.title || t(locale, 'delivery.order')}* - ${formatPrice(order.amount, order.currency, locale)}\n`;
+      responseText += `${t(locale, `orders.states.${state}`)}\n`;
+      responseText += `${t(locale, 'orders.reference', { reference: order.id })}\n\n`;
+    });
+    
+    const actions = [];
+    if (open.some(order => AWAITING_DELIVERY_STATES.includes(order.status))) {
+      actions.push(button(locale, 'confirm_delivery', { payload: encodePayload('confirm_receipt') }));
+    }
+    actions.push(button(locale, 'contact_support'), button(locale, 'search_products'));
+    
+    return {
+      text: responseText.trim(),
+      actions
+    };
+  } catch (error) {
+    console.error('Error generating order status response:', error);
+    return {
+      text: t(locale, 'orders.error'),
+      actions: [
+        button(locale, 'contact_support'),
+        button(locale, 'back_to_search')
+      ]
+    };
+  }
+}
+
+/**
+ * Generate a delivery confirmation response.
+ * Nothing is released here: the buyer picks the order they received, then
+ * answers a yes/no prompt (see generateDeliveryReleaseResponse).
+ * @param {Object} context - The delivery context
+ * @param {string} context.buyerPhone - The buyer's WhatsApp number
+ * @param {string} context.transactionId - The order the buyer referred to or tapped, if any
+ * @param {string} context.locale - Language to respond in
+ * @returns {Promise<Object>} Response object (`awaitingReceipt` is the order the prompt is about)
+ */
+async function generateDeliveryConfirmationResponse(context) {
+  const { buyerPhone, transactionId, locale } = context;
+  
+  try {
+    const buyer = await users.findByPhone(supabase, buyerPhone);
+    const orders = buyer ? await transactions.findByUser(supabase, buyer.id, 'buyer') : [];
+    const awaiting = (orders || []).filter(order => AWAITING_DELIVERY_STATES.includes(order.status));
+    
+    if (awaiting.length === 0) {
+      return {
+        text: t(locale, 'delivery.none'),
+        actions: [
+          button(locale, 'search_products'),
+          button(locale, 'help')
+        ]
+      };
+    }
+    
+    // Only the order the buyer named or tapped; even a single open order has to be picked
+    const order = awaiting.find(o => o.id === transactionId);
+    
+    if (!order) {
+      let responseText = `${t(locale, awaiting.length === 1 ? 'delivery.which_one' : 'delivery.which', { count: awaiting.length })}\n\n`;
+      awaiting.forEach((o, index) => {
+        responseText += `*${index + 1}. ${o.listing?.title || t(locale, 'delivery.order')}* - ${formatPrice(o.amount, o.currency, locale)}\n`;
+        responseText += `${t(locale, 'delivery.reply_received', { reference: o.id })}\n\n`;
+      });
+      
+      return {
+        text: responseText,
+        actions: awaiting.map((o, index) => ({
+          type: 'button',
+          text: `${index + 1}. ${o.listing?.title || t(locale, 'delivery.order')}`,
+          description: formatPrice(o.amount, o.currency, locale),
+          payload: encodePayload('confirm_receipt', o.id)
+        }))
+      };
+    }
+    
+    // Releasing pays the seller and can't be undone, so ask before doing it
+    return {
+      text: t(locale, 'delivery.confirm_prompt', {
+        title: order.listing?.title || t(locale, 'payment.your_order'),
+        total: formatPrice(order.amount, order.currency, locale),
+        seller: order.seller?.name || t(locale, 'delivery.the_seller')
+      }),
+      actions: [
+        button(locale, 'yes_received', { payload: encodePayload('release_escrow', order.id) }),
+        button(locale, 'not_yet', { payload: encodePayload('keep_escrow', order.id) })
+      ],
+      awaitingReceipt: order.id
+    };
+  } catch (error) {
+    console.error('Error generating delivery confirmation response:', error);
+    return {
+      text: t(locale, 'delivery.error'),
       actions: [
-        { type: 'button', text: '👨‍💼 Contact Support' },
-        { type: 'button', text: '🔍 Back to Search' }
+        button(locale, 'contact_support'),
+        button(locale, 'back_to_search')
       ]
     };
   }
 }
 
+/**
+ * Generate the response to a buyer answering yes to the delivery prompt:
+ * releases the escrowed payment to the seller
+ * @param {Object} context - The release context
+ * @param {string} context.buyerPhone - The buyer's WhatsApp number
+ * @param {string} context.transactionId - The order the buyer confirmed
+ * @param {string} context.locale - Language to respond in
+ * @returns {Promise<Object>} Response object (`releasedTransaction` once the funds are released)
+ */
+async function generateDeliveryReleaseResponse(context) {
+  const { buyerPhone, transactionId, locale } = context;
+  
+  try {
+    const buyer = await users.findByPhone(supabase, buyerPhone);
+    if (!buyer || !transactionId) {
+      return {
+        text: t(locale, 'delivery.none'),
+        actions: [
+          button(locale, 'search_products'),
+          button(locale, 'help')
+        ]
+      };
+    }
+    
+    const released = await confirmDelivery(transactionId, buyer.id);
+    
+    return {
+      text: t(locale, 'delivery.confirmed', {
+        title: released.listing?.title || t(locale, 'payment.your_order'),
+        seller: released.seller?.name || t(locale, 'delivery.the_seller')
+      }),
+      actions: RATING_ACTIONS,
+      releasedTransaction: released
+    };
+  } catch (error) {
+    // An old prompt for an order that was already released, disputed or isn't theirs
+    if (error.code === 'ESCROW_NOT_FOUND' || error.code === 'ESCROW_INVALID_TRANSITION') {
+      return {
+        text: t(locale, 'delivery.none'),
+        actions: [
+          button(locale, 'my_orders'),
+          button(locale, 'help')
+        ]
+      };
+    }
+    
+    console.error('Error generating delivery release response:', error);
+    return {
+      text: t(locale, 'delivery.error'),
+      actions: [
+        button(locale, 'contact_support'),
+        button(locale, 'back_to_search')
+      ]
+    };
+  }
+}
+
+/**
+ * Generate a response to a buyer opening a dispute
+ * @param {Object} context - The dispute context
+ * @returns {Promise<Object>} Response object
+ */
+async function generateDisputeOpenResponse(context) {
+  const { buyerPhone, transactionId, reason, locale } = context;
+  
+  try {
+    const buyer = await users.findByPhone(supabase, buyerPhone);
+    const orders = buyer ? await transactions.findByUser(supabase, buyer.id, 'buyer') : [];
+    const disputable = (orders || []).filter(order => DISPUTABLE_STATES.includes(order.status));
+    
+    if (disputable.length === 0) {
+      return {
+        text: t(locale, 'dispute.none'),
+        actions: [
+          button(locale, 'my_orders'),
+          button(locale, 'contact_support')
+        ]
+      };
+    }
+    
+    // Use the order the buyer referred to, or the only one they have open
+    const order = disputable.find(o => o.id === transactionId) || (disputable.length === 1 ? disputable[0] : null);
+    
+    if (!order) {
+      let responseText = `${t(locale, 'dispute.which', { count: disputable.length })}\n\n`;
+      disputable.forEach((o, index) => {
+        responseText += `*${index + 1}. ${o.listing?.title || t(locale, 'delivery.order')}* - ${formatPrice(o.amount, o.currency, locale)}\n`;
+        responseText += `${t(locale, 'dispute.reply_dispute', { reference: o.id })}\n\n`;
+      });
+      
+      return {
+        text: responseText,
+        actions: []
+      };
+    }
+    
+    const dispute = await openDispute({
+      transactionId: order.id,
+      buyerId: buyer.id,
+      reason
+    });
+    
+    return {
+      text: t(locale, 'dispute.opened', { title: order.listing?.title || t(locale, 'payment.your_order') }),
+      actions: disputeActions(locale),
+      disputeId: dispute.id
+    };
+  } catch (error) {
+    console.error('Error generating dispute open response:', error);
+    return {
+      text: t(locale, 'dispute.open_error'),
+      actions: [
+        button(locale, 'contact_support'),
+        button(locale, 'help')
+      ]
+    };
+  }
+}
+
+/**
+ * Generate a response to evidence (text or a photo) sent for a dispute
+ * @param {Object} context - The evidence context
+ * @returns {Promise<Object>} Response object
+ */
+async function generateDisputeEvidenceResponse(context) {
+  const { disputeId, buyerPhone, text, media, locale } = context;
+  
+  try {
+    const buyer = await users.findByPhone(supabase, buyerPhone);
+    
+    if (media) {
+      const mediaUrl = await storeWhatsAppMedia(media.id, 'dispute-evidence', disputeId);
+      await addDisputeEvidence(disputeId, {
+        submittedBy: buyer.id,
+        type: 'image',
+        content: text,
+        mediaUrl
+      });
+    } else {
+      await addDisputeEvidence(disputeId, {
+        submittedBy: buyer.id,
+        type: 'text',
+        content: text
+      });
+    }
+    
+    return {
+      text: t(locale, media ? 'dispute.photo_added' : 'dispute.details_added'),
+      actions: disputeActions(locale)
+    };
+  } catch (error) {
+    console.error('Error generating dispute evidence response:', error);
+    return {
+      text: t(locale, 'dispute.evidence_error'),
+      actions: disputeActions(locale)
+    };
+  }
+}
+
+/**
+ * Generate a response to a buyer submitting their dispute for review
+ * @param {Object} context - The dispute context
+ * @returns {Promise<Object>} Response object
+ */
+async function generateDisputeSubmitResponse(context) {
+  const { disputeId, locale } = context;
+  
+  try {
+    const dispute = await submitDispute(disputeId);
+    const evidenceCount = (dispute.evidence || []).length;
+    
+    return {
+      text: t(locale, 'dispute.submitted', {
+        evidence: evidenceCount > 0 ? t(locale, 'dispute.submitted_evidence') : '',
+        reference: dispute.id
+      }),
+      actions: [
+        button(locale, 'search_products'),
+        button(locale, 'my_orders')
+      ],
+      submitted: true
+    };
+  } catch (error) {
+    console.error('Error generating dispute submit response:', error);
+    return {
+      text: t(locale, 'dispute.submit_error'),
+      actions: disputeActions(locale)
+    };
+  }
+}
+
 /**
  * Generate a rating submission response
  * @param {Object} context - The rating context
  * @returns {Promise<Object>} Response object
  */
 async function generateRatingSubmissionResponse(context) {
+  const { transactionId, buyerPhone, rating, locale } = context;
+  
   try {
-    // Get product details
-    const { productId, rating } = context;
-    const product = await listings.findById(supabase, productId);
+    const stored = await submitRating({ transactionId, buyerPhone, rating });
+    const { transaction } = stored;
     
-    if (!product) {
+    // Format rating confirmation
+    return {
+      text: t(locale, 'rating.submitted', {
+        seller: transaction.seller?.name || t(locale, 'delivery.the_seller'),
+        title: transaction.listing?.title || t(locale, 'payment.your_order'),
+        stars: t(locale, 'rating.stars', { count: stored.rating })
+      }),
+      actions: [
+        button(locale, 'skip')
+      ],
+      ratingId: stored.id
+    };
+  } catch (error) {
+    // The transaction can't be rated (again); asking for another rating won't help
+    if (['RATING_NOT_FOUND', 'RATING_NOT_ALLOWED', 'RATING_DUPLICATE'].includes(error.code)) {
       return {
-        text: "Sorry, I couldn't find that product. It may have been sold or removed.",
+        text: t(locale, error.code === 'RATING_DUPLICATE' ? 'rating.duplicate' : 'rating.not_found'),
         actions: [
-          { type: 'button', text: '🔍 Back to Search' },
-          { type: 'button', text: '❓ Help' }
-        ]
+          button(locale, 'shop_more'),
+          button(locale, 'my_orders')
+        ],
+        ratingClosed: true
       };
     }
     
-    // Format rating confirmation
-    let responseText = `*Rating Submitted*\n\n`;
-    responseText += `Thank you for rating your experience with *${product.seller.name}* for the purchase of *${product.title}*!\n\n`;
-    responseText += `You gave the seller ${rating} star${rating !== 1 ? 's' : ''}.\n\n`;
-    responseText += `Your feedback helps other buyers make informed decisions and helps sellers improve their service.`;
+    console.error('Error generating rating submission response:', error);
+    return {
+      text: t(locale, 'rating.error'),
+      actions: [
+        button(locale, 'try_again'),
+        button(locale, 'back_to_search')
+      ]
+    };
+  }
+}
+
+/**
+ * Generate a response to the optional comment left with a rating
+ * @param {Object} context - The comment context
+ * @returns {Promise<Object>} Response object
+ */
+async function generateRatingCommentResponse(context) {
+  const { ratingId, comment, locale } = context;
+  
+  try {
+    
+    if (comment) {
+      await addRatingComment(ratingId, comment);
+    }
+    
+    let responseText = comment ? `${t(locale, 'rating.comment_saved')}\n\n` : '';
+    responseText += t(locale, 'rating.feedback_helps');
     
     return {
       text: responseText,
       actions: [
-        { type: 'button', text: '🔍 Shop More' },
-        { type: 'button', text: '🛍️ My Orders' }
+        button(locale, 'shop_more'),
+        button(locale, 'my_orders')
       ]
     };
   } catch (error) {
-    console.error('Error generating rating submission response:', error);
+    console.error('Error generating rating comment response:', error);
+    return {
+      text: t(locale, 'rating.comment_error'),
+      actions: [
+        button(locale, 'shop_more'),
+        button(locale, 'my_orders')
+      ]
+    };
+  }
+}
+
+/**
+ * Generate a response to a user asking for a search alert
+ * @param {Object} context - The alert context
+ * @returns {Promise<Object>} Response object
+ */
+async function generateSearchAlertCreateResponse(context) {
+  const { phoneNumber, message, entities, locale } = context;
+  
+  try {
+    const alert = await createSearchAlert(phoneNumber, {
+      query: extractAlertQuery(message, entities),
+      location: entities.location,
+      minPrice: entities.minPrice,
+      maxPrice: entities.maxPrice || entities.exactPrice
+    });
+    
+    return {
+      text: t(locale, 'alerts.saved', {
+        alert: describeAlert(alert, locale),
+        active: alert.activeCount,
+        limit: alert.limit,
+        expires: formatDate(alert.expires_at, locale)
+      }),
+      actions: [
+        button(locale, 'search_products'),
+        button(locale, 'my_alerts')
+      ]
+    };
+  } catch (error) {
+    if (error.code === 'ALERT_INVALID') {
+      return {
+        text: t(locale, 'alerts.what'),
+        actions: []
+      };
+    }
+    
+    if (error.code === 'ALERT_LIMIT_REACHED') {
+      return {
+        text: t(locale, 'alerts.limit', { count: error.limit }),
+        actions: [
+          button(locale, 'my_alerts'),
+          button(locale, 'premium')
+        ]
+      };
+    }
+    
+    console.error('Error generating search alert response:', error);
+    return {
+      text: t(locale, 'alerts.save_error'),
+      actions: [
+        button(locale, 'try_again'),
+        button(locale, 'help')
+      ]
+    };
+  }
+}
+
+/**
+ * Generate a response listing the user's alerts, or stopping some of them
+ * @param {Object} context - The alert context ({ phoneNumber, stop, which, locale })
+ * @returns {Promise<Object>} Response object
+ */
+async function generateSearchAlertsManageResponse(context) {
+  const { phoneNumber, stop, which, locale } = context;
+  
+  try {
+    
+    if (stop && which) {
+      const stopped = await stopSearchAlerts(phoneNumber, which);
+      
+      if (stopped.length > 0) {
+        return {
+          text: stopped.length === 1
+            ? t(locale, 'alerts.stopped_one', { alert: describeAlert(stopped[0], locale) })
+            : t(locale, 'alerts.stopped_many', { count: stopped.length }),
+          actions: [
+            button(locale, 'my_alerts'),
+            button(locale, 'search_products')
+          ]
+        };
+      }
+    }
+    
+    const alerts = await listSearchAlerts(phoneNumber);
+    
+    if (alerts.length === 0) {
+      return {
+        text: t(locale, 'alerts.none'),
+        actions: [
+          button(locale, 'search_products')
+        ]
+      };
+    }
+    
+    let responseText = `${t(locale, stop ? 'alerts.which_to_stop' : 'alerts.list_title')}\n\n`;
+    alerts.forEach((alert, index) => {
+      responseText += `*${index + 1}.* ${describeAlert(alert, locale)}\n`;
+    });
+    responseText += `\n${t(locale, 'alerts.stop_hint')}`;
+    
+    return {
+      text: responseText,
+      actions: []
+    };
+  } catch (error) {
+    console.error('Error generating search alerts response:', error);
     return {
-      text: "I'm having trouble submitting your rating right now. Please try again later.",
+      text: t(locale, 'alerts.error'),
       actions: [
-        { type: 'button', text: '🔄 Try Again' },
-        { type: 'button', text: '🔍 Back to Search' }
+        button(locale, 'try_again'),
+        button(locale, 'help')
       ]
     };
   }
 }
 
+/**
+ * Generate the category picker shown when a buyer browses categories
+ * @param {Object} context - The browse context ({ locale })
+ * @returns {Promise<Object>} Response object
+ */
+async function generateCategoryPickerResponse(context) {
+  const { locale } = context;
+  let text = `${t(locale, 'categories.picker_title')}\n\n`;
+  LISTING_CATEGORIES.forEach(category => {
+    const { name, description } = translateCategory(category, locale);
+    text += `${category.emoji} *${name}* - ${description}\n`;
+  });
+  text += `\n${t(locale, 'categories.picker_footer')}`;
+  
+  return {
+    text,
+    listButton: t(locale, 'lists.categories_button'),
+    listTitle: t(locale, 'lists.categories'),
+    actions: getCategoryActions('browse_category', locale)
+  };
+}
+
 module.exports = {
-  generateResponse
+  generateResponse,
+  button
 };
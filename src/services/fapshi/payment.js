@@ -4,7 +4,7 @@
  */
 
 const FAPSHI = require('fapshi');
-const { supabase } = require('../../database/supabase');
+const supabase = require('../../database/supabase');
 
 const FAPSHI_USER = process.env.FAPSHI_USER;
 const FAPSHI_KEY = process.env.FAPSHI_KEY;
@@ -30,13 +30,14 @@ async function createSubscriptionPayment(userPhone, planId) {
     }
     
     // Create payment request to Fapshi
+    const externalId = `sub_${userPhone}_${planId}_${Date.now()}`;
     const response = await fapshi.initiatePay({
       amount: plan.price,
       phone: userPhone,
       message: `${plan.name} Subscription - ${plan.duration_days} days`,
       email: 'user@example.com', // Placeholder, replace with actual user email
       userId: 'user123', // Placeholder, replace with actual user ID
-      externalId: `sub_${userPhone}_${planId}_${Date.now()}`,
+      externalId,
       redirectUrl: `${process.env.BASE_URL}/payment/subscription/callback`,
     });
     
@@ -52,6 +53,7 @@ async function createSubscriptionPayment(userPhone, planId) {
           plan_id: planId,
           end_date: endDate.toISOString(),
           payment_reference: response.reference,
+          external_id: externalId,
           status: 'pending'
         }
       ])
@@ -107,13 +109,14 @@ async function createBoostPayment(userPhone, listingId, packageId) {
     }
     
     // Create payment request to Fapshi
+    const externalId = `boost_${userPhone}_${listingId}_${Date.now()}`;
     const response = await fapshi.initiatePay({
       amount: boostPackage.price,
       phone: userPhone,
       message: `${boostPackage.name} for listing: ${listing.title.substring(0, 30)}...`,
       email: 'user@example.com', // Placeholder, replace with actual user email
       userId: 'user123', // Placeholder, replace with actual user ID
-      externalId: `boost_${userPhone}_${listingId}_${Date.now()}`,
+      externalId,
       redirectUrl: `${process.env.BASE_URL}/payment/boost/callback`,
     });
     
@@ -129,6 +132,7 @@ async function createBoostPayment(userPhone, listingId, packageId) {
           package_id: packageId,
           end_date: endDate.toISOString(),
           payment_reference: response.reference,
+          external_id: externalId,
           status: 'pending'
         }
       ])
@@ -139,11 +143,7 @@ async function createBoostPayment(userPhone, listingId, packageId) {
       console.error('Error creating boost record:', boostError);
     }
     
-    // Update listing to indicate it's being boosted (pending payment)
-    await supabase
-      .from('listings')
-      .update({ is_boosted: true, boost_expires_at: endDate.toISOString() })
-      .eq('id', listingId);
+    // The listing itself is only marked as boosted once the payment is confirmed
     
     return {
       paymentUrl: response.payment_url,
@@ -179,6 +179,120 @@ async function verifyPayment(reference) {
   }
 }
 
+/**
+ * Narrow a payment record query to a payment reference or external ID
+ * @param {Object} query - Supabase query builder
+ * @param {Object} match - { reference } or { externalId }
+ * @returns {Object} The filtered query builder
+ */
+function matchPayment(query, match) {
+  if (match.externalId) {
+    return query.eq('external_id', match.externalId);
+  }
+  return query.eq('payment_reference', match.reference);
+}
+
+/**
+ * Activate a pending subscription once its payment is confirmed.
+ * Safe to call more than once: only a pending subscription is updated.
+ * @param {Object} match - { reference } or { externalId } of the payment
+ * @returns {Promise<Object>} - Subscription details, or null if not found
+ */
+async function activateSubscription(match) {
+  const { data: activated, error } = await matchPayment(
+    supabase.from('user_subscriptions').update({ status: 'active' }),
+    match
+  )
+    .eq('status', 'pending')
+    .select('*, subscription_plans(*)');
+  
+  if (error) {
+    throw new Error(`Error updating subscription: ${error.message}`);
+  }
+  
+  if (activated && activated.length) {
+    return { ...activated[0], activated: true };
+  }
+  
+  // Already activated (e.g. by the webhook before the redirect callback)
+  const { data: existing, error: findError } = await matchPayment(
+    supabase.from('user_subscriptions').select('*, subscription_plans(*)'),
+    match
+  ).single();
+  
+  if (findError && findError.code !== 'PGRST116') {
+    throw new Error(`Error fetching subscription: ${findError.message}`);
+  }
+  
+  return existing ? { ...existing, activated: false } : null;
+}
+
+/**
+ * Activate a pending listing boost once its payment is confirmed.
+ * Safe to call more than once: only a pending boost is updated.
+ * @param {Object} match - { reference } or { externalId } of the payment
+ * @returns {Promise<Object>} - Boost details, or null if not found
+ */
+async function activateBoost(match) {
+  const { data: activated, error } = await matchPayment(
+    supabase.from('listing_boosts').update({ status: 'active' }),
+    match
+  )
+    .eq('status', 'pending')
+    .select('*, boosting_packages(*)');
+  
+  if (error) {
+    throw new Error(`Error updating boost: ${error.message}`);
+  }
+  
+  if (activated && activated.length) {
+    const boost = activated[0];
+    
+    // Update listing boost status
+    await supabase
+      .from('listings')
+      .update({ 
+        is_boosted: true,
+        boost_expires_at: boost.end_date
+      })
+      .eq('id', boost.listing_id);
+    
+    return { ...boost, activated: true };
+  }
+  
+  const { data: existing, error: findError } = await matchPayment(
+    supabase.from('listing_boosts').select('*, boosting_packages(*)'),
+    match
+  ).single();
+  
+  if (findError && findError.code !== 'PGRST116') {
+    throw new Error(`Error fetching boost: ${findError.message}`);
+  }
+  
+  return existing ? { ...existing, activated: false } : null;
+}
+
+/**
+ * Mark a pending subscription or boost as failed after a failed/expired payment
+ * @param {string} table - 'user_subscriptions' or 'listing_boosts'
+ * @param {Object} match - { reference } or { externalId } of the payment
+ * @returns {Promise<Object|null>} - The failed record, or null if nothing was pending
+ */
+async function failPendingPayment(table, match) {
+  const { data, error } = await matchPayment(
+    supabase.from(table).update({ status: 'failed' }),
+    match
+  )
+    .eq('status', 'pending')
+    .select();
+  
+  if (error) {
+    throw new Error(`Error updating ${table}: ${error.message}`);
+  }
+  
+  return data && data.length ? data[0] : null;
+}
+
 /**
  * Process subscription payment callback
  * @param {string} reference - Payment reference
@@ -193,16 +307,9 @@ async function processSubscriptionCallback(reference) {
       throw new Error(`Payment not successful: ${paymentStatus.status}`);
     }
     
-    // Update subscription status
-    const { data: subscription, error } = await supabase
-      .from('user_subscriptions')
-      .update({ status: 'active' })
-      .eq('payment_reference', reference)
-      .select()
-      .single();
-    
-    if (error) {
-      throw new Error(`Error updating subscription: ${error.message}`);
+    const subscription = await activateSubscription({ reference });
+    if (!subscription) {
+      throw new Error(`Subscription not found for payment: ${reference}`);
     }
     
     return subscription;
@@ -226,27 +333,11 @@ async function processBoostCallback(reference) {
       throw new Error(`Payment not successful: ${paymentStatus.status}`);
     }
     
-    // Update boost status
-    const { data: boost, error } = await supabase
-      .from('listing_boosts')
-      .update({ status: 'active' })
-      .eq('payment_reference', reference)
-      .select('*, listing_id, package_id')
-      .single();
-    
-    if (error) {
-      throw new Error(`Error updating boost: ${error.message}`);
+    const boost = await activateBoost({ reference });
+    if (!boost) {
+      throw new Error(`Boost not found for payment: ${reference}`);
     }
     
-    // Update listing boost status
-    await supabase
-      .from('listings')
-      .update({ 
-        is_boosted: true,
-        boost_expires_at: boost.end_date
-      })
-      .eq('id', boost.listing_id);
-    
     return boost;
   } catch (error) {
     console.error('Error processing boost callback:', error);
@@ -370,6 +461,9 @@ module.exports = {
   createBoostPayment,
   processSubscriptionCallback,
   processBoostCallback,
+  activateSubscription,
+  activateBoost,
+  failPendingPayment,
   checkUserSubscription,
   checkListingBoost,
   initiatePay,
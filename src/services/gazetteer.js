@@ -0,0 +1,208 @@
+/**
+ * Gazetteer
+ *
+ * This module maps the Cameroonian towns and quarters people name in listings
+ * and searches ("Bonamoussadi", "Bastos, Yaoundé", "dla") to coordinates, so
+ * listings can be searched by distance. Coordinates are approximate centres,
+ * good enough for "within 10 km" searches.
+ */
+
+const { normalizeText } = require('../database/search-query');
+
+// Search radius used when a buyer names a place without saying how far to look
+const DEFAULT_RADIUS_KM = {
+  quarter: 5,
+  city: 25,
+  pin: 10
+};
+
+// Towns, with short forms people use in chats
+const CITIES = [
+  { name: 'Douala', latitude: 4.0511, longitude: 9.7679, aliases: ['dla'] },
+  { name: 'Yaoundé', latitude: 3.8480, longitude: 11.5021, aliases: ['yde', 'yaounde'] },
+  { name: 'Bafoussam', latitude: 5.4781, longitude: 10.4176 },
+  { name: 'Bamenda', latitude: 5.9597, longitude: 10.1460 },
+  { name: 'Buea', latitude: 4.1527, longitude: 9.2410 },
+  { name: 'Limbe', latitude: 4.0186, longitude: 9.2043, aliases: ['limbé'] },
+  { name: 'Tiko', latitude: 4.0750, longitude: 9.3600 },
+  { name: 'Kumba', latitude: 4.6363, longitude: 9.4469 },
+  { name: 'Kribi', latitude: 2.9400, longitude: 9.9100 },
+  { name: 'Edéa', latitude: 3.8000, longitude: 10.1333 },
+  { name: 'Nkongsamba', latitude: 4.9547, longitude: 9.9404 },
+  { name: 'Loum', latitude: 4.7182, longitude: 9.7351 },
+  { name: 'Dschang', latitude: 5.4443, longitude: 10.0530 },
+  { name: 'Bafang', latitude: 5.1588, longitude: 10.1826 },
+  { name: 'Foumban', latitude: 5.7266, longitude: 10.9000 },
+  { name: 'Mbalmayo', latitude: 3.5167, longitude: 11.5000 },
+  { name: 'Ebolowa', latitude: 2.9000, longitude: 11.1500 },
+  { name: 'Sangmélima', latitude: 2.9333, longitude: 11.9833 },
+  { name: 'Bertoua', latitude: 4.5773, longitude: 13.6846 },
+  { name: 'Ngaoundéré', latitude: 7.3277, longitude: 13.5847 },
+  { name: 'Garoua', latitude: 9.3017, longitude: 13.3921 },
+  { name: 'Maroua', latitude: 10.5956, longitude: 14.3247 }
+];
+
+// Quarters of the largest towns
+const QUARTERS = [
+  // Douala
+  { name: 'Akwa', city: 'Douala', latitude: 4.0490, longitude: 9.7000 },
+  { name: 'Bonanjo', city: 'Douala', latitude: 4.0425, longitude: 9.6880 },
+  { name: 'Bonapriso', city: 'Douala', latitude: 4.0320, longitude: 9.6950 },
+  { name: 'Deido', city: 'Douala', latitude: 4.0630, longitude: 9.7080 },
+  { name: 'New Bell', city: 'Douala', latitude: 4.0350, longitude: 9.7200, aliases: ['newbell'] },
+  { name: 'Bepanda', city: 'Douala', latitude: 4.0620, longitude: 9.7300 },
+  { name: 'Ndokoti', city: 'Douala', latitude: 4.0470, longitude: 9.7400 },
+  { name: 'Cité des Palmiers', city: 'Douala', latitude: 4.0600, longitude: 9.7550, aliases: ['cite palmiers'] },
+  { name: 'Ndogbong', city: 'Douala', latitude: 4.0550, longitude: 9.7650 },
+  { name: 'Makepe', city: 'Douala', latitude: 4.0750, longitude: 9.7550, aliases: ['makepè'] },
+  { name: 'Bonamoussadi', city: 'Douala', latitude: 4.0900, longitude: 9.7450, aliases: ['bonamousadi', 'bonamoussady'] },
+  { name: 'Kotto', city: 'Douala', latitude: 4.0820, longitude: 9.7700 },
+  { name: 'Logpom', city: 'Douala', latitude: 4.0800, longitude: 9.7850 },
+  { name: 'Logbessou', city: 'Douala', latitude: 4.1000, longitude: 9.7750 },
+  { name: 'Yassa', city: 'Douala', latitude: 4.0150, longitude: 9.8050 },
+  { name: 'Japoma', city: 'Douala', latitude: 4.0050, longitude: 9.8300 },
+  { name: 'Bonabéri', city: 'Douala', latitude: 4.0700, longitude: 9.6650, aliases: ['bonaberi'] },
+  // Yaoundé
+  { name: 'Centre-ville', city: 'Yaoundé', latitude: 3.8667, longitude: 11.5167, aliases: ['centre ville'] },
+  { name: 'Bastos', city: 'Yaoundé', latitude: 3.8950, longitude: 11.5100 },
+  { name: 'Mokolo', city: 'Yaoundé', latitude: 3.8740, longitude: 11.4990 },
+  { name: 'Briqueterie', city: 'Yaoundé', latitude: 3.8800, longitude: 11.5100 },
+  { name: 'Nlongkak', city: 'Yaoundé', latitude: 3.8820, longitude: 11.5200 },
+  { name: 'Tsinga', city: 'Yaoundé', latitude: 3.8850, longitude: 11.4950 },
+  { name: 'Elig-Essono', city: 'Yaoundé', latitude: 3.8750, longitude: 11.5250 },
+  { name: 'Etoa-Meki', city: 'Yaoundé', latitude: 3.8820, longitude: 11.5300 },
+  { name: 'Omnisport', city: 'Yaoundé', latitude: 3.8850, longitude: 11.5450 },
+  { name: 'Essos', city: 'Yaoundé', latitude: 3.8720, longitude: 11.5400 },
+  { name: 'Mimboman', city: 'Yaoundé', latitude: 3.8650, longitude: 11.5600 },
+  { name: 'Mvog-Ada', city: 'Yaoundé', latitude: 3.8600, longitude: 11.5300 },
+  { name: 'Mvog-Mbi', city: 'Yaoundé', latitude: 3.8500, longitude: 11.5200 },
+  { name: 'Ngoa-Ekelle', city: 'Yaoundé', latitude: 3.8600, longitude: 11.5000, aliases: ['ngoa ekele'] },
+  { name: 'Obili', city: 'Yaoundé', latitude: 3.8570, longitude: 11.4950 },
+  { name: 'Melen', city: 'Yaoundé', latitude: 3.8650, longitude: 11.4900 },
+  { name: 'Nkolbisson', city: 'Yaoundé', latitude: 3.8700, longitude: 11.4500 },
+  { name: 'Biyem-Assi', city: 'Yaoundé', latitude: 3.8350, longitude: 11.4850, aliases: ['biyem assi', 'biyemassi'] },
+  { name: 'Mendong', city: 'Yaoundé', latitude: 3.8250, longitude: 11.4750 },
+  { name: 'Simbock', city: 'Yaoundé', latitude: 3.8150, longitude: 11.4800 },
+  { name: 'Jouvence', city: 'Yaoundé', latitude: 3.8150, longitude: 11.4950 },
+  { name: 'Mvan', city: 'Yaoundé', latitude: 3.8150, longitude: 11.5150 },
+  { name: 'Nsam', city: 'Yaoundé', latitude: 3.8300, longitude: 11.5200 },
+  { name: 'Ekounou', city: 'Yaoundé', latitude: 3.8350, longitude: 11.5450 },
+  { name: 'Odza', city: 'Yaoundé', latitude: 3.7850, longitude: 11.5350 },
+  { name: 'Etoudi', city: 'Yaoundé', latitude: 3.9150, longitude: 11.5300 },
+  { name: 'Emana', city: 'Yaoundé', latitude: 3.9200, longitude: 11.5150 },
+  { name: 'Messassi', city: 'Yaoundé', latitude: 3.9400, longitude: 11.5300 },
+  // Buea
+  { name: 'Molyko', city: 'Buea', latitude: 4.1530, longitude: 9.2870 }
+];
+
+/**
+ * Reduce a place name or a sentence to space-separated plain words
+ * @param {string} text - Text to normalise
+ * @returns {string} e.g. "biyem assi yaounde"
+ */
+function toWords(text) {
+  return normalizeText(text).replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Every way of writing each place, most specific (quarters, then longer names) first
+const PLACE_INDEX = [
+  ...QUARTERS.map(place => ({ ...place, kind: 'quarter' })),
+  ...CITIES.map(place => ({ ...place, kind: 'city', city: place.name }))
+].flatMap(place => [place.name, ...(place.aliases || [])].map(alias => ({ alias: toWords(alias), place })))
+  .sort((a, b) => (a.place.kind === b.place.kind ? b.alias.length - a.alias.length : a.place.kind === 'quarter' ? -1 : 1));
+
+/**
+ * Format a place for display
+ * @param {Object} place - A gazetteer place
+ * @returns {string} e.g. "Bonamoussadi, Douala" or "Douala"
+ */
+function formatPlace(place) {
+  return place.kind === 'quarter' ? `${place.name}, ${place.city}` : place.name;
+}
+
+/**
+ * Find the place a location text refers to
+ * @param {string} text - Free text such as "Bonamoussadi", "bastos yde" or "Available in Douala"
+ * @returns {Object|null} { name, city, kind, label, latitude, longitude, radiusKm }, or null if no known place is named
+ */
+function geocodeLocation(text) {
+  const words = ` ${toWords(text)} `;
+  if (!words.trim()) return null;
+
+  const match = PLACE_INDEX.find(({ alias }) => words.includes(` ${alias} `));
+  if (!match) return null;
+
+  const { place } = match;
+  return {
+    name: place.name,
+    city: place.city,
+    kind: place.kind,
+    label: formatPlace(place),
+    latitude: place.latitude,
+    longitude: place.longitude,
+    radiusKm: DEFAULT_RADIUS_KM[place.kind]
+  };
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lng1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lng2 - Longitude of the second point
+ * @returns {number} Distance in kilometres
+ */
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Find the known place closest to a point, e.g. to name a shared location pin
+ * @param {number} latitude - Latitude of the point
+ * @param {number} longitude - Longitude of the point
+ * @returns {Object|null} { label, distanceKm } of the nearest quarter (or town, if no quarter is close), or null if nothing is within 50 km
+ */
+function findNearestPlace(latitude, longitude) {
+  const nearest = places => places
+    .map(place => ({ place, distanceKm: distanceKm(latitude, longitude, place.latitude, place.longitude) }))
+    .sort((a, b) => a.distanceKm - b.distanceKm)[0];
+
+  const quarter = nearest(QUARTERS.map(place => ({ ...place, kind: 'quarter' })));
+  if (quarter && quarter.distanceKm <= 3) {
+    return { label: formatPlace(quarter.place), distanceKm: quarter.distanceKm };
+  }
+
+  const city = nearest(CITIES.map(place => ({ ...place, kind: 'city' })));
+  if (city && city.distanceKm <= 50) {
+    return { label: formatPlace(city.place), distanceKm: city.distanceKm };
+  }
+
+  return null;
+}
+
+/**
+ * Geocode a listing's location text for storage
+ * @param {string} location - The listing's location text
+ * @returns {Object} { latitude, longitude, place } columns (null when the place isn't known)
+ */
+function geocodeListingLocation(location) {
+  const place = location ? geocodeLocation(location) : null;
+  return {
+    latitude: place ? place.latitude : null,
+    longitude: place ? place.longitude : null,
+    place: place ? place.label : null
+  };
+}
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  geocodeLocation,
+  geocodeListingLocation,
+  findNearestPlace,
+  distanceKm
+};
@@ -2,132 +2,124 @@
  * Group Registration Service
  * 
  * This module handles the registration of WhatsApp groups for marketplace monitoring.
- * It provides functions to register groups via the WhatsApp Cloud API bot.
+ * It provides functions to register groups via the WhatsApp Cloud API bot; the
+ * group bot joins each registered group through its invite link.
  */
 
 const supabase = require('../database/supabase');
+const groupBot = require('../group-bot');
 
-// Set to store monitored groups in memory
-const monitoredGroups = new Set();
+/**
+ * Turn a failed invite lookup or join into a registration result
+ * @param {Error} err - The error
+ * @returns {Object} - Registration result ({ success: false, code, error })
+ */
+function registrationFailure(err) {
+  console.error('Error registering group:', err);
+  return { success: false, code: err.code || 'REGISTRATION_FAILED', error: err.message };
+}
+
+/**
+ * Find the group an invite leads to, without joining it
+ * @param {string} inviteCode - WhatsApp group invite code
+ * @returns {Promise<Object>} - Lookup result, with the group's { groupId, name, size } as `data`
+ *   (`code` is INVITE_REVOKED or CLIENT_NOT_READY when it fails)
+ */
+async function resolveGroupInvite(inviteCode) {
+  try {
+    const group = await groupBot.getGroupInvite(inviteCode);
+    return { success: true, data: group };
+  } catch (err) {
+    return registrationFailure(err);
+  }
+}
 
 /**
  * Register a new group for marketplace monitoring
+ * 
+ * The group bot joins the group through its invite, so the group is saved
+ * under its real WhatsApp ID and monitored from then on. Only the group's
+ * admins can register it; the one who did is recorded as its admin_phone.
  * @param {string} inviteCode - WhatsApp group invite code
- * @param {string} groupName - Name of the group
+ * @param {string} groupName - Name of the group (the group's own name is used when WhatsApp gives it)
  * @param {string} category - Category of the marketplace
  * @param {string} adminPhone - Phone number of the admin registering the group
- * @returns {Promise<Object>} - Registration result
+ * @returns {Promise<Object>} - Registration result (`code` is INVITE_REVOKED, NOT_GROUP_ADMIN or CLIENT_NOT_READY when it fails)
  */
 async function registerGroup(inviteCode, groupName, category, adminPhone) {
   try {
     console.log(`Registering group: ${groupName} (${inviteCode}) - Category: ${category}`);
     
-    // Generate a group ID from the invite code
-    // This is a workaround since we can't get the actual group ID
-    const groupId = `invite_${inviteCode}`;
+    const group = await groupBot.joinGroupByInvite(inviteCode);
     
-    // Add to database if not exists
-    const { data, error } = await supabase
-      .from('groups')
-      .upsert([
-        { 
-          id: groupId, 
-          name: groupName,
-          category,
-          description: `Marketplace for ${category}`,
-          admin_phone: adminPhone,
-          invite_code: inviteCode
-        }
-      ], { 
-        onConflict: 'id',
-        ignoreDuplicates: false 
-      })
-      .select();
+    // The participant list is only complete once the bot is in the group
+    if (!await groupBot.isGroupAdmin(group.groupId, adminPhone)) {
+      // Don't stay in a group on the word of someone who isn't its admin
+      if (group.joined) {
+        await groupBot.leaveGroup(group.groupId).catch(leaveError => {
+          console.error('Error leaving group:', leaveError);
+        });
+      }
+      
+      const error = new Error(`${adminPhone} is not an admin of ${group.name} (${group.groupId})`);
+      error.code = 'NOT_GROUP_ADMIN';
+      throw error;
+    }
+    
+    const data = await groupBot.addMonitoredGroup(group.groupId, group.name || groupName, category, {
+      description: `Marketplace for ${category}`,
+      admin_phone: adminPhone,
+      invite_code: inviteCode
+    });
     
-    if (error) {
-      console.error('Error registering group:', error);
-      return { success: false, error: error.message };
+    // List what was posted before the bot joined (registration doesn't depend on it)
+    try {
+      await groupBot.startGroupBackfill(group.groupId);
+    } catch (backfillError) {
+      console.error('Error starting group backfill:', backfillError);
     }
     
-    // Add to in-memory set for faster lookups
-    monitoredGroups.add(groupId);
+    try {
+      await groupBot.announceGroupRegistration(group.groupId, category);
+    } catch (announceError) {
+      console.error('Error announcing group registration:', announceError);
+    }
     
-    console.log('Group registered successfully:', data[0]);
-    return { success: true, data: data[0] };
+    console.log('Group registered successfully:', data);
+    return { success: true, data };
   } catch (err) {
-    console.error('Error registering group:', err);
-    return { success: false, error: err.message };
+    return registrationFailure(err);
   }
 }
 
 /**
  * Check if a group is registered for monitoring
  * @param {string} inviteCode - WhatsApp group invite code
+ * @param {string} groupId - The group's WhatsApp ID, if known (also finds groups registered with !register)
  * @returns {Promise<boolean>} - True if group is registered
  */
-async function isGroupRegistered(inviteCode) {
+async function isGroupRegistered(inviteCode, groupId = null) {
   try {
-    const groupId = `invite_${inviteCode}`;
-    
-    // Check in-memory set first for performance
-    if (monitoredGroups.has(groupId)) {
+    // The group bot's set is kept in step as groups are registered and unregistered
+    if (groupId && groupBot.isMonitoredGroup(groupId)) {
       return true;
     }
     
     // Check database
-    const { data, error } = await supabase
-      .from('groups')
-      .select('id')
-      .eq('invite_code', inviteCode)
-      .single();
+    const query = supabase.from('groups').select('id').is('unregistered_at', null);
+    const { data, error } = groupId
+      ? await query.eq('id', groupId).single()
+      : await query.eq('invite_code', inviteCode).single();
     
-    if (error || !data) {
-      return false;
-    }
-    
-    // Add to in-memory set for future lookups
-    monitoredGroups.add(data.id);
-    return true;
+    return !error && Boolean(data);
   } catch (err) {
     console.error('Error checking group registration:', err);
     return false;
   }
 }
 
-/**
- * Load all monitored groups from the database into memory
- * @returns {Promise<void>}
- */
-async function loadMonitoredGroups() {
-  try {
-    console.log('Loading monitored groups from database...');
-    
-    const { data, error } = await supabase
-      .from('groups')
-      .select('id');
-    
-    if (error) {
-      console.error('Error loading monitored groups:', error);
-      return;
-    }
-    
-    if (data && data.length > 0) {
-      data.forEach(group => monitoredGroups.add(group.id));
-      console.log(`Loaded ${data.length} monitored groups`);
-    } else {
-      console.log('No monitored groups found in database');
-    }
-  } catch (err) {
-    console.error('Error loading monitored groups:', err);
-  }
-}
-
-// Load monitored groups on module initialization
-loadMonitoredGroups();
-
 module.exports = {
+  resolveGroupInvite,
   registerGroup,
-  isGroupRegistered,
-  loadMonitoredGroups,
-  monitoredGroups
+  isGroupRegistered
 };
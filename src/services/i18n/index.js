@@ -0,0 +1,239 @@
+/**
+ * Internationalisation
+ *
+ * This module holds the bot's message catalogues (English, French and
+ * Cameroonian Pidgin), guesses a user's language from their first message,
+ * remembers the language they chose, and formats prices and dates the way
+ * each language writes them.
+ */
+
+const supabase = require('../../database/supabase');
+const { users } = require('../../database/schema');
+const { normalizeText } = require('../../database/search-query');
+require('dotenv').config();
+
+const CATALOGUES = {
+  en: require('./locales/en'),
+  fr: require('./locales/fr'),
+  pcm: require('./locales/pcm')
+};
+
+const SUPPORTED_LOCALES = Object.keys(CATALOGUES);
+
+// Language used when a user hasn't chosen one and their message doesn't give it away
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'en';
+
+// Intl locale used to format numbers and dates (Pidgin speakers write them the English way)
+const INTL_LOCALES = {
+  en: 'en-CM',
+  fr: 'fr-CM',
+  pcm: 'en-CM'
+};
+
+// Names people use when asking for a language, e.g. "!lang français"
+const LOCALE_ALIASES = {
+  en: ['en', 'eng', 'english', 'anglais'],
+  fr: ['fr', 'french', 'francais', 'français'],
+  pcm: ['pcm', 'pidgin', 'pidgin english', 'pigin']
+};
+
+// Words that give a language away; Pidgin markers count double since most of its vocabulary is English
+const LANGUAGE_MARKERS = {
+  fr: {
+    weight: 1,
+    words: ['je', 'j', 'cherche', 'veux', 'voudrais', 'bonjour', 'bonsoir', 'salut', 'merci', 'svp', 'stp', 'moins', 'cher', 'prix', 'combien', 'vendre', 'acheter', 'avec', 'pour', 'dans', 'une', 'des', 'les', 'est', 'vous', 'avez', 'quoi', 'oui', 'non', 'aide', 'téléphone', 'voiture', 'maison', 'chaussures']
+  },
+  pcm: {
+    weight: 2,
+    words: ['wetin', 'dey', 'di', 'abeg', 'na', 'sabi', 'wan', 'fit', 'dem', 'wey', 'chop', 'oga', 'sef', 'don', 'comot', 'pikin', 'ndo', 'helep', 'massa', 'sista', 'broda', 'tok', 'kam']
+  },
+  en: {
+    weight: 1,
+    words: ['i', 'am', 'looking', 'want', 'need', 'hello', 'hi', 'please', 'thanks', 'thank', 'under', 'cheap', 'price', 'how', 'much', 'buy', 'sell', 'with', 'for', 'in', 'the', 'is', 'do', 'you', 'have', 'what', 'yes', 'help', 'phone', 'car', 'house', 'shoes', 'find']
+  }
+};
+
+/**
+ * Check whether a locale is one the bot speaks
+ * @param {string} locale - Locale code
+ * @returns {boolean} True for en, fr and pcm
+ */
+function isSupportedLocale(locale) {
+  return SUPPORTED_LOCALES.includes(locale);
+}
+
+/**
+ * Look up a dotted key in a catalogue
+ * @param {Object} catalogue - Message catalogue
+ * @param {string} key - e.g. "search.no_results"
+ * @returns {*} The message (a string or a { one, other } pair), or undefined
+ */
+function lookup(catalogue, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogue);
+}
+
+/**
+ * Translate a message
+ * @param {string} locale - Locale code (unknown locales get DEFAULT_LOCALE; missing messages fall back to English)
+ * @param {string} key - Message key, e.g. "search.no_results"
+ * @param {Object} params - Values for the message's `{name}` placeholders; `count` also picks the plural form
+ * @returns {string} The message, or the key itself if no catalogue has it
+ */
+function t(locale, key, params = {}) {
+  let message = lookup(CATALOGUES[locale] || CATALOGUES[DEFAULT_LOCALE], key);
+  if (message === undefined) message = lookup(CATALOGUES.en, key);
+  if (message === undefined) return key;
+
+  if (typeof message === 'object') {
+    message = params.count === 1 ? message.one : message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    (params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder)
+  );
+}
+
+/**
+ * Format a number the way a locale writes it
+ * @param {number} value - Number
+ * @param {string} locale - Locale code
+ * @param {Object} options - Intl.NumberFormat options
+ * @returns {string} e.g. "2.5" (en) or "2,5" (fr)
+ */
+function formatNumber(value, locale = DEFAULT_LOCALE, options = {}) {
+  return new Intl.NumberFormat(INTL_LOCALES[locale] || INTL_LOCALES[DEFAULT_LOCALE], options).format(Number(value) || 0);
+}
+
+/**
+ * Format a price the way a locale writes it
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency label (default: FCFA)
+ * @param {string} locale - Locale code
+ * @returns {string} e.g. "150,000 FCFA" (en) or "150 000 FCFA" (fr)
+ */
+function formatPrice(amount, currency = 'FCFA', locale = DEFAULT_LOCALE) {
+  return `${formatNumber(amount, locale, { maximumFractionDigits: 0 })} ${currency || 'FCFA'}`;
+}
+
+/**
+ * Format a date the way a locale writes it
+ * @param {Date|string} date - Date
+ * @param {string} locale - Locale code
+ * @returns {string} e.g. "19 Oct 2026" (en) or "19 oct. 2026" (fr)
+ */
+function formatDate(date, locale = DEFAULT_LOCALE) {
+  return new Intl.DateTimeFormat(INTL_LOCALES[locale] || INTL_LOCALES[DEFAULT_LOCALE], { day: 'numeric', month: 'short', year: 'numeric' })
+    .format(new Date(date));
+}
+
+/**
+ * Guess the language of a message
+ * @param {string} text - Message text
+ * @returns {string|null} Locale code, or null if the message is too short or ambiguous to tell
+ */
+function detectLanguage(text) {
+  const words = normalizeText(text || '').split(/[^a-z0-9']+/).flatMap(word => word.split("'")).filter(Boolean);
+  if (words.length === 0) return null;
+
+  const scores = Object.entries(LANGUAGE_MARKERS).map(([locale, { weight, words: markers }]) => {
+    const normalized = markers.map(marker => normalizeText(marker));
+    return { locale, score: words.filter(word => normalized.includes(word)).length * weight };
+  }).sort((a, b) => b.score - a.score);
+
+  if (scores[0].score === 0 || scores[0].score === scores[1].score) return null;
+  return scores[0].locale;
+}
+
+/**
+ * Work out which locale a user asked for
+ * @param {string} input - e.g. "fr", "Français" or "pidgin"
+ * @returns {string|null} Locale code, or null if the language isn't supported
+ */
+function resolveLocale(input) {
+  const name = normalizeText(input || '').trim();
+  const match = Object.entries(LOCALE_ALIASES)
+    .find(([, aliases]) => aliases.some(alias => normalizeText(alias) === name));
+  return match ? match[0] : null;
+}
+
+// English label of every button and list row, keyed by each translation of it
+const CANONICAL_LABELS = new Map();
+for (const locale of SUPPORTED_LOCALES) {
+  for (const section of ['buttons', 'lists']) {
+    for (const [key, label] of Object.entries(CATALOGUES[locale][section] || {})) {
+      CANONICAL_LABELS.set(label.toLowerCase(), CATALOGUES.en[section][key]);
+    }
+  }
+}
+
+/**
+ * Map a translated button or list title back to its English label, so replies
+ * typed or tapped in any language reach the same handler
+ * @param {string} title - Button or list row title as the user saw it (possibly truncated)
+ * @returns {string} The English label, or the title unchanged if it isn't a known label
+ */
+function canonicalLabel(title) {
+  if (!title) return title;
+  const key = title.toLowerCase();
+  if (CANONICAL_LABELS.has(key)) return CANONICAL_LABELS.get(key);
+
+  // Long labels reach us cut to the button's length, ending in "…"
+  if (key.endsWith('…')) {
+    const start = key.slice(0, -1);
+    for (const [label, english] of CANONICAL_LABELS) {
+      if (label.startsWith(start)) return english;
+    }
+  }
+
+  return title;
+}
+
+/**
+ * Get the language a user chose
+ * @param {string} phoneNumber - User's phone number
+ * @returns {Promise<string|null>} Locale code, or null if they haven't chosen one
+ */
+async function getPreferredLocale(phoneNumber) {
+  try {
+    const user = await users.findByPhone(supabase, phoneNumber);
+    return user && isSupportedLocale(user.language) ? user.language : null;
+  } catch (error) {
+    console.error('Error getting preferred language:', error);
+    return null;
+  }
+}
+
+/**
+ * Remember the language a user chose
+ * @param {string} phoneNumber - User's phone number
+ * @param {string} locale - Locale code
+ * @returns {Promise<Object>} The updated user
+ */
+async function setPreferredLocale(phoneNumber, locale) {
+  if (!isSupportedLocale(locale)) {
+    const error = new Error(`Unsupported language "${locale}"`);
+    error.code = 'UNSUPPORTED_LOCALE';
+    throw error;
+  }
+
+  const user = await users.findByPhone(supabase, phoneNumber);
+  if (!user) {
+    return users.create(supabase, { phone_number: phoneNumber, language: locale });
+  }
+  return users.update(supabase, user.id, { language: locale });
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  isSupportedLocale,
+  t,
+  formatNumber,
+  formatPrice,
+  formatDate,
+  detectLanguage,
+  resolveLocale,
+  canonicalLabel,
+  getPreferredLocale,
+  setPreferredLocale
+};
@@ -0,0 +1,401 @@
+/**
+ * English messages
+ *
+ * The reference catalogue: every key exists here, and the other locales fall
+ * back to it for anything they don't translate. `{name}` placeholders are
+ * filled in by t(); a `{ one, other }` pair is picked by the `count` parameter.
+ */
+
+module.exports = {
+  language: {
+    name: 'English',
+    changed: '✅ Language set to English.',
+    current: '🌐 Your language is English.\n\nTo change it, send:\n!lang fr - Français\n!lang en - English\n!lang pcm - Pidgin',
+    unknown: '❌ I don\'t know that language. Send *!lang fr*, *!lang en* or *!lang pcm*.',
+    error: 'I\'m having trouble changing your language right now. Please try again later.'
+  },
+
+  buttons: {
+    search_products: '🔍 Search Products',
+    search_again: '🔍 Search Again',
+    search_example: '🔍 Search Example',
+    new_search: '🔍 New Search',
+    refine_search: '🔍 Refine Search',
+    shop_more: '🔍 Shop More',
+    back_to_search: '🔙 Back to Search',
+    back_to_product: '🔙 Back to Product',
+    more_results: '➡️ More Results',
+    cheapest_first: '💲 Cheapest First',
+    newest_first: '🆕 Newest First',
+    nearest_first: '📍 Nearest First',
+    browse_categories: '📂 Browse Categories',
+    help: '❓ Help',
+    try_again: '🔄 Try Again',
+    buy_now: '💳 Buy Now',
+    contact_seller: '💬 Contact Seller',
+    chat_with_seller: '💬 Chat with Seller',
+    payment_sent: '✅ Payment Sent',
+    retry_payment: '🔄 Retry Payment',
+    cancel: '❌ Cancel',
+    track_order: '📦 Track Order',
+    contact_support: '👨‍💼 Contact Support',
+    my_orders: '🛍️ My Orders',
+    done: '✅ Done',
+    skip: '⏭️ Skip',
+    my_alerts: '🔔 My Alerts',
+    premium: '⭐ Premium',
+    register_group: '📋 Register Group',
+    cancel_registration: 'Cancel',
+    yes_received: '✅ Yes, Release Payment',
+    not_yet: '❌ No, Not Yet',
+    confirm_delivery: '✅ Confirm Delivery'
+  },
+
+  lists: {
+    options: 'Options',
+    results: 'Results',
+    view_results: '📋 View Results',
+    categories: 'Categories',
+    categories_button: '📂 Categories',
+    choose_category: '📂 Choose Category',
+    choose_option: 'Choose an option',
+    choose_below: 'Choose an option below:'
+  },
+
+  categories: {
+    electronics: { name: 'Electronics', description: 'Phones, laptops, TVs and accessories' },
+    fashion: { name: 'Fashion', description: 'Clothes, shoes, bags and watches' },
+    real_estate: { name: 'Real Estate', description: 'Houses, apartments, land and rooms' },
+    vehicles: { name: 'Vehicles', description: 'Cars, motorbikes and spare parts' },
+    general: { name: 'General', description: 'Everything else' },
+    picker_title: '📂 *Browse Categories*',
+    picker_footer: 'Pick a category to see its latest listings, or just tell me what you\'re looking for.',
+    error: 'I\'m having trouble loading that category right now. Please try again later.',
+    stop_registering: 'Stop registering this group'
+  },
+
+  general: {
+    welcome: '👋 Welcome to WhatsApp Marketplace!\n\nYou can:\n• Search for products\n• View your orders\n• Rate sellers\n• Get help\n• Subscribe to premium features\n• Boost your listings\n\nWhat would you like to do?',
+    not_sure: 'I\'m not sure what you\'re looking for. How can I help you today?',
+    unknown_response: 'I\'m not sure how to respond to that. How can I help you today?',
+    help: '📚 **WhatsApp Marketplace Help**\n\nHere\'s how to use our service:\n\n• **Search**: Just type what you\'re looking for, e.g., "TVs under 100k in Douala"\n\n• **View Orders**: Type "my orders" to see your purchases\n\n• **Rate Sellers**: After a purchase, you can rate the seller\n\n• **Contact Support**: Type "support" to get help from our team\n\n• **Language**: Send *!lang fr*, *!lang en* or *!lang pcm* to change language\n\nWhat would you like to do?',
+    search_cancelled: 'Search cancelled. What would you like to do now?',
+    error: 'Sorry, I\'m having trouble processing your request right now. Please try again later.',
+    text_only: 'Sorry, I can only process text messages right now. Please send your query as text.',
+    no_response: 'Sorry, I couldn\'t generate a response.'
+  },
+
+  voice: {
+    unavailable: 'Sorry, I can\'t listen to voice notes yet. Please type your message instead.',
+    not_understood: 'Sorry, I couldn\'t make out your voice note. Please try again somewhere quieter, or type your message.',
+    heard: '🎤 I heard: "{transcript}"\n_Not what you said? Just type it instead._'
+  },
+
+  search: {
+    matching: ' matching "{query}"',
+    for: ' for "{query}"',
+    in_category: ' in category "{category}"',
+    in_location: ' in {location}',
+    within: ' within {radius} km of {place}',
+    your_location: 'your location',
+    above: ' above {price}',
+    below: ' below {price}',
+    sort_labels: {
+      price_asc: 'cheapest first',
+      price_desc: 'most expensive first',
+      newest: 'newest first',
+      distance: 'nearest first'
+    },
+    no_more: 'That\'s everything: there are no more products{description}.\n\nTry a different search to see other products.',
+    no_results: 'Sorry, I couldn\'t find any products{description}.\n\nTry a different search or browse our categories.',
+    more_header: 'More products{description} ({from}-{to}):',
+    header: 'Here are the products{description}:',
+    header_sorted: 'Here are the products{description}, {sort}:',
+    reply_to_view: 'Reply with "{number}" or "Product #{number}" to view details.',
+    reply_more: 'Reply "more" to see more results.',
+    sort_hint: 'Sort with "cheapest first", "most expensive first" or "newest first".',
+    sort_hint_nearby: 'Sort with "cheapest first", "most expensive first", "newest first" or "nearest first".',
+    refine_hint: 'To refine your search, you can specify:\n• Location (e.g., "in Douala")\n• Price range (e.g., "under 50,000 FCFA")\n• Category (e.g., "electronics")',
+    distance_away: '{distance} km away',
+    distance_close: 'less than 1 km away',
+    error: 'I\'m having trouble searching for products right now. Please try again later.',
+    error_refine: 'I\'m having trouble searching for products right now. Please try again later or refine your search.',
+    more_error: 'I\'m having trouble loading more results right now. Please try again later.',
+    sort_error: 'I\'m having trouble sorting the results right now. Please try again later.'
+  },
+
+  photo: {
+    not_understood: '📷 I couldn\'t tell what you\'re looking for from that photo.\n\nSend it again with a short caption (e.g. "black sneakers size 42"), or just type what you want.',
+    looks_like: 'That looks like: {query}',
+    from_caption: '📷 Searching for "{query}" from your caption.',
+    error: 'I\'m having trouble searching with your photo right now. Please describe what you\'re looking for as text.'
+  },
+
+  location: {
+    near: ' near {place}',
+    near_you: ' near you',
+    ask_query: '📍 Got your location. I\'ll look for products{where}.\n\nWhat are you looking for? (e.g. "fridge" or "phones under 100,000 FCFA")',
+    showing: '📍 Got your location. Showing results{where}.',
+    error: 'I\'m having trouble using your location right now. Try naming your area instead (e.g. "in Bonamoussadi").'
+  },
+
+  product: {
+    not_found: 'Sorry, I couldn\'t find that product. It may have been sold or removed.',
+    price: '💰 *Price:* {price}',
+    location: '📍 *Location:* {location}',
+    category: '📂 *Category:* {category}',
+    seller: '👤 *Seller:* {name}',
+    seller_rating: '⭐ *Seller rating:* {rating}',
+    what_next: 'What would you like to do with this product?',
+    seller_fallback: 'Seller',
+    error: 'I\'m having trouble retrieving product details right now. Please try again later.'
+  },
+
+  contact: {
+    title: '*Contact Seller*',
+    intro: 'You can contact the seller of *{title}* directly:',
+    name: '👤 *Name:* {name}',
+    whatsapp: '📱 *WhatsApp:* {phone}',
+    outro: 'Simply click the button below to start a chat with the seller. Remember to mention the product you\'re interested in!',
+    error: 'I\'m having trouble retrieving the seller\'s contact information right now. Please try again later.'
+  },
+
+  checkout: {
+    summary: '*Checkout Summary*',
+    price: '💰 *Price:* {price}',
+    escrow_fee: '🔒 *Escrow Fee:* {fee}',
+    total: '💵 *Total:* {total}',
+    pay_link: 'To pay, open this secure Fapshi link:\n{link}',
+    pay_prompt: '📲 We\'ve sent a payment request of {total} to your phone.\nApprove it with your Mobile Money / Orange Money PIN.',
+    after_paying: 'Once you\'ve paid, tap "Payment Sent" and we\'ll check it with Fapshi.',
+    reference: 'Order reference: *{reference}*',
+    escrow_note: 'Your payment will be held in escrow until you confirm receipt of the product.',
+    own_listing: 'This is your own listing, so you can\'t buy it. 🙂',
+    error: 'I\'m having trouble processing your checkout right now. Please try again later.',
+    already_paid: 'Your payment for order *{reference}* has already been received and is held in escrow, so the checkout can\'t be cancelled.\n\nIf there\'s a problem with your order, contact support.',
+    cancelled: 'Checkout cancelled. No payment has been taken.\n\nWhat would you like to do now?',
+    cancel_error: 'I\'m having trouble cancelling your checkout right now. Please try again later.'
+  },
+
+  payment: {
+    no_checkout: 'I couldn\'t find a checkout in progress. Choose a product and tap "Buy Now" to start one.',
+    pending: '⏳ We haven\'t received your payment of {total} yet{status}.\n\nPlease approve the payment request on your phone, then tap "Payment Sent" again. If you didn\'t get the request, tap "Retry Payment".',
+    pending_status: ' (status: {status})',
+    failed: '❌ Your payment for order *{reference}* failed or expired. No money was taken.\n\nTap "Retry Payment" to try again.',
+    your_order: 'your order',
+    confirmed_title: '*Payment Confirmation*',
+    confirmed_thanks: 'Thank you for your payment for *{title}*!',
+    confirmed_held: 'Your payment of {total} has been received and is held in escrow.',
+    next_steps: '*Next Steps:*\n1. We\'ve notified the seller about your purchase\n2. The seller will contact you to arrange delivery\n3. Once you receive the product, reply with "Received" to release payment',
+    reference: 'Your order reference is: *{reference}*\nPlease keep this reference for tracking your order.',
+    error: 'I\'m having trouble confirming your payment right now. Please try again later or contact support.',
+    received: '✅ *Payment received*\n\nWe received {total} for *{title}*.\nYour money is held in escrow until you confirm you\'ve received the item.\n\nOrder reference: *{reference}*',
+    new_order: '🛒 *New order*\n\nA buyer has paid for *{title}* ({price}).\nThe payment is held in escrow and will be released to you once the buyer confirms delivery.\n\nBuyer: {buyer}\nOrder reference: *{reference}*',
+    failed_notice: '❌ Your payment for *{title}* failed. No money was taken.\n\nYou can start a new checkout from the product page at any time.',
+    expired_notice: '❌ Your payment for *{title}* expired. No money was taken.\n\nYou can start a new checkout from the product page at any time.',
+    underpaid: '⚠️ *Payment incomplete*\n\nWe received {received} for *{title}*, but the total is {total}. Your order is on hold and our team will contact you to refund or complete it.\n\nOrder reference: *{reference}*'
+  },
+
+  orders: {
+    none: 'You don\'t have any open orders. Orders you pay for show up here until they\'re complete.',
+    title: '📦 *Your Orders* ({count} open)',
+    reference: 'Order reference: {reference}',
+    states: {
+      pending: '⏳ Waiting for your payment',
+      underpaid: '⚠️ Payment incomplete: on hold until our team contacts you',
+      funded: '🔒 Paid: your money is held in escrow until you confirm delivery',
+      shipped: '🚚 Shipped: confirm delivery once you have the item',
+      delivered: '📬 Delivered: please confirm you received it',
+      disputed: '⚠️ In dispute: our team is reviewing it'
+    },
+    error: 'I\'m having trouble loading your orders right now. Please try again later or contact support.'
+  },
+
+  delivery: {
+    none: 'You don\'t have any orders waiting for delivery confirmation.',
+    which: 'You have {count} orders waiting for delivery. Which one did you receive?',
+    which_one: 'Is this the order you received? Tap it to confirm.',
+    order: 'Order',
+    reply_received: 'Reply: Received {reference}',
+    confirmed: '✅ *Delivery Confirmed*\n\nThanks for confirming you received *{title}*. We\'ve released the payment to {seller}.\n\nHow would you rate your experience with the seller?',
+    confirm_prompt: '📦 Did you receive *{title}* in good condition?\n\nIf you answer yes, we\'ll release {total} to {seller}. This can\'t be undone, so only confirm once you have the item and it\'s as described.',
+    kept: 'No problem, your payment stays in escrow. Confirm delivery once you have the item, or open a dispute if there\'s a problem with it.',
+    the_seller: 'the seller',
+    error: 'I\'m having trouble confirming your delivery right now. Please try again later or contact support.'
+  },
+
+  release: {
+    seller: '💰 *Payment released*\n\n{reason} for *{title}*.\n{payout}\n\nOrder reference: *{reference}*',
+    reasons: {
+      buyer_confirmed: 'The buyer confirmed receipt',
+      window_ended: 'The inspection window has ended'
+    },
+    your_item: 'your item',
+    payout_sent: '{amount} has been sent to your mobile money account.',
+    payout_processing: 'Your payout of {amount} is being processed; our team will follow up if there\'s a problem.',
+    buyer_window_ended: '⏱️ The inspection window for *{title}* has ended, so we\'ve released the payment to the seller.\n\nHow would you rate your experience with the seller?'
+  },
+
+  dispute: {
+    none: 'You don\'t have any paid orders that can be disputed. Disputes are possible until the payment has been released to the seller.',
+    which: 'You have {count} open orders. Which one is the problem with?',
+    reply_dispute: 'Reply: Dispute {reference}',
+    opened: '⚠️ *Dispute Opened*\n\nWe\'ve frozen the payment for *{title}* while we look into it. The seller won\'t be paid until the dispute is resolved.\n\nPlease send photos of the item and describe the problem. Tap *Done* when you\'ve sent everything.',
+    open_error: 'I\'m having trouble opening your dispute right now. Please try again later or contact support.',
+    photo_added: '📎 Photo added to your dispute. Send more, or tap *Done* when you\'ve sent everything.',
+    details_added: '📎 Details added to your dispute. Send more, or tap *Done* when you\'ve sent everything.',
+    evidence_error: 'I couldn\'t save that to your dispute. Please send it again.',
+    submitted: '✅ *Dispute Submitted*\n\nThanks, our team will review your case{evidence}. The payment stays frozen until then, and we\'ll message you and the seller with the outcome.\n\nDispute reference: *{reference}*',
+    submitted_evidence: ' and the evidence you sent',
+    submit_error: 'I\'m having trouble submitting your dispute right now. Please try again.',
+    seller_opened: '⚠️ *Dispute opened*\n\nThe buyer of *{title}* has opened a dispute:\n"{reason}"\n\nThe payment is frozen in escrow until our team reviews the case. We\'ll keep you updated.\n\nOrder reference: *{reference}*',
+    seller_evidence: {
+      one: '📎 The buyer has submitted {count} piece of evidence for the dispute on order *{reference}*. Our team will now review the case.',
+      other: '📎 The buyer has submitted {count} pieces of evidence for the dispute on order *{reference}*. Our team will now review the case.'
+    },
+    under_review: '🔎 Our team is now reviewing the dispute on order *{reference}*. We may contact you for more details.',
+    resolved: '⚖️ *Dispute resolved*\n\nOrder *{reference}*: {outcome}{notes}',
+    resolved_notes: '\n\nNote from our team: {notes}',
+    outcomes: {
+      refund: {
+        buyer: 'You\'ll receive a full refund of {buyerAmount}.',
+        seller: 'The payment has been refunded to the buyer.'
+      },
+      release: {
+        buyer: 'The payment has been released to the seller.',
+        seller: '{sellerAmount} is being sent to your mobile money account.'
+      },
+      split: {
+        buyer: 'You\'ll receive {buyerAmount} back; the rest goes to the seller.',
+        seller: 'You\'ll receive {sellerAmount}; the rest is refunded to the buyer.'
+      }
+    }
+  },
+
+  rating: {
+    reputation: {
+      one: '{average}/5 ({count} rating)',
+      other: '{average}/5 ({count} ratings)'
+    },
+    no_ratings: 'No ratings yet',
+    submitted: '*Rating Submitted*\n\nThank you for rating your experience with *{seller}* for the purchase of *{title}*!\n\n{stars}\n\nWould you like to add a comment for other buyers? Type it now, or tap *Skip*.',
+    stars: {
+      one: 'You gave the seller {count} star.',
+      other: 'You gave the seller {count} stars.'
+    },
+    duplicate: 'You\'ve already rated this order. Thanks for your feedback!',
+    not_found: 'I couldn\'t find a completed order to rate. You can rate a seller once your order is complete.',
+    error: 'I\'m having trouble submitting your rating right now. Please try again later.',
+    nothing_to_rate: 'There\'s no order waiting for your rating right now.',
+    ask: 'Please rate your experience with the seller from 1 to 5 stars.',
+    comment_saved: '💬 Thanks, your comment has been saved.',
+    feedback_helps: 'Your feedback helps other buyers make informed decisions and helps sellers improve their service.',
+    comment_error: 'I couldn\'t save your comment, but your rating was recorded. Thanks for your feedback!'
+  },
+
+  alerts: {
+    saved: '🔔 *Alert Saved*\n\nI\'ll message you when a listing for {alert} is posted.\n\nActive alerts: {active}/{limit}. Alerts expire on {expires}.\nSend *!alerts* to see or stop your alerts.',
+    what: 'What should I alert you about? For example: "alert me when an iPhone under 200k is posted in Douala".',
+    limit: {
+      one: 'You\'ve reached your limit of {count} active alert.\n\nStop an alert with *!alerts stop <number>*, or upgrade to Premium for more alerts.',
+      other: 'You\'ve reached your limit of {count} active alerts.\n\nStop an alert with *!alerts stop <number>*, or upgrade to Premium for more alerts.'
+    },
+    save_error: 'I\'m having trouble saving your alert right now. Please try again later.',
+    stopped_one: '🔕 Stopped your alert for {alert}.',
+    stopped_many: '🔕 Stopped {count} alerts.',
+    none: 'You don\'t have any active alerts.\n\nTo create one, say something like "alert me when a fridge is posted in Yaoundé".',
+    which_to_stop: 'Which alert should I stop?',
+    list_title: '🔔 *Your Alerts*',
+    stop_hint: 'To stop one, send *!alerts stop <number>*, or *!alerts stop all*.',
+    error: 'I\'m having trouble with your alerts right now. Please try again later.',
+    unknown_command: '❌ Unknown alerts command. Available commands:\n\n!alerts - List your active alerts\n!alerts stop [number] - Stop an alert\n!alerts stop all - Stop all your alerts\n\nTo create an alert, say something like "alert me when an iPhone under 200k is posted in Douala".',
+    between: ' between {min} and {max}',
+    digest_title: '🔔 *New listings for your alerts*',
+    digest_alert: '🔎 Alert: {query}',
+    digest_more: '...and {count} more. Search to see them all.',
+    digest_stop_hint: 'To stop an alert, send *!alerts stop <number>* (see *!alerts* for the list).',
+    expired: '⏰ Your alert for {alert} has expired.\n\nTo keep watching, just ask again, e.g. "alert me when {query} is posted".'
+  },
+
+  registration: {
+    cancelled: 'Group registration canceled. How else can I help you today?',
+    start: 'Let\'s register your WhatsApp group for marketplace monitoring! 📋\n\nWhat\'s the name of your group?\n\nType \'cancel\' at any time to stop the registration process.',
+    ask_link: 'Great! Now please send me the invite link for your group "{group}".\n\nYou can get this by:\n1. Opening your WhatsApp group\n2. Tapping the group name at the top\n3. Scrolling down to \'Invite to Group via Link\'\n4. Copying and sending the link here',
+    invalid_link: 'That doesn\'t look like a valid WhatsApp group invite link. Please send a link in the format \'https://chat.whatsapp.com/ABCDEF123456\'.',
+    already_registered: 'This group is already registered for marketplace monitoring! No need to register it again.',
+    ask_category: 'Perfect! Now please select a category for your marketplace group:',
+    invite_revoked: '❌ That invite link has been revoked or no longer works. Please ask a group admin for a new one (group info › Invite via link) and send it here.',
+    not_admin: '❌ Only an admin of a group can register it, and you aren\'t an admin of that one. Please ask one of its admins to register it.',
+    bot_unavailable: '❌ Our group bot isn\'t connected to WhatsApp right now, so it can\'t join your group. Please try again later.',
+    success: '✅ Success! The bot has joined "{group}" and is now monitoring it as a {category} marketplace.\n\nListings posted in the group will show up in search, including recent ones from before the bot joined.',
+    error: '❌ Sorry, there was an error registering your group. Please try again later.'
+  },
+
+  subscription: {
+    unknown_command: '❌ Unknown subscription command. Available commands:\n\n!subscription plans - View available subscription plans\n!subscription subscribe [plan_number] - Subscribe to a plan\n!subscription status - Check your current subscription status',
+    no_plans: '❌ No subscription plans are currently available.',
+    plans_title: '*Available Subscription Plans*',
+    no_features: 'No features listed',
+    plan: '*{number}. {name}*\nPrice: {price}\nDuration: {days} days\nFeatures:\n{features}',
+    plans_footer: 'To subscribe, send:\n!subscription subscribe [plan_number]\nFor example: !subscription subscribe 1',
+    plans_error: '❌ Failed to fetch subscription plans. Please try again later.',
+    missing_plan: '❌ Please specify a plan number. For example: !subscription subscribe 1\n\nTo see available plans, send: !subscription plans',
+    invalid_plan: '❌ Invalid plan number. Please enter a valid number.',
+    plan_out_of_range: '❌ Invalid plan number. Available plans are 1-{count}.',
+    payment: '*{name} Subscription*\n\nPrice: {price}\nDuration: {days} days\n\nTo complete your subscription, please make a payment using this link:\n{link}\n\nYour subscription will be activated immediately after payment.',
+    subscribe_error: '❌ Failed to process subscription request. Please try again later.',
+    none: '*Subscription Status*\n\nYou do not have an active subscription.\n\nTo view available subscription plans, send: !subscription plans',
+    status: '*Subscription Status*\n\nPlan: {plan}\nStatus: Active\nExpires: {expires}\nDays remaining: {days}\n\nTo renew your subscription, send: !subscription plans',
+    status_error: '❌ Failed to fetch subscription status. Please try again later.',
+    activated: '✅ Your *{plan}* subscription is now active until {expires}.\n\nSend !subscription status at any time to check it.',
+    payment_failed: '❌ Your subscription payment did not go through. Send !subscription plans to try again.'
+  },
+
+  boost: {
+    unknown_command: '❌ Unknown boost command. Available commands:\n\n!boost packages - View available boost packages\n!boost boost [listing_id] [package_number] - Boost a listing\n!boost status [listing_id] - Check boost status for a listing\n!boost listings - View your listings',
+    info: '*Boost Your Listings*\n\nMake your listings stand out and get more visibility with our boosting packages!\n\nAvailable commands:\n!boost packages - View available boost packages\n!boost boost [listing_id] [package_number] - Boost a listing\n!boost status [listing_id] - Check boost status for a listing\n!boost listings - View your listings',
+    no_packages: '❌ No boost packages are currently available.',
+    packages_title: '*Available Boost Packages*',
+    days: {
+      one: '{count} day',
+      other: '{count} days'
+    },
+    package: '*{number}. {name}*\nPrice: {price}\nDuration: {duration}\nPriority Level: {priority}\n{description}',
+    packages_footer: 'To boost a listing, send:\n!boost boost [listing_id] [package_number]\nFor example: !boost boost abc123 1\n\nTo see your listings, send: !boost listings',
+    packages_error: '❌ Failed to fetch boost packages. Please try again later.',
+    missing_args: '❌ Please specify both listing ID and package number.\nFor example: !boost boost abc123 1\n\nTo see your listings, send: !boost listings\nTo see available packages, send: !boost packages',
+    invalid_package: '❌ Invalid package number. Please enter a valid number.',
+    not_yours: '❌ Listing not found or you do not have permission to boost it.\n\nTo see your listings, send: !boost listings',
+    already_boosted: '❌ This listing is already boosted.\n\nCurrent boost: {name}\nExpires: {expires}',
+    package_out_of_range: '❌ Invalid package number. Available packages are 1-{count}.',
+    payment: '*Boost Your Listing*\n\nListing: {title}\nPackage: {name}\nPrice: {price}\nDuration: {duration}\n\nTo complete your boost, please make a payment using this link:\n{link}\n\nYour listing will be boosted immediately after payment.',
+    boost_error: '❌ Failed to process boost request. Please try again later.',
+    missing_listing: '❌ Please specify a listing ID.\nFor example: !boost status abc123\n\nTo see your listings, send: !boost listings',
+    not_yours_status: '❌ Listing not found or you do not have permission to view its boost status.\n\nTo see your listings, send: !boost listings',
+    not_boosted: '*Boost Status*\n\nListing: {title}\nStatus: Not boosted\n\nTo boost this listing, send: !boost boost {id} [package_number]\nTo see available packages, send: !boost packages',
+    status: '*Boost Status*\n\nListing: {title}\nPackage: {name}\nStatus: Active\nExpires: {expires}\nHours remaining: {hours}\n\nYour listing is currently boosted and receiving increased visibility!',
+    status_error: '❌ Failed to fetch boost status. Please try again later.',
+    no_listings: '❌ You do not have any listings.\n\nTo create a listing, post it in a registered marketplace group.',
+    listings_title: '*Your Listings*',
+    listing: '*{number}. {title}*\nID: {id}\nPrice: {price}\nStatus: {status}',
+    boosted: '🚀 Boosted',
+    regular: 'Regular',
+    listings_footer: 'To boost a listing, send:\n!boost boost [listing_id] [package_number]\nFor example: !boost boost {id} 1\n\nTo see available packages, send: !boost packages',
+    listings_error: '❌ Failed to fetch your listings. Please try again later.',
+    activated: '🚀 Your *{name}* is active! Your listing will appear at the top of search results until {expires}.',
+    payment_failed: '❌ Your boost payment did not go through. Send !boost packages to try again.'
+  },
+
+  fapshi: {
+    checkout_usage: 'Usage: !fapshi checkout <amount> <phone> <cartId>',
+    checkout_link: 'Pay here: {link}\n\nAfter payment, you will be notified automatically here on WhatsApp.\n\n*Note: Payment status is only available via webhook notification, not on-demand.*',
+    checkout_failed: 'Failed to generate checkout link.',
+    directpay_usage: 'Usage: !fapshi directpay <amount> <phone> <name> <email>',
+    directpay_started: 'Direct payment initiated! Transaction ID: {reference}\n\nYou will be notified automatically here on WhatsApp when payment is confirmed.',
+    directpay_failed: 'Failed to initiate direct payment.',
+    usage: 'Usage: !fapshi <checkout|directpay> ...',
+    error: 'Fapshi error: {message}',
+    payment_received: '✅ Payment received for order {reference}. Thank you!',
+    payment_failed: '❌ Your payment for order {reference} did not go through. Please try again.'
+  }
+};
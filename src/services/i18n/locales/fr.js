@@ -0,0 +1,397 @@
+/**
+ * French messages
+ */
+
+module.exports = {
+  language: {
+    name: 'Français',
+    changed: '✅ Langue réglée sur le français.',
+    current: '🌐 Votre langue est le français.\n\nPour la changer, envoyez :\n!lang fr - Français\n!lang en - English\n!lang pcm - Pidgin',
+    unknown: '❌ Je ne connais pas cette langue. Envoyez *!lang fr*, *!lang en* ou *!lang pcm*.',
+    error: 'Impossible de changer votre langue pour le moment. Veuillez réessayer plus tard.'
+  },
+
+  buttons: {
+    search_products: '🔍 Chercher',
+    search_again: '🔍 Nouvelle recherche',
+    search_example: '🔍 Exemple',
+    new_search: '🔍 Nouvelle recherche',
+    refine_search: '🔍 Affiner',
+    shop_more: '🔍 Continuer achats',
+    back_to_search: '🔙 Retour résultats',
+    back_to_product: '🔙 Retour au produit',
+    more_results: '➡️ Plus de résultats',
+    cheapest_first: '💲 Moins cher',
+    newest_first: '🆕 Plus récents',
+    nearest_first: '📍 Plus proches',
+    browse_categories: '📂 Catégories',
+    help: '❓ Aide',
+    try_again: '🔄 Réessayer',
+    buy_now: '💳 Acheter',
+    contact_seller: '💬 Contacter vendeur',
+    chat_with_seller: '💬 Écrire au vendeur',
+    payment_sent: '✅ Paiement envoyé',
+    retry_payment: '🔄 Repayer',
+    cancel: '❌ Annuler',
+    track_order: '📦 Suivre commande',
+    contact_support: '👨‍💼 Support',
+    my_orders: '🛍️ Mes commandes',
+    done: '✅ Terminé',
+    skip: '⏭️ Passer',
+    my_alerts: '🔔 Mes alertes',
+    premium: '⭐ Premium',
+    register_group: '📋 Inscrire groupe',
+    cancel_registration: 'Annuler',
+    yes_received: '✅ Oui, verser le paiement',
+    not_yet: '❌ Non, pas encore',
+    confirm_delivery: '✅ Confirmer livraison'
+  },
+
+  lists: {
+    options: 'Options',
+    results: 'Résultats',
+    view_results: '📋 Voir résultats',
+    categories: 'Catégories',
+    categories_button: '📂 Catégories',
+    choose_category: '📂 Choisir catégorie',
+    choose_option: 'Choisir une option',
+    choose_below: 'Choisissez une option ci-dessous :'
+  },
+
+  categories: {
+    electronics: { name: 'Électronique', description: 'Téléphones, ordinateurs, télés et accessoires' },
+    fashion: { name: 'Mode', description: 'Vêtements, chaussures, sacs et montres' },
+    real_estate: { name: 'Immobilier', description: 'Maisons, appartements, terrains et chambres' },
+    vehicles: { name: 'Véhicules', description: 'Voitures, motos et pièces détachées' },
+    general: { name: 'Divers', description: 'Tout le reste' },
+    picker_title: '📂 *Parcourir les catégories*',
+    picker_footer: 'Choisissez une catégorie pour voir ses dernières annonces, ou dites-moi simplement ce que vous cherchez.',
+    error: 'Je n\'arrive pas à charger cette catégorie pour le moment. Veuillez réessayer plus tard.',
+    stop_registering: 'Arrêter l\'inscription du groupe'
+  },
+
+  general: {
+    welcome: '👋 Bienvenue sur WhatsApp Marketplace !\n\nVous pouvez :\n• Chercher des produits\n• Voir vos commandes\n• Noter les vendeurs\n• Obtenir de l\'aide\n• Souscrire aux fonctions premium\n• Booster vos annonces\n\nQue voulez-vous faire ?',
+    not_sure: 'Je ne suis pas sûr de ce que vous cherchez. Comment puis-je vous aider ?',
+    unknown_response: 'Je ne sais pas comment répondre à cela. Comment puis-je vous aider ?',
+    help: '📚 **Aide WhatsApp Marketplace**\n\nVoici comment utiliser notre service :\n\n• **Recherche** : écrivez simplement ce que vous cherchez, par ex. « télé moins de 100k à Douala »\n\n• **Commandes** : écrivez « mes commandes » pour voir vos achats\n\n• **Noter les vendeurs** : après un achat, vous pouvez noter le vendeur\n\n• **Support** : écrivez « support » pour obtenir l\'aide de notre équipe\n\n• **Langue** : envoyez *!lang fr*, *!lang en* ou *!lang pcm* pour changer de langue\n\nQue voulez-vous faire ?',
+    search_cancelled: 'Recherche annulée. Que voulez-vous faire maintenant ?',
+    error: 'Désolé, je n\'arrive pas à traiter votre demande pour le moment. Veuillez réessayer plus tard.',
+    text_only: 'Désolé, je ne peux traiter que les messages texte pour le moment. Veuillez envoyer votre demande par écrit.',
+    no_response: 'Désolé, je n\'ai pas pu générer de réponse.'
+  },
+
+  voice: {
+    unavailable: 'Désolé, je ne peux pas encore écouter les messages vocaux. Veuillez écrire votre message.',
+    not_understood: 'Désolé, je n\'ai pas compris votre message vocal. Réessayez dans un endroit plus calme, ou écrivez votre message.',
+    heard: '🎤 J\'ai compris : « {transcript} »\n_Ce n\'est pas ce que vous avez dit ? Écrivez-le simplement._'
+  },
+
+  search: {
+    matching: ' pour « {query} »',
+    for: ' pour « {query} »',
+    in_category: ' dans la catégorie « {category} »',
+    in_location: ' à {location}',
+    within: ' à moins de {radius} km de {place}',
+    your_location: 'votre position',
+    above: ' au-dessus de {price}',
+    below: ' en dessous de {price}',
+    sort_labels: {
+      price_asc: 'les moins chers d\'abord',
+      price_desc: 'les plus chers d\'abord',
+      newest: 'les plus récents d\'abord',
+      distance: 'les plus proches d\'abord'
+    },
+    no_more: 'C\'est tout : il n\'y a plus de produits{description}.\n\nEssayez une autre recherche pour voir d\'autres produits.',
+    no_results: 'Désolé, je n\'ai trouvé aucun produit{description}.\n\nEssayez une autre recherche ou parcourez nos catégories.',
+    more_header: 'Plus de produits{description} ({from}-{to}) :',
+    header: 'Voici les produits{description} :',
+    header_sorted: 'Voici les produits{description}, {sort} :',
+    reply_to_view: 'Répondez « {number} » ou « Produit #{number} » pour voir les détails.',
+    reply_more: 'Répondez « suivant » pour voir plus de résultats.',
+    sort_hint: 'Triez avec « moins cher », « plus cher » ou « plus récents ».',
+    sort_hint_nearby: 'Triez avec « moins cher », « plus cher », « plus récents » ou « plus proches ».',
+    refine_hint: 'Pour affiner votre recherche, vous pouvez préciser :\n• Le lieu (ex. « à Douala »)\n• Le prix (ex. « moins de 50 000 FCFA »)\n• La catégorie (ex. « électronique »)',
+    distance_away: 'à {distance} km',
+    distance_close: 'à moins d\'1 km',
+    error: 'Je n\'arrive pas à chercher des produits pour le moment. Veuillez réessayer plus tard.',
+    error_refine: 'Je n\'arrive pas à chercher des produits pour le moment. Veuillez réessayer plus tard ou affiner votre recherche.',
+    more_error: 'Je n\'arrive pas à charger plus de résultats pour le moment. Veuillez réessayer plus tard.',
+    sort_error: 'Je n\'arrive pas à trier les résultats pour le moment. Veuillez réessayer plus tard.'
+  },
+
+  photo: {
+    not_understood: '📷 Je n\'ai pas compris ce que vous cherchez sur cette photo.\n\nRenvoyez-la avec une courte légende (ex. « baskets noires pointure 42 »), ou écrivez simplement ce que vous voulez.',
+    looks_like: 'On dirait : {query}',
+    from_caption: '📷 Recherche de « {query} » d\'après votre légende.',
+    error: 'Je n\'arrive pas à chercher avec votre photo pour le moment. Décrivez ce que vous cherchez par écrit.'
+  },
+
+  location: {
+    near: ' près de {place}',
+    near_you: ' près de vous',
+    ask_query: '📍 Position reçue. Je chercherai des produits{where}.\n\nQue cherchez-vous ? (ex. « frigo » ou « téléphone moins de 100 000 FCFA »)',
+    showing: '📍 Position reçue. Voici les résultats{where}.',
+    error: 'Je n\'arrive pas à utiliser votre position pour le moment. Indiquez plutôt votre quartier (ex. « à Bonamoussadi »).'
+  },
+
+  product: {
+    not_found: 'Désolé, je n\'ai pas trouvé ce produit. Il a peut-être été vendu ou retiré.',
+    price: '💰 *Prix :* {price}',
+    location: '📍 *Lieu :* {location}',
+    category: '📂 *Catégorie :* {category}',
+    seller: '👤 *Vendeur :* {name}',
+    seller_rating: '⭐ *Note du vendeur :* {rating}',
+    what_next: 'Que voulez-vous faire avec ce produit ?',
+    seller_fallback: 'Vendeur',
+    error: 'Je n\'arrive pas à récupérer les détails du produit pour le moment. Veuillez réessayer plus tard.'
+  },
+
+  contact: {
+    title: '*Contacter le vendeur*',
+    intro: 'Vous pouvez contacter directement le vendeur de *{title}* :',
+    name: '👤 *Nom :* {name}',
+    whatsapp: '📱 *WhatsApp :* {phone}',
+    outro: 'Appuyez sur le bouton ci-dessous pour discuter avec le vendeur. Pensez à mentionner le produit qui vous intéresse !',
+    error: 'Je n\'arrive pas à récupérer les coordonnées du vendeur pour le moment. Veuillez réessayer plus tard.'
+  },
+
+  checkout: {
+    summary: '*Récapitulatif de la commande*',
+    price: '💰 *Prix :* {price}',
+    escrow_fee: '🔒 *Frais de séquestre :* {fee}',
+    total: '💵 *Total :* {total}',
+    pay_link: 'Pour payer, ouvrez ce lien Fapshi sécurisé :\n{link}',
+    pay_prompt: '📲 Nous avons envoyé une demande de paiement de {total} sur votre téléphone.\nValidez-la avec votre code Mobile Money / Orange Money.',
+    after_paying: 'Une fois payé, appuyez sur « Paiement envoyé » et nous vérifierons auprès de Fapshi.',
+    reference: 'Référence de commande : *{reference}*',
+    escrow_note: 'Votre paiement est conservé sous séquestre jusqu\'à ce que vous confirmiez avoir reçu le produit.',
+    own_listing: 'C\'est votre propre annonce, vous ne pouvez donc pas l\'acheter. 🙂',
+    error: 'Je n\'arrive pas à traiter votre commande pour le moment. Veuillez réessayer plus tard.',
+    already_paid: 'Votre paiement pour la commande *{reference}* a déjà été reçu et est conservé sous séquestre, la commande ne peut donc pas être annulée.\n\nEn cas de problème avec votre commande, contactez le support.',
+    cancelled: 'Commande annulée. Aucun paiement n\'a été prélevé.\n\nQue voulez-vous faire maintenant ?',
+    cancel_error: 'Je n\'arrive pas à annuler votre commande pour le moment. Veuillez réessayer plus tard.'
+  },
+
+  payment: {
+    no_checkout: 'Je n\'ai trouvé aucune commande en cours. Choisissez un produit et appuyez sur « Acheter » pour en commencer une.',
+    pending: '⏳ Nous n\'avons pas encore reçu votre paiement de {total}{status}.\n\nValidez la demande de paiement sur votre téléphone, puis appuyez à nouveau sur « Paiement envoyé ». Si vous n\'avez pas reçu la demande, appuyez sur « Repayer ».',
+    pending_status: ' (statut : {status})',
+    failed: '❌ Votre paiement pour la commande *{reference}* a échoué ou expiré. Aucun argent n\'a été prélevé.\n\nAppuyez sur « Repayer » pour réessayer.',
+    your_order: 'votre commande',
+    confirmed_title: '*Confirmation de paiement*',
+    confirmed_thanks: 'Merci pour votre paiement pour *{title}* !',
+    confirmed_held: 'Votre paiement de {total} a été reçu et est conservé sous séquestre.',
+    next_steps: '*Prochaines étapes :*\n1. Nous avons informé le vendeur de votre achat\n2. Le vendeur vous contactera pour organiser la livraison\n3. Dès réception du produit, répondez « Reçu » pour libérer le paiement',
+    reference: 'Votre référence de commande est : *{reference}*\nGardez-la pour suivre votre commande.',
+    error: 'Je n\'arrive pas à confirmer votre paiement pour le moment. Veuillez réessayer plus tard ou contacter le support.',
+    received: '✅ *Paiement reçu*\n\nNous avons reçu {total} pour *{title}*.\nVotre argent est conservé sous séquestre jusqu\'à ce que vous confirmiez avoir reçu l\'article.\n\nRéférence de commande : *{reference}*',
+    new_order: '🛒 *Nouvelle commande*\n\nUn acheteur a payé *{title}* ({price}).\nLe paiement est conservé sous séquestre et vous sera versé dès que l\'acheteur confirmera la livraison.\n\nAcheteur : {buyer}\nRéférence de commande : *{reference}*',
+    failed_notice: '❌ Votre paiement pour *{title}* a échoué. Aucun montant n\'a été débité.\n\nVous pouvez relancer un achat depuis la fiche du produit à tout moment.',
+    expired_notice: '❌ Votre paiement pour *{title}* a expiré. Aucun montant n\'a été débité.\n\nVous pouvez relancer un achat depuis la fiche du produit à tout moment.',
+    underpaid: '⚠️ *Paiement incomplet*\n\nNous avons reçu {received} pour *{title}*, mais le total est de {total}. Votre commande est en attente et notre équipe vous contactera pour la rembourser ou la compléter.\n\nRéférence de commande : *{reference}*'
+  },
+
+  orders: {
+    none: 'Vous n\'avez aucune commande en cours. Les commandes que vous payez apparaissent ici jusqu\'à ce qu\'elles soient terminées.',
+    title: '📦 *Vos commandes* ({count} en cours)',
+    reference: 'Référence de commande : {reference}',
+    states: {
+      pending: '⏳ En attente de votre paiement',
+      underpaid: '⚠️ Paiement incomplet : en attente jusqu\'à ce que notre équipe vous contacte',
+      funded: '🔒 Payée : votre argent est bloqué en séquestre jusqu\'à ce que vous confirmiez la livraison',
+      shipped: '🚚 Expédiée : confirmez la livraison dès que vous avez l\'article',
+      delivered: '📬 Livrée : veuillez confirmer que vous l\'avez reçue',
+      disputed: '⚠️ En litige : notre équipe l\'examine'
+    },
+    error: 'Je n\'arrive pas à charger vos commandes pour le moment. Veuillez réessayer plus tard ou contacter le support.'
+  },
+
+  delivery: {
+    none: 'Vous n\'avez aucune commande en attente de confirmation de livraison.',
+    which: 'Vous avez {count} commandes en attente de livraison. Laquelle avez-vous reçue ?',
+    which_one: 'Est-ce bien la commande que vous avez reçue ? Appuyez dessus pour confirmer.',
+    order: 'Commande',
+    reply_received: 'Répondez : Reçu {reference}',
+    confirmed: '✅ *Livraison confirmée*\n\nMerci d\'avoir confirmé la réception de *{title}*. Nous avons versé le paiement à {seller}.\n\nComment noteriez-vous votre expérience avec le vendeur ?',
+    confirm_prompt: '📦 Avez-vous reçu *{title}* en bon état ?\n\nSi vous répondez oui, nous verserons {total} à {seller}. C\'est définitif : ne confirmez qu\'une fois l\'article en main et conforme à la description.',
+    kept: 'Pas de souci, votre paiement reste bloqué. Confirmez la livraison une fois l\'article reçu, ou ouvrez un litige en cas de problème.',
+    the_seller: 'le vendeur',
+    error: 'Je n\'arrive pas à confirmer votre livraison pour le moment. Veuillez réessayer plus tard ou contacter le support.'
+  },
+
+  release: {
+    seller: '💰 *Paiement versé*\n\n{reason} pour *{title}*.\n{payout}\n\nRéférence de commande : *{reference}*',
+    reasons: {
+      buyer_confirmed: 'L\'acheteur a confirmé la réception',
+      window_ended: 'Le délai d\'inspection est terminé'
+    },
+    your_item: 'votre article',
+    payout_sent: '{amount} a été envoyé sur votre compte mobile money.',
+    payout_processing: 'Votre versement de {amount} est en cours ; notre équipe reviendra vers vous en cas de problème.',
+    buyer_window_ended: '⏱️ Le délai d\'inspection pour *{title}* est terminé, nous avons donc versé le paiement au vendeur.\n\nComment évalueriez-vous votre expérience avec le vendeur ?'
+  },
+
+  dispute: {
+    none: 'Vous n\'avez aucune commande payée pouvant faire l\'objet d\'un litige. Un litige est possible tant que le paiement n\'a pas été versé au vendeur.',
+    which: 'Vous avez {count} commandes en cours. Laquelle pose problème ?',
+    reply_dispute: 'Répondez : Litige {reference}',
+    opened: '⚠️ *Litige ouvert*\n\nNous avons bloqué le paiement pour *{title}* le temps d\'examiner la situation. Le vendeur ne sera pas payé avant la résolution du litige.\n\nEnvoyez des photos de l\'article et décrivez le problème. Appuyez sur *Terminé* quand vous avez tout envoyé.',
+    open_error: 'Je n\'arrive pas à ouvrir votre litige pour le moment. Veuillez réessayer plus tard ou contacter le support.',
+    photo_added: '📎 Photo ajoutée à votre litige. Envoyez-en d\'autres, ou appuyez sur *Terminé* quand vous avez tout envoyé.',
+    details_added: '📎 Détails ajoutés à votre litige. Envoyez-en d\'autres, ou appuyez sur *Terminé* quand vous avez tout envoyé.',
+    evidence_error: 'Je n\'ai pas pu ajouter cela à votre litige. Veuillez le renvoyer.',
+    submitted: '✅ *Litige soumis*\n\nMerci, notre équipe va examiner votre dossier{evidence}. Le paiement reste bloqué d\'ici là, et nous vous informerons, vous et le vendeur, de la décision.\n\nRéférence du litige : *{reference}*',
+    submitted_evidence: ' et les preuves envoyées',
+    submit_error: 'Je n\'arrive pas à soumettre votre litige pour le moment. Veuillez réessayer.',
+    seller_opened: '⚠️ *Litige ouvert*\n\nL\'acheteur de *{title}* a ouvert un litige :\n« {reason} »\n\nLe paiement est bloqué sous séquestre jusqu\'à ce que notre équipe examine le dossier. Nous vous tiendrons informé.\n\nRéférence de commande : *{reference}*',
+    seller_evidence: {
+      one: '📎 L\'acheteur a envoyé {count} preuve pour le litige sur la commande *{reference}*. Notre équipe va maintenant examiner le dossier.',
+      other: '📎 L\'acheteur a envoyé {count} preuves pour le litige sur la commande *{reference}*. Notre équipe va maintenant examiner le dossier.'
+    },
+    under_review: '🔎 Notre équipe examine maintenant le litige sur la commande *{reference}*. Nous pourrions vous contacter pour plus de détails.',
+    resolved: '⚖️ *Litige résolu*\n\nCommande *{reference}* : {outcome}{notes}',
+    resolved_notes: '\n\nNote de notre équipe : {notes}',
+    outcomes: {
+      refund: {
+        buyer: 'Vous serez remboursé intégralement de {buyerAmount}.',
+        seller: 'Le paiement a été remboursé à l\'acheteur.'
+      },
+      release: {
+        buyer: 'Le paiement a été versé au vendeur.',
+        seller: '{sellerAmount} est en cours d\'envoi sur votre compte mobile money.'
+      },
+      split: {
+        buyer: 'Vous recevrez {buyerAmount} ; le reste va au vendeur.',
+        seller: 'Vous recevrez {sellerAmount} ; le reste est remboursé à l\'acheteur.'
+      }
+    }
+  },
+
+  rating: {
+    reputation: {
+      one: '{average}/5 ({count} avis)',
+      other: '{average}/5 ({count} avis)'
+    },
+    no_ratings: 'Pas encore d\'avis',
+    submitted: '*Note enregistrée*\n\nMerci d\'avoir noté votre expérience avec *{seller}* pour l\'achat de *{title}* !\n\n{stars}\n\nVoulez-vous laisser un commentaire pour les autres acheteurs ? Écrivez-le maintenant, ou appuyez sur *Passer*.',
+    stars: {
+      one: 'Vous avez donné {count} étoile au vendeur.',
+      other: 'Vous avez donné {count} étoiles au vendeur.'
+    },
+    duplicate: 'Vous avez déjà noté cette commande. Merci pour votre avis !',
+    not_found: 'Je n\'ai trouvé aucune commande terminée à noter. Vous pourrez noter le vendeur une fois votre commande terminée.',
+    error: 'Je n\'arrive pas à enregistrer votre note pour le moment. Veuillez réessayer plus tard.',
+    nothing_to_rate: 'Aucune commande n\'attend votre note pour le moment.',
+    ask: 'Notez votre expérience avec le vendeur de 1 à 5 étoiles.',
+    comment_saved: '💬 Merci, votre commentaire a été enregistré.',
+    feedback_helps: 'Votre avis aide les autres acheteurs à bien choisir et les vendeurs à améliorer leur service.',
+    comment_error: 'Je n\'ai pas pu enregistrer votre commentaire, mais votre note a bien été prise en compte. Merci pour votre avis !'
+  },
+
+  alerts: {
+    saved: '🔔 *Alerte enregistrée*\n\nJe vous écrirai dès qu\'une annonce pour {alert} sera publiée.\n\nAlertes actives : {active}/{limit}. Les alertes expirent le {expires}.\nEnvoyez *!alerts* pour voir ou arrêter vos alertes.',
+    what: 'Pour quoi dois-je vous alerter ? Par exemple : « préviens-moi quand un iPhone à moins de 200k est publié à Douala ».',
+    limit: {
+      one: 'Vous avez atteint votre limite de {count} alerte active.\n\nArrêtez une alerte avec *!alerts stop <numéro>*, ou passez à Premium pour plus d\'alertes.',
+      other: 'Vous avez atteint votre limite de {count} alertes actives.\n\nArrêtez une alerte avec *!alerts stop <numéro>*, ou passez à Premium pour plus d\'alertes.'
+    },
+    save_error: 'Je n\'arrive pas à enregistrer votre alerte pour le moment. Veuillez réessayer plus tard.',
+    stopped_one: '🔕 Votre alerte pour {alert} est arrêtée.',
+    stopped_many: '🔕 {count} alertes arrêtées.',
+    none: 'Vous n\'avez aucune alerte active.\n\nPour en créer une, dites par exemple « préviens-moi quand un frigo est publié à Yaoundé ».',
+    which_to_stop: 'Quelle alerte dois-je arrêter ?',
+    list_title: '🔔 *Vos alertes*',
+    stop_hint: 'Pour en arrêter une, envoyez *!alerts stop <numéro>*, ou *!alerts stop all*.',
+    error: 'Je n\'arrive pas à gérer vos alertes pour le moment. Veuillez réessayer plus tard.',
+    unknown_command: '❌ Commande d\'alertes inconnue. Commandes disponibles :\n\n!alerts - Voir vos alertes actives\n!alerts stop [numéro] - Arrêter une alerte\n!alerts stop all - Arrêter toutes vos alertes\n\nPour créer une alerte, dites par exemple « préviens-moi quand un iPhone à moins de 200k est publié à Douala ».',
+    between: ' entre {min} et {max}',
+    digest_title: '🔔 *Nouvelles annonces pour vos alertes*',
+    digest_alert: '🔎 Alerte : {query}',
+    digest_more: '...et {count} de plus. Lancez une recherche pour toutes les voir.',
+    digest_stop_hint: 'Pour arrêter une alerte, envoyez *!alerts stop <numéro>* (voir *!alerts* pour la liste).',
+    expired: '⏰ Votre alerte pour {alert} a expiré.\n\nPour continuer à surveiller, redemandez simplement, par exemple « préviens-moi quand {query} est publié ».'
+  },
+
+  registration: {
+    cancelled: 'Inscription du groupe annulée. Comment puis-je vous aider ?',
+    start: 'Inscrivons votre groupe WhatsApp pour le suivi du marché ! 📋\n\nQuel est le nom de votre groupe ?\n\nÉcrivez « cancel » à tout moment pour arrêter l\'inscription.',
+    ask_link: 'Parfait ! Envoyez-moi maintenant le lien d\'invitation de votre groupe « {group} ».\n\nPour l\'obtenir :\n1. Ouvrez votre groupe WhatsApp\n2. Appuyez sur le nom du groupe en haut\n3. Descendez jusqu\'à « Inviter via un lien »\n4. Copiez le lien et envoyez-le ici',
+    invalid_link: 'Ce lien d\'invitation WhatsApp ne semble pas valide. Envoyez un lien au format « https://chat.whatsapp.com/ABCDEF123456 ».',
+    already_registered: 'Ce groupe est déjà inscrit pour le suivi du marché ! Inutile de l\'inscrire à nouveau.',
+    ask_category: 'Parfait ! Choisissez maintenant une catégorie pour votre groupe :',
+    invite_revoked: '❌ Ce lien d\'invitation a été révoqué ou ne fonctionne plus. Demandez-en un nouveau à un administrateur du groupe (infos du groupe › Inviter via un lien) et envoyez-le ici.',
+    not_admin: '❌ Seul un administrateur d\'un groupe peut l\'inscrire, et vous n\'êtes pas administrateur de ce groupe. Demandez à l\'un de ses administrateurs de l\'inscrire.',
+    bot_unavailable: '❌ Notre bot de groupe n\'est pas connecté à WhatsApp pour le moment, il ne peut donc pas rejoindre votre groupe. Veuillez réessayer plus tard.',
+    success: '✅ C\'est fait ! Le bot a rejoint « {group} » et le suit désormais comme marché {category}.\n\nLes annonces publiées dans le groupe apparaîtront dans la recherche, y compris les plus récentes publiées avant son arrivée.',
+    error: '❌ Désolé, une erreur est survenue lors de l\'inscription de votre groupe. Veuillez réessayer plus tard.'
+  },
+
+  subscription: {
+    unknown_command: '❌ Commande d\'abonnement inconnue. Commandes disponibles :\n\n!subscription plans - Voir les formules disponibles\n!subscription subscribe [numéro] - Souscrire à une formule\n!subscription status - Voir votre abonnement',
+    no_plans: '❌ Aucune formule d\'abonnement n\'est disponible pour le moment.',
+    plans_title: '*Formules d\'abonnement*',
+    no_features: 'Aucun avantage indiqué',
+    plan: '*{number}. {name}*\nPrix : {price}\nDurée : {days} jours\nAvantages :\n{features}',
+    plans_footer: 'Pour souscrire, envoyez :\n!subscription subscribe [numéro]\nPar exemple : !subscription subscribe 1',
+    plans_error: '❌ Impossible de récupérer les formules. Veuillez réessayer plus tard.',
+    missing_plan: '❌ Indiquez un numéro de formule. Par exemple : !subscription subscribe 1\n\nPour voir les formules, envoyez : !subscription plans',
+    invalid_plan: '❌ Numéro de formule invalide. Entrez un numéro valide.',
+    plan_out_of_range: '❌ Numéro de formule invalide. Les formules disponibles vont de 1 à {count}.',
+    payment: '*Abonnement {name}*\n\nPrix : {price}\nDurée : {days} jours\n\nPour finaliser votre abonnement, payez avec ce lien :\n{link}\n\nVotre abonnement sera activé dès réception du paiement.',
+    subscribe_error: '❌ Impossible de traiter votre demande d\'abonnement. Veuillez réessayer plus tard.',
+    none: '*Statut de l\'abonnement*\n\nVous n\'avez pas d\'abonnement actif.\n\nPour voir les formules, envoyez : !subscription plans',
+    status: '*Statut de l\'abonnement*\n\nFormule : {plan}\nStatut : actif\nExpire le : {expires}\nJours restants : {days}\n\nPour renouveler, envoyez : !subscription plans',
+    status_error: '❌ Impossible de récupérer votre abonnement. Veuillez réessayer plus tard.',
+    activated: '✅ Votre abonnement *{plan}* est actif jusqu\'au {expires}.\n\nEnvoyez !subscription status à tout moment pour le vérifier.',
+    payment_failed: '❌ Le paiement de votre abonnement n\'a pas abouti. Envoyez !subscription plans pour réessayer.'
+  },
+
+  boost: {
+    unknown_command: '❌ Commande de boost inconnue. Commandes disponibles :\n\n!boost packages - Voir les offres de boost\n!boost boost [id_annonce] [numéro_offre] - Booster une annonce\n!boost status [id_annonce] - Voir le boost d\'une annonce\n!boost listings - Voir vos annonces',
+    info: '*Boostez vos annonces*\n\nFaites ressortir vos annonces et gagnez en visibilité avec nos offres de boost !\n\nCommandes disponibles :\n!boost packages - Voir les offres de boost\n!boost boost [id_annonce] [numéro_offre] - Booster une annonce\n!boost status [id_annonce] - Voir le boost d\'une annonce\n!boost listings - Voir vos annonces',
+    no_packages: '❌ Aucune offre de boost n\'est disponible pour le moment.',
+    packages_title: '*Offres de boost*',
+    days: {
+      one: '{count} jour',
+      other: '{count} jours'
+    },
+    package: '*{number}. {name}*\nPrix : {price}\nDurée : {duration}\nNiveau de priorité : {priority}\n{description}',
+    packages_footer: 'Pour booster une annonce, envoyez :\n!boost boost [id_annonce] [numéro_offre]\nPar exemple : !boost boost abc123 1\n\nPour voir vos annonces, envoyez : !boost listings',
+    packages_error: '❌ Impossible de récupérer les offres de boost. Veuillez réessayer plus tard.',
+    missing_args: '❌ Indiquez l\'identifiant de l\'annonce et le numéro de l\'offre.\nPar exemple : !boost boost abc123 1\n\nPour voir vos annonces, envoyez : !boost listings\nPour voir les offres, envoyez : !boost packages',
+    invalid_package: '❌ Numéro d\'offre invalide. Entrez un numéro valide.',
+    not_yours: '❌ Annonce introuvable ou vous n\'avez pas le droit de la booster.\n\nPour voir vos annonces, envoyez : !boost listings',
+    already_boosted: '❌ Cette annonce est déjà boostée.\n\nBoost actuel : {name}\nExpire le : {expires}',
+    package_out_of_range: '❌ Numéro d\'offre invalide. Les offres disponibles vont de 1 à {count}.',
+    payment: '*Boostez votre annonce*\n\nAnnonce : {title}\nOffre : {name}\nPrix : {price}\nDurée : {duration}\n\nPour finaliser votre boost, payez avec ce lien :\n{link}\n\nVotre annonce sera boostée dès réception du paiement.',
+    boost_error: '❌ Impossible de traiter votre demande de boost. Veuillez réessayer plus tard.',
+    missing_listing: '❌ Indiquez l\'identifiant d\'une annonce.\nPar exemple : !boost status abc123\n\nPour voir vos annonces, envoyez : !boost listings',
+    not_yours_status: '❌ Annonce introuvable ou vous n\'avez pas le droit de voir son boost.\n\nPour voir vos annonces, envoyez : !boost listings',
+    not_boosted: '*Statut du boost*\n\nAnnonce : {title}\nStatut : non boostée\n\nPour booster cette annonce, envoyez : !boost boost {id} [numéro_offre]\nPour voir les offres, envoyez : !boost packages',
+    status: '*Statut du boost*\n\nAnnonce : {title}\nOffre : {name}\nStatut : actif\nExpire le : {expires}\nHeures restantes : {hours}\n\nVotre annonce est boostée et gagne en visibilité !',
+    status_error: '❌ Impossible de récupérer le statut du boost. Veuillez réessayer plus tard.',
+    no_listings: '❌ Vous n\'avez aucune annonce.\n\nPour créer une annonce, publiez-la dans un groupe de vente inscrit.',
+    listings_title: '*Vos annonces*',
+    listing: '*{number}. {title}*\nID : {id}\nPrix : {price}\nStatut : {status}',
+    boosted: '🚀 Boostée',
+    regular: 'Normale',
+    listings_footer: 'Pour booster une annonce, envoyez :\n!boost boost [id_annonce] [numéro_offre]\nPar exemple : !boost boost {id} 1\n\nPour voir les offres, envoyez : !boost packages',
+    listings_error: '❌ Impossible de récupérer vos annonces. Veuillez réessayer plus tard.',
+    activated: '🚀 Votre *{name}* est actif ! Votre annonce apparaîtra en tête des résultats de recherche jusqu\'au {expires}.',
+    payment_failed: '❌ Le paiement de votre boost n\'a pas abouti. Envoyez !boost packages pour réessayer.'
+  },
+
+  fapshi: {
+    checkout_usage: 'Utilisation : !fapshi checkout <montant> <téléphone> <cartId>',
+    checkout_link: 'Payez ici : {link}\n\nAprès le paiement, vous serez prévenu automatiquement ici sur WhatsApp.\n\n*Remarque : le statut du paiement n\'est disponible que par notification, pas à la demande.*',
+    checkout_failed: 'Impossible de générer le lien de paiement.',
+    directpay_usage: 'Utilisation : !fapshi directpay <montant> <téléphone> <nom> <email>',
+    directpay_started: 'Paiement direct lancé ! Référence : {reference}\n\nVous serez prévenu automatiquement ici sur WhatsApp dès que le paiement sera confirmé.',
+    directpay_failed: 'Impossible de lancer le paiement direct.',
+    usage: 'Utilisation : !fapshi <checkout|directpay> ...',
+    error: 'Erreur Fapshi : {message}',
+    payment_received: '✅ Paiement reçu pour la commande {reference}. Merci !',
+    payment_failed: '❌ Le paiement de votre commande {reference} n\'a pas abouti. Veuillez réessayer.'
+  }
+};
@@ -0,0 +1,397 @@
+/**
+ * Cameroonian Pidgin messages
+ */
+
+module.exports = {
+  language: {
+    name: 'Pidgin',
+    changed: '✅ Okay, I go di tok Pidgin with you now.',
+    current: '🌐 Your language na Pidgin.\n\nFor change am, send:\n!lang fr - Français\n!lang en - English\n!lang pcm - Pidgin',
+    unknown: '❌ I no sabi that language. Send *!lang fr*, *!lang en* or *!lang pcm*.',
+    error: 'I no fit change your language now. Try again small time.'
+  },
+
+  buttons: {
+    search_products: '🔍 Find Market',
+    search_again: '🔍 Find Again',
+    search_example: '🔍 Example',
+    new_search: '🔍 New Search',
+    refine_search: '🔍 Change Search',
+    shop_more: '🔍 Buy More',
+    back_to_search: '🔙 Go Back',
+    back_to_product: '🔙 Back to Market',
+    more_results: '➡️ Show More',
+    cheapest_first: '💲 Cheap Ones First',
+    newest_first: '🆕 New Ones First',
+    nearest_first: '📍 Near Ones First',
+    browse_categories: '📂 See Categories',
+    help: '❓ Help',
+    try_again: '🔄 Try Again',
+    buy_now: '💳 Buy Am',
+    contact_seller: '💬 Call Seller',
+    chat_with_seller: '💬 Tok with Seller',
+    payment_sent: '✅ I Don Pay',
+    retry_payment: '🔄 Pay Again',
+    cancel: '❌ Cancel',
+    track_order: '📦 Follow Order',
+    contact_support: '👨‍💼 Ask Support',
+    my_orders: '🛍️ My Orders',
+    done: '✅ I Don Finish',
+    skip: '⏭️ Leave Am',
+    yes_received: '✅ Yes, Release the Money',
+    not_yet: '❌ No, E Never Reach',
+    confirm_delivery: '✅ Confirm Delivery',
+    my_alerts: '🔔 My Alerts',
+    premium: '⭐ Premium',
+    register_group: '📋 Register Group',
+    cancel_registration: 'Cancel'
+  },
+
+  lists: {
+    results: 'Wetin I See',
+    view_results: '📋 See Am',
+    options: 'Wetin You Fit Do',
+    categories: 'Categories',
+    categories_button: '📂 Categories',
+    choose_category: '📂 Choose Category',
+    choose_option: 'Choose one',
+    choose_below: 'Choose one for down:'
+  },
+
+  categories: {
+    picker_title: '📂 *Categories*',
+    picker_footer: 'Choose one category make you see the new things wey dey, or just tell me wetin you di find.',
+    error: 'I no fit open that category now. Try again small time.',
+    electronics: { name: 'Electronics', description: 'Phone, laptop, TV and their things' },
+    fashion: { name: 'Fashion', description: 'Clothes, shoes, bag and watch' },
+    real_estate: { name: 'House and Land', description: 'House, apartment, land and room' },
+    vehicles: { name: 'Motor', description: 'Car, okada and spare parts' },
+    general: { name: 'Other Things', description: 'Anything wey no dey for up' },
+    stop_registering: 'Stop for register this group'
+  },
+
+  general: {
+    welcome: '👋 Welcome for WhatsApp Marketplace!\n\nYou fit:\n• Find things for buy\n• See your orders\n• Rate sellers\n• Get help\n• Take premium\n• Boost your listings\n\nWetin you want do?',
+    not_sure: 'I no understand wetin you di find. How I fit help you?',
+    unknown_response: 'I no sabi how for answer that one. How I fit help you?',
+    help: '📚 **WhatsApp Marketplace Help**\n\nSee how e di work:\n\n• **Find**: Just write wetin you want, e.g. "TV under 100k for Douala"\n\n• **Orders**: Write "my orders" for see the things wey you don buy\n\n• **Rate Sellers**: After you buy, you fit rate the seller\n\n• **Support**: Write "support" make our people help you\n\n• **Language**: Send *!lang fr*, *!lang en* or *!lang pcm* for change language\n\nWetin you want do?',
+    search_cancelled: 'I don stop the search. Wetin you want do now?',
+    error: 'Sorry o, I no fit handle wetin you ask now. Try again small time.',
+    text_only: 'Sorry, na only text message I fit read now. Write wetin you want.',
+    no_response: 'Sorry, I no fit find answer.'
+  },
+
+  voice: {
+    unavailable: 'Sorry, I never fit hear voice note yet. Write your message instead.',
+    not_understood: 'Sorry, I no hear your voice note well. Try again for place wey noise no dey, or write your message.',
+    heard: '🎤 Wetin I hear: "{transcript}"\n_No be wetin you talk? Just write am._'
+  },
+
+  search: {
+    matching: ' for "{query}"',
+    for: ' for "{query}"',
+    in_category: ' for category "{category}"',
+    in_location: ' for {location}',
+    within: ' wey dey inside {radius} km from {place}',
+    your_location: 'where you dey',
+    above: ' pass {price}',
+    below: ' under {price}',
+    sort_labels: {
+      price_asc: 'cheap ones first',
+      price_desc: 'costly ones first',
+      newest: 'new ones first',
+      distance: 'near ones first'
+    },
+    no_more: 'Na all be that: no other thing{description} again.\n\nTry another search make you see other things.',
+    no_results: 'Sorry o, I no see anything{description}.\n\nTry another search or check our categories.',
+    more_header: 'More things{description} ({from}-{to}):',
+    header: 'See the things{description}:',
+    header_sorted: 'See the things{description}, {sort}:',
+    reply_to_view: 'Answer "{number}" or "Product #{number}" make you see am well.',
+    reply_more: 'Answer "more" make you see more.',
+    sort_hint: 'Arrange am with "cheapest first", "most expensive first" or "newest first".',
+    sort_hint_nearby: 'Arrange am with "cheapest first", "most expensive first", "newest first" or "nearest first".',
+    refine_hint: 'For make the search better, you fit tell me:\n• The place (e.g. "for Douala")\n• The money (e.g. "under 50,000 FCFA")\n• The category (e.g. "electronics")',
+    distance_away: '{distance} km from you',
+    distance_close: 'e no reach 1 km',
+    error: 'I no fit search now. Try again small time.',
+    error_refine: 'I no fit search now. Try again small time or change your search.',
+    more_error: 'I no fit show more now. Try again small time.',
+    sort_error: 'I no fit arrange the results now. Try again small time.'
+  },
+
+  photo: {
+    not_understood: '📷 I no sabi wetin you di find for that picture.\n\nSend am again with small caption (e.g. "black sneakers size 42"), or just write wetin you want.',
+    looks_like: 'E be like: {query}',
+    from_caption: '📷 I di find "{query}" from your caption.',
+    error: 'I no fit search with your picture now. Write wetin you di find.'
+  },
+
+  location: {
+    near: ' near {place}',
+    near_you: ' near you',
+    ask_query: '📍 I don get your location. I go find things{where}.\n\nWetin you di find? (e.g. "fridge" or "phone under 100,000 FCFA")',
+    showing: '📍 I don get your location. See the things{where}.',
+    error: 'I no fit use your location now. Tell me your quarter instead (e.g. "for Bonamoussadi").'
+  },
+
+  product: {
+    not_found: 'Sorry, I no see that thing. Maybe dem don sell am or remove am.',
+    price: '💰 *Price:* {price}',
+    location: '📍 *Place:* {location}',
+    category: '📂 *Category:* {category}',
+    seller: '👤 *Seller:* {name}',
+    seller_rating: '⭐ *Seller rating:* {rating}',
+    what_next: 'Wetin you want do with this thing?',
+    error: 'I no fit bring the details now. Try again small time.',
+    seller_fallback: 'Seller'
+  },
+
+  contact: {
+    title: '*Call Seller*',
+    intro: 'You fit tok direct with the seller of *{title}*:',
+    name: '👤 *Name:* {name}',
+    whatsapp: '📱 *WhatsApp:* {phone}',
+    outro: 'Press the button for down make you start chat with the seller. No forget tell am the thing wey you want!',
+    error: 'I no fit bring the seller number now. Try again small time.'
+  },
+
+  checkout: {
+    summary: '*Your Order*',
+    price: '💰 *Price:* {price}',
+    escrow_fee: '🔒 *Escrow money:* {fee}',
+    total: '💵 *All together:* {total}',
+    pay_link: 'For pay, open this Fapshi link:\n{link}',
+    pay_prompt: '📲 We don send payment request of {total} for your phone.\nAccept am with your Mobile Money / Orange Money PIN.',
+    after_paying: 'When you don pay, press "I Don Pay" and we go check am with Fapshi.',
+    reference: 'Order number: *{reference}*',
+    escrow_note: 'We go hold your money until you tell us say you don receive the thing.',
+    own_listing: 'Na your own listing this, you no fit buy am. 🙂',
+    error: 'I no fit do your order now. Try again small time.',
+    already_paid: 'We don already receive your money for order *{reference}* and we di hold am, so you no fit cancel again.\n\nIf something wrong with your order, ask support.',
+    cancelled: 'I don cancel the order. Nobody take your money.\n\nWetin you want do now?',
+    cancel_error: 'I no fit cancel your order now. Try again small time.'
+  },
+
+  payment: {
+    no_checkout: 'I no see any order wey you di pay. Choose one thing and press "Buy Am" for start.',
+    pending: '⏳ Your money of {total} never reach{status}.\n\nAccept the payment request for your phone, then press "I Don Pay" again. If request no come, press "Pay Again".',
+    pending_status: ' (status: {status})',
+    failed: '❌ Payment for order *{reference}* no work or e don expire. Nobody take your money.\n\nPress "Pay Again" for try again.',
+    your_order: 'your order',
+    confirmed_title: '*Payment Don Enter*',
+    confirmed_thanks: 'Thank you for pay for *{title}*!',
+    confirmed_held: 'Your money of {total} don reach and we di hold am.',
+    next_steps: '*Wetin go happen:*\n1. We don tell the seller say you buy\n2. The seller go call you for delivery\n3. When the thing reach your hand, answer "Received" make we release the money',
+    reference: 'Your order number na: *{reference}*\nKeep am for follow your order.',
+    error: 'I no fit check your payment now. Try again small time or ask support.',
+    received: '✅ *Money Don Reach*\n\nWe don receive {total} for *{title}*.\nWe go hold your money until you tell us say the thing don reach your hand.\n\nOrder number: *{reference}*',
+    new_order: '🛒 *New Order*\n\nPerson don pay for *{title}* ({price}).\nWe di hold the money and we go release am give you once the buyer confirm say e don receive am.\n\nBuyer: {buyer}\nOrder number: *{reference}*',
+    failed_notice: '❌ Your payment for *{title}* no work. Nobody take your money.\n\nYou fit start again from the product page anytime.',
+    expired_notice: '❌ Your payment for *{title}* don expire. Nobody take your money.\n\nYou fit start again from the product page anytime.',
+    underpaid: '⚠️ *Payment No Complete*\n\nWe receive {received} for *{title}*, but the total na {total}. We don hold your order and our team go contact you for give back your money or complete am.\n\nOrder number: *{reference}*'
+  },
+
+  orders: {
+    none: 'You no get any order wey still dey open. Orders wey you pay for go show here until dem finish.',
+    title: '📦 *Your Orders* ({count} still open)',
+    reference: 'Order reference: {reference}',
+    states: {
+      pending: '⏳ E di wait make you pay',
+      underpaid: '⚠️ Payment no complete: e go wait until our team contact you',
+      funded: '🔒 You don pay: we di hold your money for escrow until you confirm delivery',
+      shipped: '🚚 Dem don send am: confirm delivery once e reach your hand',
+      delivered: '📬 E don reach: abeg confirm say you collect am',
+      disputed: '⚠️ E dey for dispute: our team di look am'
+    },
+    error: 'I get wahala to load your orders now. Abeg try again later or contact support.'
+  },
+
+  delivery: {
+    none: 'You no get any order wey di wait make you confirm delivery.',
+    which: 'You get {count} orders wey di wait delivery. Which one don reach you?',
+    which_one: 'Na this order don reach you? Tap am make you confirm.',
+    reply_received: 'Answer: Received {reference}',
+    confirmed: '✅ *Delivery Don Confirm*\n\nThank you say you confirm *{title}* don reach you. We don release the money give {seller}.\n\nHow the seller do for you?',
+    confirm_prompt: '📦 *{title}* don reach you and e dey fine?\n\nIf you say yes, we go release {total} give {seller}. You no fit turn am back, so confirm only when the thing don reach your hand and e correct.',
+    kept: 'No wahala, your money go still dey escrow. Confirm delivery when the thing reach you, or open dispute if e get problem.',
+    the_seller: 'the seller',
+    error: 'I no fit confirm your delivery now. Try again small time or ask support.',
+    order: 'Order'
+  },
+
+  release: {
+    seller: '💰 *Money Don Release*\n\n{reason} for *{title}*.\n{payout}\n\nOrder number: *{reference}*',
+    reasons: {
+      buyer_confirmed: 'The buyer don confirm say e receive am',
+      window_ended: 'Time for check the thing don finish'
+    },
+    your_item: 'your thing',
+    payout_sent: 'We don send {amount} for your mobile money account.',
+    payout_processing: 'We di process your {amount}; our team go follow up if any wahala dey.',
+    buyer_window_ended: '⏱️ Time for check *{title}* don finish, so we don release the money give the seller.\n\nHow the seller do for you?'
+  },
+
+  dispute: {
+    none: 'You no get any paid order wey you fit complain about. You fit complain only before we release the money give the seller.',
+    which: 'You get {count} open orders. Which one get problem?',
+    reply_dispute: 'Answer: Dispute {reference}',
+    opened: '⚠️ *Complain Don Open*\n\nWe don hold the money for *{title}* while we check am. The seller no go get money until we finish.\n\nSend picture of the thing and explain the problem. Press *I Don Finish* when you don send everything.',
+    open_error: 'I no fit open your complain now. Try again small time or ask support.',
+    photo_added: '📎 Picture don enter your complain. Send more, or press *I Don Finish* when you don send everything.',
+    details_added: '📎 E don enter your complain. Send more, or press *I Don Finish* when you don send everything.',
+    evidence_error: 'I no fit add that one for your complain. Send am again.',
+    submitted: '✅ *Complain Don Reach Us*\n\nThank you, our people go check your case{evidence}. We go hold the money till then, and we go tell you and the seller wetin we decide.\n\nComplain number: *{reference}*',
+    submitted_evidence: ' and the things wey you send',
+    submit_error: 'I no fit send your complain now. Try again.',
+    seller_opened: '⚠️ *Complain Don Open*\n\nThe buyer of *{title}* don complain:\n"{reason}"\n\nWe go hold the money until our team check the case. We go tell you wetin happen.\n\nOrder number: *{reference}*',
+    seller_evidence: {
+      one: '📎 The buyer don send {count} proof for the complain on order *{reference}*. Our team go check the case now.',
+      other: '📎 The buyer don send {count} proofs for the complain on order *{reference}*. Our team go check the case now.'
+    },
+    under_review: '🔎 Our team di check the complain on order *{reference}* now. We fit contact you for more details.',
+    resolved: '⚖️ *Complain Don Finish*\n\nOrder *{reference}*: {outcome}{notes}',
+    resolved_notes: '\n\nWetin our team talk: {notes}',
+    outcomes: {
+      refund: {
+        buyer: 'You go collect all your money back: {buyerAmount}.',
+        seller: 'We don give the buyer back the money.'
+      },
+      release: {
+        buyer: 'We don release the money give the seller.',
+        seller: 'We di send {sellerAmount} for your mobile money account.'
+      },
+      split: {
+        buyer: 'You go collect {buyerAmount} back; the rest go to the seller.',
+        seller: 'You go collect {sellerAmount}; we go give the rest back to the buyer.'
+      }
+    }
+  },
+
+  rating: {
+    reputation: {
+      one: '{average}/5 ({count} rating)',
+      other: '{average}/5 ({count} ratings)'
+    },
+    no_ratings: 'Nobody don rate am yet',
+    submitted: '*Rating Don Enter*\n\nThank you say you rate *{seller}* for *{title}*!\n\n{stars}\n\nYou want write something for other buyers? Write am now, or press *Leave Am*.',
+    stars: {
+      one: 'You give the seller {count} star.',
+      other: 'You give the seller {count} stars.'
+    },
+    duplicate: 'You don already rate this order. Thank you!',
+    not_found: 'I no see any finished order for rate. You go fit rate the seller when your order finish.',
+    error: 'I no fit save your rating now. Try again small time.',
+    nothing_to_rate: 'No order di wait your rating now.',
+    ask: 'Rate the seller from 1 to 5 stars.',
+    comment_saved: '💬 Thank you, I don save wetin you write.',
+    feedback_helps: 'Wetin you talk di help other buyers choose well, and e di help sellers do better.',
+    comment_error: 'I no fit save wetin you write, but your rating don enter. Thank you!'
+  },
+
+  alerts: {
+    saved: '🔔 *Alert Don Set*\n\nI go message you when person post {alert}.\n\nAlerts wey dey on: {active}/{limit}. Dem go end for {expires}.\nSend *!alerts* for see or stop your alerts.',
+    what: 'Wetin I go alert you for? Example: "tell me when iPhone under 200k come for Douala".',
+    stopped_one: '🔕 I don stop your alert for {alert}.',
+    stopped_many: '🔕 I don stop {count} alerts.',
+    none: 'You no get any alert.\n\nFor make one, talk something like "tell me when fridge come for Yaoundé".',
+    which_to_stop: 'Which alert I go stop?',
+    list_title: '🔔 *Your Alerts*',
+    limit: {
+      one: 'You don reach your limit of {count} alert.\n\nStop one alert with *!alerts stop <number>*, or take Premium for more alerts.',
+      other: 'You don reach your limit of {count} alerts.\n\nStop one alert with *!alerts stop <number>*, or take Premium for more alerts.'
+    },
+    save_error: 'I no fit save your alert now. Try again small time.',
+    stop_hint: 'For stop one, send *!alerts stop <number>*, or *!alerts stop all*.',
+    error: 'I get wahala with your alerts now. Try again small time.',
+    unknown_command: '❌ I no sabi that alerts command. See the ones wey dey:\n\n!alerts - See your alerts\n!alerts stop [number] - Stop one alert\n!alerts stop all - Stop all your alerts\n\nFor make alert, talk something like "tell me when iPhone under 200k come for Douala".',
+    between: ' between {min} and {max}',
+    digest_title: '🔔 *New Things for Your Alerts*',
+    digest_alert: '🔎 Alert: {query}',
+    digest_more: '...and {count} more. Search make you see all.',
+    digest_stop_hint: 'For stop alert, send *!alerts stop <number>* (check *!alerts* for the list).',
+    expired: '⏰ Your alert for {alert} don expire.\n\nIf you still want am, just ask again, e.g. "tell me when {query} come".'
+  },
+
+  registration: {
+    cancelled: 'I don stop the group registration. How else I fit help you?',
+    start: 'Make we register your WhatsApp group! 📋\n\nWetin be the name of your group?\n\nWrite \'cancel\' anytime for stop.',
+    invalid_link: 'That one no look like WhatsApp group link. Send link like \'https://chat.whatsapp.com/ABCDEF123456\'.',
+    already_registered: 'This group don already register! You no need register am again.',
+    ask_category: 'Fine! Now choose category for your group:',
+    invite_revoked: '❌ That invite link don cancel or e no dey work again. Ask group admin make e give you new one (group info › Invite via link) come send am here.',
+    not_admin: '❌ Na only group admin fit register group, and you no be admin for that one. Ask one of the admins make e register am.',
+    bot_unavailable: '❌ Our group bot no dey connect to WhatsApp now, so e no fit join your group. Try again small time.',
+    error: '❌ Sorry, something spoil as I di register your group. Try again small time.',
+    ask_link: 'Fine! Now send me the invite link for your group "{group}".\n\nSee how you go get am:\n1. Open your WhatsApp group\n2. Press the group name for up\n3. Go down reach \'Invite to Group via Link\'\n4. Copy the link come send am here',
+    success: '✅ E don work! The bot don join "{group}" and e di follow am now as {category} market.\n\nThe things wey people post for the group go show for search, even the ones wey dem post before the bot join.'
+  },
+
+  subscription: {
+    unknown_command: '❌ I no sabi that subscription command. See the ones wey dey:\n\n!subscription plans - See the plans wey dey\n!subscription subscribe [plan_number] - Take one plan\n!subscription status - Check your subscription',
+    no_plans: '❌ No subscription plan dey now.',
+    plans_title: '*Subscription Plans*',
+    no_features: 'No features',
+    plan: '*{number}. {name}*\nPrice: {price}\nHow long: {days} days\nWetin you go get:\n{features}',
+    plans_footer: 'For take one, send:\n!subscription subscribe [plan_number]\nExample: !subscription subscribe 1',
+    plans_error: '❌ I no fit bring the plans now. Try again small time.',
+    missing_plan: '❌ Tell me the plan number. Example: !subscription subscribe 1\n\nFor see the plans, send: !subscription plans',
+    invalid_plan: '❌ That plan number no correct. Put correct number.',
+    plan_out_of_range: '❌ That plan number no correct. The plans na 1-{count}.',
+    payment: '*{name} Subscription*\n\nPrice: {price}\nHow long: {days} days\n\nFor finish your subscription, pay with this link:\n{link}\n\nYour subscription go start once you pay.',
+    subscribe_error: '❌ I no fit do your subscription now. Try again small time.',
+    none: '*Your Subscription*\n\nYou no get any subscription now.\n\nFor see the plans, send: !subscription plans',
+    status: '*Your Subscription*\n\nPlan: {plan}\nStatus: E dey work\nE go end: {expires}\nDays wey remain: {days}\n\nFor renew am, send: !subscription plans',
+    status_error: '❌ I no fit check your subscription now. Try again small time.',
+    activated: '✅ Your *{plan}* subscription don start and e go run until {expires}.\n\nSend !subscription status anytime for check am.',
+    payment_failed: '❌ Your subscription payment no work. Send !subscription plans for try again.'
+  },
+
+  boost: {
+    unknown_command: '❌ I no sabi that boost command. See the ones wey dey:\n\n!boost packages - See the boost packages\n!boost boost [listing_id] [package_number] - Boost one listing\n!boost status [listing_id] - Check the boost for one listing\n!boost listings - See your listings',
+    info: '*Boost Your Listings*\n\nMake your listings shine and make plenty people see them with our boost packages!\n\nCommands wey dey:\n!boost packages - See the boost packages\n!boost boost [listing_id] [package_number] - Boost one listing\n!boost status [listing_id] - Check the boost for one listing\n!boost listings - See your listings',
+    no_packages: '❌ No boost package dey now.',
+    packages_title: '*Boost Packages*',
+    days: {
+      one: '{count} day',
+      other: '{count} days'
+    },
+    package: '*{number}. {name}*\nPrice: {price}\nHow long: {duration}\nPriority: {priority}\n{description}',
+    packages_footer: 'For boost one listing, send:\n!boost boost [listing_id] [package_number]\nExample: !boost boost abc123 1\n\nFor see your listings, send: !boost listings',
+    packages_error: '❌ I no fit bring the boost packages now. Try again small time.',
+    missing_args: '❌ Tell me the listing ID and the package number.\nExample: !boost boost abc123 1\n\nFor see your listings, send: !boost listings\nFor see the packages, send: !boost packages',
+    invalid_package: '❌ That package number no correct. Put correct number.',
+    not_yours: '❌ I no see that listing, or e no be your own.\n\nFor see your listings, send: !boost listings',
+    already_boosted: '❌ This listing don already boost.\n\nBoost wey dey: {name}\nE go end: {expires}',
+    package_out_of_range: '❌ That package number no correct. The packages na 1-{count}.',
+    payment: '*Boost Your Listing*\n\nListing: {title}\nPackage: {name}\nPrice: {price}\nHow long: {duration}\n\nFor finish your boost, pay with this link:\n{link}\n\nYour listing go boost once you pay.',
+    boost_error: '❌ I no fit do your boost now. Try again small time.',
+    missing_listing: '❌ Tell me the listing ID.\nExample: !boost status abc123\n\nFor see your listings, send: !boost listings',
+    not_yours_status: '❌ I no see that listing, or e no be your own.\n\nFor see your listings, send: !boost listings',
+    not_boosted: '*Boost Status*\n\nListing: {title}\nStatus: E no boost\n\nFor boost am, send: !boost boost {id} [package_number]\nFor see the packages, send: !boost packages',
+    status: '*Boost Status*\n\nListing: {title}\nPackage: {name}\nStatus: E dey work\nE go end: {expires}\nHours wey remain: {hours}\n\nYour listing dey boost now and plenty people di see am!',
+    status_error: '❌ I no fit check the boost now. Try again small time.',
+    no_listings: '❌ You no get any listing.\n\nFor make listing, post am for one marketplace group wey don register.',
+    listings_title: '*Your Listings*',
+    listing: '*{number}. {title}*\nID: {id}\nPrice: {price}\nStatus: {status}',
+    boosted: '🚀 Boosted',
+    regular: 'Normal',
+    listings_footer: 'For boost one listing, send:\n!boost boost [listing_id] [package_number]\nExample: !boost boost {id} 1\n\nFor see the packages, send: !boost packages',
+    listings_error: '❌ I no fit bring your listings now. Try again small time.',
+    activated: '🚀 Your *{name}* don start! Your listing go dey for top of search results until {expires}.',
+    payment_failed: '❌ Your boost payment no work. Send !boost packages for try again.'
+  },
+
+  fapshi: {
+    checkout_usage: 'How to use am: !fapshi checkout <amount> <phone> <cartId>',
+    checkout_link: 'Pay here: {link}\n\nWhen you pay, we go tell you here for WhatsApp.\n\n*Note: You go only hear about your payment from the webhook message, you no fit ask for am.*',
+    checkout_failed: 'I no fit make the payment link.',
+    directpay_usage: 'How to use am: !fapshi directpay <amount> <phone> <name> <email>',
+    directpay_started: 'Payment don start! Transaction ID: {reference}\n\nWe go tell you here for WhatsApp when the payment confirm.',
+    directpay_failed: 'I no fit start the payment.',
+    usage: 'How to use am: !fapshi <checkout|directpay> ...',
+    error: 'Fapshi wahala: {message}',
+    payment_received: '✅ Payment don reach for order {reference}. Thank you!',
+    payment_failed: '❌ Your payment for order {reference} no work. Try again.'
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * Ingestion Queue
+ *
+ * The job queue group posts go through on their way to becoming listings. The
+ * group bot adds a job per post and handles its stages:
+ * - `extract`: read the listings out of the post's text (the LLM call)
+ * - `store`: download and hash the media, create or merge the listings, upload the media and match alerts
+ * - `follow_up`: apply a seller's edit, deletion or "sold" follow-up to a post's listings, once
+ *   the post itself has been through the other stages
+ *
+ * Admins see and re-run dead-lettered posts through admin/ingestion-management.js.
+ *
+ * A second queue backfills a newly registered group: it pages through the
+ * group's history and adds each past post to the ingestion queue.
+ */
+
+const { createJobQueue } = require('./job-queue');
+require('dotenv').config();
+
+const INGESTION_STAGES = {
+  EXTRACT: 'extract',
+  STORE: 'store',
+  FOLLOW_UP: 'follow_up'
+};
+
+// Posts worked on at once per stage, per process (OpenRouter and storage limit these differently)
+const INGESTION_CONCURRENCY = {
+  [INGESTION_STAGES.EXTRACT]: parseInt(process.env.INGESTION_EXTRACT_CONCURRENCY || '2', 10),
+  [INGESTION_STAGES.STORE]: parseInt(process.env.INGESTION_STORE_CONCURRENCY || '2', 10),
+  [INGESTION_STAGES.FOLLOW_UP]: parseInt(process.env.INGESTION_FOLLOW_UP_CONCURRENCY || '1', 10)
+};
+
+const ingestionQueue = createJobQueue('ingestion');
+
+// Backfills of a newly registered group's history, which add its past posts to the ingestion queue
+const backfillQueue = createJobQueue('backfill', { maxAttempts: 3 });
+
+module.exports = {
+  INGESTION_STAGES,
+  INGESTION_CONCURRENCY,
+  ingestionQueue,
+  backfillQueue
+};
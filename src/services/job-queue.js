@@ -0,0 +1,510 @@
+/**
+ * Job Queue
+ *
+ * This module runs background work in stages, outside the event handler that
+ * asked for it. Jobs are stored before they run, so a crash or restart doesn't
+ * lose them; a stage that fails is retried with exponential backoff, and a job
+ * that keeps failing is dead-lettered until an admin re-runs it. Each stage
+ * has its own worker pool, so e.g. slow LLM calls can't starve media uploads.
+ *
+ * Two backends are built in, picked with JOB_QUEUE_STORE:
+ * - `mongodb`: the `queue_jobs` collection, through the shared connection in database/mongodb.js
+ * - `memory`: a Map in this process, for local development (the default when MONGODB_URI isn't set)
+ */
+
+const crypto = require('crypto');
+const { ensureMongoConnection, mongoose } = require('../database/mongodb');
+require('dotenv').config();
+
+const JOB_QUEUE_STORE = process.env.JOB_QUEUE_STORE || (process.env.MONGODB_URI ? 'mongodb' : 'memory');
+
+const JOB_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  DEAD: 'dead'
+};
+
+// Attempts per stage before a job is dead-lettered (default 5)
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10);
+
+// Wait before the first retry, doubled for each one after (default 10 seconds, at most 30 minutes)
+const DEFAULT_BASE_DELAY_MS = parseInt(process.env.JOB_RETRY_DELAY_MS || '10000', 10);
+const DEFAULT_MAX_DELAY_MS = 30 * 60 * 1000;
+
+// A running job whose worker hasn't finished it in this time is assumed lost and run again
+const JOB_LOCK_MS = 10 * 60 * 1000;
+
+// How often each queue looks for jobs that are due (default 5 seconds)
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '5000', 10);
+
+// How long finished jobs are kept
+const DONE_JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Failures kept on a job for admins to read
+const MAX_JOB_FAILURES = 10;
+
+/**
+ * Create an error with a code the caller can act on
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} The error
+ */
+function queueError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check whether a job can be claimed by a worker
+ * @param {Object} job - The job
+ * @param {string} queue - Queue name
+ * @param {string} stage - Stage the worker runs
+ * @param {Date} now - Current time
+ * @returns {boolean} True if it's queued and due, or its worker was lost
+ */
+function isClaimable(job, queue, stage, now) {
+  if (job.queue !== queue || job.stage !== stage) return false;
+  if (job.status === JOB_STATES.QUEUED) return job.runAt <= now;
+  return job.status === JOB_STATES.RUNNING && job.lockedUntil <= now;
+}
+
+/**
+ * Create a backend keeping jobs in this process
+ * @returns {Object} The backend ({ insert, claim, update, get, list })
+ */
+function createMemoryBackend() {
+  // Jobs are stored as copies so callers can't change them by accident
+  const jobs = new Map();
+  const copy = job => (job ? structuredClone(job) : null);
+
+  return {
+    insert: async (job) => {
+      if (jobs.has(job.id)) return false;
+      jobs.set(job.id, copy(job));
+      return true;
+    },
+    claim: async (queue, stage, lockMs) => {
+      const now = new Date();
+      const job = [...jobs.values()]
+        .filter(candidate => isClaimable(candidate, queue, stage, now))
+        .sort((a, b) => a.runAt - b.runAt)[0];
+      if (!job) return null;
+
+      Object.assign(job, {
+        status: JOB_STATES.RUNNING,
+        attempts: job.attempts + 1,
+        lockedUntil: new Date(now.getTime() + lockMs),
+        updatedAt: now
+      });
+      return copy(job);
+    },
+    update: async (id, fields) => {
+      const job = jobs.get(id);
+      if (!job) return null;
+      Object.assign(job, copy(fields), { updatedAt: new Date() });
+      return copy(job);
+    },
+    get: async (id) => copy(jobs.get(id)),
+    list: async (queue, { status, limit }) => [...jobs.values()]
+      .filter(job => job.queue === queue && (!status || job.status === status))
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .slice(0, limit)
+      .map(copy)
+  };
+}
+
+/**
+ * Connect to MongoDB, failing with a queue error if it can't be reached
+ * @returns {Promise<void>}
+ */
+async function connect() {
+  if (!(await ensureMongoConnection())) {
+    throw queueError('Job queue is unavailable: could not connect to MongoDB', 'JOB_QUEUE_UNAVAILABLE');
+  }
+}
+
+/**
+ * Create a backend keeping jobs in MongoDB. Workers claim jobs atomically, so
+ * several instances can share a queue; finished jobs are removed by a TTL index.
+ * @returns {Object} The backend ({ insert, claim, update, get, list })
+ */
+function createMongoBackend() {
+  const schema = new mongoose.Schema({
+    _id: String,
+    queue: String,
+    stage: String,
+    status: String,
+    payload: mongoose.Schema.Types.Mixed,
+    data: mongoose.Schema.Types.Mixed,
+    progress: mongoose.Schema.Types.Mixed,
+    attempts: Number,
+    maxAttempts: Number,
+    runAt: Date,
+    lockedUntil: Date,
+    lastError: String,
+    failures: [mongoose.Schema.Types.Mixed],
+    createdAt: Date,
+    updatedAt: Date,
+    finishedAt: Date,
+    expiresAt: { type: Date, expires: 0 }
+  }, { collection: 'queue_jobs', minimize: false, versionKey: false });
+  schema.index({ queue: 1, stage: 1, status: 1, runAt: 1 });
+  schema.index({ queue: 1, status: 1, updatedAt: -1 });
+
+  const QueueJob = mongoose.models.QueueJob || mongoose.model('QueueJob', schema);
+  const toJob = document => (document ? { ...document, id: document._id } : null);
+
+  return {
+    insert: async (job) => {
+      await connect();
+      const { id, ...fields } = job;
+      const result = await QueueJob.updateOne({ _id: id }, { $setOnInsert: fields }, { upsert: true });
+      return result.upsertedCount > 0;
+    },
+    claim: async (queue, stage, lockMs) => {
+      await connect();
+      const now = new Date();
+      const document = await QueueJob.findOneAndUpdate(
+        {
+          queue,
+          stage,
+          $or: [
+            { status: JOB_STATES.QUEUED, runAt: { $lte: now } },
+            { status: JOB_STATES.RUNNING, lockedUntil: { $lte: now } }
+          ]
+        },
+        {
+          $set: { status: JOB_STATES.RUNNING, lockedUntil: new Date(now.getTime() + lockMs), updatedAt: now },
+          $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true, lean: true }
+      );
+      return toJob(document);
+    },
+    update: async (id, fields) => {
+      await connect();
+      const document = await QueueJob.findOneAndUpdate(
+        { _id: id },
+        { $set: { ...fields, updatedAt: new Date() } },
+        { new: true, lean: true }
+      );
+      return toJob(document);
+    },
+    get: async (id) => {
+      await connect();
+      return toJob(await QueueJob.findById(id).lean());
+    },
+    list: async (queue, { status, limit }) => {
+      await connect();
+      const filter = status ? { queue, status } : { queue };
+      const documents = await QueueJob.find(filter).sort({ updatedAt: -1 }).limit(limit).lean();
+      return documents.map(toJob);
+    }
+  };
+}
+
+const BACKENDS = {
+  memory: createMemoryBackend,
+  mongodb: createMongoBackend
+};
+
+let backend = null;
+
+/**
+ * Get the configured backend, creating it on first use
+ * @returns {Object} The backend
+ */
+function getBackend() {
+  if (!backend) {
+    if (!BACKENDS[JOB_QUEUE_STORE]) {
+      throw queueError(`Unknown job queue store "${JOB_QUEUE_STORE}"`, 'JOB_QUEUE_INVALID');
+    }
+    backend = BACKENDS[JOB_QUEUE_STORE]();
+  }
+  return backend;
+}
+
+/**
+ * Work out how long to wait before retrying a stage
+ * @param {number} attempts - Attempts made so far
+ * @param {number} baseDelayMs - Wait after the first failure
+ * @param {number} maxDelayMs - Longest wait
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts, baseDelayMs, maxDelayMs) {
+  return Math.min(maxDelayMs, baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+/**
+ * Create a job queue
+ *
+ * Workers are registered per stage with `process`; a stage handler receives
+ * the job and either finishes it (by returning nothing) or hands it to the
+ * next stage by returning `{ stage, data }`, the data being merged into the
+ * job's for the next handler; with `delayMs` the next stage waits that long
+ * (a handler can return its own stage to wait for something without failing).
+ * A handler that throws is retried. Handlers
+ * that run for a while can save their progress with `reportProgress(value)`,
+ * and must call it at least every JOB_LOCK_MS to keep their job.
+ * @param {string} name - Queue name, e.g. "ingestion"
+ * @param {Object} options - Queue options
+ * @param {number} options.maxAttempts - Attempts per stage before a job is dead-lettered (default: JOB_MAX_ATTEMPTS)
+ * @param {number} options.baseDelayMs - Wait before the first retry (default: JOB_RETRY_DELAY_MS)
+ * @param {number} options.maxDelayMs - Longest wait between retries (default 30 minutes)
+ * @param {number} options.pollIntervalMs - How often to look for due jobs (default: JOB_POLL_INTERVAL_MS)
+ * @returns {Object} The queue
+ */
+function createJobQueue(name, {
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+  pollIntervalMs = JOB_POLL_INTERVAL_MS
+} = {}) {
+  // Stage name => { handler, concurrency, active }
+  const workers = new Map();
+  let pollTimer = null;
+
+  /**
+   * Record the outcome of a job's stage
+   * @param {Object} job - The job, as claimed
+   * @param {Object} next - What the handler returned
+   * @returns {Promise<void>}
+   */
+  async function complete(job, next) {
+    const now = new Date();
+    if (next && next.stage) {
+      await getBackend().update(job.id, {
+        stage: next.stage,
+        status: JOB_STATES.QUEUED,
+        data: { ...job.data, ...next.data },
+        attempts: 0,
+        runAt: new Date(now.getTime() + (next.delayMs || 0)),
+        lockedUntil: null
+      });
+      if (!next.delayMs) poll(next.stage);
+      return;
+    }
+
+    await getBackend().update(job.id, {
+      status: JOB_STATES.DONE,
+      lockedUntil: null,
+      finishedAt: now,
+      expiresAt: new Date(now.getTime() + DONE_JOB_TTL_MS)
+    });
+  }
+
+  /**
+   * Schedule a retry of a failed stage, or dead-letter the job if it has run out of attempts
+   * @param {Object} job - The job, as claimed
+   * @param {Error} error - Why the stage failed
+   * @returns {Promise<void>}
+   */
+  async function fail(job, error) {
+    const now = new Date();
+    const dead = job.attempts >= (job.maxAttempts || maxAttempts);
+    const failures = [...(job.failures || []), { stage: job.stage, attempt: job.attempts, error: error.message, at: now }]
+      .slice(-MAX_JOB_FAILURES);
+
+    await getBackend().update(job.id, {
+      status: dead ? JOB_STATES.DEAD : JOB_STATES.QUEUED,
+      runAt: dead ? null : new Date(now.getTime() + getRetryDelay(job.attempts, baseDelayMs, maxDelayMs)),
+      lockedUntil: null,
+      lastError: error.message,
+      failures
+    });
+
+    if (dead) {
+      console.error(`Job ${job.id} dead-lettered in ${name}/${job.stage} after ${job.attempts} attempt(s): ${error.message}`);
+    } else {
+      console.warn(`Job ${job.id} failed in ${name}/${job.stage} (attempt ${job.attempts}), will retry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run one claimed job through its stage's handler
+   * @param {Object} worker - The stage's worker
+   * @param {Object} job - The job
+   * @returns {Promise<void>}
+   */
+  async function run(worker, job) {
+    try {
+      // Long-running handlers report how far they've got for admins to see; each
+      // report also renews the job's lock, so a job that keeps reporting isn't
+      // taken for lost and run a second time
+      const reportProgress = progress => getBackend().update(job.id, {
+        progress,
+        lockedUntil: new Date(Date.now() + JOB_LOCK_MS)
+      });
+
+      let next;
+      try {
+        next = await worker.handler(job, { reportProgress });
+      } catch (error) {
+        await fail(job, error);
+        return;
+      }
+      await complete(job, next);
+    } catch (error) {
+      // The job store itself failed; the job's lock expires and it runs again
+      console.error(`Error recording job ${job.id} in ${name}/${job.stage}:`, error);
+    }
+  }
+
+  /**
+   * Start as many due jobs of a stage as its worker pool allows
+   * @param {string} stage - Stage name
+   * @returns {Promise<void>}
+   */
+  async function poll(stage) {
+    const worker = workers.get(stage);
+    if (!worker || !pollTimer) return;
+
+    while (worker.active < worker.concurrency) {
+      worker.active++;
+      let job;
+      try {
+        job = await getBackend().claim(name, stage, JOB_LOCK_MS);
+      } catch (error) {
+        worker.active--;
+        console.error(`Error claiming ${name}/${stage} job:`, error.message);
+        return;
+      }
+      if (!job) {
+        worker.active--;
+        return;
+      }
+
+      run(worker, job).finally(() => {
+        worker.active--;
+        poll(stage);
+      });
+    }
+  }
+
+  /**
+   * Look for due jobs in every stage
+   */
+  function pollAll() {
+    for (const stage of workers.keys()) poll(stage);
+  }
+
+  return {
+    name,
+
+    /**
+     * Register the handler of a stage
+     * @param {string} stage - Stage name
+     * @param {Function} handler - async (job, { reportProgress }) => void | { stage, data, delayMs }
+     * @param {Object} options - Worker options
+     * @param {number} options.concurrency - Jobs of this stage run at once in this process (default 1)
+     */
+    process(stage, handler, { concurrency = 1 } = {}) {
+      workers.set(stage, { handler, concurrency: Math.max(1, concurrency), active: 0 });
+    },
+
+    /**
+     * Add a job
+     * @param {string} stage - Stage it starts in
+     * @param {Object} payload - What the handlers need (must be JSON-serialisable)
+     * @param {Object} options - Job options
+     * @param {string} options.id - Job ID; a job whose ID is already queued isn't added again
+     * @returns {Promise<boolean>} False if a job with that ID already exists
+     */
+    async enqueue(stage, payload, { id = crypto.randomUUID() } = {}) {
+      const now = new Date();
+      const added = await getBackend().insert({
+        id,
+        queue: name,
+        stage,
+        status: JOB_STATES.QUEUED,
+        payload,
+        data: {},
+        progress: null,
+        attempts: 0,
+        maxAttempts,
+        runAt: now,
+        lockedUntil: null,
+        lastError: null,
+        failures: [],
+        createdAt: now,
+        updatedAt: now
+      });
+      if (added) poll(stage);
+      return added;
+    },
+
+    /**
+     * Get a job
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} The job
+     */
+    getJob: (id) => getBackend().get(id),
+
+    /**
+     * List jobs, most recently updated first
+     * @param {Object} filter - Filter
+     * @param {string} filter.status - Only jobs in this state (see JOB_STATES)
+     * @param {number} filter.limit - Most jobs returned (default 50)
+     * @returns {Promise<Array<Object>>} The jobs
+     */
+    listJobs: ({ status, limit = 50 } = {}) => getBackend().list(name, { status, limit }),
+
+    /**
+     * Re-run a dead-lettered job from the stage it failed in
+     * @param {string} id - Job ID
+     * @returns {Promise<Object>} The requeued job
+     */
+    async retryJob(id) {
+      const job = await getBackend().get(id);
+      if (!job || job.queue !== name) {
+        throw queueError('Job not found', 'JOB_NOT_FOUND');
+      }
+      if (job.status !== JOB_STATES.DEAD) {
+        throw queueError(`Only dead-lettered jobs can be re-run (this one is ${job.status})`, 'JOB_NOT_DEAD');
+      }
+
+      const requeued = await getBackend().update(id, { status: JOB_STATES.QUEUED, attempts: 0, runAt: new Date() });
+      console.log(`Job ${id} re-queued in ${name}/${job.stage}`);
+      poll(job.stage);
+      return requeued;
+    },
+
+    /**
+     * Start the workers, polling for due jobs on an interval
+     */
+    start() {
+      if (pollTimer) return;
+
+      pollTimer = setInterval(pollAll, pollIntervalMs);
+
+      // Don't keep the process alive just for this timer
+      pollTimer.unref();
+      console.log(`Job queue "${name}" running ${workers.size} stage(s), polling every ${Math.round(pollIntervalMs / 1000)}s`);
+      pollAll();
+    },
+
+    /**
+     * Stop taking new jobs (jobs already running finish)
+     */
+    stop() {
+      if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+      }
+    },
+
+    /**
+     * Count the jobs running in this process
+     * @returns {number} Running jobs across all stages
+     */
+    activeCount: () => [...workers.values()].reduce((total, worker) => total + worker.active, 0)
+  };
+}
+
+module.exports = {
+  JOB_STATES,
+  createJobQueue,
+  getRetryDelay
+};
@@ -0,0 +1,223 @@
+/**
+ * Listing Deduplication
+ *
+ * Sellers cross-post the same item into several groups and repost it every
+ * day. This module recognises such reposts at ingestion, by the seller, the
+ * normalised title, the price and perceptual hashes of the photos, so the
+ * existing listing is bumped and the new post recorded as one of its sources
+ * instead of a new listing being created.
+ */
+
+const jpeg = require('jpeg-js');
+const supabase = require('../database/supabase');
+const { listings, listingSources } = require('../database/schema');
+const { normalizeText } = require('../database/search-query');
+
+// Photos whose hashes differ in at most this many of their 64 bits are the same photo
+// (recompression, resizing and WhatsApp's own processing change a few)
+const MAX_HASH_DISTANCE = parseInt(process.env.DUPLICATE_HASH_DISTANCE || '10', 10);
+
+// Prices within this fraction of each other count as the same price
+const PRICE_TOLERANCE = 0.05;
+
+// Titles sharing at least this fraction of their words count as the same title
+const TITLE_SIMILARITY = 0.8;
+
+// Don't decode photos bigger than this (in MB of decoded pixels)
+const MAX_DECODE_MEMORY_MB = 256;
+
+/**
+ * Compute a perceptual (difference) hash of a photo
+ *
+ * The photo is shrunk to 9x8 greyscale and each bit records whether a pixel
+ * is darker than its right-hand neighbour, so the hash survives resizing and
+ * recompression but changes with the picture itself.
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - MIME type of the file
+ * @returns {string|null} 16 hex digits, or null for videos, non-JPEG images and unreadable files
+ */
+function computeImageHash(buffer, mimeType) {
+  if (!/^image\/(?:jpeg|jpg)/i.test(mimeType || '')) return null;
+
+  try {
+    const { width, height, data } = jpeg.decode(buffer, {
+      useTArray: true,
+      formatAsRGBA: true,
+      maxMemoryUsageInMB: MAX_DECODE_MEMORY_MB
+    });
+    if (!width || !height) return null;
+
+    // Average the photo down to a 9x8 grid of greyscale cells
+    const sums = new Float64Array(72);
+    const counts = new Uint32Array(72);
+    for (let y = 0; y < height; y++) {
+      const row = Math.min(7, Math.floor((y * 8) / height));
+      for (let x = 0; x < width; x++) {
+        const cell = row * 9 + Math.min(8, Math.floor((x * 9) / width));
+        const offset = (y * width + x) * 4;
+        sums[cell] += 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+        counts[cell]++;
+      }
+    }
+    const grey = Array.from(sums, (sum, cell) => sum / (counts[cell] || 1));
+
+    let hash = '';
+    for (let row = 0; row < 8; row++) {
+      for (let nibble = 0; nibble < 2; nibble++) {
+        let value = 0;
+        for (let bit = 0; bit < 4; bit++) {
+          const column = nibble * 4 + bit;
+          value = (value << 1) | (grey[row * 9 + column] < grey[row * 9 + column + 1] ? 1 : 0);
+        }
+        hash += value.toString(16);
+      }
+    }
+    return hash;
+  } catch (error) {
+    console.error('Error hashing listing photo:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Count the bits two perceptual hashes differ in
+ * @param {string} a - Hash
+ * @param {string} b - Hash
+ * @returns {number} 0 (same photo) to 64
+ */
+function hashDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < 16; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Split a title into comparable words
+ * @param {string} title - Listing title
+ * @returns {Set<string>} Lowercase, unaccented words (emoji and punctuation dropped)
+ */
+function titleWords(title) {
+  return new Set(normalizeText(title || '').split(/[^a-z0-9]+/).filter(word => word.length > 1));
+}
+
+/**
+ * Check whether two titles name the same product
+ * @param {string} a - Title
+ * @param {string} b - Title
+ * @returns {boolean} True if they share most of their words
+ */
+function titlesMatch(a, b) {
+  const wordsA = titleWords(a);
+  const wordsB = titleWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return false;
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / new Set([...wordsA, ...wordsB]).size >= TITLE_SIMILARITY;
+}
+
+/**
+ * Check whether two prices are the same (allowing for rounding)
+ * @param {number} a - Price
+ * @param {number} b - Price
+ * @returns {boolean} True if they're within PRICE_TOLERANCE of each other
+ */
+function pricesMatch(a, b) {
+  const priceA = Number(a);
+  const priceB = Number(b);
+  if (!priceA || !priceB) return false;
+  return Math.abs(priceA - priceB) <= PRICE_TOLERANCE * Math.max(priceA, priceB);
+}
+
+/**
+ * Check whether any of a post's photos is one of a listing's photos
+ * @param {Array<string>} hashes - Perceptual hashes of the post's photos
+ * @param {Array<Object>} media - The listing's media rows
+ * @returns {boolean} True if a pair of photos is within MAX_HASH_DISTANCE
+ */
+function photosMatch(hashes, media) {
+  const known = (media || []).map(item => item.phash).filter(Boolean);
+  return hashes.some(hash => known.some(other => hashDistance(hash, other) <= MAX_HASH_DISTANCE));
+}
+
+/**
+ * Find an active listing that a newly posted product repeats
+ *
+ * A product is a repost of one of the same seller's listings when the title
+ * and price match, or when a photo matches and either the title or (for a
+ * post offering a single product) the price does.
+ * @param {string} sellerId - ID of the seller
+ * @param {Object} item - The extracted listing (title, price)
+ * @param {Object} post - The post it came from
+ * @param {string} post.messageId - Serialized WhatsApp message ID
+ * @param {Array<string>} post.imageHashes - Perceptual hashes of the post's photos
+ * @param {number} post.itemCount - Number of products the post offers
+ * @returns {Promise<Object|null>} The listing it repeats, or null if it's new
+ */
+async function findDuplicateListing(sellerId, item, { messageId, imageHashes = [], itemCount = 1 }) {
+  const candidates = await listings.findActiveBySeller(supabase, sellerId);
+
+  return (candidates || []).find(listing => {
+    // Products of the same post share its photos, so they're never duplicates of each other
+    if (listing.source_message_id === messageId) return false;
+
+    const sameTitle = titlesMatch(listing.title, item.title);
+    const samePrice = pricesMatch(listing.price, item.price);
+    const samePhoto = imageHashes.length > 0 && photosMatch(imageHashes, listing.media);
+
+    return (sameTitle && samePrice) || (samePhoto && (sameTitle || (samePrice && itemCount === 1)));
+  }) || null;
+}
+
+/**
+ * Record a group post a listing was posted in
+ * @param {Object} listing - The listing
+ * @param {Object} source - The post
+ * @param {string} source.groupId - Group it was posted in
+ * @param {string} source.messageId - Serialized WhatsApp message ID
+ * @returns {Promise<Object>} The listing_sources row
+ */
+async function recordListingSource(listing, { groupId, messageId }) {
+  return listingSources.create(supabase, {
+    listing_id: listing.id,
+    group_id: groupId,
+    message_id: messageId
+  });
+}
+
+/**
+ * Merge a repost into the listing it repeats: record the post as another
+ * source, bump the listing's freshness and take the latest price
+ * @param {Object} listing - The listing that was reposted
+ * @param {Object} item - The product as extracted from the repost
+ * @param {Object} source - The repost ({ groupId, messageId })
+ * @returns {Promise<Object>} The updated listing
+ */
+async function mergeRepost(listing, item, source) {
+  await recordListingSource(listing, source);
+
+  const updated = await listings.update(supabase, listing.id, {
+    price: item.price,
+    currency: item.currency || listing.currency,
+    repost_count: (listing.repost_count || 0) + 1,
+    last_activity_at: new Date()
+  });
+
+  console.log(`Merged repost ${source.messageId} into listing ${listing.id} (${listing.title})`);
+  return updated;
+}
+
+module.exports = {
+  computeImageHash,
+  hashDistance,
+  titlesMatch,
+  pricesMatch,
+  findDuplicateListing,
+  recordListingSource,
+  mergeRepost
+};
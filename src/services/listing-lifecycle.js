@@ -0,0 +1,315 @@
+/**
+ * Listing Lifecycle
+ *
+ * This module keeps listings in step with the group posts they came from.
+ * Editing a post updates its listings, deleting it withdraws them, a seller's
+ * "sold" / "vendu" follow-up marks them sold, and listings with no activity
+ * for LISTING_TTL_DAYS expire.
+ */
+
+const supabase = require('../database/supabase');
+const { listings, listingSources } = require('../database/schema');
+const { normalizeText } = require('../database/search-query');
+const { geocodeListingLocation } = require('./gazetteer');
+const { shareListingMedia } = require('./media-storage');
+const { recordListingSource } = require('./listing-dedupe');
+const { matchListingToAlerts } = require('./search-alerts');
+require('dotenv').config();
+
+const LISTING_STATES = {
+  ACTIVE: 'active',
+  SOLD: 'sold',
+  WITHDRAWN: 'withdrawn',
+  EXPIRED: 'expired'
+};
+
+// Days without activity (posting or editing) after which a listing expires (default 30)
+const LISTING_TTL_DAYS = parseInt(process.env.LISTING_TTL_DAYS || '30', 10);
+
+// How often to look for listings to expire (default 1 hour)
+const LISTING_EXPIRY_INTERVAL_MS = parseInt(process.env.LISTING_EXPIRY_INTERVAL_MS || '3600000', 10);
+
+// What sellers write once something has gone, in English, French and Pidgin
+const SOLD_PATTERN = /\b(?:sold(?:\s+out)?|vendu(?:e|s|es)?|plus\s+disponible|no\s+longer\s+available|not\s+available\s+anymore|don\s+sell|don\s+finish)\b/i;
+
+// ...unless they're saying the opposite ("not sold yet", "pas encore vendu")
+const NOT_SOLD_PATTERN = /\b(?:not|never|pas(?:\s+encore)?|jamais)\s+(?:yet\s+)?(?:sold|vendu)/i;
+
+let expiryTimer = null;
+
+/**
+ * Check whether a seller's message says something has been sold
+ * @param {string} text - Message text
+ * @returns {boolean} True for "sold", "SOLD OUT ✅", "déjà vendu", etc. (but not questions like "sold?")
+ */
+function isSoldMessage(text) {
+  const body = String(text || '').trim();
+  if (!body || body.endsWith('?')) return false;
+  return SOLD_PATTERN.test(body) && !NOT_SOLD_PATTERN.test(body);
+}
+
+/**
+ * Find the listings a message names by title
+ * @param {Array<Object>} candidates - Listings
+ * @param {string} text - Message text
+ * @returns {Array<Object>} The listings whose title appears in the message
+ */
+function findMentionedListings(candidates, text) {
+  const body = normalizeText(text);
+  return candidates.filter(listing => {
+    const title = normalizeText(listing.title || '');
+    return title && body.includes(title);
+  });
+}
+
+/**
+ * Close a listing
+ * @param {Object} listing - The listing
+ * @param {string} status - LISTING_STATES.SOLD or LISTING_STATES.WITHDRAWN
+ * @returns {Promise<Object>} The updated listing
+ */
+async function closeListing(listing, status) {
+  const updated = await listings.update(supabase, listing.id, { status, closed_at: new Date() });
+  console.log(`Listing ${listing.id} (${listing.title}) is now ${status}`);
+  return updated;
+}
+
+/**
+ * Get the still-active listings a group message offers: those created from it
+ * and those it was merged into as a repost
+ * @param {string} messageId - Serialized WhatsApp message ID
+ * @returns {Promise<Array<Object>>} The listings
+ */
+async function getActiveListingsForMessage(messageId) {
+  const created = await listings.findBySourceMessage(supabase, messageId);
+  const merged = (await listingSources.findByMessage(supabase, messageId) || []).map(source => source.listing);
+
+  const found = new Map();
+  for (const listing of [...(created || []), ...merged]) {
+    if (listing && listing.status === LISTING_STATES.ACTIVE) found.set(listing.id, listing);
+  }
+  return [...found.values()];
+}
+
+/**
+ * Count the posts still offering a listing (not deleted, nor edited to drop it)
+ * @param {Object} listing - The listing
+ * @returns {Promise<number>} Number of posts
+ */
+async function countActiveSources(listing) {
+  const sources = await listingSources.findByListing(supabase, listing.id) || [];
+  return sources.filter(source => !source.removed_at).length;
+}
+
+/**
+ * Update the listings of a post the seller edited
+ *
+ * Products still in the post are updated, products added to the post become
+ * new listings sharing the post's seller and media, and products the post no
+ * longer offers are marked sold if the edit says so. Otherwise they're only
+ * withdrawn once no other post offers them, like a deleted post's.
+ * @param {string} messageId - Serialized WhatsApp message ID of the post
+ * @param {Array<Object>} items - Listings extracted from the edited post
+ * @param {string} newBody - The edited text
+ * @param {string} groupId - Group the post is in (default: the group its first listing was posted in)
+ * @returns {Promise<Object>} The { updated, created, closed } listings
+ */
+async function applyListingEdit(messageId, items, newBody, groupId = null) {
+  const existing = await getActiveListingsForMessage(messageId);
+  const result = { updated: [], created: [], closed: [] };
+  if (existing.length === 0) return result;
+
+  const now = new Date();
+  const unmatched = [...existing];
+  const unclaimedItems = [];
+
+  for (const item of items) {
+    // Match products by title; a post with one product keeps its listing whatever the new title
+    let index = unmatched.findIndex(listing => normalizeText(listing.title) === normalizeText(item.title));
+    if (index === -1 && existing.length === 1 && items.length === 1) index = 0;
+    if (index === -1) {
+      unclaimedItems.push(item);
+      continue;
+    }
+
+    const [listing] = unmatched.splice(index, 1);
+
+    // "iPhone 11 – 150k SOLD": the edit marks this product sold (it only counts if it wasn't there before)
+    if (isSoldMessage(item.description) && !isSoldMessage(listing.description)) {
+      result.closed.push(await closeListing(listing, LISTING_STATES.SOLD));
+      continue;
+    }
+
+    result.updated.push(await listings.update(supabase, listing.id, {
+      title: item.title,
+      description: item.description,
+      price: item.price,
+      currency: item.currency || 'FCFA',
+      location: item.location,
+      ...geocodeListingLocation(item.location),
+      category: item.category || listing.category,
+      last_activity_at: now
+    }));
+  }
+
+  // Products no longer in the post are gone, sold if the edit says so (and not just of one of the products left)
+  const soldInEdit = isSoldMessage(newBody) &&
+    !items.some(item => isSoldMessage(item.description)) &&
+    !existing.some(listing => isSoldMessage(listing.description));
+  for (const listing of unmatched) {
+    await listingSources.markRemoved(supabase, listing.id, messageId);
+    if (soldInEdit) {
+      result.closed.push(await closeListing(listing, LISTING_STATES.SOLD));
+      continue;
+    }
+
+    const remaining = await countActiveSources(listing);
+    if (remaining > 0) {
+      console.log(`Post ${messageId} no longer offers listing ${listing.id}; it's still offered in ${remaining} other post(s)`);
+      continue;
+    }
+    result.closed.push(await closeListing(listing, LISTING_STATES.WITHDRAWN));
+  }
+
+  // Products added to the post become listings of their own
+  const [template] = existing;
+  const source = { groupId: groupId || template.group_id, messageId };
+  for (const item of unclaimedItems) {
+    if (isSoldMessage(item.description)) continue;
+
+    const created = await listings.create(supabase, {
+      title: item.title,
+      description: item.description,
+      price: item.price,
+      currency: item.currency || 'FCFA',
+      location: item.location,
+      ...geocodeListingLocation(item.location),
+      category: item.category || template.category,
+      seller_id: template.seller_id,
+      group_id: source.groupId,
+      source_message_id: messageId,
+      status: LISTING_STATES.ACTIVE
+    });
+    await recordListingSource(created, source);
+    if (template.media && template.media.length > 0) {
+      await shareListingMedia(created.id, template.media);
+    }
+    await matchListingToAlerts(created);
+    result.created.push(created);
+  }
+
+  console.log(`Post ${messageId} edited: ${result.updated.length} updated, ${result.created.length} added, ${result.closed.length} closed`);
+  return result;
+}
+
+/**
+ * Withdraw the listings of a post the seller deleted
+ *
+ * A listing also posted elsewhere (cross-posted or reposted) stays active
+ * until every post offering it has been deleted.
+ * @param {string} messageId - Serialized WhatsApp message ID of the post
+ * @returns {Promise<Array<Object>>} The withdrawn listings
+ */
+async function withdrawListingsForMessage(messageId) {
+  const withdrawn = [];
+  for (const listing of await getActiveListingsForMessage(messageId)) {
+    await listingSources.markRemoved(supabase, listing.id, messageId);
+    const remaining = await countActiveSources(listing);
+    if (remaining > 0) {
+      console.log(`Post ${messageId} deleted; listing ${listing.id} is still offered in ${remaining} other post(s)`);
+      continue;
+    }
+
+    withdrawn.push(await closeListing(listing, LISTING_STATES.WITHDRAWN));
+  }
+  return withdrawn;
+}
+
+/**
+ * Mark listings sold from a seller's follow-up message
+ *
+ * A reply to the post marks the products it names sold (or all of them if it
+ * names none); a message that isn't a reply marks the seller's listings in
+ * the group that it names by title.
+ * @param {Object} followUp - The follow-up
+ * @param {string} followUp.text - Message text
+ * @param {string} followUp.sellerId - ID of the user who sent it
+ * @param {string} followUp.groupId - Group it was sent in
+ * @param {string} followUp.quotedMessageId - Serialized ID of the message it replies to, if any
+ * @returns {Promise<Array<Object>>} The listings marked sold (empty if the message isn't a sold follow-up)
+ */
+async function markListingsSoldFromFollowUp({ text, sellerId, groupId, quotedMessageId }) {
+  if (!isSoldMessage(text)) return [];
+
+  let targets;
+  if (quotedMessageId) {
+    // Only the seller can say their own post has sold
+    const fromPost = (await getActiveListingsForMessage(quotedMessageId))
+      .filter(listing => listing.seller_id === sellerId);
+    const mentioned = findMentionedListings(fromPost, text);
+    targets = mentioned.length > 0 ? mentioned : fromPost;
+  } else {
+    const sellerListings = await listings.findActiveBySellerInGroup(supabase, sellerId, groupId);
+    targets = findMentionedListings(sellerListings || [], text);
+  }
+
+  const sold = [];
+  for (const listing of targets) {
+    sold.push(await closeListing(listing, LISTING_STATES.SOLD));
+  }
+  return sold;
+}
+
+/**
+ * Expire every active listing with no activity for LISTING_TTL_DAYS
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Promise<Array<Object>>} The expired listings
+ */
+async function expireInactiveListings(now = new Date()) {
+  const cutoff = new Date(now.getTime() - LISTING_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const expired = await listings.expireInactive(supabase, cutoff);
+
+  if (expired && expired.length > 0) {
+    console.log(`Expired ${expired.length} listing(s) with no activity since ${cutoff.toISOString()}`);
+  }
+
+  return expired || [];
+}
+
+/**
+ * Start expiring inactive listings on an interval
+ * @param {number} intervalMs - Interval between checks (default: LISTING_EXPIRY_INTERVAL_MS)
+ */
+function startListingExpiry(intervalMs = LISTING_EXPIRY_INTERVAL_MS) {
+  if (expiryTimer) return;
+
+  expiryTimer = setInterval(() => {
+    expireInactiveListings().catch(error => console.error('Error expiring listings:', error));
+  }, intervalMs);
+
+  // Don't keep the process alive just for this timer
+  expiryTimer.unref();
+  console.log(`Listing expiry running every ${Math.round(intervalMs / 1000)}s (TTL ${LISTING_TTL_DAYS} days)`);
+}
+
+/**
+ * Stop the listing expiry interval
+ */
+function stopListingExpiry() {
+  if (expiryTimer) {
+    clearInterval(expiryTimer);
+    expiryTimer = null;
+  }
+}
+
+module.exports = {
+  LISTING_STATES,
+  LISTING_TTL_DAYS,
+  isSoldMessage,
+  applyListingEdit,
+  withdrawListingsForMessage,
+  markListingsSoldFromFollowUp,
+  expireInactiveListings,
+  startListingExpiry,
+  stopListingExpiry
+};
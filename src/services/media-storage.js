@@ -0,0 +1,117 @@
+/**
+ * Media Storage
+ *
+ * This module is the one place media files are uploaded to Supabase storage.
+ * Listing photos and videos go to the listing bucket under the listing's ID
+ * and are recorded in `listing_media`; other media (such as dispute evidence)
+ * is uploaded to the bucket the caller names.
+ */
+
+const supabase = require('../database/supabase');
+const { listingMedia } = require('../database/schema');
+require('dotenv').config();
+
+// Bucket holding listing photos and videos
+const LISTING_MEDIA_BUCKET = process.env.LISTING_MEDIA_BUCKET || 'listing-images';
+
+// Media types that can be shown with a listing (and sent as Cloud API media messages)
+const LISTING_MEDIA_TYPES = ['image', 'video'];
+
+/**
+ * Get the kind of media a MIME type describes
+ * @param {string} mimeType - e.g. "image/jpeg" or "video/mp4"
+ * @returns {string|null} "image", "video", or null for anything else
+ */
+function getMediaType(mimeType) {
+  const type = String(mimeType || '').split('/')[0];
+  return LISTING_MEDIA_TYPES.includes(type) ? type : null;
+}
+
+/**
+ * Upload a file to Supabase storage
+ * @param {string} bucket - Storage bucket
+ * @param {string} folder - Folder inside the bucket
+ * @param {string} name - File name without extension
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - MIME type of the file
+ * @returns {Promise<string>} Public URL of the stored file
+ */
+async function uploadMedia(bucket, folder, name, buffer, mimeType) {
+  const extension = (mimeType || 'application/octet-stream').split('/')[1].split(';')[0];
+  const path = `${folder}/${name}_${Date.now()}.${extension}`;
+
+  const { data, error } = await supabase.storage
+    .from(bucket)
+    .upload(path, buffer, { contentType: mimeType });
+
+  if (error) throw error;
+
+  return `${process.env.SUPABASE_URL}/storage/v1/object/public/${bucket}/${data.path}`;
+}
+
+/**
+ * Store a photo or video for a listing
+ * @param {string} listingId - ID of the listing
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - MIME type of the file
+ * @param {number} position - Order in which the media is shown (0 first)
+ * @param {string|null} phash - Perceptual hash of the photo, if known (see listing-dedupe.js)
+ * @returns {Promise<Object|null>} The listing_media row, or null if the file isn't a photo or video
+ */
+async function storeListingMedia(listingId, buffer, mimeType, position = 0, phash = null) {
+  const mediaType = getMediaType(mimeType);
+  if (!mediaType) return null;
+
+  const mediaUrl = await uploadMedia(LISTING_MEDIA_BUCKET, listingId, `listing_${listingId}_${position}`, buffer, mimeType);
+
+  return listingMedia.create(supabase, {
+    listing_id: listingId,
+    media_url: mediaUrl,
+    media_type: mediaType,
+    mime_type: mimeType,
+    position,
+    phash
+  });
+}
+
+/**
+ * Show media already stored for one listing with another listing too, e.g.
+ * for the other products of a catalogue-style post (the files aren't copied)
+ * @param {string} listingId - ID of the listing to attach the media to
+ * @param {Array<Object>} media - listing_media rows from storeListingMedia
+ * @returns {Promise<Array<Object>>} The new listing_media rows
+ */
+async function shareListingMedia(listingId, media) {
+  const shared = [];
+  for (const item of media) {
+    shared.push(await listingMedia.create(supabase, {
+      listing_id: listingId,
+      media_url: item.media_url,
+      media_type: item.media_type,
+      mime_type: item.mime_type,
+      position: item.position,
+      phash: item.phash || null
+    }));
+  }
+  return shared;
+}
+
+/**
+ * Get a listing's media in display order
+ * @param {Object} listing - Listing with its `media` relation
+ * @returns {Array<Object>} Media rows, first to show first
+ */
+function getListingMedia(listing) {
+  return [...(listing?.media || [])]
+    .filter(item => LISTING_MEDIA_TYPES.includes(item.media_type))
+    .sort((a, b) => (a.position || 0) - (b.position || 0));
+}
+
+module.exports = {
+  LISTING_MEDIA_BUCKET,
+  getMediaType,
+  uploadMedia,
+  storeListingMedia,
+  shareListingMedia,
+  getListingMedia
+};
@@ -0,0 +1,54 @@
+/**
+ * Notification Service
+ *
+ * This module sends proactive WhatsApp messages (payment updates, order
+ * updates, alerts) through the search bot's Cloud API sender.
+ */
+
+const { DEFAULT_LOCALE, getPreferredLocale } = require('./i18n');
+
+/**
+ * Send a WhatsApp message to a user without throwing if it can't be delivered
+ * @param {string} phone - Recipient phone number
+ * @param {string|Object|Function} message - Message text, a response object with text and actions,
+ *   or a function building either from the recipient's language (`locale => t(locale, ...)`)
+ * @returns {Promise<boolean>} True if WhatsApp accepted the message
+ */
+async function notifyUser(phone, message) {
+  if (!phone) return false;
+
+  try {
+    if (typeof message === 'function') {
+      message = message(await getPreferredLocale(phone) || DEFAULT_LOCALE);
+    }
+
+    // Required lazily: the search bot itself depends on the modules that send notifications
+    const { sendWhatsAppMessage } = require('../search-bot');
+    return await sendWhatsAppMessage(phone, typeof message === 'string' ? { text: message } : message);
+  } catch (error) {
+    console.error(`Error sending notification to ${phone}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Tell the marketplace's admins about something that needs a person (the
+ * numbers in ADMIN_PHONE_NUMBERS, comma-separated)
+ * @param {string} message - Message text
+ * @returns {Promise<boolean>} True if at least one admin was notified
+ */
+async function notifyAdmins(message) {
+  const phones = (process.env.ADMIN_PHONE_NUMBERS || '').split(',').map(phone => phone.trim()).filter(Boolean);
+  if (phones.length === 0) {
+    console.warn('ADMIN_PHONE_NUMBERS is not set; admin notification not sent:', message);
+    return false;
+  }
+
+  const sent = await Promise.all(phones.map(phone => notifyUser(phone, `🛠️ *Admin*\n\n${message}`)));
+  return sent.some(Boolean);
+}
+
+module.exports = {
+  notifyUser,
+  notifyAdmins
+};
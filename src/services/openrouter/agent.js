@@ -5,38 +5,39 @@
  * to power intelligent marketplace interactions.
  */
 
-const { sendMessage, streamResponse } = require('./client');
+const { sendMessage, streamResponse, isVisionConfigured, describeImage } = require('./client');
 const {
   getBaseSystemPrompt,
   getContextAwareSystemPrompt,
   getListingExtractionPrompt,
-  getSearchHandlingPrompt
+  getSearchHandlingPrompt,
+  getImageSearchPrompt
 } = require('./system-prompt');
 const { extractEntities } = require('../agent/entity-extractor');
 const { generateResponse } = require('../agent/response-generator');
+const { createSessionStore } = require('../session-store');
+const { extractListingItems } = require('../../group-bot/listing-parser');
+const { t } = require('../i18n');
 
 // For error handling and fallbacks
 const axios = require('axios');
 
-// In-memory session storage (replace with database in production)
-const sessions = new Map();
+// Sessions, shared by every instance and kept across restarts (see ../session-store)
+const sessions = createSessionStore('openrouter');
 
 /**
  * Get or create a user session
  * @param {string} userId - The user's WhatsApp ID
- * @returns {Object} The user session
+ * @returns {Promise<Object>} The user session
  */
-function getUserSession(userId) {
-  if (!sessions.has(userId)) {
-    sessions.set(userId, {
-      userId,
-      currentState: 'initial',
-      conversationHistory: [],
-      lastInteraction: Date.now()
-    });
-  }
+async function getUserSession(userId) {
+  const session = await sessions.get(userId) || {
+    userId,
+    currentState: 'initial',
+    conversationHistory: [],
+    lastInteraction: Date.now()
+  };
   
-  const session = sessions.get(userId);
   session.lastInteraction = Date.now();
   return session;
 }
@@ -45,10 +46,25 @@ function getUserSession(userId) {
  * Process a user message with the OpenRouter agent
  * @param {string} userId - The user's WhatsApp ID
  * @param {string} message - The user's message
+ * @param {Object} options - Message options
+ * @param {string} options.locale - Language to reply in
  * @returns {Promise<Object>} The agent's response
  */
-async function processMessage(userId, message) {
-  const session = getUserSession(userId);
+async function processMessage(userId, message, options = {}) {
+  const session = await getUserSession(userId);
+  session.languageName = options.locale ? t(options.locale, 'language.name') : null;
+  const response = await respondToMessage(session, message);
+  await sessions.set(userId, session);
+  return response;
+}
+
+/**
+ * Ask the model for a response to a message, updating the session along the way
+ * @param {Object} session - The user session
+ * @param {string} message - The user's message
+ * @returns {Promise<Object>} The agent's response
+ */
+async function respondToMessage(session, message) {
   session.lastMessage = message;
   
   // Add user message to conversation history
@@ -127,9 +143,26 @@ async function processMessage(userId, message) {
 }
 
 /**
- * Extract product listing from a message
+ * Turn the model's listing extraction into one listing per product
+ * @param {Object} extracted - Message-wide fields with an `items` array (or a single listing)
+ * @returns {Array<Object>} Listings, each with its own title and price and the message's shared fields
+ */
+function expandListingItems(extracted) {
+  if (!Array.isArray(extracted.items)) return [extracted];
+  
+  const { items, description: sharedDescription, ...shared } = extracted;
+  return items.map(item => ({
+    ...shared,
+    ...item,
+    currency: item.currency || shared.currency || 'FCFA',
+    description: [item.description || item.title, sharedDescription].filter(Boolean).join('\n\n')
+  }));
+}
+
+/**
+ * Extract product listings from a message
  * @param {string} message - The message containing product information
- * @returns {Promise<Object>} Extracted product listing
+ * @returns {Promise<Array<Object>>} Extracted product listings, one per product the message offers
  */
 async function extractProductListing(message) {
   try {
@@ -150,25 +183,26 @@ async function extractProductListing(message) {
     // Try to parse the response as JSON
     try {
       // Look for JSON structure in the response
+      // (greedy, since the items are nested objects)
       const jsonMatch = assistantMessage.match(/```json\n([\s\S]*?)\n```/) || 
-                       assistantMessage.match(/{[\s\S]*?}/);
+                       assistantMessage.match(/{[\s\S]*}/);
       
       if (jsonMatch) {
         const jsonStr = jsonMatch[0].replace(/```json\n|```/g, '');
-        return JSON.parse(jsonStr);
+        return expandListingItems(JSON.parse(jsonStr));
       }
       
-      // If no JSON structure found, use entity extractor as fallback
-      return extractEntities(message);
+      // If no JSON structure found, use the built-in listing parser as fallback
+      return extractListingItems(message);
     } catch (parseError) {
       console.error('Error parsing listing extraction response:', parseError);
-      // Fallback to our existing entity extractor
-      return extractEntities(message);
+      // Fallback to the built-in listing parser
+      return extractListingItems(message);
     }
   } catch (error) {
     console.error('Error extracting product listing with OpenRouter:', error);
-    // Fallback to our existing entity extractor
-    return extractEntities(message);
+    // Fallback to the built-in listing parser
+    return extractListingItems(message);
   }
 }
 
@@ -205,7 +239,7 @@ async function processSearchQuery(message) {
       }
       
       // If no JSON structure found, use entity extractor as fallback
-      const entities = extractEntities(message);
+      const { entities } = await extractEntities(message);
       return {
         query: entities.query || null,
         category: entities.category || null,
@@ -213,12 +247,12 @@ async function processSearchQuery(message) {
         minPrice: entities.minPrice || null,
         maxPrice: entities.maxPrice || null,
         exactPrice: entities.exactPrice || null,
-        sortBy: null
+        sortBy: entities.sortBy || null
       };
     } catch (parseError) {
       console.error('Error parsing search query response:', parseError);
       // Fallback to our existing entity extractor
-      const entities = extractEntities(message);
+      const { entities } = await extractEntities(message);
       return {
         query: entities.query || null,
         category: entities.category || null,
@@ -226,13 +260,13 @@ async function processSearchQuery(message) {
         minPrice: entities.minPrice || null,
         maxPrice: entities.maxPrice || null,
         exactPrice: entities.exactPrice || null,
-        sortBy: null
+        sortBy: entities.sortBy || null
       };
     }
   } catch (error) {
     console.error('Error processing search query with OpenRouter:', error);
     // Fallback to our existing entity extractor
-    const entities = extractEntities(message);
+    const { entities } = await extractEntities(message);
     return {
       query: entities.query || null,
       category: entities.category || null,
@@ -240,11 +274,34 @@ async function processSearchQuery(message) {
       minPrice: entities.minPrice || null,
       maxPrice: entities.maxPrice || null,
       exactPrice: entities.exactPrice || null,
-      sortBy: null
+      sortBy: entities.sortBy || null
     };
   }
 }
 
+/**
+ * Describe a buyer's photo as search parameters
+ * @param {Object} image - The photo ({ buffer, mimeType })
+ * @param {string} caption - The buyer's caption, if any
+ * @returns {Promise<Object|null>} { query, category, description }, or null if no product was recognised
+ */
+async function describeSearchImage(image, caption = '') {
+  const reply = await describeImage(getImageSearchPrompt(), image, caption);
+  
+  // Look for JSON structure in the response
+  const jsonMatch = reply.match(/```json\n([\s\S]*?)\n```/) || reply.match(/{[\s\S]*?}/);
+  if (!jsonMatch) return null;
+  
+  const described = JSON.parse(jsonMatch[0].replace(/```json\n|```/g, ''));
+  if (!described.query) return null;
+  
+  return {
+    query: String(described.query).trim(),
+    category: described.category || null,
+    description: described.description || null
+  };
+}
+
 /**
  * Map intent to conversation state
  * @param {string} intent - The detected intent
@@ -315,5 +372,7 @@ module.exports = {
   processMessage,
   extractProductListing,
   processSearchQuery,
+  isVisionConfigured,
+  describeSearchImage,
   getUserSession
 };
@@ -14,6 +14,9 @@ const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
 const SITE_URL = 'https://whatsapp-marketplace.com'; // Replace with your actual site URL
 const SITE_NAME = 'WhatsApp Marketplace'; // Replace with your actual site name
 
+// Vision-capable model used to describe photos; photo features are off when it isn't set
+const OPENROUTER_VISION_MODEL = process.env.OPENROUTER_VISION_MODEL;
+
 if (!OPENROUTER_API_KEY) {
   console.error('Missing OpenRouter API key. Please check your .env file.');
 }
@@ -55,6 +58,48 @@ async function sendMessage(messages, model = 'openai/gpt-4o', options = {}) {
   }
 }
 
+/**
+ * Check whether photos can be described (an API key and a vision model are configured)
+ * @returns {boolean} True if describeImage can be used
+ */
+function isVisionConfigured() {
+  return Boolean(OPENROUTER_API_KEY && OPENROUTER_VISION_MODEL);
+}
+
+/**
+ * Ask the vision model about an image
+ * @param {string} systemPrompt - Instructions for the model
+ * @param {Object} image - The image ({ buffer, mimeType })
+ * @param {string} text - Text sent with the image (e.g. the user's caption)
+ * @param {Object} options - Additional options for the API call
+ * @returns {Promise<string>} The model's reply
+ */
+async function describeImage(systemPrompt, image, text = '', options = {}) {
+  if (!isVisionConfigured()) {
+    throw new Error('No OpenRouter vision model configured (OPENROUTER_VISION_MODEL)');
+  }
+  
+  const messages = [
+    {
+      role: 'system',
+      content: systemPrompt
+    },
+    {
+      role: 'user',
+      content: [
+        { type: 'text', text: text || 'What is in this photo?' },
+        {
+          type: 'image_url',
+          image_url: { url: `data:${image.mimeType};base64,${image.buffer.toString('base64')}` }
+        }
+      ]
+    }
+  ];
+  
+  const response = await sendMessage(messages, OPENROUTER_VISION_MODEL, { max_tokens: 300, ...options });
+  return response.choices[0].message.content;
+}
+
 /**
  * Stream a response from the OpenRouter API
  * @param {Array} messages - Array of message objects with role and content
@@ -131,5 +176,7 @@ async function streamResponse(messages, onChunk, model = 'deepseek/deepseek-r1-0
 
 module.exports = {
   sendMessage,
-  streamResponse
+  streamResponse,
+  isVisionConfigured,
+  describeImage
 };
@@ -14,6 +14,8 @@ module.exports = {
   processMessage: agent.processMessage,
   extractProductListing: agent.extractProductListing,
   processSearchQuery: agent.processSearchQuery,
+  isVisionConfigured: agent.isVisionConfigured,
+  describeSearchImage: agent.describeSearchImage,
   getUserSession: agent.getUserSession,
   
   // Export system prompt generators
@@ -21,6 +23,7 @@ module.exports = {
   getContextAwareSystemPrompt: systemPrompt.getContextAwareSystemPrompt,
   getListingExtractionPrompt: systemPrompt.getListingExtractionPrompt,
   getSearchHandlingPrompt: systemPrompt.getSearchHandlingPrompt,
+  getImageSearchPrompt: systemPrompt.getImageSearchPrompt,
   
   // Export OpenRouter client functions
   sendMessage: client.sendMessage,
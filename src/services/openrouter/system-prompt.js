@@ -96,6 +96,11 @@ function getContextAwareSystemPrompt(userState) {
       contextPrompt += `Price: ${userState.checkoutInfo.amount} ${userState.checkoutInfo.currency}\n`;
       contextPrompt += `Seller: ${userState.checkoutInfo.sellerName}\n`;
     }
+    
+    // Answer in the user's language
+    if (userState.languageName) {
+      contextPrompt += `\nLANGUAGE: Reply in ${userState.languageName}.\n`;
+    }
   }
   
   return basePrompt + contextPrompt;
@@ -109,16 +114,24 @@ function getListingExtractionPrompt() {
   return `${getBaseSystemPrompt()}
 
 Your current task is to extract product listing information from a WhatsApp message.
-Analyze the message and extract the following fields:
-- title: The name or title of the product
-- description: Detailed description of the product
-- price: The numerical price value
+A message may offer one product or several (e.g. "iPhone 11 – 150k, iPhone 12 – 200k, AirPods – 35k").
+Analyze the message and extract the following fields for the message as a whole:
+- description: What the message says about all of its products (delivery, contact details, condition), or null
 - currency: The currency (default to FCFA if not specified)
-- location: Where the product is located or can be picked up
+- location: Where the products are located or can be picked up
 - category: The product category (e.g., Electronics, Clothing, Furniture)
-- condition: The condition of the product (e.g., New, Used, Like New)
+- condition: The condition of the products (e.g., New, Used, Like New)
 
-Return the extracted information as structured data. If you cannot determine a field with confidence, leave it as null.
+and, in "items", one entry per product offered:
+- title: The name or title of the product
+- description: Detailed description of this product
+- price: The numerical price value ("150k" is 150000)
+- currency: The currency, if it differs from the message's
+- condition: The condition, if it differs from the message's
+
+Return the extracted information as a single JSON object, e.g.
+{"description": null, "currency": "FCFA", "location": "Akwa", "category": "Electronics", "condition": null, "items": [{"title": "iPhone 11", "description": "iPhone 11", "price": 150000}]}
+If you cannot determine a field with confidence, leave it as null. Leave out products without a price.
 Do not make up information that is not present or implied in the message.`;
 }
 
@@ -143,6 +156,23 @@ Return the extracted search parameters as structured data. If a parameter is not
 Do not make up information that is not present or implied in the message.`;
 }
 
+/**
+ * Generate a system prompt for turning a buyer's photo into a search
+ * @returns {string} The image search system prompt
+ */
+function getImageSearchPrompt() {
+  return `${getBaseSystemPrompt()}
+
+Your current task is to look at a photo or screenshot a buyer sent because they want to find a product like it.
+The buyer's caption, if any, comes with the photo. Identify the main product and reply with a JSON object:
+- query: 2 to 5 search keywords for the product, most important first (product type, then brand, model and colour if visible)
+- category: The product category (e.g., Electronics, Fashion, Real Estate, Vehicles), or null
+- description: One short sentence describing the product, for the buyer
+
+If the photo doesn't show a product someone could buy, set query to null.
+Do not make up brands or models you cannot see.`;
+}
+
 /**
  * Generate a system prompt for handling group registration
  * @returns {string} The group registration system prompt
@@ -180,5 +210,6 @@ module.exports = {
   getContextAwareSystemPrompt,
   getListingExtractionPrompt,
   getSearchHandlingPrompt,
+  getImageSearchPrompt,
   getGroupRegistrationPrompt
 };
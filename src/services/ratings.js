@@ -0,0 +1,112 @@
+/**
+ * Ratings Service
+ *
+ * This module records buyers' ratings of sellers after a completed escrow
+ * transaction and formats seller reputation for display.
+ */
+
+const supabase = require('../database/supabase');
+const { users, ratings } = require('../database/schema');
+const { ESCROW_STATES, getEscrowTransaction } = require('../payment/escrow');
+const { t, formatNumber } = require('./i18n');
+
+// Escrow states in which the seller has been paid, so the buyer may rate them
+const RATEABLE_STATES = [
+  ESCROW_STATES.RELEASED,
+  ESCROW_STATES.SPLIT
+];
+
+/**
+ * Create an error with a code the caller can act on
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} The error
+ */
+function ratingError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Rate the seller of a completed transaction. Each buyer can rate a transaction once.
+ * @param {Object} ratingData - Rating details
+ * @param {string} ratingData.transactionId - ID of the completed transaction
+ * @param {string} ratingData.buyerPhone - WhatsApp number of the buyer
+ * @param {number} ratingData.rating - Rating from 1 to 5
+ * @param {string} ratingData.comment - Optional written comment
+ * @returns {Promise<Object>} The stored rating, with the transaction it belongs to
+ */
+async function submitRating(ratingData) {
+  const { transactionId, buyerPhone, comment = null } = ratingData;
+  const rating = parseInt(ratingData.rating, 10);
+
+  if (!(rating >= 1 && rating <= 5)) {
+    throw ratingError('Rating must be between 1 and 5', 'RATING_INVALID');
+  }
+
+  const buyer = await users.findByPhone(supabase, buyerPhone);
+  const transaction = transactionId ? await getEscrowTransaction(transactionId) : null;
+
+  if (!buyer || !transaction || transaction.buyer_id !== buyer.id) {
+    throw ratingError('No completed order found to rate', 'RATING_NOT_FOUND');
+  }
+
+  if (!RATEABLE_STATES.includes(transaction.status)) {
+    throw ratingError(`Order ${transactionId} is ${transaction.status} and can't be rated yet`, 'RATING_NOT_ALLOWED');
+  }
+
+  if (await ratings.findByTransaction(supabase, transactionId, buyer.id)) {
+    throw ratingError(`Order ${transactionId} has already been rated`, 'RATING_DUPLICATE');
+  }
+
+  try {
+    const stored = await ratings.submit(supabase, {
+      transaction_id: transactionId,
+      from_user_id: buyer.id,
+      to_user_id: transaction.seller_id,
+      rating,
+      comment
+    });
+
+    return { ...stored, transaction };
+  } catch (error) {
+    // A concurrent submission won the race to the unique constraint
+    if (error.code === '23505') {
+      throw ratingError(`Order ${transactionId} has already been rated`, 'RATING_DUPLICATE');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Attach a written comment to a rating the buyer already submitted
+ * @param {string} ratingId - ID of the rating
+ * @param {string} comment - The buyer's comment
+ * @returns {Promise<Object>} The updated rating
+ */
+async function addRatingComment(ratingId, comment) {
+  const text = String(comment || '').trim().slice(0, 500);
+  return ratings.update(supabase, ratingId, { comment: text || null });
+}
+
+/**
+ * Format a seller's reputation for chat messages
+ * @param {Object} seller - Seller with rating and total_ratings
+ * @param {string} locale - Locale code
+ * @returns {string} e.g. "4.6/5 (12 ratings)" or "No ratings yet"
+ */
+function formatReputation(seller, locale) {
+  const total = Number(seller?.total_ratings || 0);
+  if (total === 0) return t(locale, 'rating.no_ratings');
+
+  const average = formatNumber(seller.rating, locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  return t(locale, 'rating.reputation', { average, count: total });
+}
+
+module.exports = {
+  RATEABLE_STATES,
+  submitRating,
+  addRatingComment,
+  formatReputation
+};
@@ -0,0 +1,353 @@
+/**
+ * Search Alerts Service
+ *
+ * This module manages saved searches ("alert me when an iPhone under 200k
+ * appears in Douala"). New listings are matched against active alerts as
+ * they are ingested; matches are queued in `search_alert_matches` and sent
+ * to each user as a periodic digest, so a busy group doesn't flood them.
+ */
+
+const supabase = require('../database/supabase');
+const { users, searchAlerts, searchAlertMatches } = require('../database/schema');
+const { checkUserSubscription } = require('./fapshi/payment');
+const { PRICE_PATTERN } = require('./agent/entity-extractor');
+const { normalizeText, tokenize } = require('../database/search-query');
+const { notifyUser } = require('./notifications');
+const { DEFAULT_LOCALE, t, formatPrice } = require('./i18n');
+require('dotenv').config();
+
+// Active alerts allowed without a subscription, and with one whose plan doesn't set `search_alerts`
+const FREE_SEARCH_ALERT_LIMIT = parseInt(process.env.FREE_SEARCH_ALERT_LIMIT || '1', 10);
+const PREMIUM_SEARCH_ALERT_LIMIT = parseInt(process.env.PREMIUM_SEARCH_ALERT_LIMIT || '10', 10);
+
+// How long an alert stays active (default 30 days)
+const SEARCH_ALERT_DAYS = parseInt(process.env.SEARCH_ALERT_DAYS || '30', 10);
+
+// How often pending matches are sent out as a digest (default 10 minutes)
+const SEARCH_ALERT_BATCH_INTERVAL_MS = parseInt(process.env.SEARCH_ALERT_BATCH_INTERVAL_MS || '600000', 10);
+
+// Listings shown per alert digest; the rest are summarised as a count
+const DIGEST_MAX_LISTINGS = 5;
+
+// Words that describe the alert rather than the product
+const ALERT_FILLER_PATTERN = /\b(?:alert|alerts|notify|tell|let|know|keep|posted|set|create|an?|the|me|us|when|whenever|if|once|appears?|is|are|gets?|comes?|up|listed|available|for|under|below|less|than|over|above|more|between|and|to|préviens|prévenir|moi|quand|un|une|des)\b/gi;
+
+/**
+ * Create an error with a code the caller can act on
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} The error
+ */
+function alertError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Build the product query of an alert from the user's request
+ * @param {string} message - The user's message
+ * @param {Object} entities - Entities extracted from the message
+ * @returns {string} The product query (may be empty)
+ */
+function extractAlertQuery(message, entities = {}) {
+  let query = message;
+
+  // Drop the parts already captured as structured filters
+  query = query.replace(new RegExp(PRICE_PATTERN.source, 'gi'), '');
+  if (entities.location) {
+    query = query.replace(new RegExp(`(?:in|at|near|around)\\s+${entities.location}`, 'i'), '');
+  }
+
+  return query
+    .replace(ALERT_FILLER_PATTERN, ' ')
+    .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Get how many active alerts a user may have, based on their subscription
+ * @param {string} phoneNumber - The user's WhatsApp number
+ * @returns {Promise<number>} The alert limit
+ */
+async function getAlertLimit(phoneNumber) {
+  const subscription = await checkUserSubscription(phoneNumber);
+  if (!subscription) return FREE_SEARCH_ALERT_LIMIT;
+
+  const planLimit = parseInt(subscription.subscription_plans?.features?.search_alerts, 10);
+  return Number.isFinite(planLimit) ? planLimit : PREMIUM_SEARCH_ALERT_LIMIT;
+}
+
+/**
+ * Save a search alert for a user
+ * @param {string} phoneNumber - The user's WhatsApp number
+ * @param {Object} criteria - What to look for
+ * @param {string} criteria.query - Product keywords
+ * @param {string} criteria.category - Optional category
+ * @param {string} criteria.location - Optional location
+ * @param {number} criteria.minPrice - Optional minimum price
+ * @param {number} criteria.maxPrice - Optional maximum price
+ * @returns {Promise<Object>} The alert, with the user's limit and active count
+ */
+async function createSearchAlert(phoneNumber, criteria) {
+  const query = (criteria.query || criteria.category || '').trim();
+  if (!query) {
+    throw alertError('Tell me what product the alert is for', 'ALERT_INVALID');
+  }
+
+  let user = await users.findByPhone(supabase, phoneNumber);
+  if (!user) {
+    user = await users.create(supabase, { phone_number: phoneNumber });
+  }
+
+  const active = await searchAlerts.findActiveByUser(supabase, user.id);
+  const limit = await getAlertLimit(phoneNumber);
+
+  if (active.length >= limit) {
+    const error = alertError(`You already have ${active.length} active alert(s); your limit is ${limit}`, 'ALERT_LIMIT_REACHED');
+    error.limit = limit;
+    throw error;
+  }
+
+  const alert = await searchAlerts.create(supabase, {
+    user_id: user.id,
+    search_query: query,
+    category: criteria.category || null,
+    location: criteria.location || null,
+    min_price: criteria.minPrice || null,
+    max_price: criteria.maxPrice || null,
+    expires_at: new Date(Date.now() + SEARCH_ALERT_DAYS * 24 * 60 * 60 * 1000),
+    is_active: true
+  });
+
+  return { ...alert, limit, activeCount: active.length + 1 };
+}
+
+/**
+ * List a user's active alerts, oldest first (the order used for numbering)
+ * @param {string} phoneNumber - The user's WhatsApp number
+ * @returns {Promise<Array>} Active alerts
+ */
+async function listSearchAlerts(phoneNumber) {
+  const user = await users.findByPhone(supabase, phoneNumber);
+  if (!user) return [];
+
+  return searchAlerts.findActiveByUser(supabase, user.id);
+}
+
+/**
+ * Stop one of a user's alerts, or all of them
+ * @param {string} phoneNumber - The user's WhatsApp number
+ * @param {number|string} which - Alert number as shown in the list, or 'all'
+ * @returns {Promise<Array>} The alerts that were stopped
+ */
+async function stopSearchAlerts(phoneNumber, which) {
+  const active = await listSearchAlerts(phoneNumber);
+
+  const selected = which === 'all'
+    ? active
+    : active.filter((alert, index) => index + 1 === parseInt(which, 10));
+
+  if (selected.length === 0) return [];
+
+  return searchAlerts.deactivate(supabase, selected.map(alert => alert.id));
+}
+
+/**
+ * Format an alert's criteria for chat messages
+ * @param {Object} alert - The alert
+ * @param {string} locale - Language to describe it in (default: DEFAULT_LOCALE)
+ * @returns {string} e.g. "iphone" in Douala below 200,000 FCFA
+ */
+function describeAlert(alert, locale = DEFAULT_LOCALE) {
+  const price = amount => formatPrice(amount, 'FCFA', locale);
+  let description = `"${alert.search_query}"`;
+  if (alert.category && alert.category !== alert.search_query) description += ` (${alert.category})`;
+  if (alert.location) description += t(locale, 'search.in_location', { location: alert.location });
+  if (alert.min_price && alert.max_price) {
+    description += t(locale, 'alerts.between', { min: price(alert.min_price), max: price(alert.max_price) });
+  } else if (alert.max_price) {
+    description += t(locale, 'search.below', { price: price(alert.max_price) });
+  } else if (alert.min_price) {
+    description += t(locale, 'search.above', { price: price(alert.min_price) });
+  }
+  return description;
+}
+
+/**
+ * Check whether a listing satisfies an alert's criteria
+ * @param {Object} alert - The alert
+ * @param {Object} listing - The listing
+ * @returns {boolean} True if the listing matches
+ */
+function listingMatchesAlert(alert, listing) {
+  const haystack = normalizeText(`${listing.title || ''} ${listing.description || ''} ${listing.category || ''}`);
+  const keywords = tokenize(alert.search_query);
+
+  if (!keywords.every(word => haystack.includes(word))) return false;
+
+  if (alert.category && !normalizeText(listing.category).includes(normalizeText(alert.category))) {
+    return false;
+  }
+
+  if (alert.location && !normalizeText(listing.location).includes(normalizeText(alert.location))) {
+    return false;
+  }
+
+  const price = Number(listing.price);
+  if (alert.min_price && !(price >= Number(alert.min_price))) return false;
+  if (alert.max_price && !(price <= Number(alert.max_price))) return false;
+
+  return true;
+}
+
+/**
+ * Queue a newly ingested listing for every active alert it matches.
+ * The user is notified in the next digest.
+ * @param {Object} listing - The stored listing
+ * @returns {Promise<number>} Number of alerts matched
+ */
+async function matchListingToAlerts(listing) {
+  try {
+    const alerts = await searchAlerts.findActive(supabase);
+    let matched = 0;
+
+    for (const alert of alerts) {
+      // Sellers don't need alerts about their own listings
+      if (alert.user_id === listing.seller_id || !listingMatchesAlert(alert, listing)) continue;
+
+      const match = await searchAlertMatches.create(supabase, {
+        alert_id: alert.id,
+        listing_id: listing.id
+      });
+      if (match) matched++;
+    }
+
+    if (matched > 0) {
+      console.log(`Listing ${listing.id} matched ${matched} search alert(s)`);
+    }
+
+    return matched;
+  } catch (error) {
+    // Alerts must never stop a listing from being ingested
+    console.error('Error matching listing to search alerts:', error);
+    return 0;
+  }
+}
+
+/**
+ * Send each user one message covering all their pending alert matches
+ * @returns {Promise<number>} Number of digests sent
+ */
+async function sendAlertDigests() {
+  const pending = await searchAlertMatches.findPending(supabase);
+  const byPhone = new Map();
+
+  for (const match of pending) {
+    const phone = match.alert?.user?.phone_number;
+    const listingAvailable = match.listing && match.listing.status === 'active';
+
+    if (!byPhone.has(phone)) byPhone.set(phone, { matches: [], skipped: [] });
+
+    // Stopped alerts and listings that sold in the meantime are dropped silently
+    if (phone && match.alert.is_active && listingAvailable) {
+      byPhone.get(phone).matches.push(match);
+    } else {
+      byPhone.get(phone).skipped.push(match);
+    }
+  }
+
+  let sent = 0;
+  for (const [phone, { matches, skipped }] of byPhone) {
+    if (matches.length > 0) {
+      const digest = locale => {
+        let text = `${t(locale, 'alerts.digest_title')}\n\n`;
+        matches.slice(0, DIGEST_MAX_LISTINGS).forEach((match, index) => {
+          const { listing } = match;
+          text += `*${index + 1}. ${listing.title}*\n`;
+          text += `💰 ${formatPrice(listing.price, listing.currency, locale)}${listing.location ? ` · 📍 ${listing.location}` : ''}\n`;
+          text += `${t(locale, 'alerts.digest_alert', { query: match.alert.search_query })}\n\n`;
+        });
+        if (matches.length > DIGEST_MAX_LISTINGS) {
+          text += `${t(locale, 'alerts.digest_more', { count: matches.length - DIGEST_MAX_LISTINGS })}\n\n`;
+        }
+        return text + t(locale, 'alerts.digest_stop_hint');
+      };
+
+      // Only mark the matches as notified if the message went out, so they're retried otherwise
+      if (!(await notifyUser(phone, digest))) continue;
+      sent++;
+    }
+
+    await searchAlertMatches.markNotified(supabase, [...matches, ...skipped].map(match => match.id));
+  }
+
+  return sent;
+}
+
+/**
+ * Deactivate expired alerts and tell their owners
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Promise<Array>} The expired alerts
+ */
+async function expireSearchAlerts(now = new Date()) {
+  const expired = await searchAlerts.expire(supabase, now);
+
+  for (const alert of expired) {
+    await notifyUser(alert.user?.phone_number, locale => t(locale, 'alerts.expired', {
+      alert: describeAlert(alert, locale),
+      query: alert.search_query
+    }));
+  }
+
+  return expired;
+}
+
+let digestTimer = null;
+
+/**
+ * Start sending alert digests (and expiring alerts) on an interval
+ * @param {number} intervalMs - Interval between digests (default: SEARCH_ALERT_BATCH_INTERVAL_MS)
+ */
+function startAlertDigests(intervalMs = SEARCH_ALERT_BATCH_INTERVAL_MS) {
+  if (digestTimer) return;
+
+  digestTimer = setInterval(async () => {
+    try {
+      await expireSearchAlerts();
+      await sendAlertDigests();
+    } catch (error) {
+      console.error('Error sending search alert digests:', error);
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for this timer
+  digestTimer.unref();
+  console.log(`Search alert digests running every ${Math.round(intervalMs / 1000)}s`);
+}
+
+/**
+ * Stop the alert digest interval
+ */
+function stopAlertDigests() {
+  if (digestTimer) {
+    clearInterval(digestTimer);
+    digestTimer = null;
+  }
+}
+
+module.exports = {
+  extractAlertQuery,
+  getAlertLimit,
+  createSearchAlert,
+  listSearchAlerts,
+  stopSearchAlerts,
+  describeAlert,
+  listingMatchesAlert,
+  matchListingToAlerts,
+  sendAlertDigests,
+  expireSearchAlerts,
+  startAlertDigests,
+  stopAlertDigests
+};
@@ -0,0 +1,269 @@
+/**
+ * Session Store
+ *
+ * This module keeps conversation sessions (agent, OpenRouter agent, group
+ * registration) outside the process, so a conversation survives a restart and
+ * every instance behind the load balancer sees the same state. Each store is a
+ * namespace of JSON documents that expire after a period of inactivity.
+ *
+ * Two backends are built in, picked with SESSION_STORE:
+ * - `mongodb`: the `conversation_sessions` collection, through the shared connection in database/mongodb.js
+ * - `memory`: a Map in this process, for local development (the default when MONGODB_URI isn't set)
+ *
+ * A session can also be locked while a message is handled (see withLock), so
+ * two messages from one user, on whichever instances, don't overwrite each
+ * other's changes.
+ */
+
+const crypto = require('crypto');
+const { ensureMongoConnection: ensureConnected, mongoose } = require('../database/mongodb');
+require('dotenv').config();
+
+const SESSION_STORE = process.env.SESSION_STORE || (process.env.MONGODB_URI ? 'mongodb' : 'memory');
+
+// How long a session is kept after it was last saved
+const DEFAULT_SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// How often expired in-memory sessions are dropped
+const MEMORY_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Longest a session stays locked, should the instance holding it die mid-message
+const SESSION_LOCK_MS = 2 * 60 * 1000;
+
+// How often a locked session is checked again
+const SESSION_LOCK_POLL_MS = 100;
+
+/**
+ * Create an error with a code the caller can act on
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} The error
+ */
+function sessionError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Create a backend keeping sessions in this process
+ * @returns {Object} The backend ({ get, set, delete, lock, unlock })
+ */
+function createMemoryBackend() {
+  // Sessions are stored as JSON so callers get a copy, as they do from MongoDB
+  const entries = new Map();
+  const locks = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [id, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(id);
+    }
+  }, MEMORY_SWEEP_INTERVAL_MS).unref();
+
+  return {
+    get: async (id) => {
+      const entry = entries.get(id);
+      if (!entry || entry.expiresAt <= Date.now()) return null;
+      return JSON.parse(entry.json);
+    },
+    set: async (id, value, ttlMs) => {
+      entries.set(id, { json: JSON.stringify(value), expiresAt: Date.now() + ttlMs });
+    },
+    delete: async (id) => {
+      entries.delete(id);
+    },
+    lock: async (id, token, lockMs) => {
+      const lock = locks.get(id);
+      if (lock && lock.lockedUntil > Date.now()) return false;
+      locks.set(id, { token, lockedUntil: Date.now() + lockMs });
+      return true;
+    },
+    unlock: async (id, token) => {
+      if (locks.get(id)?.token === token) locks.delete(id);
+    }
+  };
+}
+
+/**
+ * Connect to MongoDB once, however many stores use it
+ * @returns {Promise<void>}
+ */
+async function ensureMongoConnection() {
+  if (!(await ensureConnected())) {
+    throw sessionError('Session store is unavailable: could not connect to MongoDB', 'SESSION_STORE_UNAVAILABLE');
+  }
+}
+
+/**
+ * Create a backend keeping sessions in MongoDB. Expired documents are removed
+ * by a TTL index, and ignored until then.
+ * @returns {Object} The backend ({ get, set, delete, lock, unlock })
+ */
+function createMongoBackend() {
+  const ConversationSession = mongoose.models.ConversationSession || mongoose.model(
+    'ConversationSession',
+    new mongoose.Schema({
+      _id: String,
+      namespace: { type: String, index: true },
+      data: mongoose.Schema.Types.Mixed,
+      expiresAt: { type: Date, expires: 0 }
+    }, { collection: 'conversation_sessions', minimize: false, versionKey: false })
+  );
+  const ConversationLock = mongoose.models.ConversationLock || mongoose.model(
+    'ConversationLock',
+    new mongoose.Schema({
+      _id: String,
+      token: String,
+      lockedUntil: { type: Date, expires: 0 }
+    }, { collection: 'conversation_locks', versionKey: false })
+  );
+
+  return {
+    get: async (id) => {
+      await ensureMongoConnection();
+      const document = await ConversationSession.findById(id).lean();
+      if (!document || document.expiresAt <= new Date()) return null;
+      return document.data;
+    },
+    set: async (id, value, ttlMs) => {
+      await ensureMongoConnection();
+      await ConversationSession.updateOne(
+        { _id: id },
+        {
+          namespace: id.split(':')[0],
+          data: JSON.parse(JSON.stringify(value)),
+          expiresAt: new Date(Date.now() + ttlMs)
+        },
+        { upsert: true }
+      );
+    },
+    delete: async (id) => {
+      await ensureMongoConnection();
+      await ConversationSession.deleteOne({ _id: id });
+    },
+    lock: async (id, token, lockMs) => {
+      await ensureMongoConnection();
+      const now = new Date();
+      try {
+        await ConversationLock.updateOne(
+          { _id: id, lockedUntil: { $lte: now } },
+          { $set: { token, lockedUntil: new Date(now.getTime() + lockMs) } },
+          { upsert: true }
+        );
+        return true;
+      } catch (error) {
+        // A lock that's still held doesn't match, so the upsert clashes with it
+        if (error.code === 11000) return false;
+        throw error;
+      }
+    },
+    unlock: async (id, token) => {
+      await ensureMongoConnection();
+      await ConversationLock.deleteOne({ _id: id, token });
+    }
+  };
+}
+
+const BACKENDS = {
+  memory: createMemoryBackend,
+  mongodb: createMongoBackend
+};
+
+let backend = null;
+
+/**
+ * Get the configured backend, creating it on first use
+ * @returns {Object} The backend
+ */
+function getBackend() {
+  if (!backend) {
+    if (!BACKENDS[SESSION_STORE]) {
+      throw sessionError(`Unknown session store "${SESSION_STORE}"`, 'SESSION_STORE_INVALID');
+    }
+    backend = BACKENDS[SESSION_STORE]();
+  }
+  return backend;
+}
+
+/**
+ * Run a function holding a session's lock, waiting for it if it's held
+ * @param {string} id - Session ID (`<namespace>:<key>`)
+ * @param {Function} fn - The function to run
+ * @returns {Promise<*>} What the function returns
+ */
+async function runLocked(id, fn) {
+  const token = crypto.randomUUID();
+  while (!(await getBackend().lock(id, token, SESSION_LOCK_MS))) {
+    await new Promise(resolve => setTimeout(resolve, SESSION_LOCK_POLL_MS));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await getBackend().unlock(id, token).catch(error => {
+      // The lock lapses after SESSION_LOCK_MS anyway
+      console.error(`Error unlocking session ${id}:`, error.message);
+    });
+  }
+}
+
+/**
+ * Create a store for one kind of session
+ * @param {string} namespace - Name of the store, e.g. "agent"
+ * @param {Object} options - Store options
+ * @param {number} options.ttlMs - How long a session is kept after it was last saved (default: SESSION_TTL_HOURS)
+ * @returns {Object} The store ({ get(key), set(key, session), delete(key), withLock(key, fn) })
+ */
+function createSessionStore(namespace, { ttlMs = DEFAULT_SESSION_TTL_MS } = {}) {
+  const idFor = key => `${namespace}:${key}`;
+
+  // Last function queued for each locked session in this process, so they run in the order they came
+  const queued = new Map();
+
+  return {
+    /**
+     * Load a session
+     * @param {string} key - Session key (usually the user's WhatsApp ID)
+     * @returns {Promise<Object|null>} The session, or null if there is none or it expired
+     */
+    get: (key) => getBackend().get(idFor(key)),
+
+    /**
+     * Save a session, restarting its expiry
+     * @param {string} key - Session key
+     * @param {Object} session - The session (must be JSON-serialisable)
+     * @returns {Promise<void>}
+     */
+    set: (key, session) => getBackend().set(idFor(key), session, ttlMs),
+
+    /**
+     * Remove a session
+     * @param {string} key - Session key
+     * @returns {Promise<void>}
+     */
+    delete: (key) => getBackend().delete(idFor(key)),
+
+    /**
+     * Run a function that loads, changes and saves a session, once no other
+     * instance or call is doing so for the same session. Calls made in this
+     * process run in order; a call taking longer than SESSION_LOCK_MS loses the lock.
+     * @param {string} key - Session key
+     * @param {Function} fn - The function to run (it must not take the same session's lock)
+     * @returns {Promise<*>} What the function returns
+     */
+    withLock: (key, fn) => {
+      const run = (queued.get(key) || Promise.resolve()).then(() => runLocked(idFor(key), fn));
+      const settled = run.catch(() => {});
+      queued.set(key, settled);
+      settled.then(() => {
+        if (queued.get(key) === settled) queued.delete(key);
+      });
+      return run;
+    }
+  };
+}
+
+module.exports = {
+  createSessionStore
+};
@@ -0,0 +1,166 @@
+/**
+ * Speech-to-Text Service
+ *
+ * This module transcribes voice notes so they can go through the same
+ * pipeline as typed messages. Providers are pluggable: each one is an object
+ * with a `transcribe({ buffer, mimeType, language })` method returning the
+ * text. Two are built in:
+ * - `whisper`: any OpenAI-compatible `/audio/transcriptions` endpoint
+ *   (OpenAI, Groq, a self-hosted whisper server, ...)
+ * - `local`: a stand-in that returns a fixed transcript, for tests and local development
+ *
+ * The provider is picked with STT_PROVIDER; without it, `whisper` is used when
+ * STT_API_KEY is set and voice notes are turned away otherwise.
+ */
+
+const axios = require('axios');
+require('dotenv').config();
+
+const STT_API_URL = process.env.STT_API_URL || 'https://api.openai.com/v1';
+const STT_API_KEY = process.env.STT_API_KEY;
+const STT_MODEL = process.env.STT_MODEL || 'whisper-1';
+
+// Language hint (e.g. "fr"); left unset, the provider detects it
+const STT_LANGUAGE = process.env.STT_LANGUAGE || null;
+
+// Longest transcript kept; anything longer is cut
+const MAX_TRANSCRIPT_LENGTH = 1000;
+
+/**
+ * Create an error with a code the caller can act on
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} The error
+ */
+function speechError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Create a provider for an OpenAI-compatible transcription endpoint
+ * @param {Object} config - Provider configuration
+ * @param {string} config.apiUrl - Base URL of the API
+ * @param {string} config.apiKey - API key
+ * @param {string} config.model - Transcription model
+ * @returns {Object} The provider
+ */
+function createWhisperProvider({ apiUrl = STT_API_URL, apiKey = STT_API_KEY, model = STT_MODEL } = {}) {
+  return {
+    name: 'whisper',
+
+    /**
+     * Transcribe an audio file
+     * @param {Object} audio - The audio ({ buffer, mimeType, language })
+     * @returns {Promise<string>} The transcript
+     */
+    transcribe: async ({ buffer, mimeType, language }) => {
+      // WhatsApp voice notes are "audio/ogg; codecs=opus"; the API goes by the file extension
+      const type = (mimeType || 'audio/ogg').split(';')[0].trim();
+      const extension = type.split('/')[1] === 'mpeg' ? 'mp3' : type.split('/')[1];
+
+      const form = new FormData();
+      form.append('file', new Blob([buffer], { type }), `voice-note.${extension}`);
+      form.append('model', model);
+      if (language) form.append('language', language);
+
+      const response = await axios.post(`${apiUrl}/audio/transcriptions`, form, {
+        headers: { 'Authorization': `Bearer ${apiKey}` }
+      });
+
+      return response.data.text;
+    }
+  };
+}
+
+/**
+ * Create a stand-in provider that doesn't call any service
+ * @param {string|Function} transcript - The transcript to return, or a function of the audio returning it
+ * @returns {Object} The provider
+ */
+function createLocalProvider(transcript = process.env.STT_LOCAL_TRANSCRIPT || '') {
+  return {
+    name: 'local',
+
+    /**
+     * Return the configured transcript
+     * @param {Object} audio - The audio ({ buffer, mimeType, language })
+     * @returns {Promise<string>} The transcript
+     */
+    transcribe: async (audio) => (typeof transcript === 'function' ? transcript(audio) : transcript)
+  };
+}
+
+const providers = new Map();
+let activeProvider = null;
+
+/**
+ * Register a speech-to-text provider
+ * @param {string} name - Name used to select the provider
+ * @param {Object} provider - Object with a transcribe({ buffer, mimeType, language }) method
+ */
+function registerSpeechProvider(name, provider) {
+  if (typeof provider?.transcribe !== 'function') {
+    throw speechError(`Speech provider "${name}" has no transcribe() method`, 'STT_INVALID_PROVIDER');
+  }
+  providers.set(name, provider);
+}
+
+/**
+ * Choose which registered provider transcribes voice notes
+ * @param {string|null} name - Provider name, or null to turn transcription off
+ */
+function useSpeechProvider(name) {
+  if (name && !providers.has(name)) {
+    throw speechError(`Unknown speech provider "${name}"`, 'STT_INVALID_PROVIDER');
+  }
+  activeProvider = name || null;
+}
+
+/**
+ * Check whether voice notes can be transcribed
+ * @returns {boolean} True if a provider is active
+ */
+function isSpeechToTextEnabled() {
+  return Boolean(activeProvider);
+}
+
+/**
+ * Transcribe an audio file with the active provider
+ * @param {Object} audio - The audio ({ buffer, mimeType })
+ * @param {Object} options - Transcription options
+ * @param {string} options.language - Language hint (default: STT_LANGUAGE)
+ * @returns {Promise<string>} The transcript (empty if nothing was understood)
+ */
+async function transcribeAudio(audio, options = {}) {
+  if (!activeProvider) {
+    throw speechError('Speech-to-text is not configured', 'STT_NOT_CONFIGURED');
+  }
+
+  const text = await providers.get(activeProvider).transcribe({
+    ...audio,
+    language: options.language || STT_LANGUAGE
+  });
+
+  return String(text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TRANSCRIPT_LENGTH);
+}
+
+registerSpeechProvider('whisper', createWhisperProvider());
+registerSpeechProvider('local', createLocalProvider());
+
+// A misconfigured provider turns voice notes away rather than stopping the server
+try {
+  useSpeechProvider(process.env.STT_PROVIDER || (STT_API_KEY ? 'whisper' : null));
+} catch (error) {
+  console.warn(`${error.message} in STT_PROVIDER; voice notes are turned away until it names one of: ${[...providers.keys()].join(', ')}`);
+}
+
+module.exports = {
+  createWhisperProvider,
+  createLocalProvider,
+  registerSpeechProvider,
+  useSpeechProvider,
+  isSpeechToTextEnabled,
+  transcribeAudio
+};